@@ -14,6 +14,9 @@
  * limitations under the License.
  */
 
+import { RandomSource } from '../core/random.js';
+import { SystemClock } from '../core/environment.js';
+
 /**
  * AttentionMechanism - Implements selective attention for NPCs
  * 
@@ -33,6 +36,10 @@ export class AttentionMechanism {
             ...config
         };
 
+        // Seeded random stream
+        this.rng = (this.config.random || new RandomSource()).stream('attention');
+        this.clock = this.config.clock || new SystemClock();
+
         // Attention state
         this.currentFocus = null;
         this.attentionQueue = [];
@@ -169,7 +176,7 @@ export class AttentionMechanism {
                 score = this._calculateUrgency(key);
                 break;
             default:
-                score = Math.random(); // Fallback
+                score = this.rng.random(); // Fallback
         }
         
         // Scale by inverse square root of dimension
@@ -398,7 +405,7 @@ export class AttentionInstance {
                 this.currentFocus = topStimulus;
                 this.focusHistory.push({
                     stimulus: topStimulus,
-                    timestamp: Date.now(),
+                    timestamp: this.parent.clock.now(),
                     duration: 0
                 });
             }
@@ -466,7 +473,7 @@ export class AttentionInstance {
         const lastFocus = this.focusHistory[this.focusHistory.length - 1];
         if (!lastFocus) return 0;
         
-        const duration = Date.now() - lastFocus.timestamp;
+        const duration = this.parent.clock.now() - lastFocus.timestamp;
         const decayFactor = Math.exp(-this.config.focusDecayRate * duration / 1000);
         
         return this.currentFocus.attentionWeight * decayFactor;
@@ -567,7 +574,7 @@ export class AttentionInstance {
         if (!this.currentFocus || this.focusHistory.length === 0) return 0;
         
         const lastFocus = this.focusHistory[this.focusHistory.length - 1];
-        return Date.now() - lastFocus.timestamp;
+        return this.parent.clock.now() - lastFocus.timestamp;
     }
 
     /**
@@ -17,6 +17,8 @@
 import { MemoryBank } from './memory-bank.js';
 import { AttentionMechanism } from './attention-mechanism.js';
 import { EmergenceEngine } from './emergence-engine.js';
+import { RandomSource } from '../core/random.js';
+import { SystemClock } from '../core/environment.js';
 
 /**
  * ConsciousnessCore - The central nervous system of adaptive NPCs
@@ -37,6 +39,10 @@ export class ConsciousnessCore {
             ...config
         };
 
+        // Seeded random stream
+        this.rng = (this.config.random || new RandomSource()).stream('consciousness');
+        this.clock = this.config.clock || new SystemClock();
+
         // Core components
         this.memoryBank = new MemoryBank(this.config);
         this.attention = new AttentionMechanism(this.config);
@@ -49,7 +55,7 @@ export class ConsciousnessCore {
             currentThoughts: [],
             activeGoals: [],
             emotionalContext: null,
-            lastUpdate: performance.now()
+            lastUpdate: this.clock.monotonic()
         };
 
         // Neural network layers (simplified transformer)
@@ -67,7 +73,10 @@ export class ConsciousnessCore {
             id: identity.id,
             name: identity.name,
             personality: identity.personality,
-            memoryBank: this.memoryBank.createInstance(identity.id),
+            memoryBank: this.memoryBank.createInstance(identity.id, {
+                forgetting: identity.forgetting,
+                reconsolidation: identity.reconsolidation
+            }),
             attention: this.attention.createInstance(),
             emergence: this.emergence,
             parent: this
@@ -158,10 +167,10 @@ export class ConsciousnessCore {
                     const k = ConsciousnessCore._matmul(context, head.key, dim, headDim);
                     const v = ConsciousnessCore._matmul(context, head.value, dim, headDim);
                     
-                    // Scaled dot-product attention
-                    const scores = ConsciousnessCore._dotProduct(q, k) / Math.sqrt(headDim);
+                    // Scaled dot-product attention (the context is a single key/value)
+                    const scores = [ConsciousnessCore._dotProduct(q, k) / Math.sqrt(headDim)];
                     const weights = ConsciousnessCore._softmax(scores);
-                    const attended = ConsciousnessCore._weightedSum(v, weights);
+                    const attended = ConsciousnessCore._weightedSum([v], weights);
                     
                     outputs.push(attended);
                 }
@@ -226,18 +235,18 @@ export class ConsciousnessCore {
         // Xavier initialization for all layers
         Object.values(this.layers).forEach(layer => {
             if (layer.weights) {
-                ConsciousnessCore._xavierInit(layer.weights);
+                ConsciousnessCore._xavierInit(layer.weights, this.rng);
             }
             if (layer.heads) {
                 layer.heads.forEach(head => {
-                    ConsciousnessCore._xavierInit(head.query);
-                    ConsciousnessCore._xavierInit(head.key);
-                    ConsciousnessCore._xavierInit(head.value);
+                    ConsciousnessCore._xavierInit(head.query, this.rng);
+                    ConsciousnessCore._xavierInit(head.key, this.rng);
+                    ConsciousnessCore._xavierInit(head.value, this.rng);
                 });
             }
             if (layer.w1) {
-                ConsciousnessCore._xavierInit(layer.w1);
-                ConsciousnessCore._xavierInit(layer.w2);
+                ConsciousnessCore._xavierInit(layer.w1, this.rng);
+                ConsciousnessCore._xavierInit(layer.w2, this.rng);
             }
         });
     }
@@ -308,10 +317,10 @@ export class ConsciousnessCore {
         return vector.map(val => Math.max(0, val));
     }
 
-    static _xavierInit(weights) {
+    static _xavierInit(weights, rng) {
         const scale = Math.sqrt(2.0 / weights.length);
         for (let i = 0; i < weights.length; i++) {
-            weights[i] = (Math.random() - 0.5) * 2 * scale;
+            weights[i] = (rng.random() - 0.5) * 2 * scale;
         }
     }
 }
@@ -339,7 +348,7 @@ export class Consciousness {
             workingMemory: [],
             goals: [],
             beliefs: new Map(),
-            lastProcessTime: performance.now()
+            lastProcessTime: this.parent.clock.monotonic()
         };
 
         // Thought stream
@@ -369,7 +378,8 @@ export class Consciousness {
      * @param {number} currentTime - Current timestamp
      */
     async update(currentTime) {
-        const deltaTime = currentTime - this.state.lastProcessTime;
+        // Clamp so a clock that started behind this NPC never runs it backwards
+        const deltaTime = Math.max(0, currentTime - this.state.lastProcessTime);
         this.state.lastProcessTime = currentTime;
 
         // Update awareness based on activity
@@ -408,18 +418,19 @@ export class Consciousness {
      * Record a new memory
      * 
      * @param {Object} memory - Memory to record
+     * @param {Object} [options] - Passed to MemoryBankInstance#store
      */
-    async recordMemory(memory) {
+    async recordMemory(memory, options = {}) {
         // Add consciousness context
         memory.awareness = this.state.awareness;
         memory.emotionalContext = this.state.emotionalContext;
         memory.activeGoals = [...this.state.goals];
         
         // Calculate importance based on current focus and goals
-        memory.importance = this._calculateImportance(memory);
+        memory.importance = await this._calculateImportance(memory);
         
         // Store in memory bank
-        await this.memoryBank.store(memory);
+        await this.memoryBank.store(memory, options);
         
         // Add to working memory if important
         if (memory.importance > 0.5) {
@@ -475,7 +486,7 @@ export class Consciousness {
         
         // Record thought
         this.thoughtStream.push({
-            timestamp: performance.now(),
+            timestamp: this.parent.clock.monotonic(),
             stimulus,
             thought,
             emotion: output.emotion,
@@ -563,7 +574,7 @@ export class Consciousness {
             this.state.workingMemory.push({
                 type: 'thought',
                 content: thought,
-                timestamp: performance.now(),
+                timestamp: this.parent.clock.monotonic(),
                 importance: this._calculateThoughtImportance(thought)
             });
         }
@@ -681,12 +692,18 @@ export class Consciousness {
      * Calculate memory importance
      * @private
      */
-    _calculateImportance(memory) {
+    async _calculateImportance(memory) {
         let importance = 0.5; // Base importance
         
         // Emotional intensity increases importance
+        // (a single intensity, or the per-emotion changes of an interaction)
         if (memory.emotionalImpact) {
-            importance += Math.abs(memory.emotionalImpact) * 0.3;
+            const intensity = typeof memory.emotionalImpact === 'number' ?
+                Math.abs(memory.emotionalImpact) :
+                Object.values(memory.emotionalImpact)
+                    .filter(value => typeof value === 'number')
+                    .reduce((sum, value) => sum + Math.abs(value), 0);
+            importance += Math.min(1, intensity) * 0.3;
         }
         
         // Relevance to goals
@@ -709,7 +726,7 @@ export class Consciousness {
      */
     _calculateThoughtImportance(thought) {
         // Simplified importance calculation for thoughts
-        return 0.5 + Math.random() * 0.5;
+        return 0.5 + this.parent.rng.random() * 0.5;
     }
 
     /**
@@ -729,7 +746,12 @@ export class Consciousness {
      * @private
      */
     _contextToQuery(context) {
-        return context;
+        // Recall what a stimulus is about, however it is worded
+        const { stimulus, ...query } = context;
+        if (typeof stimulus === 'string' && !query.similarTo) {
+            return { similarTo: stimulus, k: 10, ...query };
+        }
+        return query;
     }
 
     _encodeMemories(memories) {
@@ -763,7 +785,7 @@ export class Consciousness {
 
     _calculateGoalProgress(goal) {
         // Calculate progress towards goal
-        return Math.random() * 0.1;
+        return this.parent.rng.random() * 0.1;
     }
 
     _generateFollowUpGoals(completedGoal) {
@@ -773,34 +795,51 @@ export class Consciousness {
 
     _isRelevantToGoal(memory, goal) {
         // Check if memory is relevant to goal
-        return Math.random() > 0.7;
+        return this.parent.rng.random() > 0.7;
     }
 
     async _calculateNovelty(memory) {
         // Calculate how novel/unique this memory is
-        return Math.random();
+        return this.parent.rng.random();
     }
 
     /**
      * Serialize consciousness state
+     * 
+     * @param {boolean} [changesOnly=false] - Only memories changed since the last save
      */
-    serialize() {
-        return {
+    serialize(changesOnly = false) {
+        // Memories are kept apart so storage can file them individually
+        const { memories, forgotten, ...memoryBank } = this.memoryBank.serialize(changesOnly);
+
+        const serialized = {
             id: this.id,
             name: this.name,
-            personality: this.personality,
-            state: this.state,
+            state: { ...this.state, beliefs: Object.fromEntries(this.state.beliefs) },
             thoughtStream: this.thoughtStream.slice(-10), // Last 10 thoughts
-            memoryStats: this.memoryBank.getStats()
+            memories,
+            memoryBank
         };
+
+        if (changesOnly) {
+            serialized.forgottenMemories = forgotten;
+        }
+
+        return serialized;
     }
 
     /**
      * Deserialize consciousness state
      */
     async deserialize(data) {
-        this.state = data.state;
+        const beliefs = data.state && data.state.beliefs;
+        this.state = {
+            ...data.state,
+            beliefs: new Map(beliefs instanceof Map ? beliefs : Object.entries(beliefs || {}))
+        };
         this.thoughtStream = data.thoughtStream || [];
-        await this.memoryBank.restore(data.memoryStats);
+        if (data.memoryBank) {
+            await this.memoryBank.deserialize({ ...data.memoryBank, memories: data.memories });
+        }
     }
 }
@@ -14,6 +14,9 @@
  * limitations under the License.
  */
 
+import { RandomSource } from '../core/random.js';
+import { SystemClock } from '../core/environment.js';
+
 /**
  * EmergenceEngine - Generates unexpected but logical behaviors
  * 
@@ -33,6 +36,10 @@ export class EmergenceEngine {
             ...config
         };
 
+        // Seeded random stream
+        this.rng = (this.config.random || new RandomSource()).stream('emergence');
+        this.clock = this.config.clock || new SystemClock();
+
         // Behavior rules and patterns
         this.behaviorRules = this._defineBehaviorRules();
         this.emergentPatterns = new Map();
@@ -200,7 +207,7 @@ export class EmergenceEngine {
         const context = {
             state,
             personality,
-            timestamp: Date.now()
+            timestamp: this.clock.now()
         };
         
         // Analyze current needs
@@ -255,7 +262,7 @@ export class EmergenceEngine {
                         rule,
                         strength: rule.weight,
                         context: { ...context },
-                        timestamp: Date.now()
+                        timestamp: this.clock.now()
                     });
                 }
             } catch (error) {
@@ -514,7 +521,7 @@ export class EmergenceEngine {
                 // Record for future reference
                 this.emergentPatterns.set(patternKey, {
                     count: 1,
-                    firstSeen: Date.now(),
+                    firstSeen: this.clock.now(),
                     pattern: novelPattern
                 });
             } else {
@@ -543,12 +550,12 @@ export class EmergenceEngine {
      */
     async _generateEmergentBehavior(pattern, context) {
         const behavior = {
-            id: `emergence_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: `emergence_${this.clock.now()}_${this.rng.uid()}`,
             type: 'emergent',
             pattern: pattern.type,
             rules: pattern.rules,
             strength: pattern.strength,
-            timestamp: Date.now()
+            timestamp: this.clock.now()
         };
         
         // Select outcome based on pattern and context
@@ -558,7 +565,7 @@ export class EmergenceEngine {
         // Add creativity if novel
         if (pattern.type === 'novel') {
             behavior.creative = true;
-            behavior.novelty = Math.random() * this.config.creativityFactor;
+            behavior.novelty = this.rng.random() * this.config.creativityFactor;
         }
         
         // Add specific parameters based on outcome
@@ -590,8 +597,8 @@ export class EmergenceEngine {
         weighted.sort((a, b) => b.weight - a.weight);
         
         // Sometimes choose less optimal for variety
-        if (Math.random() < this.config.creativityFactor * 0.5) {
-            const index = Math.floor(Math.random() * Math.min(3, weighted.length));
+        if (this.rng.random() < this.config.creativityFactor * 0.5) {
+            const index = Math.floor(this.rng.random() * Math.min(3, weighted.length));
             return weighted[index].outcome;
         }
         
@@ -632,15 +639,15 @@ export class EmergenceEngine {
      */
     _generateBehaviorParameters(outcome, context) {
         const params = {
-            intensity: Math.random() * 0.5 + 0.5,
-            duration: Math.random() * 5000 + 1000,
+            intensity: this.rng.random() * 0.5 + 0.5,
+            duration: this.rng.random() * 5000 + 1000,
             target: null
         };
         
         // Outcome-specific parameters
         switch (outcome) {
             case 'flee':
-                params.direction = Math.random() * Math.PI * 2;
+                params.direction = this.rng.random() * Math.PI * 2;
                 params.speed = 0.8 + context.threat * 0.2;
                 break;
                 
@@ -724,7 +731,7 @@ export class EmergenceEngine {
         
         if (combo) {
             return {
-                id: `meta_${Date.now()}`,
+                id: `meta_${this.clock.now()}`,
                 type: 'meta_emergent',
                 action: combo.action,
                 description: combo.description,
@@ -771,11 +778,11 @@ export class EmergenceEngine {
 
     _checkRecentKindness(memoryBank) {
         // Simplified check
-        return Math.random() > 0.5 ? 0.7 : 0;
+        return this.rng.random() > 0.5 ? 0.7 : 0;
     }
 
     _assessNovelty(state, memoryBank) {
-        return Math.random(); // Simplified
+        return this.rng.random(); // Simplified
     }
 
     _countConflictingGoals(goals) {
@@ -785,7 +792,7 @@ export class EmergenceEngine {
 
     _findSimilarSituation(state, memoryBank) {
         // Simplified - would search memory bank
-        return Math.random() > 0.7 ? { outcome: 'positive' } : null;
+        return this.rng.random() > 0.7 ? { outcome: 'positive' } : null;
     }
 
     _checkTraumaticTrigger(state, memoryBank) {
@@ -793,7 +800,7 @@ export class EmergenceEngine {
     }
 
     _detectIncompletePattern() {
-        return Math.random() > 0.8;
+        return this.rng.random() > 0.8;
     }
 
     _calculateEmotionalEnergy(state) {
@@ -816,24 +823,24 @@ export class EmergenceEngine {
 
     _selectCreationType(context) {
         const types = ['art', 'story', 'song', 'invention'];
-        return types[Math.floor(Math.random() * types.length)];
+        return this.rng.pick(types);
     }
 
     _selectFavorType(context) {
         const types = ['gift', 'help', 'information', 'protection'];
-        return types[Math.floor(Math.random() * types.length)];
+        return this.rng.pick(types);
     }
 
     _generateSurprise(context) {
         const surprises = ['dance', 'joke', 'magic_trick', 'unexpected_gift'];
-        return surprises[Math.floor(Math.random() * surprises.length)];
+        return this.rng.pick(surprises);
     }
 
     _analyzeSequence(behaviors, context) {
         // Check if behaviors form a meaningful sequence
         if (behaviors.every(b => b.strength > 0.6)) {
             return {
-                id: `sequence_${Date.now()}`,
+                id: `sequence_${this.clock.now()}`,
                 type: 'behavioral_sequence',
                 action: 'complex_plan',
                 steps: behaviors.map(b => b.action),
@@ -851,7 +858,7 @@ export class EmergenceEngine {
         for (const behavior of behaviors) {
             this.emergenceHistory.push({
                 behavior,
-                timestamp: Date.now()
+                timestamp: this.clock.now()
             });
             
             // Track active emergences
@@ -864,7 +871,7 @@ export class EmergenceEngine {
         }
         
         // Clean up old active emergences
-        const now = Date.now();
+        const now = this.clock.now();
         for (const [id, behavior] of this.activeEmergences) {
             if (now - behavior.timestamp > 60000) { // 1 minute
                 this.activeEmergences.delete(id);
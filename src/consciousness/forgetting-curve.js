@@ -0,0 +1,168 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Retention models: the share of a memory left after some days, given its
+ * stability (how many days it takes to fade noticeably)
+ */
+export const FORGETTING_MODELS = {
+    // Ebbinghaus: retention falls by the same factor every `stability` days
+    exponential: (days, stability) => Math.exp(-days / stability),
+
+    // Fast early loss with a long tail
+    power: (days, stability, config) => Math.pow(1 + days / stability, -config.powerDecay),
+
+    // Exponential, with intense memories lasting longer
+    emotional: (days, stability, config, memory) =>
+        Math.exp(-days / (stability * (1 + emotionalIntensity(memory) * config.emotionWeight)))
+};
+
+/**
+ * ForgettingCurve - How one category of an NPC's memories fades
+ *
+ * Each memory has a stability, set from its importance when stored.
+ * Retention falls with the time since the memory was stored or last
+ * recalled, following the configured model. Recalling a memory restarts
+ * the clock and raises its stability, more so the further it had faded,
+ * so memories recalled now and again last far longer than ones recalled
+ * many times in a row. Memories at least as intense as traumaThreshold
+ * never fade.
+ *
+ * @class ForgettingCurve
+ */
+export class ForgettingCurve {
+    /**
+     * @param {Object} [config]
+     * @param {string} [config.model='exponential'] - 'exponential', 'power' or 'emotional'
+     * @param {number} [config.stability=7] - Days an unimportant memory takes to fade to 1/e
+     *                                        (exponential)
+     * @param {number} [config.importanceWeight=1] - Extra stability per unit of importance
+     * @param {number} [config.consolidationBoost=2] - Stability multiplier for consolidated memories
+     * @param {number} [config.reinforcementGain=2] - Stability gained by recalling a fully faded memory
+     * @param {number} [config.powerDecay=1] - Exponent of the power model
+     * @param {number} [config.emotionWeight=4] - Extra stability per unit of emotional intensity
+     *                                            (emotional model)
+     * @param {number|null} [config.traumaThreshold=0.9] - Emotional intensity from which a memory
+     *                                                     never fades; null to let every memory fade
+     * @param {number} [config.forgetThreshold=0.05] - Retention under which a memory is forgotten
+     * @param {boolean} [config.fuzzing=false] - Lose details of fading memories before forgetting them
+     * @param {number} [config.fuzzThreshold=0.3] - Retention under which details start to go
+     */
+    constructor(config = {}) {
+        this.config = {
+            model: 'exponential',
+            stability: 7,
+            importanceWeight: 1,
+            consolidationBoost: 2,
+            reinforcementGain: 2,
+            powerDecay: 1,
+            emotionWeight: 4,
+            traumaThreshold: 0.9,
+            forgetThreshold: 0.05,
+            fuzzing: false,
+            fuzzThreshold: 0.3,
+            ...config
+        };
+
+        this.model = FORGETTING_MODELS[this.config.model];
+        if (!this.model) {
+            throw new Error(`Unknown forgetting model: ${this.config.model}`);
+        }
+    }
+
+    /**
+     * Stability of a newly stored memory, in days
+     *
+     * @param {Object} memory
+     * @returns {number}
+     */
+    initialStability(memory) {
+        return this.config.stability * (1 + (memory.importance || 0) * this.config.importanceWeight);
+    }
+
+    /**
+     * Share of a memory retained at a time
+     *
+     * @param {Object} memory
+     * @param {number} now - Timestamp
+     * @returns {number} 0-1
+     */
+    retention(memory, now) {
+        if (this.isPermanent(memory)) return 1;
+
+        const days = Math.max(0, now - (memory.lastReinforced || memory.timestamp)) / DAY;
+        let stability = memory.stability || this.initialStability(memory);
+        if (memory.consolidated) stability *= this.config.consolidationBoost;
+
+        return this.model(days, stability, this.config, memory);
+    }
+
+    /**
+     * Recall a memory: restart its clock and raise its stability
+     *
+     * @param {Object} memory
+     * @param {number} now - Timestamp
+     */
+    reinforce(memory, now) {
+        const retention = this.retention(memory, now);
+        const stability = memory.stability || this.initialStability(memory);
+
+        memory.stability = stability * (1 + this.config.reinforcementGain * (1 - retention));
+        memory.lastReinforced = now;
+        memory.reinforcements = (memory.reinforcements || 0) + 1;
+        memory.strength = 1;
+    }
+
+    /**
+     * Whether a memory is too intense to ever fade
+     *
+     * @param {Object} memory
+     * @returns {boolean}
+     */
+    isPermanent(memory) {
+        return typeof this.config.traumaThreshold === 'number' &&
+            emotionalIntensity(memory) >= this.config.traumaThreshold;
+    }
+}
+
+/**
+ * Emotional intensity of a memory: its emotional impact (one intensity, or
+ * the per-emotion changes of an interaction), or else the mean of its
+ * emotional context
+ *
+ * @param {Object} memory
+ * @returns {number} 0-1
+ */
+export function emotionalIntensity(memory) {
+    const impact = memory.emotionalImpact;
+    if (typeof impact === 'number') {
+        return Math.min(1, Math.abs(impact));
+    }
+
+    const values = (source) => Object.values(source || {}).filter(value => typeof value === 'number');
+    if (impact && typeof impact === 'object') {
+        return Math.min(1, values(impact).reduce((sum, value) => sum + Math.abs(value), 0));
+    }
+
+    const context = values(memory.emotionalContext);
+    return context.length > 0 ?
+        Math.min(1, context.reduce((sum, value) => sum + Math.abs(value), 0) / context.length) :
+        0;
+}
+
+export default ForgettingCurve;
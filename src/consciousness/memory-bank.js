@@ -14,6 +14,47 @@
  * limitations under the License.
  */
 
+import { RandomSource } from '../core/random.js';
+import { SystemClock } from '../core/environment.js';
+import { HashingEmbedder, describeMemory } from './memory-embedder.js';
+import { VectorIndex } from './vector-index.js';
+import { ForgettingCurve } from './forgetting-curve.js';
+import { Reconsolidation } from './reconsolidation.js';
+import {
+    MemoryFieldIndex,
+    compileWhere,
+    compileSort,
+    describeWhere,
+    describeSort,
+    matches,
+    compareBy,
+    encodeCursor,
+    afterCursor,
+    MemoryQueryError
+} from './memory-query.js';
+
+// Time scale of the recency bonus
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+// Forgetting models of the categories that do not use the exponential one
+const CATEGORY_MODELS = { procedural: 'power', emotional: 'emotional' };
+
+// Memory fields recall changes, copied onto query results
+const RECALL_FIELDS = [
+    'accessCount', 'lastAccessed', 'stability', 'lastReinforced', 'reinforcements', 'strength',
+    'emotionalImpact', 'interaction', 'content', 'context', 'embedding', 'original', 'revisions'
+];
+
+// Keys a query may have
+const QUERY_KEYS = new Set([
+    'where', 'sort', 'limit', 'cursor', 'similarTo', 'k', 'associatedWith',
+    'type', 'category', 'context', 'timeRange', 'search', 'minImportance'
+]);
+
+// Memory fields that lose details as a memory fades, and keys always kept
+const FUZZED_FIELDS = ['content', 'context', 'interaction'];
+const GIST_KEYS = new Set(['type', 'action', 'description', 'summary']);
+
 /**
  * MemoryBank - Sophisticated memory storage and retrieval system
  * 
@@ -27,13 +68,30 @@ export class MemoryBank {
         this.config = {
             maxMemories: 10000,                    // Maximum memories per instance
             consolidationThreshold: 0.7,           // Importance threshold for long-term storage
-            forgettingRate: 0.001,                 // How fast memories fade
+            forgetting: {},                        // ForgettingCurve settings, plus per-category
+                                                   // ones under `categories`
+            reconsolidation: false,                // Recall drifts toward the mood (true or
+                                                   // Reconsolidation settings)
             associationStrength: 0.3,              // How strongly memories link
             compressionEnabled: true,              // Enable memory compression
             emotionalBoost: 1.5,                   // Emotional memories are stronger
+            embeddingDimensions: 128,              // Length of the built-in embedder's vectors
+            retrievalWeights: {                    // Blend used to rank similarTo queries
+                similarity: 0.7,
+                recency: 0.15,
+                importance: 0.15
+            },
             ...config
         };
 
+        // Seeded random stream
+        this.rng = (this.config.random || new RandomSource()).stream('memory');
+        this.clock = this.config.clock || new SystemClock();
+
+        // Turns memory text into vectors for similarity search
+        this.embedder = this.config.embedder ||
+            new HashingEmbedder({ dimensions: this.config.embeddingDimensions });
+
         // Memory type storage
         this.memories = {
             episodic: new Map(),      // Specific events
@@ -66,16 +124,33 @@ export class MemoryBank {
      * Create a new memory bank instance for an NPC
      * 
      * @param {string} ownerId - The NPC's ID
+     * @param {Object} [options]
+     * @param {Object} [options.forgetting] - This NPC's forgetting settings, over the bank's
+     * @param {boolean|Object} [options.reconsolidation] - This NPC's reconsolidation settings,
+     *                                                     over the bank's
      * @returns {MemoryBankInstance} Individual memory bank
      */
-    createInstance(ownerId) {
+    createInstance(ownerId, options = {}) {
         return new MemoryBankInstance({
             ownerId,
             config: this.config,
-            parent: this
+            parent: this,
+            forgetting: options.forgetting,
+            reconsolidation: options.reconsolidation
         });
     }
 
+    /**
+     * Embed a text with the configured embedder
+     *
+     * @param {string} text
+     * @returns {Promise<number[]>} Vector, rounded to keep saves small
+     */
+    async embed(text) {
+        const vector = await this.embedder.embed(text);
+        return Array.from(vector, value => Math.round(value * 10000) / 10000);
+    }
+
     /**
      * Process memory consolidation across all instances
      */
@@ -329,6 +404,58 @@ export class MemoryBankInstance {
             strongestMemory: null,
             oldestMemory: null
         };
+
+        // Memories stored/consolidated or forgotten since the last save
+        this.changedMemories = new Set();
+        this.forgottenMemories = new Set();
+
+        // Nearest-neighbour index over memory embeddings
+        this.index = new VectorIndex({ dimensions: this.parent.embedder.dimensions });
+
+        // Memory ids by participant, type, context value and time, for queries
+        this.fieldIndex = new MemoryFieldIndex();
+
+        // How each category of memories fades
+        this.forgetting = config.forgetting || {};
+        this.curves = this._createCurves();
+
+        // How recalled memories drift toward the mood, and whose mood
+        this.reconsolidation = config.reconsolidation;
+        this.reconsolidator = this._createReconsolidator();
+        this.emotionalState = null;
+
+        // Event handlers ('memory:revised')
+        this.listeners = new Map();
+    }
+
+    /**
+     * Add an event handler
+     * 
+     * 'memory:revised' fires with a memory whose content reconsolidation or
+     * fuzzing changed here (not for revisions taken over with amend()).
+     *
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     */
+    on(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(handler);
+    }
+
+    /**
+     * Emit an event
+     * @private
+     */
+    _emit(type, data) {
+        for (const handler of this.listeners.get(type) || []) {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`Error in memory bank handler for ${type}:`, error);
+            }
+        }
     }
 
     /**
@@ -339,17 +466,30 @@ export class MemoryBankInstance {
         await this.loadFromStorage();
     }
 
+    /**
+     * Recall memories in the mood of an emotional state
+     * 
+     * @param {EmotionalState} emotionalState - The NPC's emotional state
+     */
+    attachEmotionalState(emotionalState) {
+        this.emotionalState = emotionalState;
+    }
+
     /**
      * Store a new memory
      * 
      * @param {Object} memory - Memory to store
+     * @param {Object} [options]
+     * @param {boolean} [options.keepId=false] - Keep memory.id (a memory replicated from a peer)
      * @returns {string} Memory ID
      */
-    async store(memory) {
+    async store(memory, options = {}) {
         // Generate unique ID
-        memory.id = `${this.ownerId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        if (!options.keepId || !memory.id) {
+            memory.id = `${this.ownerId}_${this.parent.clock.now()}_${this.parent.rng.uid()}`;
+        }
         memory.ownerId = this.ownerId;
-        memory.timestamp = memory.timestamp || Date.now();
+        memory.timestamp = memory.timestamp || this.parent.clock.now();
         memory.strength = memory.strength || 0.5;
         memory.accessCount = 0;
 
@@ -362,9 +502,12 @@ export class MemoryBankInstance {
             const emotionalIntensity = this._calculateEmotionalIntensity(memory.emotionalContext);
             memory.importance *= (1 + emotionalIntensity * this.config.emotionalBoost);
         }
+        memory.stability = memory.stability || this.curves[category].initialStability(memory);
 
         // Store in appropriate memory type
         this.memories[category].set(memory.id, memory);
+        this.fieldIndex.add(memory);
+        this.changedMemories.add(memory.id);
 
         // Update working memory
         this._updateWorkingMemory(memory);
@@ -374,9 +517,11 @@ export class MemoryBankInstance {
 
         // Update indices
         this._updateIndices(memory);
+        await this._embedMemory(memory);
 
         // Update statistics
         this.stats.totalMemories++;
+        this.parent.stats.totalMemories++;
         if (!this.stats.oldestMemory || memory.timestamp < this.stats.oldestMemory.timestamp) {
             this.stats.oldestMemory = memory;
         }
@@ -395,57 +540,180 @@ export class MemoryBankInstance {
     /**
      * Query memories based on criteria
      * 
+     * Criteria are ANDed: the `where` clause (see compileWhere for its
+     * language) and any of the shorthand criteria below. The most selective
+     * index among them picks the candidates, which are then filtered by
+     * every criterion. A query without criteria matches every memory.
+     * 
      * @param {Object} query - Query parameters
-     * @returns {Array} Matching memories
+     * @param {Object|Array} [query.where] - Conditions on memory fields, combined
+     *                                       with and/or/not
+     * @param {string|Object} [query.similarTo] - Text or memory to find similar memories to;
+     *                                            results are ranked by similarity blended
+     *                                            with recency and importance
+     * @param {number} [query.k=10] - Nearest memories a similarTo query considers
+     * @param {string} [query.associatedWith] - Memory ID whose associations to return
+     * @param {string} [query.type] - Memory type
+     * @param {string} [query.category] - Memory category
+     * @param {Object} [query.context] - Context values, any of which may match
+     * @param {Object} [query.timeRange] - { start, end } timestamps
+     * @param {string} [query.search] - Text the memory contains
+     * @param {number} [query.minImportance] - Least importance
+     * @param {string|Object|Array} [query.sort] - Sort keys (see compileSort); by default
+     *                                             the most relevant come first
+     * @param {number} [query.limit] - Results per page
+     * @param {string} [query.cursor] - nextCursor of the previous page
+     * @returns {Array} Matching memories, with `nextCursor` (null on the last page); each
+     *                  one returned counts as recalled (see ForgettingCurve#reinforce and
+     *                  Reconsolidation). Cursors are stable when sorting by fields recall
+     *                  does not change, like timestamp or importance.
+     * @throws {MemoryQueryError} If the query is malformed
      */
     async query(query) {
-        let results = [];
+        const plan = this._plan(query);
+        const { results } = await this._run(plan);
 
-        // Query by type
-        if (query.type) {
-            results = this._queryByType(query.type, query);
-        }
-        // Query by context
-        else if (query.context) {
-            results = this._queryByContext(query.context);
-        }
-        // Query by association
-        else if (query.associatedWith) {
-            results = this._queryByAssociation(query.associatedWith);
-        }
-        // Query by time range
-        else if (query.timeRange) {
-            results = this._queryByTimeRange(query.timeRange);
-        }
-        // Free-form search
-        else if (query.search) {
-            results = this._searchMemories(query.search);
-        }
+        // Results count as recalled
+        for (const memory of results) {
+            const stored = this._getMemoryById(memory.id) || memory;
+            await this._recall(stored);
 
-        // Apply filters
-        if (query.minImportance) {
-            results = results.filter(m => m.importance >= query.minImportance);
+            if (stored !== memory) {
+                for (const field of RECALL_FIELDS) {
+                    if (stored[field] !== undefined) memory[field] = stored[field];
+                }
+            }
         }
 
-        if (query.category) {
-            results = results.filter(m => m.category === query.category);
-        }
+        return results;
+    }
 
-        // Sort by relevance
-        results = this._rankByRelevance(results, query);
+    /**
+     * How a query would run, without recalling anything
+     * 
+     * @param {Object} query - As for query()
+     * @returns {Promise<Object>} { index, key, candidates, matched, returned, filter, sort,
+     *                            limit, cursor, nextCursor }: the index that picked the
+     *                            candidates ('scan' when none could, or the query has
+     *                            no criteria) and what it was
+     *                            looked up by, how many memories each step kept, and the
+     *                            filter and sort order applied
+     * @throws {MemoryQueryError} If the query is malformed
+     */
+    async explain(query) {
+        const plan = this._plan(query);
+        const { candidates, matched, results } = await this._run(plan);
 
-        // Limit results
-        if (query.limit) {
-            results = results.slice(0, query.limit);
+        return {
+            index: plan.source.index,
+            key: plan.source.key,
+            candidates,
+            matched,
+            returned: results.length,
+            filter: plan.where ? describeWhere(plan.where) : null,
+            sort: describeSort(plan.sort),
+            limit: plan.limit,
+            cursor: plan.cursor,
+            nextCursor: results.nextCursor
+        };
+    }
+
+    /**
+     * Recall memories by id, as a query returning them would
+     * 
+     * @param {string[]} ids - Memory IDs
+     * @returns {Promise<Array>} The stored memories found, after recall
+     */
+    async recall(ids) {
+        const recalled = [];
+        for (const id of ids) {
+            const memory = this._getMemoryById(id);
+            if (!memory) continue;
+            await this._recall(memory);
+            recalled.push(memory);
         }
+        return recalled;
+    }
 
-        // Update access counts
-        for (const memory of results) {
-            memory.accessCount++;
-            memory.lastAccessed = Date.now();
+    /**
+     * Stored memories matching a predicate, without recalling them
+     * 
+     * @param {Function} predicate - Called with each memory
+     * @returns {Array} Matching memories (the stored objects; do not modify)
+     */
+    find(predicate) {
+        const found = [];
+        for (const memories of Object.values(this.memories)) {
+            for (const memory of memories.values()) {
+                if (predicate(memory)) found.push(memory);
+            }
         }
+        return found;
+    }
 
-        return results;
+    /**
+     * Count a stored memory as recalled: update its access count,
+     * reinforce it and let it drift toward the current mood
+     * @private
+     */
+    async _recall(memory) {
+        const now = this.parent.clock.now();
+        memory.accessCount++;
+        memory.lastAccessed = now;
+        this.curves[memory.category].reinforce(memory, now);
+        this.changedMemories.add(memory.id);
+
+        const revision = this.reconsolidator.reconsolidate(
+            memory,
+            this.emotionalState,
+            () => this.parent.rng.random(),
+            now
+        );
+        if (revision) {
+            // Its text may have changed
+            memory.embedding = null;
+            await this._embedMemory(memory);
+            this.fieldIndex.add(memory);
+            this._emit('memory:revised', memory);
+        }
+    }
+
+    /**
+     * Take over a revision made elsewhere (a peer's reconsolidation or fuzzing)
+     * 
+     * @param {Object} revised - The memory's revised fields, with its id
+     * @returns {Promise<boolean>} Whether this bank holds the memory
+     */
+    async amend(revised) {
+        const memory = this._getMemoryById(revised.id);
+        if (!memory) return false;
+
+        Object.assign(memory, revised);
+        memory.embedding = null;
+        await this._embedMemory(memory);
+        this.fieldIndex.add(memory);
+        this.changedMemories.add(memory.id);
+        return true;
+    }
+
+    /**
+     * Forget memories outright (forgotten by the peer that simulates this NPC)
+     * 
+     * @param {string[]} ids - Memory IDs
+     * @returns {number} How many were held and forgotten
+     */
+    forget(ids) {
+        let forgotten = 0;
+        for (const id of ids) {
+            const memory = this._getMemoryById(id);
+            if (!memory) continue;
+
+            this._remove(memory);
+            this.forgottenMemories.add(id);
+            this.parent.stats.forgottenMemories++;
+            forgotten++;
+        }
+        return forgotten;
     }
 
     /**
@@ -459,7 +727,8 @@ export class MemoryBankInstance {
         // Strengthen the memory
         memory.strength = Math.min(1.0, memory.strength * 1.5);
         memory.consolidated = true;
-        memory.consolidatedAt = Date.now();
+        memory.consolidatedAt = this.parent.clock.now();
+        this.changedMemories.add(memory.id);
 
         // Strengthen associations
         const associations = this.associations.get(memory.id);
@@ -474,45 +743,206 @@ export class MemoryBankInstance {
     }
 
     /**
-     * Process forgetting - decay memory strengths
+     * Process forgetting - fade memories along their forgetting curves
+     * 
+     * Sets each memory's strength to its current retention, degrades the
+     * details of fading memories when fuzzing is on, and forgets memories
+     * whose retention dropped under the forget threshold.
+     * 
+     * @returns {Array<Object>} Forgotten memories ({ id, category, type, retention })
      */
     processForgetting() {
-        const now = Date.now();
-        const forgettingRate = this.config.forgettingRate;
+        const now = this.parent.clock.now();
+        const forgotten = [];
 
         for (const category of Object.keys(this.memories)) {
+            const curve = this.curves[category];
             const toRemove = [];
 
             for (const [id, memory] of this.memories[category]) {
-                // Skip recently accessed memories
-                if (memory.lastAccessed && now - memory.lastAccessed < 60000) {
-                    continue;
-                }
-
-                // Apply forgetting curve
-                const age = now - memory.timestamp;
-                const decayFactor = Math.exp(-forgettingRate * age / (24 * 60 * 60 * 1000));
-                
-                // Modify by importance and consolidation
-                let retentionBonus = memory.importance * 0.3;
-                if (memory.consolidated) retentionBonus += 0.3;
-                if (memory.accessCount > 5) retentionBonus += 0.2;
+                const retention = curve.retention(memory, now);
+                memory.strength = retention;
 
-                memory.strength = memory.strength * decayFactor + retentionBonus;
-
-                // Forget weak memories
-                if (memory.strength < 0.1) {
+                // Forget faded memories
+                if (retention < curve.config.forgetThreshold) {
                     toRemove.push(id);
+                    forgotten.push({ id, category, type: memory.type, retention });
+                } else if (curve.config.fuzzing && retention < curve.config.fuzzThreshold) {
+                    if (this._fuzzMemory(memory, 1 - retention / curve.config.fuzzThreshold)) {
+                        this.fieldIndex.add(memory);
+                        this.changedMemories.add(id);
+                        this._emit('memory:revised', memory);
+                    }
                 }
             }
 
             // Remove forgotten memories
             for (const id of toRemove) {
-                this.memories[category].delete(id);
-                this.associations.delete(id);
+                this._remove(this.memories[category].get(id));
+                this.forgottenMemories.add(id);
                 this.parent.stats.forgottenMemories++;
             }
         }
+
+        return forgotten;
+    }
+
+    /**
+     * Release memories that were moved to the storage archive
+     * 
+     * Unlike forgetting, nothing is deleted on the next save; the records
+     * already left the memories store.
+     * 
+     * @param {string[]} ids - Memory IDs
+     */
+    archive(ids) {
+        for (const id of ids) {
+            const memory = this._getMemoryById(id);
+            if (memory) this._remove(memory);
+        }
+    }
+
+    /**
+     * Take a memory out of the bank and its indexes
+     * @private
+     */
+    _remove(memory) {
+        const id = memory.id;
+        for (const memories of Object.values(this.memories)) {
+            memories.delete(id);
+        }
+        this.index.remove(id);
+        this.fieldIndex.remove(id);
+        this.associations.delete(id);
+        this.memoryStrengths.delete(id);
+        this.changedMemories.delete(id);
+        this.workingMemory = this.workingMemory.filter(held => held.id !== id);
+
+        this.stats.totalMemories = Math.max(0, this.stats.totalMemories - 1);
+        this.parent.stats.totalMemories = Math.max(0, this.parent.stats.totalMemories - 1);
+        const { strongestMemory, oldestMemory } = this.stats;
+        if ((strongestMemory && strongestMemory.id === id) || (oldestMemory && oldestMemory.id === id)) {
+            this._updateExtremes();
+        }
+    }
+
+    /**
+     * Find the strongest and oldest memories held again
+     * @private
+     */
+    _updateExtremes() {
+        let strongest = null;
+        let oldest = null;
+        for (const memories of Object.values(this.memories)) {
+            for (const memory of memories.values()) {
+                if (!strongest || memory.importance > strongest.importance) strongest = memory;
+                if (!oldest || memory.timestamp < oldest.timestamp) oldest = memory;
+            }
+        }
+        this.stats.strongestMemory = strongest;
+        this.stats.oldestMemory = oldest;
+    }
+
+    /**
+     * Forgetting curve of each category, from the bank's settings and
+     * this NPC's
+     * @private
+     */
+    _createCurves() {
+        const { categories: bankCategories = {}, ...bank } = this.config.forgetting || {};
+        const { categories: ownCategories = {}, ...own } = this.forgetting;
+
+        const curves = {};
+        for (const category of Object.keys(this.memories)) {
+            curves[category] = new ForgettingCurve({
+                model: CATEGORY_MODELS[category] || 'exponential',
+                ...bank,
+                ...bankCategories[category],
+                ...own,
+                ...ownCategories[category]
+            });
+        }
+        return curves;
+    }
+
+    /**
+     * Reconsolidation settings of the bank and this NPC
+     * @private
+     */
+    _createReconsolidator() {
+        const settings = (value) => (typeof value === 'boolean' ? { enabled: value } : value || {});
+        return new Reconsolidation({
+            ...settings(this.config.reconsolidation),
+            ...settings(this.reconsolidation)
+        });
+    }
+
+    /**
+     * How a recalled memory changed since it was stored
+     * 
+     * @param {string} memoryId
+     * @returns {Object|null} { original, revisions, current }, where original and current
+     *                        hold the values reconsolidation changed, by path; null for
+     *                        unknown memories
+     */
+    getRevisions(memoryId) {
+        const memory = this._getMemoryById(memoryId);
+        if (!memory) return null;
+
+        const current = {};
+        for (const path of Object.keys(memory.original || {})) {
+            const [field, key] = path.split('.');
+            current[path] = memory[field] ? memory[field][key] : undefined;
+        }
+        for (const revision of memory.revisions || []) {
+            for (const change of revision.changes) {
+                const [field, key] = change.path.split('.');
+                current[change.path] = memory[field] ? memory[field][key] : undefined;
+            }
+        }
+        return {
+            original: { ...memory.original },
+            revisions: (memory.revisions || []).map(revision => ({ ...revision })),
+            current
+        };
+    }
+
+    /**
+     * Degrade a fading memory's details
+     * 
+     * Fuzziness only grows; each pass drops the share of the remaining
+     * details that the growth stands for, keeping the gist (type, action,
+     * description, summary).
+     * @private
+     * @returns {boolean} Whether the memory changed
+     */
+    _fuzzMemory(memory, fuzziness) {
+        const previous = memory.fuzziness || 0;
+        if (fuzziness <= previous) return false;
+
+        const loss = (fuzziness - previous) / (1 - previous);
+        const fuzz = (value) => {
+            if (Array.isArray(value)) {
+                return value.filter(() => this.parent.rng.random() >= loss).map(fuzz);
+            }
+            if (value === null || typeof value !== 'object') return value;
+
+            const kept = {};
+            for (const [key, nested] of Object.entries(value)) {
+                if (GIST_KEYS.has(key) || this.parent.rng.random() >= loss) {
+                    kept[key] = fuzz(nested);
+                }
+            }
+            return kept;
+        };
+
+        for (const field of FUZZED_FIELDS) {
+            if (memory[field] && typeof memory[field] === 'object') {
+                memory[field] = fuzz(memory[field]);
+            }
+        }
+        memory.fuzziness = fuzziness;
+        return true;
     }
 
     /**
@@ -525,7 +955,7 @@ export class MemoryBankInstance {
         // Analyze memory content and type
         if (memory.type === 'interaction' || memory.type === 'event') {
             return 'episodic';
-        } else if (memory.type === 'knowledge' || memory.type === 'fact') {
+        } else if (memory.type === 'knowledge' || memory.type === 'fact' || memory.type === 'gossip') {
             return 'semantic';
         } else if (memory.type === 'skill' || memory.type === 'procedure') {
             return 'procedural';
@@ -656,21 +1086,213 @@ export class MemoryBankInstance {
     }
 
     /**
-     * Query memories by type
+     * Compile a query and pick the index that finds its candidates
      * @private
      */
-    _queryByType(type, params) {
-        const results = [];
-        
-        for (const category of Object.keys(this.memories)) {
-            for (const [id, memory] of this.memories[category]) {
-                if (memory.type === type) {
-                    results.push(memory);
-                }
+    _plan(query) {
+        if (query === null || typeof query !== 'object' || Array.isArray(query)) {
+            throw new MemoryQueryError('Expected a query object');
+        }
+        for (const key of Object.keys(query)) {
+            if (!QUERY_KEYS.has(key)) {
+                throw new MemoryQueryError(`Unknown query key '${key}'`, key);
             }
         }
+        const now = this.parent.clock.now();
 
-        return results;
+        const clauses = [];
+        if (query.where !== undefined) clauses.push(compileWhere(query.where));
+        for (const [name, clause] of this._shorthandCriteria(query)) {
+            clauses.push(compileWhere(clause, name));
+        }
+        const where = clauses.length > 1 ? { op: 'and', children: clauses } : clauses[0] || null;
+
+        let source;
+        if (query.similarTo) {
+            source = {
+                index: 'similarity',
+                key: typeof query.similarTo === 'string' ? query.similarTo : query.similarTo.id || null,
+                fetch: () => this._querySimilar(query.similarTo, query.k || 10)
+            };
+        } else if (query.associatedWith) {
+            source = {
+                index: 'association',
+                key: query.associatedWith,
+                fetch: () => this._queryByAssociation(query.associatedWith)
+            };
+        } else {
+            const lookup = where && this._lookupFor(where, now);
+            source = lookup ? {
+                index: lookup.index,
+                key: lookup.key,
+                fetch: () => [...lookup.ids].map(id => this._getMemoryById(id)).filter(Boolean)
+            } : {
+                index: 'scan',
+                key: null,
+                fetch: () => this.find(() => true)
+            };
+        }
+
+        const sort = query.sort !== undefined ?
+            compileSort(query.sort) :
+            [{ field: 'relevanceScore', order: -1 }];
+
+        return {
+            now,
+            where,
+            source,
+            similar: Boolean(query.similarTo),
+            sort,
+            limit: query.limit || null,
+            cursor: query.cursor || null,
+            after: query.cursor ? afterCursor(sort, query.cursor, now) : null
+        };
+    }
+
+    /**
+     * The older query keys as where clauses, by key
+     * @private
+     */
+    _shorthandCriteria(query) {
+        const criteria = [];
+        if (query.type) {
+            criteria.push(['type', { type: query.type }]);
+        }
+        if (query.category) {
+            criteria.push(['category', { category: query.category }]);
+        }
+        if (query.context) {
+            criteria.push(['context', {
+                or: Object.entries(query.context).map(([key, value]) => ({ [`context.${key}`]: { eq: value } }))
+            }]);
+        }
+        if (query.timeRange) {
+            criteria.push(['timeRange', { timestamp: { gte: query.timeRange.start, lte: query.timeRange.end } }]);
+        }
+        if (query.search) {
+            criteria.push(['search', { text: { contains: query.search } }]);
+        }
+        if (query.minImportance) {
+            criteria.push(['minImportance', { importance: { gte: query.minImportance } }]);
+        }
+        return criteria;
+    }
+
+    /**
+     * Narrowest index lookup a condition tree allows: the smallest of an
+     * AND's, the union of an OR's when each of its branches has one
+     * @private
+     * @returns {Object|null} { index, key, ids }
+     */
+    _lookupFor(node, now) {
+        if (node.op === 'not') return null;
+
+        if (node.op === 'or') {
+            const lookups = node.children.map(child => this._lookupFor(child, now));
+            if (lookups.length === 0 || lookups.includes(null)) return null;
+            if (lookups.length === 1) return lookups[0];
+
+            const ids = new Set();
+            for (const lookup of lookups) {
+                for (const id of lookup.ids) ids.add(id);
+            }
+            return { index: 'union', key: lookups.map(({ index, key }) => ({ index, key })), ids };
+        }
+
+        const lookups = node.op === 'and' ?
+            node.children.map(child => this._lookupFor(child, now)) :
+            this._fieldLookups(node, now);
+
+        let best = null;
+        for (const lookup of lookups) {
+            if (lookup && (!best || lookup.ids.size < best.ids.size)) best = lookup;
+        }
+        return best;
+    }
+
+    /**
+     * Index lookups that answer the conditions on one field
+     * @private
+     */
+    _fieldLookups({ field, conditions }, now) {
+        const lookups = [];
+        const union = (values, lookup) => {
+            const ids = new Set();
+            for (const value of values) {
+                for (const id of lookup(value)) ids.add(id);
+            }
+            return ids;
+        };
+
+        // Equality on indexed fields and categories
+        for (const { operator, operand } of conditions) {
+            if (operator !== 'eq' && operator !== 'in') continue;
+            const values = operator === 'eq' ? [operand] : operand;
+            if (values.some(value => value !== null && typeof value === 'object')) continue;
+
+            if (MemoryFieldIndex.indexes(field)) {
+                lookups.push({ index: field, key: operand, ids: union(values, value => this.fieldIndex.lookup(field, value)) });
+            } else if (field === 'category') {
+                lookups.push({ index: field, key: operand, ids: union(values, value => (this.memories[value] || new Map()).keys()) });
+            }
+        }
+
+        // Time ranges, by timestamp or age
+        if (field === 'timestamp' || field === 'age') {
+            let from = -Infinity;
+            let to = Infinity;
+            for (const { operator, operand } of conditions) {
+                if (typeof operand !== 'number') continue;
+
+                const time = field === 'age' ? now - operand : operand;
+                const bounds = {
+                    eq: [time, time],
+                    gt: field === 'age' ? [-Infinity, time] : [time, Infinity],
+                    gte: field === 'age' ? [-Infinity, time] : [time, Infinity],
+                    lt: field === 'age' ? [time, Infinity] : [-Infinity, time],
+                    lte: field === 'age' ? [time, Infinity] : [-Infinity, time]
+                }[operator];
+                if (!bounds) continue;
+
+                from = Math.max(from, bounds[0]);
+                to = Math.min(to, bounds[1]);
+            }
+            if (from > -Infinity || to < Infinity) {
+                lookups.push({
+                    index: 'timestamp',
+                    key: { from: from > -Infinity ? from : null, to: to < Infinity ? to : null },
+                    ids: this.fieldIndex.range(from, to)
+                });
+            }
+        }
+        return lookups;
+    }
+
+    /**
+     * Fetch, filter, rank and page a planned query
+     * @private
+     * @returns {Promise<Object>} { candidates, matched: counts, results: the page, with nextCursor }
+     */
+    async _run(plan) {
+        const fetched = await plan.source.fetch();
+        const matched = plan.where ?
+            fetched.filter(memory => matches(plan.where, memory, plan.now)) :
+            fetched;
+
+        let results = this._rankByRelevance(matched, { similarTo: plan.similar })
+            .sort((a, b) => compareBy(plan.sort, a, b, plan.now));
+        if (plan.after) {
+            results = results.filter(plan.after);
+        }
+
+        let nextCursor = null;
+        if (plan.limit && results.length > plan.limit) {
+            results = results.slice(0, plan.limit);
+            nextCursor = encodeCursor(plan.sort, results[results.length - 1], plan.now);
+        }
+        results.nextCursor = nextCursor;
+
+        return { candidates: fetched.length, matched: matched.length, results };
     }
 
     /**
@@ -721,70 +1343,43 @@ export class MemoryBankInstance {
     }
 
     /**
-     * Query memories by time range
+     * Nearest memories to a text or memory by embedding
      * @private
      */
-    _queryByTimeRange(range) {
+    async _querySimilar(target, k) {
+        let vector;
+        const exclude = new Set();
+
+        if (typeof target === 'string') {
+            vector = await this.parent.embed(target);
+        } else {
+            vector = Array.isArray(target.embedding) && target.embedding.length === this.index.config.dimensions
+                ? target.embedding
+                : await this.parent.embed(describeMemory(target));
+            if (target.id) exclude.add(target.id);
+        }
+
         const results = [];
-        const { start, end } = range;
-        
-        for (const category of Object.keys(this.memories)) {
-            for (const [id, memory] of this.memories[category]) {
-                if (memory.timestamp >= start && memory.timestamp <= end) {
-                    results.push(memory);
-                }
+        for (const { id, similarity } of this.index.search(vector, k, { exclude })) {
+            const memory = this._getMemoryById(id);
+            if (memory && similarity > 0) {
+                results.push({ ...memory, similarity });
             }
         }
-
-        // Sort by timestamp
-        results.sort((a, b) => b.timestamp - a.timestamp);
-        
         return results;
     }
 
     /**
-     * Search memories by content
+     * Embed a memory (unless it already carries a usable embedding) and
+     * index it
      * @private
      */
-    _searchMemories(searchTerm) {
-        const results = [];
-        const searchLower = searchTerm.toLowerCase();
-        
-        for (const category of Object.keys(this.memories)) {
-            for (const [id, memory] of this.memories[category]) {
-                let relevance = 0;
-                
-                // Search in content
-                if (memory.content) {
-                    const contentStr = JSON.stringify(memory.content).toLowerCase();
-                    if (contentStr.includes(searchLower)) {
-                        relevance += 0.5;
-                    }
-                }
-                
-                // Search in type
-                if (memory.type && memory.type.includes(searchLower)) {
-                    relevance += 0.3;
-                }
-                
-                // Search in context
-                if (memory.context) {
-                    const contextStr = JSON.stringify(memory.context).toLowerCase();
-                    if (contextStr.includes(searchLower)) {
-                        relevance += 0.2;
-                    }
-                }
-                
-                if (relevance > 0) {
-                    results.push({ ...memory, relevance });
-                }
-            }
+    async _embedMemory(memory) {
+        const dimensions = this.index.config.dimensions;
+        if (!Array.isArray(memory.embedding) || memory.embedding.length !== dimensions) {
+            memory.embedding = await this.parent.embed(describeMemory(memory));
         }
-
-        // Sort by relevance
-        results.sort((a, b) => b.relevance - a.relevance);
-        
-        return results;
+        this.index.add(memory.id, memory.embedding);
     }
 
     /**
@@ -801,12 +1396,16 @@ export class MemoryBankInstance {
      * @private
      */
     _rankByRelevance(memories, query) {
+        if (query.similarTo) {
+            return this._rankBySimilarity(memories);
+        }
+
         return memories.map(memory => {
             let score = 0;
             
             // Recency bonus
-            const age = Date.now() - memory.timestamp;
-            score += Math.exp(-age / (7 * 24 * 60 * 60 * 1000)); // Week scale
+            const age = this.parent.clock.now() - memory.timestamp;
+            score += Math.exp(-age / WEEK); // Week scale
             
             // Importance bonus
             score += memory.importance * 2;
@@ -821,6 +1420,25 @@ export class MemoryBankInstance {
         }).sort((a, b) => b.relevanceScore - a.relevanceScore);
     }
 
+    /**
+     * Rank similar memories by similarity blended with recency and importance
+     * @private
+     */
+    _rankBySimilarity(memories) {
+        const weights = this.config.retrievalWeights;
+        const now = this.parent.clock.now();
+
+        return memories.map(memory => {
+            const recency = Math.exp(-(now - memory.timestamp) / WEEK);
+            const importance = Math.min(1, memory.importance || 0);
+            const score = weights.similarity * memory.similarity +
+                weights.recency * recency +
+                weights.importance * importance;
+
+            return { ...memory, relevanceScore: score };
+        }).sort((a, b) => b.relevanceScore - a.relevanceScore);
+    }
+
     /**
      * Get memory by ID from any category
      * @private
@@ -878,21 +1496,59 @@ export class MemoryBankInstance {
         return stats;
     }
 
+    /**
+     * Whether memories changed since the last save
+     */
+    hasChanges() {
+        return this.changedMemories.size > 0 || this.forgottenMemories.size > 0;
+    }
+
+    /**
+     * Forget pending changes (the whole bank is about to be saved)
+     */
+    markClean() {
+        this.changedMemories.clear();
+        this.forgottenMemories.clear();
+    }
+
     /**
      * Serialize memory bank state
+     * 
+     * @param {boolean} [changesOnly=false] - Only memories changed since the last
+     *                                        save, plus the ids of forgotten ones;
+     *                                        clears the pending changes
      */
-    serialize() {
+    serialize(changesOnly = false) {
         const serialized = {
             ownerId: this.ownerId,
             memories: {},
             associations: {},
             stats: this.stats
         };
+        if (Object.keys(this.forgetting).length > 0) {
+            serialized.forgetting = this.forgetting;
+        }
+        if (this.reconsolidation !== undefined) {
+            serialized.reconsolidation = this.reconsolidation;
+        }
 
         // Serialize memories
-        for (const [category, memories] of Object.entries(this.memories)) {
-            serialized.memories[category] = Array.from(memories.values())
-                .slice(-100); // Limit to recent 100 per category
+        if (changesOnly) {
+            for (const id of this.changedMemories) {
+                const memory = this._getMemoryById(id);
+                if (!memory) continue;
+                if (!serialized.memories[memory.category]) {
+                    serialized.memories[memory.category] = [];
+                }
+                serialized.memories[memory.category].push(memory);
+            }
+            serialized.forgotten = Array.from(this.forgottenMemories);
+            this.markClean();
+        } else {
+            for (const [category, memories] of Object.entries(this.memories)) {
+                // Every memory: a full save replaces what storage holds
+                serialized.memories[category] = Array.from(memories.values());
+            }
         }
 
         // Serialize associations (limited)
@@ -911,15 +1567,29 @@ export class MemoryBankInstance {
     async deserialize(data) {
         // Clear current state
         for (const category of Object.keys(this.memories)) {
+            this.parent.stats.totalMemories = Math.max(0, this.parent.stats.totalMemories - this.memories[category].size);
             this.memories[category].clear();
         }
         this.associations.clear();
+        this.index.clear();
+        this.fieldIndex.clear();
+        if (data.forgetting) {
+            this.forgetting = data.forgetting;
+            this.curves = this._createCurves();
+        }
+        if (data.reconsolidation !== undefined) {
+            this.reconsolidation = data.reconsolidation;
+            this.reconsolidator = this._createReconsolidator();
+        }
 
         // Restore memories
         for (const [category, memories] of Object.entries(data.memories || {})) {
             for (const memory of memories) {
                 this.memories[category].set(memory.id, memory);
+                this.fieldIndex.add(memory);
+                await this._embedMemory(memory);
             }
+            this.parent.stats.totalMemories += memories.length;
         }
 
         // Restore associations
@@ -929,5 +1599,8 @@ export class MemoryBankInstance {
 
         // Restore stats
         this.stats = { ...this.stats, ...data.stats };
+
+        // Restored memories match what is saved
+        this.markClean();
     }
 }
@@ -0,0 +1,168 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { SeededRandom } from '../core/random.js';
+
+// Words too common to say anything about a memory
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'by', 'for',
+    'with', 'from', 'into', 'about', 'as', 'is', 'are', 'was', 'were', 'be', 'been',
+    'it', 'its', 'this', 'that', 'these', 'those', 'i', 'me', 'my', 'you', 'your',
+    'he', 'she', 'him', 'her', 'his', 'they', 'them', 'their', 'we', 'us', 'our',
+    'do', 'did', 'does', 'have', 'has', 'had', 'not', 'no', 'so', 'then', 'there'
+]);
+
+// Endings stripped from words, longest first
+const SUFFIXES = ['ing', 'ed', 'es', 's', 'ly'];
+
+// Memory fields that say what a memory is about
+const DESCRIBED_FIELDS = ['type', 'description', 'summary', 'text', 'content', 'interaction', 'context'];
+
+/**
+ * HashingEmbedder - Local embedder for memory text
+ *
+ * Hashes the words of a text, lightly stemmed, and their character
+ * trigrams into a fixed number of signed dimensions, then normalizes the
+ * vector. Texts sharing words or word stems ("forged", "forging",
+ * "forge") get similar vectors without any model or vocabulary, and the
+ * same text gives the same vector everywhere.
+ *
+ * Any object with `dimensions` and `embed(text)` (returning an array of
+ * numbers, or a promise of one) can stand in for it.
+ *
+ * @class HashingEmbedder
+ */
+export class HashingEmbedder {
+    /**
+     * @param {Object} [config]
+     * @param {number} [config.dimensions=128] - Length of the vectors
+     * @param {number} [config.trigramWeight=0.5] - Weight of trigrams against whole words
+     */
+    constructor(config = {}) {
+        this.config = {
+            dimensions: 128,
+            trigramWeight: 0.5,
+            ...config
+        };
+        this.dimensions = this.config.dimensions;
+    }
+
+    /**
+     * Embed a text
+     *
+     * @param {string} text - Text to embed
+     * @returns {Float32Array} Unit-length vector (all zeros when nothing is left of the text)
+     */
+    embed(text) {
+        const vector = new Float32Array(this.dimensions);
+
+        for (const word of HashingEmbedder.tokenize(text)) {
+            this._addFeature(vector, `w:${word}`, 1);
+
+            const padded = `#${word}#`;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                this._addFeature(vector, `t:${padded.slice(i, i + 3)}`, this.config.trigramWeight);
+            }
+        }
+        return normalize(vector);
+    }
+
+    /**
+     * Words of a text, lowercased and stemmed, without stopwords or numbers
+     *
+     * @param {string} text
+     * @returns {string[]}
+     */
+    static tokenize(text) {
+        return String(text)
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(word => word.length > 1 && !STOPWORDS.has(word) && !/\d/.test(word))
+            .map(HashingEmbedder._stem);
+    }
+
+    /**
+     * @private
+     */
+    static _stem(word) {
+        for (const suffix of SUFFIXES) {
+            if (word.length - suffix.length >= 3 && word.endsWith(suffix)) {
+                return word.slice(0, -suffix.length);
+            }
+        }
+        return word;
+    }
+
+    /**
+     * Add a feature to its hashed dimension, with a hashed sign so that
+     * collisions cancel out rather than pile up
+     * @private
+     */
+    _addFeature(vector, feature, weight) {
+        const hash = SeededRandom.hashSeed(feature) >>> 0;
+        vector[hash % this.dimensions] += (hash & 0x80000000) ? -weight : weight;
+    }
+}
+
+/**
+ * Text describing what a memory is about, for embedding
+ *
+ * Collects the strings in the memory's descriptive fields (nested ones
+ * too), leaving out numbers, ids and bookkeeping fields.
+ *
+ * @param {Object} memory
+ * @returns {string}
+ */
+export function describeMemory(memory) {
+    const parts = [];
+    const collect = (value, depth) => {
+        if (typeof value === 'string') {
+            parts.push(value);
+        } else if (value !== null && typeof value === 'object' && depth < 4) {
+            for (const [key, nested] of Object.entries(value)) {
+                if (!/(^id|Id|_id)$/.test(key)) collect(nested, depth + 1);
+            }
+        }
+    };
+
+    for (const field of DESCRIBED_FIELDS) {
+        collect(memory[field], 0);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Scale a vector to unit length (in place); zero vectors stay zero
+ *
+ * @param {Float32Array|number[]} vector
+ * @returns {Float32Array|number[]} The same vector
+ */
+export function normalize(vector) {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) {
+        norm += vector[i] * vector[i];
+    }
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < vector.length; i++) {
+            vector[i] /= norm;
+        }
+    }
+    return vector;
+}
+
+export default HashingEmbedder;
@@ -0,0 +1,597 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { describeMemory } from './memory-embedder.js';
+
+// Comparison operators of a field condition, and their symbols
+const OPERATORS = {
+    eq: '=', ne: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=',
+    in: 'in', nin: 'not in', contains: 'contains', exists: 'exists'
+};
+
+// Operators that order values, which take numbers
+const RANGE_OPERATORS = new Set(['gt', 'gte', 'lt', 'lte']);
+
+// Sign of each emotion's contribution to a memory's valence
+const VALENCE = {
+    happiness: 1, love: 1, trust: 1, pride: 1, gratitude: 1, calmness: 1,
+    sadness: -1, anger: -1, fear: -1, shame: -1, envy: -1
+};
+
+// Fields computed from a memory rather than read from it
+const VIRTUAL_FIELDS = {
+    // Everyone a memory involves
+    participant: (memory) => {
+        const about = memory.about || {};
+        const ids = [memory.source, memory.target, about.sourceId, about.targetId,
+            ...(Array.isArray(memory.participants) ? memory.participants : [])];
+        return [...new Set(ids.filter(id => typeof id === 'string'))];
+    },
+
+    // Net feeling: positive emotions minus negative ones
+    valence: (memory) => {
+        const impact = memory.emotionalImpact;
+        if (typeof impact === 'number') return impact;
+
+        let valence = 0;
+        for (const [emotion, value] of Object.entries(impact || {})) {
+            if (typeof value === 'number') valence += (VALENCE[emotion] || 0) * value;
+        }
+        return Math.round(valence * 10000) / 10000;
+    },
+
+    age: (memory, now) => now - memory.timestamp,
+
+    location: (memory) => {
+        for (const holder of [memory, memory.context, memory.interaction]) {
+            if (holder && typeof holder === 'object' && holder.location !== undefined) {
+                return holder.location;
+            }
+        }
+        return undefined;
+    },
+
+    // The memory's descriptive text (see describeMemory)
+    text: (memory) => describeMemory(memory)
+};
+
+/**
+ * MemoryQueryError - A memory query that cannot be run
+ *
+ * @class MemoryQueryError
+ */
+export class MemoryQueryError extends Error {
+    /**
+     * @param {string} message - What is wrong
+     * @param {string} [path] - Where in the query
+     */
+    constructor(message, path) {
+        super(path ? `${message} (at ${path})` : message);
+        this.name = 'MemoryQueryError';
+        this.path = path;
+    }
+}
+
+/**
+ * Value of a field of a memory
+ *
+ * Fields are dotted paths into the memory ('interaction.action') or
+ * virtual fields:
+ *
+ *   participant - ids of the memory's source, target, the subjects of
+ *                 gossip (about) and any `participants`
+ *   emotion.X   - the memory's emotional impact on emotion X (0 if none)
+ *   valence     - positive emotional impact minus negative
+ *   age         - milliseconds since the memory was stored
+ *   location    - `location` of the memory, its context or its interaction
+ *   text        - the memory's descriptive text
+ *
+ * @param {Object} memory
+ * @param {string} field
+ * @param {number} now - Timestamp, for age
+ * @returns {*}
+ */
+export function fieldValue(memory, field, now) {
+    if (VIRTUAL_FIELDS[field]) return VIRTUAL_FIELDS[field](memory, now);
+
+    if (field.startsWith('emotion.')) {
+        const impact = memory.emotionalImpact;
+        const value = impact && typeof impact === 'object' ? impact[field.slice(8)] : undefined;
+        return typeof value === 'number' ? value : 0;
+    }
+
+    let value = memory;
+    for (const key of field.split('.')) {
+        if (value === null || value === undefined) return undefined;
+        value = value[key];
+    }
+    return value;
+}
+
+/**
+ * Compile the `where` clause of a query
+ *
+ * A clause is an object whose keys are ANDed together. Each key is a
+ * field (see fieldValue) or a combinator:
+ *
+ *   { and: [clause, ...] }, { or: [clause, ...] }, { not: clause }
+ *
+ * A field takes a value to equal, or an object of operators: eq, ne, gt,
+ * gte, lt, lte (numbers), in, nin (arrays), contains (a substring,
+ * case-insensitive, or an array element) and exists (boolean). An object
+ * to equal goes under eq ({ location: { eq: { x, y, z } } }). A field
+ * holding an array (like participant) matches when any element does.
+ * Locations with coordinates also take { near: { x, y, z }, within: distance }.
+ *
+ * @param {Object|Array} where - Clause (an array is an AND of clauses)
+ * @param {string} [path='where'] - Position in the query, for errors
+ * @returns {Object} Condition tree: { op: 'and'|'or', children } | { op: 'not', child } |
+ *                   { op: 'field', field, conditions: [{ operator, operand }] }
+ */
+export function compileWhere(where, path = 'where') {
+    if (Array.isArray(where)) {
+        return { op: 'and', children: where.map((clause, i) => compileWhere(clause, `${path}[${i}]`)) };
+    }
+    if (!isPlainObject(where)) {
+        throw new MemoryQueryError('Expected an object of conditions', path);
+    }
+
+    const children = [];
+    for (const [key, value] of Object.entries(where)) {
+        if (value === undefined) continue;
+
+        if (key === 'and' || key === 'or') {
+            if (!Array.isArray(value)) {
+                throw new MemoryQueryError(`'${key}' takes an array of clauses`, `${path}.${key}`);
+            }
+            children.push({
+                op: key,
+                children: value.map((clause, i) => compileWhere(clause, `${path}.${key}[${i}]`))
+            });
+        } else if (key === 'not') {
+            children.push({ op: 'not', child: compileWhere(value, `${path}.not`) });
+        } else {
+            children.push({ op: 'field', field: key, conditions: compileConditions(value, `${path}.${key}`) });
+        }
+    }
+    return children.length === 1 ? children[0] : { op: 'and', children };
+}
+
+/**
+ * Whether a memory satisfies a compiled condition tree
+ *
+ * @param {Object} node - From compileWhere
+ * @param {Object} memory
+ * @param {number} now - Timestamp, for age
+ * @returns {boolean}
+ */
+export function matches(node, memory, now) {
+    switch (node.op) {
+        case 'and': return node.children.every(child => matches(child, memory, now));
+        case 'or': return node.children.some(child => matches(child, memory, now));
+        case 'not': return !matches(node.child, memory, now);
+        default: {
+            const value = fieldValue(memory, node.field, now);
+            return node.conditions.every(condition => test(value, condition));
+        }
+    }
+}
+
+/**
+ * Readable form of a compiled condition tree
+ *
+ * @param {Object} node - From compileWhere
+ * @returns {string}
+ */
+export function describeWhere(node) {
+    switch (node.op) {
+        case 'and':
+            return node.children.length === 0 ? 'true' : node.children.map(child => wrap(child, 'and')).join(' AND ');
+        case 'or':
+            return node.children.length === 0 ? 'false' : node.children.map(child => wrap(child, 'or')).join(' OR ');
+        case 'not':
+            return `NOT ${wrap(node.child, 'not')}`;
+        default:
+            return node.conditions.map(({ operator, operand }) => (operator === 'near' ?
+                `${node.field} within ${operand.within} of ${JSON.stringify(operand.point)}` :
+                `${node.field} ${OPERATORS[operator]} ${JSON.stringify(operand)}`)).join(' AND ');
+    }
+}
+
+/**
+ * Compile the sort order of a query
+ *
+ * Each key is a field (see fieldValue), '-field' for descending, or
+ * { by: field, order: 'asc'|'desc' }. Age sorts by timestamp, so that
+ * it does not shift between pages.
+ *
+ * @param {string|Object|Array} sort - One key or several, most significant first
+ * @returns {Array<{field: string, order: number}>} order is 1 (ascending) or -1
+ */
+export function compileSort(sort) {
+    return (Array.isArray(sort) ? sort : [sort]).map((key, i) => {
+        let field;
+        let order;
+        if (typeof key === 'string' && key.replace(/^-/, '').length > 0) {
+            [field, order] = key.startsWith('-') ? [key.slice(1), -1] : [key, 1];
+        } else if (isPlainObject(key) && typeof key.by === 'string' && [undefined, 'asc', 'desc'].includes(key.order)) {
+            [field, order] = [key.by, key.order === 'desc' ? -1 : 1];
+        } else {
+            throw new MemoryQueryError('Expected a field, \'-field\' or { by, order }', `sort[${i}]`);
+        }
+        return field === 'age' ? { field: 'timestamp', order: -order } : { field, order };
+    });
+}
+
+/**
+ * Readable form of compiled sort keys
+ *
+ * @param {Array} keys - From compileSort
+ * @returns {string[]} '-field' for descending keys
+ */
+export function describeSort(keys) {
+    return keys.map(({ field, order }) => (order < 0 ? `-${field}` : field));
+}
+
+/**
+ * Compare two memories by sort keys, then by id so that the order is total
+ *
+ * @param {Array} keys - From compileSort
+ * @param {Object} a
+ * @param {Object} b
+ * @param {number} now - Timestamp, for age
+ * @returns {number}
+ */
+export function compareBy(keys, a, b, now) {
+    return compareValues(keys, sortValues(keys, a, now), a.id, sortValues(keys, b, now), b.id);
+}
+
+/**
+ * Cursor pointing just after a memory in a sort order
+ *
+ * @param {Array} keys - From compileSort
+ * @param {Object} memory - Last memory of a page
+ * @param {number} now - Timestamp, for age
+ * @returns {string} Opaque cursor
+ */
+export function encodeCursor(keys, memory, now) {
+    return btoa(encodeURIComponent(JSON.stringify({ v: sortValues(keys, memory, now), id: memory.id })));
+}
+
+/**
+ * Filter for memories after a cursor
+ *
+ * @param {Array} keys - Sort keys the cursor was made with
+ * @param {string} cursor - From encodeCursor
+ * @param {number} now - Timestamp, for age
+ * @returns {Function} memory -> whether it comes after the cursor
+ */
+export function afterCursor(keys, cursor, now) {
+    let position;
+    try {
+        position = JSON.parse(decodeURIComponent(atob(String(cursor))));
+    } catch (error) {
+        position = null;
+    }
+    if (!position || !Array.isArray(position.v) || position.v.length !== keys.length) {
+        throw new MemoryQueryError('Invalid cursor', 'cursor');
+    }
+
+    return (memory) => compareValues(keys, sortValues(keys, memory, now), memory.id, position.v, position.id) > 0;
+}
+
+/**
+ * MemoryFieldIndex - Memory ids by participant, type, context value and
+ * time, for narrowing queries down before filtering
+ *
+ * @class MemoryFieldIndex
+ */
+export class MemoryFieldIndex {
+    constructor() {
+        // 'field:value' -> ids
+        this.postings = new Map();
+
+        // Id -> the posting keys it is filed under
+        this.entries = new Map();
+
+        // { timestamp, id }, oldest first
+        this.times = [];
+    }
+
+    /**
+     * Whether lookups can answer equality on a field
+     *
+     * @param {string} field
+     * @returns {boolean}
+     */
+    static indexes(field) {
+        return field === 'participant' || field === 'type' || field.startsWith('context.');
+    }
+
+    /**
+     * Index a memory, replacing any entry under its id
+     *
+     * @param {Object} memory
+     */
+    add(memory) {
+        this.remove(memory.id);
+
+        const keys = [];
+        for (const participant of fieldValue(memory, 'participant')) {
+            keys.push(MemoryFieldIndex._key('participant', participant));
+        }
+        if (isPrimitive(memory.type)) keys.push(MemoryFieldIndex._key('type', memory.type));
+        for (const [key, value] of Object.entries(memory.context || {})) {
+            if (isPrimitive(value)) keys.push(MemoryFieldIndex._key(`context.${key}`, value));
+        }
+
+        for (const key of keys) {
+            if (!this.postings.has(key)) this.postings.set(key, new Set());
+            this.postings.get(key).add(memory.id);
+        }
+        this.entries.set(memory.id, { keys, timestamp: memory.timestamp });
+
+        if (typeof memory.timestamp === 'number') {
+            this.times.splice(this._firstAt(memory.timestamp), 0, { timestamp: memory.timestamp, id: memory.id });
+        }
+    }
+
+    /**
+     * Remove a memory
+     *
+     * @param {string} id
+     */
+    remove(id) {
+        const entry = this.entries.get(id);
+        if (!entry) return;
+
+        this.entries.delete(id);
+        for (const key of entry.keys) {
+            const ids = this.postings.get(key);
+            ids.delete(id);
+            if (ids.size === 0) this.postings.delete(key);
+        }
+        if (typeof entry.timestamp === 'number') {
+            for (let i = this._firstAt(entry.timestamp); i < this.times.length; i++) {
+                if (this.times[i].id === id) {
+                    this.times.splice(i, 1);
+                    break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Remove every memory
+     */
+    clear() {
+        this.postings.clear();
+        this.entries.clear();
+        this.times = [];
+    }
+
+    /**
+     * Ids of memories whose field equals a value
+     *
+     * @param {string} field - An indexed field (see indexes)
+     * @param {*} value
+     * @returns {Set<string>}
+     */
+    lookup(field, value) {
+        return this.postings.get(MemoryFieldIndex._key(field, value)) || new Set();
+    }
+
+    /**
+     * Ids of memories stored within a time range
+     *
+     * @param {number} from - Earliest timestamp
+     * @param {number} to - Latest timestamp
+     * @returns {Set<string>}
+     */
+    range(from, to) {
+        const ids = new Set();
+        for (let i = this._firstAt(from); i < this.times.length && this.times[i].timestamp <= to; i++) {
+            ids.add(this.times[i].id);
+        }
+        return ids;
+    }
+
+    /**
+     * Position of the first time entry at or after a timestamp
+     * @private
+     */
+    _firstAt(timestamp) {
+        let low = 0;
+        let high = this.times.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.times[mid].timestamp < timestamp) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    /**
+     * @private
+     */
+    static _key(field, value) {
+        return `${field}:${JSON.stringify(value)}`;
+    }
+}
+
+/**
+ * Compile the conditions on one field
+ * @private
+ */
+function compileConditions(value, path) {
+    // A plain value to equal
+    if (!isPlainObject(value)) {
+        return [{ operator: 'eq', operand: value }];
+    }
+
+    const operators = Object.keys(value);
+    if (operators.length === 0) {
+        throw new MemoryQueryError('Expected a value or an object of operators', path);
+    }
+
+    const conditions = [];
+    for (const operator of operators) {
+        const operand = value[operator];
+        if (!OPERATORS[operator] && operator !== 'near' && operator !== 'within') {
+            throw new MemoryQueryError(`Unknown operator '${operator}' (an object to equal goes under 'eq')`,
+                `${path}.${operator}`);
+        }
+        if (operator === 'within') continue;
+
+        if (operator === 'near') {
+            if (!isPoint(operand) || typeof value.within !== 'number') {
+                throw new MemoryQueryError('\'near\' takes a point { x, y, z } and a \'within\' distance', path);
+            }
+            conditions.push({ operator, operand: { point: operand, within: value.within } });
+            continue;
+        }
+        if ((operator === 'in' || operator === 'nin') && !Array.isArray(operand)) {
+            throw new MemoryQueryError(`'${operator}' takes an array`, `${path}.${operator}`);
+        }
+        if (operator === 'exists' && typeof operand !== 'boolean') {
+            throw new MemoryQueryError('\'exists\' takes true or false', `${path}.exists`);
+        }
+        if (RANGE_OPERATORS.has(operator) && (typeof operand !== 'number' || Number.isNaN(operand))) {
+            throw new MemoryQueryError(`'${operator}' takes a number`, `${path}.${operator}`);
+        }
+        conditions.push({ operator, operand });
+    }
+    if (conditions.length === 0) {
+        throw new MemoryQueryError('\'within\' needs \'near\'', path);
+    }
+    return conditions;
+}
+
+/**
+ * Whether a field value passes one condition
+ * @private
+ */
+function test(value, { operator, operand }) {
+    switch (operator) {
+        case 'exists': return (value !== undefined && value !== null) === operand;
+        case 'ne': return !test(value, { operator: 'eq', operand });
+        case 'nin': return !test(value, { operator: 'in', operand });
+        case 'contains':
+            if (Array.isArray(value)) return value.some(element => equals(element, operand));
+            return typeof value === 'string' && value.toLowerCase().includes(String(operand).toLowerCase());
+    }
+
+    // Arrays match when any element does (unless compared whole)
+    if (Array.isArray(value) && !(operator === 'eq' && Array.isArray(operand))) {
+        return value.some(element => test(element, { operator, operand }));
+    }
+
+    switch (operator) {
+        case 'eq': return equals(value, operand);
+        case 'in': return operand.some(candidate => equals(value, candidate));
+        case 'near': return isPoint(value) && distance(value, operand.point) <= operand.within;
+        default: {
+            if (!comparable(value, operand)) return false;
+            if (operator === 'gt') return value > operand;
+            if (operator === 'gte') return value >= operand;
+            if (operator === 'lt') return value < operand;
+            return value <= operand;
+        }
+    }
+}
+
+/**
+ * @private
+ */
+function equals(a, b) {
+    if (a === b) return true;
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * @private
+ */
+function comparable(value, operand) {
+    return (typeof value === 'number' && typeof operand === 'number' && !Number.isNaN(value)) ||
+        (typeof value === 'string' && typeof operand === 'string');
+}
+
+/**
+ * @private
+ */
+function isPrimitive(value) {
+    return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @private
+ */
+function isPoint(value) {
+    return isPlainObject(value) && typeof value.x === 'number' && typeof value.y === 'number';
+}
+
+/**
+ * @private
+ */
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, (a.z || 0) - (b.z || 0));
+}
+
+/**
+ * Parenthesize a nested AND or OR
+ * @private
+ */
+function wrap(node, parent) {
+    const text = describeWhere(node);
+    return (node.op === 'and' || node.op === 'or') && node.op !== parent ? `(${text})` : text;
+}
+
+/**
+ * Values of a memory's sort keys (missing ones as null)
+ * @private
+ */
+function sortValues(keys, memory, now) {
+    return keys.map(({ field }) => {
+        const value = fieldValue(memory, field, now);
+        return value === undefined ? null : value;
+    });
+}
+
+/**
+ * Compare sort values; missing values come last in either order
+ * @private
+ */
+function compareValues(keys, aValues, aId, bValues, bId) {
+    for (let i = 0; i < keys.length; i++) {
+        const a = aValues[i];
+        const b = bValues[i];
+        if (equals(a, b)) continue;
+        if (a === null) return 1;
+        if (b === null) return -1;
+
+        const order = comparable(a, b) ? (a < b ? -1 : 1) : (String(a) < String(b) ? -1 : 1);
+        return order * keys[i].order;
+    }
+    return aId < bId ? -1 : (aId > bId ? 1 : 0);
+}
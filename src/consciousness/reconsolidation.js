@@ -0,0 +1,180 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Memory fields whose tone words can take on the mood, and those words' keys
+const TONE_FIELDS = ['interaction', 'content', 'context'];
+const TONE_KEYS = ['emotion', 'mood', 'tone'];
+
+const round = (value) => Math.round(value * 10000) / 10000;
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Reconsolidation - Recalled memories drift toward the mood they are
+ * recalled in
+ *
+ * When an NPC recalls a memory while its emotions are far from their
+ * baselines, the memory's emotional tags (an emotionalImpact of
+ * per-emotion values) move toward that bias, and its tone words
+ * (`emotion`, `mood` or `tone` in its interaction, content or context)
+ * may become the current mood. Each tag stays within maxDrift of its
+ * value before the first change, however often the memory is recalled.
+ *
+ * The memory keeps those first values in `original` and every change
+ * in `revisions` ({ timestamp, mood, bias, changes: [{ path, from, to }] }).
+ *
+ * @class Reconsolidation
+ */
+export class Reconsolidation {
+    /**
+     * @param {Object} [config]
+     * @param {boolean} [config.enabled=false] - Let recalled memories change
+     * @param {number} [config.biasThreshold=0.25] - How far one emotion must be from its
+     *                                               baseline for recall to change memories
+     * @param {number} [config.rate=0.2] - Share of an emotion's bias a tag moves per recall
+     * @param {number} [config.maxDrift=0.3] - Furthest a tag may move from its original value
+     * @param {number} [config.toneChance=0.5] - Chance per recall, at full bias, that a tone
+     *                                           word becomes the current mood
+     * @param {number} [config.maxRevisions=50] - Revisions kept per memory (the original
+     *                                            values are always kept)
+     */
+    constructor(config = {}) {
+        this.config = {
+            enabled: false,
+            biasThreshold: 0.25,
+            rate: 0.2,
+            maxDrift: 0.3,
+            toneChance: 0.5,
+            maxRevisions: 50,
+            ...config
+        };
+    }
+
+    /**
+     * How far each emotion of a state is from its baseline
+     *
+     * @param {EmotionalState} emotionalState
+     * @returns {Object} Emotion -> deviation
+     */
+    static bias(emotionalState) {
+        const bias = {};
+        for (const [emotion, value] of Object.entries(emotionalState.emotions || {})) {
+            const baseline = (emotionalState.baselines || {})[emotion];
+            bias[emotion] = value - (typeof baseline === 'number' ? baseline : value);
+        }
+        return bias;
+    }
+
+    /**
+     * Let a recalled memory drift toward the NPC's mood
+     *
+     * @param {Object} memory - Stored memory (changed in place)
+     * @param {EmotionalState} emotionalState - The NPC's emotional state
+     * @param {Function} random - Returns a number in [0, 1)
+     * @param {number} now - Timestamp
+     * @returns {Object|null} The revision, or null if nothing changed
+     */
+    reconsolidate(memory, emotionalState, random, now) {
+        if (!this.config.enabled || !emotionalState) return null;
+
+        const bias = Reconsolidation.bias(emotionalState);
+        const strength = Math.max(0, ...Object.values(bias).map(Math.abs));
+        if (strength < this.config.biasThreshold) return null;
+
+        const original = memory.original || Reconsolidation._snapshot(memory);
+        const changes = [];
+
+        // Emotional tags move toward the bias, within maxDrift of the original
+        // (changed on copies; other records may share the objects)
+        const impact = memory.emotionalImpact && typeof memory.emotionalImpact === 'object' ?
+            { ...memory.emotionalImpact } :
+            null;
+        if (impact) {
+            for (const [emotion, deviation] of Object.entries(bias)) {
+                if (Math.abs(deviation) < this.config.biasThreshold / 2) continue;
+
+                const path = `emotionalImpact.${emotion}`;
+                const base = typeof original[path] === 'number' ? original[path] : 0;
+                const from = typeof impact[emotion] === 'number' ? impact[emotion] : 0;
+                const to = round(clamp(
+                    clamp(from + this.config.rate * deviation, base - this.config.maxDrift, base + this.config.maxDrift),
+                    -1,
+                    1
+                ));
+                if (Math.abs(to - from) < 0.001) continue;
+
+                changes.push({ path, from: impact[emotion], to });
+                impact[emotion] = to;
+            }
+            if (changes.length > 0) memory.emotionalImpact = impact;
+        }
+
+        // Tone words may take on the mood
+        const mood = emotionalState.currentMood;
+        if (mood && mood !== 'neutral') {
+            for (const field of TONE_FIELDS) {
+                if (!memory[field] || typeof memory[field] !== 'object') continue;
+
+                for (const key of TONE_KEYS) {
+                    const from = memory[field][key];
+                    if (typeof from !== 'string' || from === mood) continue;
+                    if (random() >= this.config.toneChance * Math.min(1, strength)) continue;
+
+                    changes.push({ path: `${field}.${key}`, from, to: mood });
+                    memory[field] = { ...memory[field], [key]: mood };
+                }
+            }
+        }
+
+        if (changes.length === 0) return null;
+
+        const revision = {
+            timestamp: now,
+            mood,
+            bias: Object.fromEntries(Object.entries(bias)
+                .filter(([, deviation]) => Math.abs(deviation) >= this.config.biasThreshold / 2)
+                .map(([emotion, deviation]) => [emotion, round(deviation)])),
+            changes
+        };
+        memory.original = original;
+        memory.revisions = [...(memory.revisions || []), revision].slice(-this.config.maxRevisions);
+        return revision;
+    }
+
+    /**
+     * Values reconsolidation can change, by path, before it first does
+     * @private
+     */
+    static _snapshot(memory) {
+        const snapshot = {};
+
+        const impact = memory.emotionalImpact;
+        if (impact && typeof impact === 'object') {
+            for (const [emotion, value] of Object.entries(impact)) {
+                if (typeof value === 'number') snapshot[`emotionalImpact.${emotion}`] = value;
+            }
+        }
+        for (const field of TONE_FIELDS) {
+            const holder = memory[field];
+            if (!holder || typeof holder !== 'object') continue;
+            for (const key of TONE_KEYS) {
+                if (typeof holder[key] === 'string') snapshot[`${field}.${key}`] = holder[key];
+            }
+        }
+        return snapshot;
+    }
+}
+
+export default Reconsolidation;
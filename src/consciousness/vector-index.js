@@ -0,0 +1,195 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { SeededRandom } from '../core/random.js';
+import { normalize } from './memory-embedder.js';
+
+/**
+ * VectorIndex - Approximate nearest-neighbour index over unit vectors
+ *
+ * Uses random-hyperplane hashing: each of several tables files a vector
+ * under the side of each of its hyperplanes the vector falls on, so
+ * vectors at a small angle usually share a bucket in at least one table.
+ * A search gathers the query's buckets, plus the buckets one hyperplane
+ * away, and ranks those candidates by exact cosine similarity.
+ *
+ * Small indices, and searches that find too few candidates, are scanned
+ * in full. The hyperplanes come from a fixed seed, so the same vectors
+ * always give the same results.
+ *
+ * @class VectorIndex
+ */
+export class VectorIndex {
+    /**
+     * @param {Object} config
+     * @param {number} config.dimensions - Length of the vectors
+     * @param {number} [config.tables=8] - Hash tables
+     * @param {number} [config.bits=12] - Hyperplanes per table
+     * @param {number} [config.exactBelow=256] - Entries under which searches scan everything
+     */
+    constructor(config) {
+        this.config = {
+            tables: 8,
+            bits: 12,
+            exactBelow: 256,
+            ...config
+        };
+
+        // Id -> unit vector
+        this.vectors = new Map();
+
+        // Per table: bucket key -> ids
+        this.buckets = Array.from({ length: this.config.tables }, () => new Map());
+
+        // Per table: its hyperplanes' normals
+        const rng = new SeededRandom(`vector-index:${this.config.dimensions}`);
+        this.planes = Array.from({ length: this.config.tables }, () =>
+            Array.from({ length: this.config.bits }, () =>
+                Float32Array.from({ length: this.config.dimensions }, () => rng.random() * 2 - 1)));
+    }
+
+    /**
+     * Number of vectors indexed
+     */
+    get size() {
+        return this.vectors.size;
+    }
+
+    /**
+     * Index a vector, replacing any under the same id
+     *
+     * @param {string} id
+     * @param {number[]|Float32Array} vector
+     */
+    add(id, vector) {
+        if (vector.length !== this.config.dimensions) {
+            throw new Error(`Vector for ${id} has ${vector.length} dimensions, expected ${this.config.dimensions}`);
+        }
+        this.remove(id);
+
+        const unit = normalize(Float32Array.from(vector));
+        this.vectors.set(id, unit);
+        for (let t = 0; t < this.config.tables; t++) {
+            const key = this._key(t, unit);
+            if (!this.buckets[t].has(key)) this.buckets[t].set(key, new Set());
+            this.buckets[t].get(key).add(id);
+        }
+    }
+
+    /**
+     * Remove a vector
+     *
+     * @param {string} id
+     */
+    remove(id) {
+        const unit = this.vectors.get(id);
+        if (!unit) return;
+
+        this.vectors.delete(id);
+        for (let t = 0; t < this.config.tables; t++) {
+            const key = this._key(t, unit);
+            const bucket = this.buckets[t].get(key);
+            bucket.delete(id);
+            if (bucket.size === 0) this.buckets[t].delete(key);
+        }
+    }
+
+    /**
+     * Remove every vector
+     */
+    clear() {
+        this.vectors.clear();
+        for (const table of this.buckets) {
+            table.clear();
+        }
+    }
+
+    /**
+     * Vectors most similar to a query vector
+     *
+     * @param {number[]|Float32Array} vector - Query vector
+     * @param {number} k - Results wanted
+     * @param {Object} [options]
+     * @param {Set<string>} [options.exclude] - Ids to leave out
+     * @returns {Array<{id: string, similarity: number}>} Most similar first
+     */
+    search(vector, k, options = {}) {
+        const exclude = options.exclude || new Set();
+        const query = normalize(Float32Array.from(vector));
+
+        let candidates = this.vectors.size < this.config.exactBelow ? null : this._candidates(query);
+        if (candidates && candidates.size - exclude.size < k) {
+            candidates = null;
+        }
+
+        const results = [];
+        for (const id of candidates || this.vectors.keys()) {
+            if (exclude.has(id)) continue;
+            results.push({ id, similarity: VectorIndex.dot(query, this.vectors.get(id)) });
+        }
+        results.sort((a, b) => b.similarity - a.similarity);
+        return results.slice(0, k);
+    }
+
+    /**
+     * Dot product (the cosine similarity of unit vectors)
+     *
+     * @param {number[]|Float32Array} a
+     * @param {number[]|Float32Array} b
+     * @returns {number}
+     */
+    static dot(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            sum += a[i] * b[i];
+        }
+        return sum;
+    }
+
+    /**
+     * Ids in the query's buckets and those one hyperplane away
+     * @private
+     */
+    _candidates(query) {
+        const candidates = new Set();
+        for (let t = 0; t < this.config.tables; t++) {
+            const key = this._key(t, query);
+            for (let bit = -1; bit < this.config.bits; bit++) {
+                const bucket = this.buckets[t].get(bit < 0 ? key : key ^ (1 << bit));
+                if (!bucket) continue;
+                for (const id of bucket) {
+                    candidates.add(id);
+                }
+            }
+        }
+        return candidates;
+    }
+
+    /**
+     * Bucket key of a vector in a table: one bit per hyperplane
+     * @private
+     */
+    _key(table, vector) {
+        let key = 0;
+        const planes = this.planes[table];
+        for (let bit = 0; bit < planes.length; bit++) {
+            if (VectorIndex.dot(planes[bit], vector) >= 0) key |= 1 << bit;
+        }
+        return key;
+    }
+}
+
+export default VectorIndex;
@@ -18,10 +18,17 @@ import { ConsciousnessCore } from '../consciousness/consciousness-core.js';
 import { QuantumPersonality } from '../quantum/quantum-personality.js';
 import { EmotionEngine } from '../emotional/emotion-engine.js';
 import { RelationshipNetwork } from '../emotional/relationship-network.js';
+import { GossipNetwork } from '../emotional/gossip-network.js';
 import { StoryWeaver } from '../narrative/story-weaver.js';
 import { WebRTCMesh } from '../networking/webrtc-mesh.js';
+import { NPCReplicator } from '../networking/npc-replicator.js';
+import { InteractionJournal } from '../networking/interaction-journal.js';
+import { NPCAuthority } from '../networking/npc-authority.js';
 import { NPCManager } from './npc-manager.js';
 import { Persistence } from './persistence.js';
+import { RandomSource } from './random.js';
+import { Scheduler } from './scheduler.js';
+import { Environment } from './environment.js';
 
 /**
  * AdaptiveNPCWeb - Revolutionary adaptive NPC consciousness system
@@ -41,6 +48,54 @@ export class AdaptiveNPCWeb {
      * @param {number} [config.maxNPCs=1000] - Maximum number of concurrent NPCs
      * @param {boolean} [config.enableQuantum=true] - Enable quantum personality features
      * @param {Object} [config.performanceMode='balanced'] - Performance optimization mode
+     * @param {number|string} [config.seed] - World seed; the same seed and the same
+     *                                        inputs reproduce the same NPC behavior
+     * @param {boolean} [config.manualTick=false] - Host drives simulation via tick(dt)
+     * @param {Object} [config.tickRates] - Task intervals in ms (consciousness, emotion,
+     *                                      relationships, goals, forgetting, autosave,
+     *                                      replication)
+     * @param {number} [config.timeScale=1] - Simulation speed multiplier
+     * @param {number} [config.handoffDistance=5] - How much closer another peer's player must
+     *                                              be to an NPC to take over simulating it
+     * @param {number} [config.journalSize=1000] - Interactions kept to catch up peers that were away
+     * @param {number} [config.fullSaveEvery=10] - Every Nth autosave rewrites the whole world
+     * @param {number} [config.maxSaveSlots=10] - Maximum number of named save slots
+     * @param {string} [config.saveIntegrity='warn'] - Inconsistent saves: 'warn', 'repair' or 'reject'
+     * @param {string} [config.saveIntegrityKey] - Secret for HMAC-signed exports; unsigned or
+     *                                             re-signed imports are rejected
+     * @param {boolean|Object} [config.compression=true] - Compress large saved records
+     *                                                    ({ threshold, stores, format })
+     * @param {Object} [config.storageQuota] - Pressure policy: { threshold, budget,
+     *                                         archiveImportance, keepStories }
+     * @param {Environment|Object} [config.environment] - Host capabilities (clock, workers,
+     *                                                   indexedDB, requestFrame, RTCPeerConnection);
+     *                                                   detected from the browser when omitted
+     * @param {StorageAdapter|string|Object} [config.storage] - Save backend: an adapter, 'memory',
+     *                                                         'localStorage', 'indexedDB', or
+     *                                                         { type: 'fs', directory, format }
+     * @param {SignalingTransport|string|Object} [config.signaling] - How mesh peers find each other:
+     *                                                              a ws(s):// server URL, 'broadcast',
+     *                                                              'loopback' or a transport
+     * @param {MeshTransport|string|Object} [config.meshTransport='webrtc'] - Wire for mesh messages:
+     *                                                                  'webrtc', 'relay', 'memory'
+     *                                                                  or a transport
+     * @param {boolean|Object} [config.meshSecurity] - Sign mesh messages (true), or { worldKey, identity }
+     *                                               to also encrypt them so only peers holding the
+     *                                               world key can join (see MeshSecurity)
+     * @param {Object} [config.meshLimits] - Mesh bandwidth settings: peerBandwidth, inboundRate,
+     *                                       inboundBandwidth, batchInterval (see WebRTCMesh)
+     * @param {Object} [config.embedder] - Turns memory text into vectors for similarity recall:
+     *                                     { dimensions, embed(text) }; a local hashing embedder
+     *                                     when omitted
+     * @param {Object} [config.retrievalWeights] - Blend of similarity, recency and importance
+     *                                             used to rank recalled memories
+     * @param {Object} [config.forgetting] - How memories fade (see ForgettingCurve), with
+     *                                       per-category settings under `categories`
+     * @param {boolean|Object} [config.gossip] - Gossip settings (see GossipNetwork), or false
+     *                                          to keep NPCs from passing on what they know
+     * @param {boolean|Object} [config.reconsolidation=false] - Let recalled memories drift toward
+     *                                                        the NPC's mood (true, or settings;
+     *                                                        see Reconsolidation)
      */
     constructor(config = {}) {
         this.config = {
@@ -49,25 +104,131 @@ export class AdaptiveNPCWeb {
             maxNPCs: config.maxNPCs || 1000,
             enableQuantum: config.enableQuantum !== false,
             performanceMode: config.performanceMode || 'balanced',
-            ...config
+            manualTick: config.manualTick === true,
+            timeScale: config.timeScale || 1,
+            fullSaveEvery: config.fullSaveEvery || 10,
+            ...config,
+            tickRates: {
+                consciousness: 16,      // 60Hz
+                emotion: 1000,          // 1Hz
+                relationships: 1000,    // 1Hz
+                goals: 60000,           // Every minute
+                forgetting: 60000,      // Every minute
+                autosave: 30000,        // Every 30 seconds
+                replication: 250,       // 4Hz
+                ...config.tickRates
+            }
         };
 
+        // Host capabilities, storage and secrets live outside the config so they never end up in saves
+        this.environment = config.environment instanceof Environment ?
+            config.environment :
+            new Environment(config.environment);
+        this.clock = this.environment.clock;
+        delete this.config.environment;
+        delete this.config.storage;
+        delete this.config.compression;
+        delete this.config.signaling;
+        delete this.config.meshTransport;
+        delete this.config.meshSecurity;
+        delete this.config.saveIntegrityKey;
+        delete this.config.embedder;
+
+        // One PRNG stream per subsystem, all derived from the world seed
+        this.random = new RandomSource(this.config.seed);
+
+        // Single fixed-timestep scheduler for all background work
+        this.scheduler = new Scheduler({ timeScale: this.config.timeScale, clock: this.clock });
+
+        // Simulated play time carried over from saves, plus this session's
+        this._playTimeBase = 0;
+        this._sessionStart = this.scheduler.time;
+
+        // Event listeners
+        this.listeners = new Map();
+
+        // Saves only write what changed, once a full save (or load) has
+        // put storage in sync with memory
+        this._fullSaveNeeded = true;
+        this._autosaveCount = 0;
+
+        // Shared by every subsystem
+        const shared = { random: this.random, clock: this.clock };
+
         // Initialize core systems
-        this.npcManager = new NPCManager(this.config);
-        this.persistence = new Persistence(this.config.worldName);
-        this.consciousnessCore = new ConsciousnessCore(this.config);
-        this.emotionEngine = new EmotionEngine();
-        this.relationshipNetwork = new RelationshipNetwork();
-        this.storyWeaver = new StoryWeaver();
+        this.npcManager = new NPCManager({
+            ...this.config,
+            ...shared,
+            workers: this.environment.workers
+        });
+        this.persistence = new Persistence(this.config.worldName, {
+            storage: config.storage,
+            indexedDB: this.environment.indexedDB,
+            maxSlots: this.config.maxSaveSlots,
+            integrity: this.config.saveIntegrity,
+            integrityKey: config.saveIntegrityKey,
+            crypto: this.environment.crypto,
+            compression: config.compression,
+            quota: this.config.storageQuota,
+            ...shared
+        });
+        this.consciousnessCore = new ConsciousnessCore({
+            ...this.config,
+            ...shared,
+            embedder: config.embedder
+        });
+        this.emotionEngine = new EmotionEngine({ clock: this.clock });
+        this.relationshipNetwork = new RelationshipNetwork({ clock: this.clock });
+        this.storyWeaver = new StoryWeaver(shared);
+
+        // NPCs who trust each other pass on what they saw and heard
+        if (this.config.gossip !== false) {
+            this.gossip = new GossipNetwork({
+                ...this.config.gossip,
+                ...shared,
+                relationships: this.relationshipNetwork
+            });
+        }
         
         // Initialize quantum personality system
         if (this.config.enableQuantum) {
-            this.quantumPersonality = new QuantumPersonality();
+            this.quantumPersonality = new QuantumPersonality(shared);
         }
 
         // Initialize networking if enabled
         if (this.config.enableNetworking) {
-            this.mesh = new WebRTCMesh(this.config.worldName);
+            this.mesh = new WebRTCMesh(this.config.worldName, {
+                RTCPeerConnection: this.environment.RTCPeerConnection,
+                signaling: config.signaling,
+                transport: config.meshTransport,
+                security: config.meshSecurity,
+                crypto: this.environment.crypto,
+                ...config.meshLimits,
+                ...shared
+            });
+            this.replicator = new NPCReplicator({
+                mesh: this.mesh,
+                npcManager: this.npcManager,
+                relationshipNetwork: this.relationshipNetwork
+            });
+            this.authority = new NPCAuthority({
+                mesh: this.mesh,
+                npcManager: this.npcManager,
+                replicator: this.replicator,
+                handoffDistance: this.config.handoffDistance,
+                clock: this.clock
+            });
+            // NPC id -> peer that handed the NPC to this one; its train of
+            // thought may arrive after the ownership change
+            this._handedOver = new Map();
+            // Peer id -> timer of the next attempt to catch up its journal
+            this._journalRetries = new Map();
+            this.journal = new InteractionJournal({
+                persistence: this.persistence,
+                origin: this.mesh.peerId,
+                maxEntries: this.config.journalSize
+            });
+            this.npcManager.localPeer = this.mesh.peerId;
             this._setupNetworkHandlers();
         }
 
@@ -89,6 +250,7 @@ export class AdaptiveNPCWeb {
             const savedState = await this.persistence.loadWorldState();
             if (savedState) {
                 await this._restoreWorldState(savedState);
+                this._fullSaveNeeded = false;
                 console.log('AdaptiveNPCWeb: Restored world state for', this.config.worldName);
             }
 
@@ -111,6 +273,9 @@ export class AdaptiveNPCWeb {
      * @param {Object} [config.basePersonality] - Initial personality traits
      * @param {Object} [config.appearance] - Visual appearance data
      * @param {Object} [config.initialLocation] - Starting location
+     * @param {Object} [config.forgetting] - How this NPC forgets, over the world's `forgetting`
+     * @param {boolean|Object} [config.reconsolidation] - Whether (and how) this NPC's recollections
+     *                                                  drift toward its mood, over the world's setting
      * @returns {Promise<AdaptiveNPC>} The created NPC instance
      */
     async createNPC(config) {
@@ -122,19 +287,20 @@ export class AdaptiveNPCWeb {
             personality = this.quantumPersonality.generatePersonality(personality);
         }
 
-        // Create consciousness instance
-        const consciousness = await this.consciousnessCore.createConsciousness({
-            id: `npc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        // Create consciousness and emotional state
+        const id = `npc_${this.clock.now()}_${this.random.stream('world').uid()}`;
+        const { consciousness, emotionalState } = await this._createNPCSystems({
+            id,
             name: config.name,
-            personality
+            personality,
+            forgetting: config.forgetting,
+            reconsolidation: config.reconsolidation
         });
 
-        // Initialize emotional state
-        const emotionalState = this.emotionEngine.createEmotionalState(personality);
-
         // Create NPC instance
         const npc = await this.npcManager.createNPC({
             ...config,
+            id,
             consciousness,
             emotionalState,
             personality
@@ -143,13 +309,19 @@ export class AdaptiveNPCWeb {
         // Register with relationship network
         this.relationshipNetwork.registerEntity(npc.id, npc);
 
+        this.emit('npc_created', { id: npc.id, name: npc.name, role: npc.role });
+
         // Share creation event if networking enabled
         if (this.mesh && this.mesh.connected) {
+            // Trait values only; a quantum personality's simulator is far too big to send
+            const personality = npc.personality && typeof npc.personality.getPersonality === 'function' ?
+                npc.personality.getPersonality() :
+                npc.personality;
             this.mesh.broadcast('npc_created', {
                 id: npc.id,
                 name: npc.name,
                 role: npc.role,
-                personality: npc.personality
+                personality
             });
         }
 
@@ -178,11 +350,52 @@ export class AdaptiveNPCWeb {
         return this.npcManager.getAllNPCs();
     }
 
+    /**
+     * Get the gossip an NPC has heard about an entity
+     * 
+     * @param {string} npcId - NPC who heard it
+     * @param {string} entityId - Who the gossip is about
+     * @returns {Object[]} Gossip memories, most believed first (see GossipNetwork)
+     */
+    getRumors(npcId, entityId) {
+        const npc = this.npcManager.getNPC(npcId);
+        return npc && this.gossip ? this.gossip.rumorsAbout(npc, entityId) : [];
+    }
+
+    /**
+     * Report where this peer's player is; NPCs are simulated by the peer
+     * whose player is nearest (see NPCAuthority)
+     * 
+     * @param {Object} position - { x, y, z }
+     */
+    setPlayerPosition(position) {
+        if (this.authority) {
+            this.authority.setPlayerPosition(position);
+        }
+    }
+
+    /**
+     * Get the mesh peer that simulates an NPC
+     * 
+     * @param {string} npcId - NPC ID
+     * @returns {string|null} Peer ID, or null without networking or before anyone claimed it
+     */
+    getNPCOwner(npcId) {
+        return this.replicator ? this.replicator.owner(npcId) : null;
+    }
+
     /**
      * Process an interaction between entities
      * 
      * @param {string} sourceId - ID of the initiating entity
      * @param {string} targetId - ID of the target entity
+     * With networking, what the interaction changed is replicated to every
+     * peer that shares these NPCs (see NPCReplicator), and the interaction
+     * is journaled and announced to them as 'remote_interaction' - on
+     * reconnect for peers that are not connected (see InteractionJournal).
+     * Each side may also pass on gossip to the other (see GossipNetwork),
+     * emitting 'rumor_spread' for each piece.
+     * 
      * @param {Object} interaction - Interaction details
      * @returns {Promise<Object>} Interaction result
      */
@@ -194,6 +407,11 @@ export class AdaptiveNPCWeb {
             throw new Error('Invalid source or target ID');
         }
 
+        // Pin the values the interaction starts from, for replication
+        if (this.replicator) {
+            this.replicator.prepare(sourceId, targetId);
+        }
+
         // Process emotional impact
         const emotionalResult = await this.emotionEngine.processInteraction(
             source.emotionalState,
@@ -201,6 +419,9 @@ export class AdaptiveNPCWeb {
             interaction
         );
 
+        source.dirty = true;
+        target.dirty = true;
+
         // Update relationships
         const relationshipUpdate = this.relationshipNetwork.updateRelationship(
             sourceId,
@@ -209,22 +430,59 @@ export class AdaptiveNPCWeb {
             emotionalResult
         );
 
-        // Update memories
-        await source.consciousness.recordMemory({
+        // Before anything yields to other interactions on these NPCs
+        if (this.replicator) {
+            this.replicator.recordInteraction(sourceId, targetId);
+        }
+
+        this.emit('relationship_change', {
+            sourceId,
+            targetId,
+            changes: relationshipUpdate.changes
+        });
+
+        // Update memories; replicated ones get ids no other peer can generate
+        const memoryOptions = { keepId: Boolean(this.replicator) };
+        const sourceMemory = {
+            id: this.replicator ? this.replicator.memoryId(sourceId) : undefined,
             type: 'interaction',
             target: targetId,
             interaction,
             emotionalImpact: emotionalResult.source,
-            timestamp: Date.now()
-        });
+            timestamp: this.clock.now()
+        };
+        await source.consciousness.recordMemory(sourceMemory, memoryOptions);
 
-        await target.consciousness.recordMemory({
+        const targetMemory = {
+            id: this.replicator ? this.replicator.memoryId(targetId) : undefined,
             type: 'interaction',
             source: sourceId,
             interaction,
             emotionalImpact: emotionalResult.target,
-            timestamp: Date.now()
-        });
+            timestamp: this.clock.now()
+        };
+        await target.consciousness.recordMemory(targetMemory, memoryOptions);
+
+        // Each side may pass on what it saw or heard about others
+        const rumors = [];
+        if (this.gossip) {
+            for (const [teller, listener] of [[source, target], [target, source]]) {
+                for (const rumor of await this.gossip.tell(teller, listener)) {
+                    rumor.id = this.replicator ? this.replicator.memoryId(listener.id) : undefined;
+                    await listener.consciousness.recordMemory(rumor, memoryOptions);
+                    rumors.push(rumor);
+
+                    this.emit('rumor_spread', {
+                        rumorId: rumor.rumorId,
+                        from: teller.id,
+                        to: listener.id,
+                        about: rumor.about,
+                        hops: rumor.hops,
+                        confidence: rumor.confidence
+                    });
+                }
+            }
+        }
 
         // Generate narrative events
         const narrativeEvents = await this.storyWeaver.processInteraction(
@@ -234,48 +492,115 @@ export class AdaptiveNPCWeb {
             relationshipUpdate
         );
 
-        // Share interaction if networking enabled
-        if (this.mesh && this.mesh.connected) {
-            this.mesh.broadcast('interaction', {
-                sourceId,
-                targetId,
-                interaction,
-                timestamp: Date.now()
-            });
+        // Replicate the outcome if networking enabled, and journal the
+        // interaction so peers that are not connected hear of it later
+        if (this.replicator) {
+            this.replicator.recordMemories([sourceMemory, targetMemory, ...rumors]);
+            this.replicator.flush();
+
+            const entry = await this.journal.record({ sourceId, targetId, interaction, timestamp: this.clock.now() });
+            if (this.mesh.connected) {
+                this.mesh.shareInteraction(entry);
+            }
         }
 
         return {
             emotional: emotionalResult,
             relationship: relationshipUpdate,
-            narrative: narrativeEvents
+            narrative: narrativeEvents,
+            rumors
         };
     }
 
     /**
      * Save the current world state
      * 
+     * Only NPCs, memories and relationships changed since the last save are
+     * written. Gradual drift (emotion and relationship decay, memory fading)
+     * is picked up with the entity's next change or the next full save.
+     * Emits 'state_saved' with the size of what was written, then checks the
+     * storage quota (see 'storage:pressure').
+     * 
+     * @param {Object} [options]
+     * @param {boolean} [options.full=false] - Rewrite the whole world
      * @returns {Promise<boolean>} Success status
      */
-    async saveState() {
+    async saveState(options = {}) {
+        const incremental = !options.full && !this._fullSaveNeeded;
+
         try {
+            // Anything changed from here on is picked up by the next save
+            if (!incremental) {
+                this.npcManager.markClean();
+                this.relationshipNetwork.markClean();
+                this.storyWeaver.markClean();
+            }
+
             const worldState = {
                 version: '1.0.0',
-                timestamp: Date.now(),
+                timestamp: this.clock.now(),
                 config: this.config,
-                npcs: await this.npcManager.serializeAll(),
-                relationships: this.relationshipNetwork.serialize(),
-                narratives: this.storyWeaver.serialize(),
+                npcs: await this.npcManager.serializeAll(incremental),
+                relationships: this.relationshipNetwork.serialize(incremental),
+                narratives: this.storyWeaver.serialize(incremental),
+                random: this.random.serialize(),
+                replication: this.replicator ? this.replicator.serialize() : undefined,
+                playTime: this.getPlayTime(),
                 statistics: this._getStatistics()
             };
 
-            await this.persistence.saveWorldState(worldState);
-            return true;
+            const saved = await this.persistence.saveWorldState(worldState, { incremental });
+
+            // Changes collected for a failed save are lost; resync everything next time
+            this._fullSaveNeeded = !saved;
+            if (saved) {
+                this.emit('state_saved', this.persistence.lastSave);
+                await this._checkStoragePressure();
+            }
+            return saved;
         } catch (error) {
             console.error('AdaptiveNPCWeb: Save error:', error);
+            this._fullSaveNeeded = true;
             return false;
         }
     }
 
+    /**
+     * Archive and prune when storage crosses the quota threshold
+     * 
+     * Emits 'storage:pressure' with the usage before ({ usage, quota, ratio }),
+     * what was given up ({ archived, archivedCount, prunedStories }) and the
+     * ratio afterwards, so games can free more (old slots, backups) if needed.
+     * @private
+     */
+    async _checkStoragePressure() {
+        const status = await this.persistence.checkQuota();
+        if (!status || !status.pressure) return;
+
+        const relief = await this.persistence.relieveStoragePressure();
+
+        // The live world lets go of the same data, or the next save writes it back
+        for (const [npcId, memoryIds] of Object.entries(relief.archived)) {
+            const npc = this.npcManager.getNPC(npcId);
+            if (npc && npc.consciousness) {
+                npc.consciousness.memoryBank.archive(memoryIds);
+            }
+            if (this.replicator) {
+                this.replicator.recordArchived(npcId, memoryIds);
+            }
+        }
+        this.storyWeaver.pruneCompletedStories(this.persistence.quota.keepStories);
+
+        const after = await this.persistence.checkQuota();
+        this.emit('storage:pressure', {
+            usage: status.usage,
+            quota: status.quota,
+            ratio: status.ratio,
+            ...relief,
+            ratioAfter: after ? after.ratio : null
+        });
+    }
+
     /**
      * Load a saved world state
      * 
@@ -287,6 +612,7 @@ export class AdaptiveNPCWeb {
             if (!worldState) return false;
 
             await this._restoreWorldState(worldState);
+            this._fullSaveNeeded = false;
             return true;
         } catch (error) {
             console.error('AdaptiveNPCWeb: Load error:', error);
@@ -294,6 +620,226 @@ export class AdaptiveNPCWeb {
         }
     }
 
+    /**
+     * Save the world into a named slot (a separate save file)
+     * 
+     * @param {string} name - Slot name
+     * @param {Object} [info] - { summary, thumbnail } shown when listing slots
+     * @returns {Promise<Object>} Slot metadata
+     */
+    async saveSlot(name, info = {}) {
+        await this._initialized;
+
+        if (!await this.saveState({ full: true })) {
+            throw new Error(`Could not save world before writing slot ${name}`);
+        }
+        return this.persistence.saveSlot(name, { playTime: this.getPlayTime(), ...info });
+    }
+
+    /**
+     * Replace the current world with a slot's snapshot
+     * 
+     * @param {string} name - Slot name
+     * @returns {Promise<boolean>} Success status
+     */
+    async loadSlot(name) {
+        await this._initialized;
+
+        if (!await this.persistence.loadSlot(name)) return false;
+        return this.loadState();
+    }
+
+    /**
+     * List save slots, most recently saved first
+     * 
+     * @returns {Promise<Array<Object>>} Slot metadata
+     */
+    async listSlots() {
+        return this.persistence.listSlots();
+    }
+
+    /**
+     * Copy a save slot
+     * 
+     * @param {string} source - Slot to copy
+     * @param {string} target - New slot name
+     * @returns {Promise<Object>} Metadata of the new slot
+     */
+    async copySlot(source, target) {
+        return this.persistence.copySlot(source, target);
+    }
+
+    /**
+     * Branch a "what if" timeline from a save slot, keeping the original
+     * 
+     * @param {string} source - Slot to branch from
+     * @param {string} target - New slot name
+     * @param {Object} [info] - { summary, thumbnail } for the branch
+     * @returns {Promise<Object>} Metadata of the new slot
+     */
+    async branchSlot(source, target, info = {}) {
+        return this.persistence.branchSlot(source, target, info);
+    }
+
+    /**
+     * Delete a save slot
+     * 
+     * @param {string} name - Slot name
+     * @returns {Promise<boolean>} True if the slot existed
+     */
+    async deleteSlot(name) {
+        return this.persistence.deleteSlot(name);
+    }
+
+    /**
+     * Check the saved world for orphaned or malformed records
+     *
+     * @param {Object} [options]
+     * @param {string|boolean} [options.repair=false] - 'quarantine' or 'drop' broken records
+     * @returns {Promise<Object>} Report: { valid, checked, issues, repaired }
+     */
+    async validateSave(options = {}) {
+        return this.persistence.validate(options);
+    }
+
+    /**
+     * Export NPCs (with memories, relationships and goals) or the whole
+     * world as a portable package other worlds can import
+     *
+     * @param {Object} [options]
+     * @param {string[]} [options.npcIds] - NPCs to export (default: whole world)
+     * @returns {Promise<Object>} Package (see world-package.js)
+     */
+    async exportPackage(options = {}) {
+        await this._initialized;
+
+        if (!await this.saveState({ full: true })) {
+            throw new Error('Could not save world before exporting');
+        }
+        return this.persistence.exportPackage(options);
+    }
+
+    /**
+     * Import a package into this world and reload it
+     *
+     * @param {Object} pkg - Package from exportPackage()
+     * @param {Object} [options]
+     * @param {string} [options.conflict='skip'] - Existing NPC ids: 'skip', 'overwrite' or 'duplicate'
+     * @param {Object<string, string>} [options.idMap] - Packaged id -> id in this world
+     * @returns {Promise<Object>} Import report
+     */
+    async importPackage(pkg, options = {}) {
+        await this._initialized;
+
+        if (!await this.saveState({ full: true })) {
+            throw new Error('Could not save world before importing');
+        }
+
+        const rng = this.random.stream('imports');
+        const report = await this.persistence.importPackage(pkg, {
+            ...options,
+            idFactory: () => `npc_${this.clock.now()}_${rng.uid()}`
+        });
+
+        await this.loadState();
+        return report;
+    }
+
+    /**
+     * Simulated time played in this world, across saves
+     * 
+     * @returns {number} Play time in ms
+     */
+    getPlayTime() {
+        return this._playTimeBase + this.scheduler.time - this._sessionStart;
+    }
+
+    /**
+     * Advance the simulation (use with config.manualTick)
+     *
+     * @param {number} deltaTime - Elapsed game time in ms
+     * @returns {Promise<number>} Simulation time advanced after pause/time-scale
+     */
+    async tick(deltaTime) {
+        await this._initialized;
+        return this.scheduler.tick(deltaTime);
+    }
+
+    /**
+     * Pause all NPC simulation (consciousness, decay, goals, autosave)
+     */
+    pause() {
+        this.scheduler.pause();
+    }
+
+    /**
+     * Resume NPC simulation after pause()
+     */
+    resume() {
+        this.scheduler.resume();
+    }
+
+    /**
+     * Set simulation speed
+     *
+     * @param {number} scale - 1 is realtime, 2 fast-forward, 0.5 slow motion
+     */
+    setTimeScale(scale) {
+        this.scheduler.setTimeScale(scale);
+    }
+
+    /**
+     * Whether the simulation is paused
+     */
+    get paused() {
+        return this.scheduler.paused;
+    }
+
+    /**
+     * Register an event handler
+     *
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler function
+     */
+    on(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(handler);
+    }
+
+    /**
+     * Remove an event handler
+     *
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler to remove
+     */
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            this.listeners.set(type, handlers.filter(h => h !== handler));
+        }
+    }
+
+    /**
+     * Emit an event
+     *
+     * @param {string} type - Event type
+     * @param {*} data - Event data
+     */
+    emit(type, data) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            for (const handler of handlers) {
+                try {
+                    handler(data);
+                } catch (error) {
+                    console.error(`Error in event handler for ${type}:`, error);
+                }
+            }
+        }
+    }
+
     /**
      * Enable debug mode with visualization tools
      * 
@@ -336,14 +882,175 @@ export class AdaptiveNPCWeb {
         });
 
         this.mesh.on('interaction', async (data) => {
-            // Sync remote interactions
-            await this._syncRemoteInteraction(data);
+            // Interactions arrive as replicated state; this is only the announcement
+            if (data.origin === undefined) {
+                this.emit('remote_interaction', data);
+                return;
+            }
+            for (const entry of await this.journal.receive([data])) {
+                this.emit('remote_interaction', entry);
+            }
+        });
+
+        this.mesh.on('npc_delta', async (data) => {
+            await this._syncReplica(data);
+        });
+
+        // Catch new peers up on every shared NPC
+        this.mesh.on('peer_connected', ({ peerId }) => {
+            this.replicator.sendState(peerId).catch(error => {
+                console.error(`Failed to send NPC state to ${peerId}:`, error);
+            });
+            this.authority.sendPresence(peerId);
+            this._catchUpJournal(peerId);
+        });
+
+        // NPCs of a peer that left or timed out move to the peers still here
+        this.mesh.on('peer_disconnected', ({ peerId }) => {
+            clearTimeout(this._journalRetries.get(peerId));
+            this._journalRetries.delete(peerId);
+            this.authority.peerLeft(peerId);
+            this._updateAuthority();
+            this.replicator.flush();
+        });
+
+        this.mesh.on('player_presence', (data) => {
+            this.authority.receivePresence(data);
         });
 
         this.mesh.on('consciousness_sync', async (data) => {
             // Sync consciousness states
             await this._syncConsciousness(data);
         });
+
+        // Peers catching up on interactions they missed
+        this.mesh.respond('journal_sync', async ({ vector }) => {
+            await this.journal.initialized;
+            return this.journal.missing(vector, this.replicator.config.maxStateSize);
+        });
+
+        // Peers asking how one of our NPCs is doing
+        this.mesh.respond('consciousness_request', ({ npcId }) => {
+            const npc = this.npcManager.getNPC(npcId);
+            if (!npc || !npc.consciousness) {
+                return null;
+            }
+            return {
+                npcId,
+                state: {
+                    state: npc.consciousness.state,
+                    thoughtStream: npc.consciousness.thoughtStream.slice(-10)
+                }
+            };
+        });
+    }
+
+    /**
+     * Sync the journal with a peer, retrying with backoff (the mesh's
+     * retryInterval, doubling, up to maxRetries) while it stays connected
+     * @private
+     */
+    _catchUpJournal(peerId, attempt = 0) {
+        clearTimeout(this._journalRetries.get(peerId));
+        this._journalRetries.delete(peerId);
+
+        this._syncJournal(peerId).catch(error => {
+            if (this._destroyed || !this.mesh.getConnectedPeers().includes(peerId)) {
+                return;
+            }
+            if (attempt >= this.mesh.config.maxRetries) {
+                console.error(`Failed to sync interaction journal with ${peerId}:`, error);
+                return;
+            }
+            console.warn(`Retrying interaction journal sync with ${peerId}:`, error.message);
+            const delay = this.mesh.config.retryInterval * Math.pow(2, attempt);
+            this._journalRetries.set(peerId, setTimeout(() => this._catchUpJournal(peerId, attempt + 1), delay));
+        });
+    }
+
+    /**
+     * Fetch the journal entries a newly connected peer has and we lack,
+     * and replay them as 'remote_interaction' (with replayed: true); the
+     * peer does the same with ours. Emits 'journal_synced'.
+     * @private
+     */
+    async _syncJournal(peerId) {
+        await this.journal.initialized;
+
+        let received = 0;
+        let more = true;
+        while (more) {
+            const response = await this.mesh.request(peerId, 'journal_sync', { vector: this.journal.getVector() });
+            const added = await this.journal.receive(response.entries);
+            for (const entry of added) {
+                this.emit('remote_interaction', { ...entry, replayed: true });
+            }
+            received += added.length;
+            more = response.more && added.length > 0;
+        }
+        this.emit('journal_synced', { peerId, received, vector: this.journal.getVector() });
+    }
+
+    /**
+     * Merge replicated NPC state from a peer; emits 'npc_synced' when
+     * something changed
+     * @private
+     */
+    async _syncReplica(data) {
+        try {
+            const previous = this.replicator.owner(data.npcId);
+            const changes = await this.replicator.receive(data);
+            if (changes) {
+                this.emit('npc_synced', { npcId: data.npcId, from: data.from, changes });
+            }
+            if (changes && changes.owner !== undefined) {
+                this._handedOver.delete(data.npcId);
+                if (changes.owner === this.mesh.peerId && previous) {
+                    this._handedOver.set(data.npcId, previous);
+                }
+                this.emit('authority_changed', { npcId: data.npcId, owner: changes.owner, previous });
+            }
+        } catch (error) {
+            console.error('Failed to sync NPC state:', error);
+        }
+    }
+
+    /**
+     * Reassign NPC ownership; emits 'authority_changed' for each NPC that
+     * changed hands
+     * @private
+     */
+    _updateAuthority() {
+        for (const change of this.authority.update()) {
+            this.emit('authority_changed', change);
+        }
+    }
+
+    /**
+     * Adopt a consciousness state shared by the NPC's owner
+     * @private
+     */
+    async _syncConsciousness(data) {
+        const npc = this.npcManager.getNPC(data.npcId);
+        if (!npc || !npc.consciousness || !data.state) {
+            return;
+        }
+
+        // Only the NPC's owner speaks for its mind (or the peer that just handed it here)
+        const owner = this.replicator.owner(data.npcId);
+        const handedBy = owner === this.mesh.peerId ? this._handedOver.get(data.npcId) : undefined;
+        if (data.from !== owner && data.from !== handedBy) {
+            console.warn(`Ignoring consciousness of ${data.npcId} from ${data.from}, which does not simulate it`);
+            return;
+        }
+        this._handedOver.delete(data.npcId);
+
+        try {
+            await npc.consciousness.deserialize(data.state);
+            npc.dirty = true;
+        } catch (error) {
+            console.error('Failed to sync consciousness:', error);
+        }
     }
 
     /**
@@ -351,10 +1058,11 @@ export class AdaptiveNPCWeb {
      * @private
      */
     _initializeWorkers() {
-        if (typeof Worker !== 'undefined') {
+        const workers = this.environment.workers;
+        if (workers) {
             // Create worker pool for consciousness processing
             this.workerPool = [];
-            const workerCount = navigator.hardwareConcurrency || 4;
+            const workerCount = workers.size;
             
             for (let i = 0; i < workerCount; i++) {
                 // Create inline worker for consciousness processing
@@ -371,9 +1079,7 @@ export class AdaptiveNPCWeb {
                     }
                 `;
                 
-                const blob = new Blob([workerCode], { type: 'application/javascript' });
-                const worker = new Worker(URL.createObjectURL(blob));
-                this.workerPool.push(worker);
+                this.workerPool.push(workers.create(workerCode));
             }
         }
     }
@@ -389,13 +1095,17 @@ export class AdaptiveNPCWeb {
             memoryUsage: 0
         };
 
-        // Monitor frame rate
-        let lastTime = performance.now();
+        // Monitor frame rate (headless hosts have no frames to measure)
+        const requestFrame = this.environment.requestFrame;
+        if (!requestFrame) return;
+
+        let lastTime = this.clock.monotonic();
         const measureFPS = () => {
-            const now = performance.now();
+            if (this._destroyed) return;
+            const now = this.clock.monotonic();
             this.performance.fps = Math.round(1000 / (now - lastTime));
             lastTime = now;
-            requestAnimationFrame(measureFPS);
+            requestFrame(measureFPS);
         };
         measureFPS();
     }
@@ -405,43 +1115,111 @@ export class AdaptiveNPCWeb {
      * @private
      */
     _startBackgroundProcesses() {
-        // Consciousness update cycle (60Hz)
-        this._consciousnessInterval = setInterval(() => {
-            this._updateAllConsciousness();
-        }, 16);
+        const rates = this.config.tickRates;
 
-        // Emotion decay cycle (1Hz)
-        this._emotionInterval = setInterval(() => {
+        // Consciousness update cycle
+        this.scheduler.addTask('consciousness', rates.consciousness, (step, time) =>
+            this._updateAllConsciousness(time)
+        );
+
+        // Emotion decay cycle
+        this.scheduler.addTask('emotion', rates.emotion, () => {
             this._processEmotionalDecay();
-        }, 1000);
+        });
+
+        // Relationship decay cycle, for entities that are not NPCs simulated elsewhere
+        this.scheduler.addTask('relationships', rates.relationships, () => {
+            this.relationshipNetwork.processDecay(entityId => {
+                const npc = this.npcManager.getNPC(entityId);
+                return !npc || this.npcManager.simulates(npc);
+            });
+            if (this.replicator) {
+                this.replicator.settle();
+            }
+        });
+
+        // Goal processing cycle
+        this.scheduler.addTask('goals', rates.goals, () => {
+            this.storyWeaver.goalSystem.processGoals();
+        });
+
+        // Memory forgetting cycle
+        this.scheduler.addTask('forgetting', rates.forgetting, () => {
+            this._processForgetting();
+        });
+
+        // Shared NPC changes
+        if (this.replicator) {
+            this.scheduler.addTask('replication', rates.replication, () => {
+                this._updateAuthority();
+                this.replicator.flush();
+            });
+        }
 
-        // Auto-save cycle (every 30 seconds)
-        this._saveInterval = setInterval(() => {
-            this.saveState();
-        }, 30000);
+        // Auto-save cycle
+        this.scheduler.addTask('autosave', rates.autosave, () => this.saveState({
+            full: ++this._autosaveCount % this.config.fullSaveEvery === 0
+        }));
+
+        // Without manual ticking, simulation follows the wall clock
+        if (!this.config.manualTick) {
+            this.scheduler.start();
+        }
     }
 
     /**
-     * Update all NPC consciousness states
+     * Update the consciousness of every NPC this world simulates
      * @private
      */
-    async _updateAllConsciousness() {
-        const npcs = this.npcManager.getAllNPCs();
-        const updatePromises = npcs.map(npc => 
-            npc.consciousness.update(performance.now())
+    async _updateAllConsciousness(time) {
+        const npcs = this.npcManager.getAllNPCs().filter(npc => this.npcManager.simulates(npc));
+        const updatePromises = npcs.map(npc =>
+            npc.consciousness.update(time)
         );
         await Promise.all(updatePromises);
     }
 
     /**
-     * Process emotional decay for all NPCs
+     * Fade the memories of every NPC this world simulates
+     * 
+     * Emits 'memory:forgotten' for each memory forgotten, with the NPC's
+     * id and the memory's id, category, type and final retention.
+     * @private
+     */
+    _processForgetting() {
+        for (const npc of this.npcManager.getAllNPCs()) {
+            if (!npc.consciousness || !this.npcManager.simulates(npc)) continue;
+
+            const forgotten = npc.consciousness.memoryBank.processForgetting();
+            if (this.replicator && forgotten.length > 0) {
+                this.replicator.recordForgotten(npc.id, forgotten.map(memory => memory.id));
+            }
+            for (const memory of forgotten) {
+                this.emit('memory:forgotten', {
+                    npcId: npc.id,
+                    memoryId: memory.id,
+                    category: memory.category,
+                    type: memory.type,
+                    retention: memory.retention
+                });
+            }
+        }
+    }
+
+    /**
+     * Process emotional decay for every NPC this world simulates
      * @private
      */
     _processEmotionalDecay() {
-        const npcs = this.npcManager.getAllNPCs();
+        const npcs = this.npcManager.getAllNPCs().filter(npc => this.npcManager.simulates(npc));
         npcs.forEach(npc => {
             this.emotionEngine.processDecay(npc.emotionalState);
         });
+
+        // Owners replicate the decay of their NPCs
+        if (this.replicator) {
+            this.replicator.settle();
+        }
     }
 
     /**
@@ -457,47 +1235,122 @@ export class AdaptiveNPCWeb {
         };
     }
 
+    /**
+     * Count memories across all NPCs
+     * @private
+     */
+    _getTotalMemoryCount() {
+        return this.npcManager.getAllNPCs().reduce((total, npc) =>
+            total + (npc.consciousness ? npc.consciousness.memoryBank.stats.totalMemories : 0), 0);
+    }
+
+    /**
+     * Build the consciousness and emotional state an NPC runs on
+     * @private
+     */
+    async _createNPCSystems({ id, name, personality, forgetting, reconsolidation }) {
+        const consciousness = await this.consciousnessCore.createConsciousness({
+            id,
+            name,
+            personality,
+            forgetting,
+            reconsolidation
+        });
+
+        // Memories are recalled in the NPC's mood
+        const emotionalState = this.emotionEngine.createEmotionalState(personality);
+        consciousness.memoryBank.attachEmotionalState(emotionalState);
+
+        // Revised memories read the same on every peer
+        consciousness.memoryBank.on('memory:revised', memory => {
+            if (this.replicator) this.replicator.recordRevision(id, memory);
+        });
+
+        return { consciousness, emotionalState };
+    }
+
+    /**
+     * Rebuild a saved NPC's systems for its state to be restored into
+     * @private
+     */
+    async _restoreNPCSystems(npcData) {
+        let personality = npcData.personality || {};
+        if (this.config.enableQuantum) {
+            personality = this.quantumPersonality.restorePersonality(personality);
+        }
+
+        const memoryBank = (npcData.consciousness && npcData.consciousness.memoryBank) || {};
+        const systems = await this._createNPCSystems({
+            id: npcData.id,
+            name: npcData.name,
+            personality,
+            forgetting: memoryBank.forgetting,
+            reconsolidation: memoryBank.reconsolidation
+        });
+
+        return { ...systems, personality };
+    }
+
     /**
      * Restore world state from saved data
      * @private
      */
     async _restoreWorldState(worldState) {
-        // Restore NPCs
+        // Restore NPCs onto freshly built systems
         if (worldState.npcs) {
-            await this.npcManager.deserializeAll(worldState.npcs);
+            await this.npcManager.deserializeAll(worldState.npcs, npcData => this._restoreNPCSystems(npcData));
         }
 
         // Restore relationships
         if (worldState.relationships) {
             this.relationshipNetwork.deserialize(worldState.relationships);
         }
+        for (const npc of this.npcManager.getAllNPCs()) {
+            this.relationshipNetwork.registerEntity(npc.id, npc);
+        }
 
         // Restore narratives
         if (worldState.narratives) {
             this.storyWeaver.deserialize(worldState.narratives);
         }
+
+        // Resume random streams where the save left off
+        if (worldState.random) {
+            this.random.deserialize(worldState.random);
+        }
+
+        // Remember which replicated changes are already applied
+        if (worldState.replication && this.replicator) {
+            this.replicator.deserialize(worldState.replication);
+        }
+
+        // Continue the saved play time
+        this._playTimeBase = worldState.playTime || 0;
+        this._sessionStart = this.scheduler.time;
     }
 
     /**
      * Cleanup and shutdown
      */
     destroy() {
-        // Clear intervals
-        clearInterval(this._consciousnessInterval);
-        clearInterval(this._emotionInterval);
-        clearInterval(this._saveInterval);
+        // Stop background processes
+        this._destroyed = true;
+        this.scheduler.stop();
 
         // Cleanup workers
         if (this.workerPool) {
             this.workerPool.forEach(worker => worker.terminate());
         }
+        this.npcManager.workers.forEach(worker => worker.terminate());
 
         // Disconnect networking
         if (this.mesh) {
+            this._journalRetries.forEach(timer => clearTimeout(timer));
+            this._journalRetries.clear();
             this.mesh.disconnect();
         }
 
         // Final save
-        this.saveState();
+        return this.saveState({ full: true });
     }
 }
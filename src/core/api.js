@@ -288,6 +288,47 @@ export class AdaptiveNPCAPI {
         await this.system.npcManager.updateAll(deltaTime);
     }
 
+    /**
+     * Advance NPC simulation (requires init({ manualTick: true }))
+     *
+     * @param {number} deltaTime - Time since last tick (ms)
+     *
+     * @example
+     * async function gameLoop(dt) {
+     *   await npcAPI.tick(dt);
+     * }
+     */
+    async tick(deltaTime) {
+        this._checkInitialized();
+        return await this.system.tick(deltaTime);
+    }
+
+    /**
+     * Pause NPC simulation (e.g. while the game's pause menu is open)
+     */
+    pause() {
+        this._checkInitialized();
+        this.system.pause();
+    }
+
+    /**
+     * Resume NPC simulation
+     */
+    resume() {
+        this._checkInitialized();
+        this.system.resume();
+    }
+
+    /**
+     * Set simulation speed
+     *
+     * @param {number} scale - 1 is realtime, 2 fast-forward, 0.5 slow motion
+     */
+    setTimeScale(scale) {
+        this._checkInitialized();
+        this.system.setTimeScale(scale);
+    }
+
     /**
      * Cleanup and shutdown
      */
@@ -484,12 +525,12 @@ class NPCHandle {
      * Get recent memories
      * 
      * @param {number} count - Number of memories to retrieve
-     * @returns {Array} Recent memories
+     * @returns {Promise<Array>} Recent memories
      */
-    getRecentMemories(count = 5) {
-        const memories = this._npc.consciousness?.memoryBank?.query({
-            limit: count,
-            sortBy: 'recent'
+    async getRecentMemories(count = 5) {
+        const memories = await this._npc.consciousness?.memoryBank?.query({
+            sort: '-timestamp',
+            limit: count
         }) || [];
         
         return memories.map(memory => ({
@@ -617,4 +658,4 @@ class InteractionResult {
 export default AdaptiveNPCAPI;
 
 // Also export for named imports
-export { AdaptiveNPCAPI, NPCHandle, InteractionResult };
+export { NPCHandle, InteractionResult };
@@ -0,0 +1,198 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Environment - Runtime capabilities for AdaptiveNPCWeb
+ *
+ * Collects everything the system needs from its host (clock, workers,
+ * storage, frame callbacks, crypto) in one place. In a browser the capabilities
+ * are detected automatically; in Node or tests they are injected, and
+ * anything missing simply degrades (no workers, no frame monitoring).
+ *
+ * @class Environment
+ */
+export class Environment {
+    /**
+     * @param {Object} [capabilities] - Capability overrides
+     * @param {boolean} [capabilities.headless] - Force headless mode
+     * @param {Object} [capabilities.clock] - Clock ({ now(), monotonic() })
+     * @param {Object|null} [capabilities.workers] - Worker adapter ({ size, create(code) })
+     * @param {IDBFactory|null} [capabilities.indexedDB] - IndexedDB factory
+     * @param {Function|null} [capabilities.requestFrame] - requestAnimationFrame equivalent
+     * @param {Function|null} [capabilities.RTCPeerConnection] - WebRTC implementation
+     * @param {Crypto|null} [capabilities.crypto] - WebCrypto implementation
+     */
+    constructor(capabilities = {}) {
+        const browser = typeof window !== 'undefined' && typeof document !== 'undefined';
+
+        this.headless = capabilities.headless !== undefined ? capabilities.headless : !browser;
+        this.clock = capabilities.clock || new SystemClock();
+
+        this.workers = capabilities.workers !== undefined ?
+            capabilities.workers :
+            (!this.headless && BrowserWorkerAdapter.isSupported() ? new BrowserWorkerAdapter() : null);
+
+        this.indexedDB = capabilities.indexedDB !== undefined ?
+            capabilities.indexedDB :
+            (typeof indexedDB !== 'undefined' ? indexedDB : null);
+
+        this.requestFrame = capabilities.requestFrame !== undefined ?
+            capabilities.requestFrame :
+            (!this.headless && typeof requestAnimationFrame !== 'undefined' ?
+                (callback) => requestAnimationFrame(callback) : null);
+
+        this.RTCPeerConnection = capabilities.RTCPeerConnection !== undefined ?
+            capabilities.RTCPeerConnection :
+            (typeof RTCPeerConnection !== 'undefined' ? RTCPeerConnection : null);
+
+        this.crypto = capabilities.crypto !== undefined ?
+            capabilities.crypto :
+            (typeof crypto !== 'undefined' && crypto.subtle ? crypto : null);
+    }
+}
+
+/**
+ * Wall-clock time source
+ *
+ * @class SystemClock
+ */
+export class SystemClock {
+    /**
+     * Epoch time in ms (used for timestamps)
+     */
+    now() {
+        return Date.now();
+    }
+
+    /**
+     * Monotonic time in ms (used for measuring durations)
+     */
+    monotonic() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+}
+
+/**
+ * Clock that only moves when told to, for tests and server simulation
+ *
+ * @class ManualClock
+ */
+export class ManualClock {
+    /**
+     * @param {number} [startTime=0] - Initial epoch time in ms
+     */
+    constructor(startTime = 0) {
+        this.time = startTime;
+    }
+
+    now() {
+        return this.time;
+    }
+
+    monotonic() {
+        return this.time;
+    }
+
+    /**
+     * Move the clock forward
+     *
+     * @param {number} ms - Milliseconds to advance
+     */
+    advance(ms) {
+        this.time += ms;
+    }
+}
+
+/**
+ * Worker adapter backed by browser Web Workers
+ *
+ * @class BrowserWorkerAdapter
+ */
+export class BrowserWorkerAdapter {
+    constructor() {
+        this.size = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 4;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof Blob !== 'undefined';
+    }
+
+    /**
+     * Create a worker running the given source
+     *
+     * @param {string} code - Worker source using self.onmessage/self.postMessage
+     * @returns {Worker} Worker instance
+     */
+    create(code) {
+        const blob = new Blob([code], { type: 'application/javascript' });
+        return new Worker(URL.createObjectURL(blob));
+    }
+}
+
+/**
+ * Worker adapter backed by Node worker_threads
+ *
+ * The Worker class is injected so this module never imports Node built-ins:
+ *
+ *     import { Worker } from 'node:worker_threads';
+ *     new AdaptiveNPCWeb({ environment: { workers: new NodeWorkerAdapter(Worker) } });
+ *
+ * @class NodeWorkerAdapter
+ */
+export class NodeWorkerAdapter {
+    /**
+     * @param {Function} WorkerClass - worker_threads Worker constructor
+     * @param {number} [size=4] - Number of workers to create
+     */
+    constructor(WorkerClass, size = 4) {
+        this.WorkerClass = WorkerClass;
+        this.size = size;
+    }
+
+    /**
+     * Create a worker running the given source
+     *
+     * @param {string} code - Worker source using self.onmessage/self.postMessage
+     * @returns {Object} Worker with the browser-style onmessage/postMessage API
+     */
+    create(code) {
+        // Give the browser-style worker source a `self` backed by parentPort
+        const shim = `
+            const { parentPort } = require('worker_threads');
+            const self = {
+                postMessage: (data) => parentPort.postMessage(data)
+            };
+            parentPort.on('message', (data) => self.onmessage && self.onmessage({ data }));
+        `;
+
+        const thread = new this.WorkerClass(shim + code, { eval: true });
+        const worker = {
+            onmessage: null,
+            postMessage: (data) => thread.postMessage(data),
+            terminate: () => thread.terminate()
+        };
+
+        thread.on('message', (data) => {
+            if (worker.onmessage) {
+                worker.onmessage({ data });
+            }
+        });
+
+        return worker;
+    }
+}
+
+export default Environment;
@@ -14,6 +14,10 @@
  * limitations under the License.
  */
 
+import { RandomSource } from './random.js';
+import { SystemClock, BrowserWorkerAdapter } from './environment.js';
+import { SAVE_FORMAT_VERSION } from './save-schema.js';
+
 /**
  * NPCManager - Manages the lifecycle of adaptive NPCs
  * 
@@ -32,14 +36,24 @@ export class NPCManager {
             ...config
         };
 
+        // Seeded random stream shared by all managed NPCs
+        this.rng = (this.config.random || new RandomSource()).stream('npcs');
+        this.clock = this.config.clock || new SystemClock();
+
         // NPC registry
         this.npcs = new Map();
         this.npcsByName = new Map();
         this.npcsByRole = new Map();
         
+        // NPCs removed since the last save
+        this.removedNPCs = new Set();
+        
         // Update scheduling
         this.updateQueue = [];
-        this.lastUpdateTime = performance.now();
+        this.lastUpdateTime = this.clock.monotonic();
+        
+        // Mesh peer id of this world; NPCs owned by other peers are not simulated here
+        this.localPeer = null;
         
         // Performance tracking
         this.performance = {
@@ -78,6 +92,7 @@ export class NPCManager {
 
         // Register NPC
         this.npcs.set(npc.id, npc);
+        this.removedNPCs.delete(npc.id);
         
         // Index by name
         if (npc.name) {
@@ -138,13 +153,23 @@ export class NPCManager {
         return Array.from(this.npcs.values());
     }
 
+    /**
+     * Whether this world simulates an NPC: it is unowned, or owned by this peer
+     * 
+     * @param {AdaptiveNPC} npc - NPC to check
+     * @returns {boolean}
+     */
+    simulates(npc) {
+        return !npc.owner || npc.owner === this.localPeer;
+    }
+
     /**
      * Update all NPCs
      * 
      * @param {number} deltaTime - Time since last update
      */
     async updateAll(deltaTime) {
-        const startTime = performance.now();
+        const startTime = this.clock.monotonic();
         
         // Process updates in batches for performance
         const batches = this._createUpdateBatches();
@@ -158,7 +183,7 @@ export class NPCManager {
         }
         
         // Update performance metrics
-        const updateTime = performance.now() - startTime;
+        const updateTime = this.clock.monotonic() - startTime;
         this._updatePerformanceMetrics(updateTime);
     }
 
@@ -176,6 +201,7 @@ export class NPCManager {
 
         // Remove from indices
         this.npcs.delete(npcId);
+        this.removedNPCs.add(npcId);
         
         if (npc.name) {
             this.npcsByName.delete(npc.name.toLowerCase());
@@ -201,32 +227,55 @@ export class NPCManager {
     /**
      * Serialize all NPCs
      * 
+     * @param {boolean} [changesOnly=false] - Only NPCs changed since the last save,
+     *                                        plus the ids of removed ones; clears
+     *                                        the pending changes
      * @returns {Promise<Object>} Serialized NPC data
      */
-    async serializeAll() {
+    async serializeAll(changesOnly = false) {
         const serialized = {
             npcs: [],
             metadata: {
                 count: this.npcs.size,
-                timestamp: Date.now(),
-                version: '1.0.0'
+                timestamp: this.clock.now(),
+                version: '1.0.0',
+                formatVersion: SAVE_FORMAT_VERSION
             }
         };
 
+        if (changesOnly) {
+            serialized.removed = Array.from(this.removedNPCs);
+            this.removedNPCs.clear();
+        }
+
         for (const [id, npc] of this.npcs) {
-            const npcData = await npc.serialize();
+            if (changesOnly && !npc.hasChanges()) continue;
+            const npcData = await npc.serialize(changesOnly);
             serialized.npcs.push(npcData);
         }
 
         return serialized;
     }
 
+    /**
+     * Forget pending changes (the whole world is about to be saved)
+     */
+    markClean() {
+        for (const npc of this.npcs.values()) {
+            npc.markClean();
+        }
+        this.removedNPCs.clear();
+    }
+
     /**
      * Deserialize and restore NPCs
      * 
      * @param {Object} data - Serialized NPC data
+     * @param {Function} [createSystems] - Called with each NPC's data; resolves to the
+     *                                     { consciousness, emotionalState, personality }
+     *                                     its saved state is restored into
      */
-    async deserializeAll(data) {
+    async deserializeAll(data, createSystems) {
         // Clear current NPCs
         for (const npc of this.npcs.values()) {
             await npc.cleanup();
@@ -234,12 +283,15 @@ export class NPCManager {
         this.npcs.clear();
         this.npcsByName.clear();
         this.npcsByRole.clear();
+        this.removedNPCs.clear();
         this.updateQueue = [];
 
         // Restore NPCs
         if (data.npcs) {
             for (const npcData of data.npcs) {
+                const systems = createSystems ? await createSystems(npcData) : {};
                 const npc = new AdaptiveNPC({
+                    ...systems,
                     manager: this
                 });
                 await npc.deserialize(npcData);
@@ -279,9 +331,13 @@ export class NPCManager {
      * @private
      */
     _initializeWorkers() {
-        const workerCount = navigator.hardwareConcurrency || 4;
-        
-        for (let i = 0; i < workerCount; i++) {
+        // Worker adapter from the environment; browsers get one by default
+        const adapter = this.config.workers !== undefined ?
+            this.config.workers :
+            (BrowserWorkerAdapter.isSupported() ? new BrowserWorkerAdapter() : null);
+        if (!adapter) return;
+
+        for (let i = 0; i < adapter.size; i++) {
             const workerCode = `
                 self.onmessage = async function(e) {
                     const { batch, deltaTime } = e.data;
@@ -318,8 +374,7 @@ export class NPCManager {
                 }
             `;
             
-            const blob = new Blob([workerCode], { type: 'application/javascript' });
-            const worker = new Worker(URL.createObjectURL(blob));
+            const worker = adapter.create(workerCode);
             
             worker.busy = false;
             this.workers.push(worker);
@@ -337,7 +392,7 @@ export class NPCManager {
         for (let i = 0; i < this.updateQueue.length; i += batchSize) {
             const batch = this.updateQueue.slice(i, i + batchSize)
                 .map(id => this.npcs.get(id))
-                .filter(npc => npc && npc.active);
+                .filter(npc => npc && npc.active && this.simulates(npc));
             
             if (batch.length > 0) {
                 batches.push(batch);
@@ -404,7 +459,7 @@ export class NPCManager {
      * @private
      */
     _updatePerformanceMetrics(updateTime) {
-        const now = performance.now();
+        const now = this.clock.monotonic();
         const timeSinceLastUpdate = now - this.lastUpdateTime;
         
         this.performance.updatesPerSecond = 1000 / timeSinceLastUpdate;
@@ -438,10 +493,13 @@ export class NPCManager {
  */
 export class AdaptiveNPC {
     constructor(config) {
-        this.id = config.id || `npc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.manager = config.manager;
+        this.rng = this.manager ? this.manager.rng : new RandomSource().stream('npcs');
+        this.clock = this.manager ? this.manager.clock : new SystemClock();
+
+        this.id = config.id || `npc_${this.clock.now()}_${this.rng.uid()}`;
         this.name = config.name;
         this.role = config.role;
-        this.manager = config.manager;
         
         // Core systems
         this.consciousness = config.consciousness;
@@ -450,6 +508,7 @@ export class AdaptiveNPC {
         
         // State
         this.active = true;
+        this.owner = null;          // Mesh peer simulating this NPC (null: this world)
         this.position = config.initialLocation || { x: 0, y: 0, z: 0 };
         this.appearance = config.appearance || {};
         
@@ -458,8 +517,11 @@ export class AdaptiveNPC {
         this.behaviorQueue = [];
         
         // Performance
-        this.lastUpdate = performance.now();
+        this.lastUpdate = this.clock.monotonic();
         this.updateCount = 0;
+        
+        // Unsaved changes to this NPC's own record (memories track their own)
+        this.dirty = true;
     }
 
     /**
@@ -483,7 +545,7 @@ export class AdaptiveNPC {
     async update(deltaTime) {
         if (!this.active) return;
         
-        const now = performance.now();
+        const now = this.clock.monotonic();
         
         // Update consciousness
         if (this.consciousness) {
@@ -512,18 +574,18 @@ export class AdaptiveNPC {
         switch (this.currentBehavior) {
             case 'idle':
                 // Random chance to start wandering
-                if (Math.random() < 0.001 * deltaTime) {
+                if (this.rng.random() < 0.001 * deltaTime) {
                     this.currentBehavior = 'wandering';
                 }
                 break;
                 
             case 'wandering':
                 // Move randomly
-                this.position.x += (Math.random() - 0.5) * 0.1 * deltaTime;
-                this.position.y += (Math.random() - 0.5) * 0.1 * deltaTime;
+                this.position.x += (this.rng.random() - 0.5) * 0.1 * deltaTime;
+                this.position.y += (this.rng.random() - 0.5) * 0.1 * deltaTime;
                 
                 // Chance to stop
-                if (Math.random() < 0.0005 * deltaTime) {
+                if (this.rng.random() < 0.0005 * deltaTime) {
                     this.currentBehavior = 'idle';
                 }
                 break;
@@ -547,6 +609,7 @@ export class AdaptiveNPC {
      */
     async interact(entity, interaction) {
         this.currentBehavior = 'interacting';
+        this.dirty = true;
         
         // Process through consciousness
         if (this.consciousness) {
@@ -554,7 +617,7 @@ export class AdaptiveNPC {
                 type: 'interaction',
                 target: entity.id || 'unknown',
                 interaction,
-                timestamp: Date.now()
+                timestamp: this.clock.now()
             };
             
             await this.consciousness.recordMemory(memory);
@@ -683,7 +746,7 @@ export class AdaptiveNPC {
         }
         
         const options = responses[type];
-        return options[Math.floor(Math.random() * options.length)];
+        return this.rng.pick(options);
     }
 
     /**
@@ -698,10 +761,36 @@ export class AdaptiveNPC {
         }
     }
 
+    /**
+     * Whether the NPC or its memories changed since the last save
+     */
+    hasChanges() {
+        return this.dirty ||
+            Boolean(this.consciousness && this.consciousness.memoryBank &&
+                    this.consciousness.memoryBank.hasChanges());
+    }
+
+    /**
+     * Forget pending changes (the NPC is about to be saved in full)
+     */
+    markClean() {
+        this.dirty = false;
+        if (this.consciousness && this.consciousness.memoryBank) {
+            this.consciousness.memoryBank.markClean();
+        }
+    }
+
     /**
      * Serialize NPC state
+     * 
+     * @param {boolean} [changesOnly=false] - Only memories changed since the last
+     *                                        save; clears the pending changes
      */
-    async serialize() {
+    async serialize(changesOnly = false) {
+        if (changesOnly) {
+            this.dirty = false;
+        }
+        
         const serialized = {
             id: this.id,
             name: this.name,
@@ -715,15 +804,18 @@ export class AdaptiveNPC {
         
         // Serialize subsystems
         if (this.consciousness && this.consciousness.serialize) {
-            serialized.consciousness = this.consciousness.serialize();
+            serialized.consciousness = this.consciousness.serialize(changesOnly);
         }
         
         if (this.emotionalState && this.emotionalState.serialize) {
             serialized.emotionalState = this.emotionalState.serialize();
         }
         
+        // A quantum personality saves its state, not the simulator it runs on
         if (this.personality) {
-            serialized.personality = this.personality;
+            serialized.personality = typeof this.personality.serialize === 'function' ?
+                this.personality.serialize() :
+                this.personality;
         }
         
         return serialized;
@@ -751,8 +843,12 @@ export class AdaptiveNPC {
             this.emotionalState.deserialize(data.emotionalState);
         }
         
-        if (data.personality) {
+        // A personality rebuilt with the NPC's systems is already restored
+        if (data.personality && !this.personality) {
             this.personality = data.personality;
         }
+        
+        // Restored state matches what is saved
+        this.dirty = false;
     }
 }
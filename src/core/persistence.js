@@ -14,20 +14,89 @@
  * limitations under the License.
  */
 
+import { SystemClock } from './environment.js';
+import { RandomSource } from './random.js';
+import { createStorageAdapter } from '../storage/index.js';
+import { MemoryAdapter } from '../storage/memory-adapter.js';
+import { CompressedAdapter } from '../storage/compressed-adapter.js';
+import { saveMigrations, SaveVersionError } from './save-schema.js';
+import { SaveValidator, SaveChecksum, SaveIntegrityError } from './save-integrity.js';
+import { PACKAGE_FORMAT, PACKAGE_VERSION, CONFLICT_STRATEGIES, assertPackage, remapIds } from './world-package.js';
+
 /**
- * Persistence - IndexedDB-based storage for AdaptiveNPCWeb
+ * Persistence - Save/load layer for AdaptiveNPCWeb
  * 
  * Handles saving and loading of NPC states, memories, relationships,
- * and world data with automatic versioning and migration.
+ * and world data. The actual backend (IndexedDB, localStorage, the Node
+ * filesystem or memory) is a StorageAdapter chosen by the `storage` option.
  * 
  * @class Persistence
  */
 export class Persistence {
-    constructor(worldName) {
+    /**
+     * @param {string} worldName - World identifier
+     * @param {Object} [options] - Storage options
+     * @param {StorageAdapter|string|Object} [options.storage] - Adapter, backend name
+     *                                                          or { type, ...options }
+     * @param {IDBFactory|null} [options.indexedDB] - IndexedDB factory for the default backend
+     * @param {MigrationRegistry} [options.migrations] - Save format migrations
+     * @param {number} [options.maxSlots=10] - Maximum number of save slots
+     * @param {string} [options.integrity='warn'] - On inconsistent saves: 'warn',
+     *                                             'repair' (quarantine bad records) or 'reject'
+     * @param {string} [options.integrityKey] - Secret for HMAC-signing exports; imports
+     *                                         without a matching signature are rejected
+     * @param {Crypto} [options.crypto] - WebCrypto implementation for checksums
+     * @param {boolean|Object} [options.compression=true] - Compress large records; false to
+     *                                                     disable, or CompressedAdapter options
+     * @param {Object} [options.quota] - Storage pressure policy
+     * @param {number} [options.quota.threshold=0.8] - Usage/quota ratio that counts as pressure
+     * @param {number} [options.quota.budget] - Byte budget, overriding the backend's quota
+     * @param {number} [options.quota.archiveImportance=0.6] - Memories less important than
+     *                                                        this are archived under pressure
+     * @param {number} [options.quota.keepStories=25] - Completed stories kept under pressure
+     * @param {Object} [options.clock] - Time source for timestamps (see SystemClock)
+     * @param {RandomSource} [options.random] - Source of generated ids
+     */
+    constructor(worldName, options = {}) {
         this.worldName = worldName;
         this.dbName = `AdaptiveNPCWeb_${worldName}`;
         this.version = 1;
-        this.db = null;
+        
+        // Timestamps and generated ids follow the world's clock and seed
+        this.clock = options.clock || new SystemClock();
+        this.rng = (options.random || new RandomSource()).stream('persistence');
+        
+        // Storage backend; an explicit choice never falls back silently
+        this.compression = options.compression === undefined ? true : options.compression;
+        this.adapter = this._wrapAdapter(createStorageAdapter(options.storage, { indexedDB: options.indexedDB }));
+        this.explicitStorage = options.storage !== undefined;
+        
+        // Every record is stamped with a format version and migrated on read
+        this.migrations = options.migrations || saveMigrations;
+        
+        // Set when the stored world could not be loaded safely (newer format,
+        // failed integrity check); saving would destroy it
+        this.unreadableSave = null;
+        
+        // Consistency checks on load/import and checksums on exports
+        this.integrity = options.integrity || 'warn';
+        this.validator = new SaveValidator();
+        this.checksum = new SaveChecksum({ key: options.integrityKey, crypto: options.crypto });
+        
+        // Size of the most recent save ({ incremental, puts, deletes, bytes, timestamp })
+        this.lastSave = null;
+        
+        // Named snapshots players and designers can return to
+        this.maxSlots = options.maxSlots || 10;
+        
+        // What to give up when storage runs low
+        this.quota = {
+            threshold: 0.8,
+            budget: null,
+            archiveImportance: 0.6,
+            keepStories: 25,
+            ...options.quota
+        };
         
         // Store schemas
         this.stores = {
@@ -36,166 +105,81 @@ export class Persistence {
             memories: 'memories',
             relationships: 'relationships',
             narratives: 'narratives',
-            metadata: 'metadata'
+            metadata: 'metadata',
+            backups: 'backups',
+            slots: 'slots',           // meta/<name> and data/<name> per slot
+            quarantine: 'quarantine', // <store>/<key> of records removed by repair
+            archive: 'archive',       // <npcId>/<time> batches of memories moved out under pressure
+            journal: 'journal'        // 'state' and entry/<origin>/<seq> of the mesh interaction journal
         };
         
         // Cache for frequently accessed data
         this.cache = new Map();
         this.cacheTimeout = 5000; // 5 seconds
         
-        // Initialize database
+        // Initialize storage
         this.initialized = this._initialize();
     }
 
     /**
-     * Initialize IndexedDB
+     * Open the storage backend
      * @private
      */
     async _initialize() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, this.version);
-            
-            request.onerror = () => {
-                console.error('Failed to open IndexedDB:', request.error);
-                reject(request.error);
-            };
-            
-            request.onsuccess = () => {
-                this.db = request.result;
-                
-                // Setup error handler
-                this.db.onerror = (event) => {
-                    console.error('Database error:', event.target.error);
-                };
-                
-                console.log(`IndexedDB initialized for world: ${this.worldName}`);
-                resolve();
-            };
-            
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                
-                // Create object stores
-                this._createStores(db);
-                
-                console.log('IndexedDB schema created/updated');
-            };
-        });
-    }
+        try {
+            await this.adapter.open(this.dbName, Object.values(this.stores));
+        } catch (error) {
+            if (this.explicitStorage) throw error;
 
-    /**
-     * Create object stores
-     * @private
-     */
-    _createStores(db) {
-        // World state store
-        if (!db.objectStoreNames.contains(this.stores.worldState)) {
-            const worldStore = db.createObjectStore(this.stores.worldState, {
-                keyPath: 'id'
-            });
-            worldStore.createIndex('timestamp', 'timestamp', { unique: false });
-        }
-        
-        // NPCs store
-        if (!db.objectStoreNames.contains(this.stores.npcs)) {
-            const npcStore = db.createObjectStore(this.stores.npcs, {
-                keyPath: 'id'
-            });
-            npcStore.createIndex('name', 'name', { unique: false });
-            npcStore.createIndex('role', 'role', { unique: false });
-        }
-        
-        // Memories store
-        if (!db.objectStoreNames.contains(this.stores.memories)) {
-            const memoryStore = db.createObjectStore(this.stores.memories, {
-                keyPath: 'id'
-            });
-            memoryStore.createIndex('ownerId', 'ownerId', { unique: false });
-            memoryStore.createIndex('timestamp', 'timestamp', { unique: false });
-            memoryStore.createIndex('type', 'type', { unique: false });
-            memoryStore.createIndex('importance', 'importance', { unique: false });
-        }
-        
-        // Relationships store
-        if (!db.objectStoreNames.contains(this.stores.relationships)) {
-            const relStore = db.createObjectStore(this.stores.relationships, {
-                keyPath: 'id'
-            });
-            relStore.createIndex('sourceId', 'sourceId', { unique: false });
-            relStore.createIndex('targetId', 'targetId', { unique: false });
-            relStore.createIndex('type', 'type', { unique: false });
+            console.warn(`Storage unavailable (${error.message}), world ${this.worldName} will only be kept in memory`);
+            this.adapter = this._wrapAdapter(new MemoryAdapter());
+            await this.adapter.open(this.dbName, Object.values(this.stores));
         }
         
-        // Narratives store
-        if (!db.objectStoreNames.contains(this.stores.narratives)) {
-            const narrativeStore = db.createObjectStore(this.stores.narratives, {
-                keyPath: 'id'
-            });
-            narrativeStore.createIndex('timestamp', 'timestamp', { unique: false });
-            narrativeStore.createIndex('participants', 'participants', { 
-                unique: false, 
-                multiEntry: true 
-            });
-        }
-        
-        // Metadata store
-        if (!db.objectStoreNames.contains(this.stores.metadata)) {
-            db.createObjectStore(this.stores.metadata, {
-                keyPath: 'key'
-            });
-        }
+        console.log(`Storage initialized for world: ${this.worldName}`);
     }
 
     /**
      * Save world state
      * 
-     * @param {Object} worldState - Complete world state to save
+     * NPCs, memories, relationships and stories go to their own stores;
+     * the worldState record keeps everything else. All writes are one batch.
+     * 
+     * An incremental save takes the output of the subsystems' serialize(true):
+     * only the NPCs, memories and relationships listed are written, removed
+     * NPCs and forgotten memories are deleted, and nothing else is touched.
+     * The size of what was written is kept in `lastSave`.
+     * 
+     * @param {Object} worldState - World state to save
+     * @param {Object} [options]
+     * @param {boolean} [options.incremental=false] - worldState only holds changes
      * @returns {Promise<boolean>} Success status
      */
-    async saveWorldState(worldState) {
+    async saveWorldState(worldState, options = {}) {
         await this.initialized;
         
+        if (this.unreadableSave) {
+            console.error(`Refusing to overwrite world ${this.worldName}:`, this.unreadableSave.message);
+            return false;
+        }
+        
         try {
-            const transaction = this.db.transaction(
-                [this.stores.worldState, this.stores.metadata],
-                'readwrite'
+            // Stamp every record with the format it is written in
+            const operations = (await this._worldOperations(worldState, options.incremental)).map(op =>
+                op.type === 'put' ? { ...op, value: this.migrations.stamp(op.value) } : op
             );
             
-            // Save world state
-            const worldStore = transaction.objectStore(this.stores.worldState);
-            const stateData = {
-                id: 'current',
-                ...worldState,
-                savedAt: Date.now()
-            };
-            
-            await this._promisifyRequest(worldStore.put(stateData));
-            
-            // Update metadata
-            const metaStore = transaction.objectStore(this.stores.metadata);
-            await this._promisifyRequest(metaStore.put({
-                key: 'lastSave',
-                timestamp: Date.now(),
-                version: worldState.version,
-                npcCount: worldState.npcs?.length || 0
-            }));
-            
-            // Save detailed data
-            if (worldState.npcs) {
-                await this.saveNPCs(worldState.npcs);
-            }
-            
-            if (worldState.relationships) {
-                await this.saveRelationships(worldState.relationships);
-            }
-            
-            if (worldState.narratives) {
-                await this.saveNarratives(worldState.narratives);
-            }
+            await this.adapter.batch(operations);
             
             // Clear cache
             this.cache.clear();
             
+            this.lastSave = {
+                incremental: Boolean(options.incremental),
+                timestamp: this.clock.now(),
+                ...Persistence._measure(operations)
+            };
+            
             return true;
         } catch (error) {
             console.error('Failed to save world state:', error);
@@ -206,7 +190,12 @@ export class Persistence {
     /**
      * Load world state
      * 
+     * Records from older saves are migrated to the current format, and the
+     * stores are checked for consistency according to the integrity option.
+     * 
      * @returns {Promise<Object|null>} World state or null
+     * @throws {SaveVersionError} If the save is newer than this library
+     * @throws {SaveIntegrityError} If the save is inconsistent and integrity is 'reject'
      */
     async loadWorldState() {
         await this.initialized;
@@ -216,26 +205,36 @@ export class Persistence {
         if (cached) return cached;
         
         try {
-            const transaction = this.db.transaction(
-                [this.stores.worldState],
-                'readonly'
-            );
-            const store = transaction.objectStore(this.stores.worldState);
+            const stored = await this.adapter.get(this.stores.worldState, 'current');
+            if (!stored) return null;
+            const record = this.migrations.migrate(this.stores.worldState, stored);
             
-            const result = await this._promisifyRequest(store.get('current'));
+            const report = await this.validate({
+                repair: this.integrity === 'repair' ? 'quarantine' : false
+            });
+            this._handleIntegrityReport(report, 'Saved world');
             
-            if (result) {
-                // Cache the result
-                this._setCached('worldState', result);
-                
-                // Load detailed data
-                result.npcs = await this.loadNPCs();
-                result.relationships = await this.loadRelationships();
-                result.narratives = await this.loadNarratives();
-            }
+            // Reassemble the collections saved in their own stores
+            const narratives = await this.loadNarratives();
+            const result = {
+                ...record,
+                npcs: { ...record.npcs, npcs: await this.loadNPCs() },
+                relationships: {
+                    ...record.relationships,
+                    relationships: await this.loadRelationships()
+                },
+                narratives: { ...record.narratives, completedStories: narratives.stories }
+            };
+            
+            // Cache the result
+            this._setCached('worldState', result);
             
             return result;
         } catch (error) {
+            if (error instanceof SaveVersionError || error instanceof SaveIntegrityError) {
+                this.unreadableSave = error;
+                throw error;
+            }
             console.error('Failed to load world state:', error);
             return null;
         }
@@ -248,25 +247,7 @@ export class Persistence {
      */
     async saveNPCs(npcs) {
         await this.initialized;
-        
-        const transaction = this.db.transaction([this.stores.npcs], 'readwrite');
-        const store = transaction.objectStore(this.stores.npcs);
-        
-        // Clear existing NPCs
-        await this._promisifyRequest(store.clear());
-        
-        // Save each NPC
-        for (const npc of npcs) {
-            await this._promisifyRequest(store.add(npc));
-            
-            // Save NPC memories separately for efficiency
-            if (npc.consciousness?.memories) {
-                await this.saveMemories(npc.id, npc.consciousness.memories);
-                
-                // Remove memories from NPC data to avoid duplication
-                delete npc.consciousness.memories;
-            }
-        }
+        await this.adapter.batch(this._npcOperations(npcs));
     }
 
     /**
@@ -277,10 +258,8 @@ export class Persistence {
     async loadNPCs() {
         await this.initialized;
         
-        const transaction = this.db.transaction([this.stores.npcs], 'readonly');
-        const store = transaction.objectStore(this.stores.npcs);
-        
-        const npcs = await this._promisifyRequest(store.getAll());
+        const npcs = (await this.adapter.getAll(this.stores.npcs))
+            .map(npc => this.migrations.migrate(this.stores.npcs, npc));
         
         // Load memories for each NPC
         for (const npc of npcs) {
@@ -301,41 +280,12 @@ export class Persistence {
     async saveMemories(npcId, memories) {
         await this.initialized;
         
-        const transaction = this.db.transaction([this.stores.memories], 'readwrite');
-        const store = transaction.objectStore(this.stores.memories);
-        
-        // Delete existing memories for this NPC
-        const index = store.index('ownerId');
-        const range = IDBKeyRange.only(npcId);
-        const keysRequest = index.getAllKeys(range);
-        const keys = await this._promisifyRequest(keysRequest);
-        
-        for (const key of keys) {
-            await this._promisifyRequest(store.delete(key));
-        }
-        
-        // Save new memories
-        for (const category of Object.keys(memories)) {
-            const categoryMemories = memories[category];
-            
-            if (categoryMemories instanceof Map) {
-                for (const [id, memory] of categoryMemories) {
-                    await this._promisifyRequest(store.add({
-                        ...memory,
-                        ownerId: npcId,
-                        category
-                    }));
-                }
-            } else if (Array.isArray(categoryMemories)) {
-                for (const memory of categoryMemories) {
-                    await this._promisifyRequest(store.add({
-                        ...memory,
-                        ownerId: npcId,
-                        category
-                    }));
-                }
-            }
-        }
+        // Replace whatever this NPC had before
+        const existing = await this.adapter.keys(this.stores.memories, `${npcId}/`);
+        await this.adapter.batch([
+            ...existing.map(key => ({ type: 'delete', store: this.stores.memories, key })),
+            ...this._memoryOperations(npcId, memories)
+        ]);
     }
 
     /**
@@ -347,13 +297,7 @@ export class Persistence {
     async loadMemories(npcId) {
         await this.initialized;
         
-        const transaction = this.db.transaction([this.stores.memories], 'readonly');
-        const store = transaction.objectStore(this.stores.memories);
-        const index = store.index('ownerId');
-        
-        const memories = await this._promisifyRequest(
-            index.getAll(IDBKeyRange.only(npcId))
-        );
+        const memories = await this.adapter.getAll(this.stores.memories, `${npcId}/`);
         
         // Organize by category
         const organized = {
@@ -363,7 +307,9 @@ export class Persistence {
             emotional: []
         };
         
-        for (const memory of memories) {
+        for (const record of memories) {
+            const { formatVersion, ...memory } =
+                this.migrations.migrate(this.stores.memories, record);
             const category = memory.category || 'episodic';
             if (organized[category]) {
                 organized[category].push(memory);
@@ -376,28 +322,11 @@ export class Persistence {
     /**
      * Save relationships
      * 
-     * @param {Object} relationships - Serialized relationship data
+     * @param {Object} relationships - Relationship map (sourceId -> targetId -> data)
      */
     async saveRelationships(relationships) {
         await this.initialized;
-        
-        const transaction = this.db.transaction([this.stores.relationships], 'readwrite');
-        const store = transaction.objectStore(this.stores.relationships);
-        
-        // Clear existing relationships
-        await this._promisifyRequest(store.clear());
-        
-        // Save each relationship
-        for (const [entityId, entityRels] of Object.entries(relationships)) {
-            for (const [targetId, relData] of Object.entries(entityRels)) {
-                await this._promisifyRequest(store.add({
-                    id: `${entityId}_${targetId}`,
-                    sourceId: entityId,
-                    targetId: targetId,
-                    ...relData
-                }));
-            }
-        }
+        await this.adapter.batch(this._relationshipOperations(relationships));
     }
 
     /**
@@ -408,28 +337,18 @@ export class Persistence {
     async loadRelationships() {
         await this.initialized;
         
-        const transaction = this.db.transaction([this.stores.relationships], 'readonly');
-        const store = transaction.objectStore(this.stores.relationships);
-        
-        const allRels = await this._promisifyRequest(store.getAll());
+        const allRels = await this.adapter.getAll(this.stores.relationships);
         
         // Organize by source entity
         const organized = {};
         
-        for (const rel of allRels) {
-            if (!organized[rel.sourceId]) {
-                organized[rel.sourceId] = {};
+        for (const record of allRels) {
+            const { id, sourceId, targetId, formatVersion, ...relData } =
+                this.migrations.migrate(this.stores.relationships, record);
+            if (!organized[sourceId]) {
+                organized[sourceId] = {};
             }
-            
-            organized[rel.sourceId][rel.targetId] = {
-                trust: rel.trust,
-                affection: rel.affection,
-                respect: rel.respect,
-                familiarity: rel.familiarity,
-                type: rel.type,
-                formed: rel.formed,
-                lastInteraction: rel.lastInteraction
-            };
+            organized[sourceId][targetId] = relData;
         }
         
         return organized;
@@ -438,23 +357,11 @@ export class Persistence {
     /**
      * Save narratives
      * 
-     * @param {Object} narratives - Narrative data
+     * @param {Object} narratives - Narrative data ({ stories })
      */
     async saveNarratives(narratives) {
         await this.initialized;
-        
-        const transaction = this.db.transaction([this.stores.narratives], 'readwrite');
-        const store = transaction.objectStore(this.stores.narratives);
-        
-        // Clear existing narratives
-        await this._promisifyRequest(store.clear());
-        
-        // Save narratives
-        if (narratives.stories) {
-            for (const story of narratives.stories) {
-                await this._promisifyRequest(store.add(story));
-            }
-        }
+        await this.adapter.batch(this._narrativeOperations(narratives.stories || []));
     }
 
     /**
@@ -465,10 +372,8 @@ export class Persistence {
     async loadNarratives() {
         await this.initialized;
         
-        const transaction = this.db.transaction([this.stores.narratives], 'readonly');
-        const store = transaction.objectStore(this.stores.narratives);
-        
-        const stories = await this._promisifyRequest(store.getAll());
+        const stories = (await this.adapter.getAll(this.stores.narratives))
+            .map(story => this.migrations.migrate(this.stores.narratives, story));
         
         return {
             stories,
@@ -484,26 +389,26 @@ export class Persistence {
     async getStorageStats() {
         await this.initialized;
         
+        const compressed = this.adapter instanceof CompressedAdapter;
         const stats = {
+            adapter: (compressed ? this.adapter.adapter : this.adapter).constructor.name,
+            compression: compressed ? { ...this.adapter.stats } : null,
+            lastSave: this.lastSave,
             stores: {}
         };
         
         // Get count for each store
         for (const [name, storeName] of Object.entries(this.stores)) {
             try {
-                const transaction = this.db.transaction([storeName], 'readonly');
-                const store = transaction.objectStore(storeName);
-                const count = await this._promisifyRequest(store.count());
-                
-                stats.stores[name] = { count };
+                stats.stores[name] = { count: await this.adapter.count(storeName) };
             } catch (error) {
                 stats.stores[name] = { count: 0, error: error.message };
             }
         }
         
         // Estimate storage usage
-        if ('storage' in navigator && 'estimate' in navigator.storage) {
-            const estimate = await navigator.storage.estimate();
+        const estimate = await this.adapter.estimate();
+        if (estimate) {
             stats.usage = estimate.usage;
             stats.quota = estimate.quota;
             stats.percentUsed = (estimate.usage / estimate.quota) * 100;
@@ -512,6 +417,136 @@ export class Persistence {
         return stats;
     }
 
+    /**
+     * Compare storage usage with the quota
+     * 
+     * @returns {Promise<Object|null>} { usage, quota, ratio, pressure }, or null
+     *                                 when the backend cannot tell
+     */
+    async checkQuota() {
+        await this.initialized;
+        
+        const estimate = await this.adapter.estimate();
+        if (!estimate) return null;
+        
+        const quota = this.quota.budget || estimate.quota;
+        const ratio = quota > 0 && quota !== Infinity ? estimate.usage / quota : 0;
+        
+        return {
+            usage: estimate.usage,
+            quota,
+            ratio,
+            pressure: ratio >= this.quota.threshold
+        };
+    }
+
+    /**
+     * Free space by archiving and pruning the saved world
+     * 
+     * Unconsolidated memories below `archiveImportance` move from the
+     * memories store into one compressed archive record per NPC, and all but
+     * the newest `keepStories` completed stories are deleted. The live world
+     * should drop the same memories and stories, or the next save writes
+     * them back.
+     * 
+     * @returns {Promise<Object>} { archived: { npcId: [memoryId] }, archivedCount, prunedStories }
+     */
+    async relieveStoragePressure() {
+        await this.initialized;
+        
+        const operations = [];
+        const archived = {};
+        let archivedCount = 0;
+        
+        const keys = await this.adapter.keys(this.stores.memories);
+        const memories = await this.adapter.getAll(this.stores.memories);
+        const batches = new Map();
+        
+        keys.forEach((key, index) => {
+            const memory = memories[index];
+            if (!memory || memory.consolidated ||
+                (memory.importance || 0) >= this.quota.archiveImportance) return;
+            
+            const npcId = key.slice(0, key.indexOf('/'));
+            if (!batches.has(npcId)) batches.set(npcId, []);
+            batches.get(npcId).push(memory);
+            operations.push({ type: 'delete', store: this.stores.memories, key });
+        });
+        
+        const archivedAt = this.clock.now();
+        for (const [npcId, batch] of batches) {
+            archived[npcId] = batch.map(memory => memory.id);
+            archivedCount += batch.length;
+            operations.push({
+                type: 'put',
+                store: this.stores.archive,
+                key: Persistence._archiveKey(npcId, archivedAt),
+                value: this.migrations.stamp({ npcId, archivedAt, memories: batch })
+            });
+        }
+        
+        const stories = await this.adapter.keys(this.stores.narratives);
+        const pruned = stories.slice(0, Math.max(0, stories.length - this.quota.keepStories));
+        for (const key of pruned) {
+            operations.push({ type: 'delete', store: this.stores.narratives, key });
+        }
+        
+        if (operations.length > 0) {
+            await this.adapter.batch(operations);
+            this.cache.clear();
+        }
+        
+        return { archived, archivedCount, prunedStories: pruned.length };
+    }
+
+    /**
+     * Read memories archived under storage pressure
+     * 
+     * @param {string} npcId - NPC ID
+     * @returns {Promise<Array>} Archived memories, oldest archive first
+     */
+    async loadArchivedMemories(npcId) {
+        await this.initialized;
+        
+        const batches = await this.adapter.getAll(this.stores.archive, `${npcId}/`);
+        return batches.flatMap(batch => this.migrations.migrate(this.stores.archive, batch).memories);
+    }
+
+    /**
+     * Write changes to the interaction journal (see InteractionJournal)
+     *
+     * @param {Object} changes
+     * @param {Array<Object>} [changes.added] - Entries ({ origin, seq, ... }) to add
+     * @param {Array<Object>} [changes.removed] - Entries to drop
+     * @param {Object} changes.state - Journal bookkeeping ({ origin, vector })
+     */
+    async saveJournal({ added = [], removed = [], state }) {
+        await this.initialized;
+
+        const key = (entry) => `entry/${entry.origin}/${String(entry.seq).padStart(10, '0')}`;
+        await this.adapter.batch([
+            ...removed.map(entry => ({ type: 'delete', store: this.stores.journal, key: key(entry) })),
+            ...added.map(entry => ({ type: 'put', store: this.stores.journal, key: key(entry), value: this.migrations.stamp({ ...entry }) })),
+            { type: 'put', store: this.stores.journal, key: 'state', value: this.migrations.stamp({ ...state }) }
+        ]);
+    }
+
+    /**
+     * Read the interaction journal
+     *
+     * @returns {Promise<Object>} { state, entries }; state is null if nothing was journaled
+     */
+    async loadJournal() {
+        await this.initialized;
+
+        const state = await this.adapter.get(this.stores.journal, 'state');
+        const entries = await this.adapter.getAll(this.stores.journal, 'entry/');
+        return {
+            state: state ? this.migrations.migrate(this.stores.journal, state) : null,
+            entries: entries.map(entry => this.migrations.migrate(this.stores.journal, entry))
+        };
+    }
+
     /**
      * Clear all data
      * 
@@ -521,17 +556,10 @@ export class Persistence {
         await this.initialized;
         
         try {
-            const transaction = this.db.transaction(
-                Object.values(this.stores),
-                'readwrite'
-            );
-            
-            for (const storeName of Object.values(this.stores)) {
-                const store = transaction.objectStore(storeName);
-                await this._promisifyRequest(store.clear());
-            }
+            await this.adapter.batch(this._clearOperations(true));
             
             this.cache.clear();
+            this.unreadableSave = null;
             
             console.log('All data cleared');
             return true;
@@ -549,34 +577,109 @@ export class Persistence {
     async exportData() {
         await this.initialized;
         
-        const worldState = await this.loadWorldState();
+        const { integrity, ...snapshot } = await this._snapshot();
         const stats = await this.getStorageStats();
         
-        return {
-            version: this.version,
-            worldName: this.worldName,
-            exportedAt: Date.now(),
-            worldState,
-            stats
-        };
+        return this._seal({ ...snapshot, stats });
     }
 
     /**
      * Import data
      * 
+     * Exports from older versions are migrated record by record and checked
+     * (checksum, then consistency) before anything is written, so a rejected
+     * import leaves the world intact.
+     * 
      * @param {Object} data - Data to import
      * @returns {Promise<boolean>} Success status
+     * @throws {SaveVersionError} If the export is newer than this library
+     * @throws {SaveIntegrityError} If the checksum fails, or the data is
+     *                              inconsistent and integrity is 'reject'
      */
     async importData(data) {
         if (!data || !data.worldState) {
             throw new Error('Invalid import data');
         }
         
-        // Clear existing data
-        await this.clearAll();
+        await this.initialized;
+        await this.checksum.verify(data);
+        
+        // Records without their own stamp share the export's version
+        const fallback = this.migrations.versionOf(data.worldState, this.migrations.versionOf(data));
+        let operations = [
+            ...await this._worldOperations(data.worldState),
+            ...this._archiveOperations(data.archive)
+        ].map(op =>
+            op.type === 'put' ? { ...op, value: this.migrations.migrate(op.store, op.value, fallback) } : op
+        );
+        
+        // Check the imported records as they will sit in storage
+        const records = {};
+        for (const op of operations) {
+            if (op.type !== 'put') continue;
+            if (!records[op.store]) records[op.store] = [];
+            records[op.store].push({ key: op.key, value: op.value });
+        }
+        const report = this.validator.validate(records);
+        this._handleIntegrityReport(report, 'Imported world');
+        
+        if (this.integrity === 'repair') {
+            const repairs = this._repairOperations(report, records, 'quarantine');
+            const removed = new Set(report.repaired.map(({ store, key }) => `${store}/${key}`));
+            operations = [
+                ...operations.filter(op => op.type !== 'put' || !removed.has(`${op.store}/${op.key}`)),
+                ...repairs.filter(op => op.type === 'put')
+            ];
+        }
         
-        // Import world state
-        return await this.saveWorldState(data.worldState);
+        try {
+            // Replace existing data and import in one batch
+            await this.adapter.batch([...this._clearOperations(), ...operations]);
+            
+            this.cache.clear();
+            this.unreadableSave = null;
+            
+            return true;
+        } catch (error) {
+            console.error('Failed to import data:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Check referential integrity across the npcs, memories, relationships
+     * and narratives stores
+     * 
+     * With repair, records with errors are removed: 'quarantine' moves them to
+     * the quarantine store (key "<store>/<key>"), 'drop' deletes them.
+     * 
+     * @param {Object} [options]
+     * @param {string|boolean} [options.repair=false] - false, 'quarantine' or 'drop'
+     * @returns {Promise<Object>} Report: { valid, checked, issues, repaired }
+     */
+    async validate(options = {}) {
+        await this.initialized;
+        
+        const records = {};
+        for (const store of ['npcs', 'memories', 'relationships', 'narratives']) {
+            const keys = await this.adapter.keys(this.stores[store]);
+            const values = await this.adapter.getAll(this.stores[store]);
+            records[store] = keys.map((key, index) => ({ key, value: values[index] }));
+        }
+        
+        const report = this.validator.validate(records);
+        
+        if (options.repair) {
+            const operations = this._repairOperations(report, records, options.repair);
+            if (operations.length > 0) {
+                await this.adapter.batch(operations);
+                this.cache.clear();
+            }
+        } else {
+            report.repaired = [];
+        }
+        
+        return report;
     }
 
     /**
@@ -586,10 +689,9 @@ export class Persistence {
      */
     async createBackup() {
         const backup = await this.exportData();
-        const backupId = `backup_${Date.now()}`;
+        const backupId = `backup_${this.clock.now()}_${this.rng.uid()}`;
         
-        // Store backup in a separate store or localStorage
-        localStorage.setItem(`AdaptiveNPCWeb_${backupId}`, JSON.stringify(backup));
+        await this.adapter.put(this.stores.backups, backupId, backup);
         
         return backupId;
     }
@@ -601,16 +703,731 @@ export class Persistence {
      * @returns {Promise<boolean>} Success status
      */
     async restoreBackup(backupId) {
-        const backupData = localStorage.getItem(`AdaptiveNPCWeb_${backupId}`);
+        await this.initialized;
+        
+        const backup = await this.adapter.get(this.stores.backups, backupId);
         
-        if (!backupData) {
+        if (!backup) {
             throw new Error('Backup not found');
         }
         
-        const backup = JSON.parse(backupData);
         return await this.importData(backup);
     }
 
+    /**
+     * List save slots, most recently saved first
+     * 
+     * @returns {Promise<Array<Object>>} Slot metadata ({ name, createdAt, savedAt,
+     *          npcCount, playTime, summary, thumbnail, parent })
+     */
+    async listSlots() {
+        await this.initialized;
+        
+        const slots = await this.adapter.getAll(this.stores.slots, 'meta/');
+        return slots
+            .map(slot => this.migrations.migrate(this.stores.slots, slot))
+            .sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * Snapshot the saved world into a slot, replacing what the slot held
+     * 
+     * @param {string} name - Slot name
+     * @param {Object} [info] - Details shown when listing slots
+     * @param {string} [info.summary] - Short description (defaults to world counts)
+     * @param {string} [info.thumbnail] - Image for save menus, e.g. a data URL
+     * @param {number} [info.playTime] - Play time in ms
+     * @returns {Promise<Object>} Slot metadata
+     */
+    async saveSlot(name, info = {}) {
+        await this.initialized;
+        
+        const snapshot = await this._snapshot();
+        if (!snapshot.worldState) {
+            throw new Error(`World ${this.worldName} has no saved state to put in a slot`);
+        }
+        
+        return this._writeSlot(name, snapshot, info);
+    }
+
+    /**
+     * Replace the saved world with a slot's snapshot
+     * 
+     * @param {string} name - Slot name
+     * @returns {Promise<boolean>} Success status
+     */
+    async loadSlot(name) {
+        await this.initialized;
+        
+        const snapshot = await this._readSlotData(name);
+        return await this.importData(snapshot);
+    }
+
+    /**
+     * Copy a slot to a new slot
+     * 
+     * @param {string} source - Slot to copy
+     * @param {string} target - New slot name
+     * @param {Object} [info] - Details to change on the copy
+     * @returns {Promise<Object>} Metadata of the new slot
+     */
+    async copySlot(source, target, info = {}) {
+        await this.initialized;
+        
+        const meta = await this._readSlotMeta(source);
+        const snapshot = await this._readSlotData(source);
+        await this._assertSlotFree(target);
+        
+        const { name, createdAt, savedAt, npcCount, formatVersion, ...details } = meta;
+        return this._writeSlot(target, snapshot, { ...details, ...info });
+    }
+
+    /**
+     * Branch a new timeline from a slot
+     * 
+     * Like copySlot(), but the new slot records the source as its parent so
+     * save menus can show where a "what if" world split off.
+     * 
+     * @param {string} source - Slot to branch from
+     * @param {string} target - New slot name
+     * @param {Object} [info] - Details for the branch
+     * @returns {Promise<Object>} Metadata of the new slot
+     */
+    async branchSlot(source, target, info = {}) {
+        return this.copySlot(source, target, { ...info, parent: source });
+    }
+
+    /**
+     * Delete a slot
+     * 
+     * @param {string} name - Slot name
+     * @returns {Promise<boolean>} True if the slot existed
+     */
+    async deleteSlot(name) {
+        await this.initialized;
+        
+        const meta = await this.adapter.get(this.stores.slots, `meta/${name}`);
+        if (!meta) return false;
+        
+        await this.adapter.batch([
+            { type: 'delete', store: this.stores.slots, key: `meta/${name}` },
+            { type: 'delete', store: this.stores.slots, key: `data/${name}` }
+        ]);
+        
+        return true;
+    }
+
+    /**
+     * Export NPCs, or the whole world, as a portable package
+     * 
+     * A package carries each NPC with its memories and every relationship
+     * that involves it; see world-package.js for the format. Without npcIds
+     * the whole world is exported, including the world record and stories.
+     * 
+     * @param {Object} [options]
+     * @param {string[]} [options.npcIds] - NPCs to export (default: whole world)
+     * @returns {Promise<Object>} Sealed package
+     */
+    async exportPackage(options = {}) {
+        await this.initialized;
+        
+        const npcIds = options.npcIds;
+        const scope = !npcIds ? 'world' : (npcIds.length === 1 ? 'npc' : 'npcs');
+        const strip = ({ formatVersion, ...record }) => record;
+        const migrateAll = (store, records) =>
+            records.map(record => strip(this.migrations.migrate(store, record)));
+        
+        let npcs = migrateAll(this.stores.npcs, await this.adapter.getAll(this.stores.npcs));
+        if (npcIds) {
+            const found = new Set(npcs.map(npc => npc.id));
+            const missing = npcIds.filter(id => !found.has(id));
+            if (missing.length > 0) {
+                throw new Error(`NPC not found: ${missing.join(', ')}`);
+            }
+            npcs = npcs.filter(npc => npcIds.includes(npc.id));
+        }
+        const included = new Set(npcs.map(npc => npc.id));
+        
+        const memories = [];
+        for (const npc of npcs) {
+            memories.push(...migrateAll(this.stores.memories,
+                await this.adapter.getAll(this.stores.memories, `${npc.id}/`)));
+        }
+        
+        const relationships = migrateAll(this.stores.relationships,
+            await this.adapter.getAll(this.stores.relationships))
+            .filter(rel => included.has(rel.sourceId) || included.has(rel.targetId));
+        
+        const pkg = {
+            format: PACKAGE_FORMAT,
+            packageVersion: PACKAGE_VERSION,
+            formatVersion: this.migrations.currentVersion,
+            scope,
+            source: { worldName: this.worldName, exportedAt: this.clock.now() },
+            npcs,
+            memories,
+            relationships
+        };
+        
+        if (scope === 'world') {
+            const world = await this.adapter.get(this.stores.worldState, 'current');
+            if (world) {
+                const { id, savedAt, ...record } = strip(this.migrations.migrate(this.stores.worldState, world));
+                pkg.world = record;
+            }
+            pkg.narratives = migrateAll(this.stores.narratives, await this.adapter.getAll(this.stores.narratives));
+        }
+        
+        return this._seal(pkg);
+    }
+
+    /**
+     * Merge a package into this world's saved state
+     * 
+     * Packaged ids can be renamed with idMap. An NPC whose (renamed) id is
+     * already saved here is handled by the conflict strategy: 'skip' keeps
+     * the existing NPC, 'overwrite' replaces it with its memories and its own
+     * relationships, 'duplicate' imports it under a fresh id. Relationships
+     * to NPCs that exist in neither the package nor this world are dropped.
+     * A world package's stories are appended; its world record is only used
+     * when this world has never been saved.
+     * 
+     * @param {Object} pkg - Package from exportPackage()
+     * @param {Object} [options]
+     * @param {string} [options.conflict='skip'] - 'skip', 'overwrite' or 'duplicate'
+     * @param {Object<string, string>} [options.idMap] - Packaged id -> id in this world
+     * @param {Function} [options.idFactory] - npc => fresh NPC id, for duplicates
+     * @returns {Promise<Object>} Report: { scope, imported: [{ from, to, name, action }],
+     *          skipped, memories, relationships, droppedRelationships, stories }
+     * @throws {SaveIntegrityError} If the package checksum fails
+     */
+    async importPackage(pkg, options = {}) {
+        assertPackage(pkg);
+        
+        const conflict = options.conflict || 'skip';
+        if (!CONFLICT_STRATEGIES.includes(conflict)) {
+            throw new Error(`Unknown conflict strategy: ${conflict}`);
+        }
+        const idFactory = options.idFactory ||
+            (() => `npc_${this.clock.now()}_${this.rng.uid()}`);
+        
+        await this.initialized;
+        if (this.unreadableSave) {
+            throw this.unreadableSave;
+        }
+        await this.checksum.verify(pkg);
+        
+        const fallback = this.migrations.versionOf(pkg);
+        const migrateAll = (store, records) =>
+            (records || []).map(record => this.migrations.migrate(store, record, fallback));
+        
+        const existing = new Set(await this.adapter.keys(this.stores.npcs));
+        const idMap = new Map(Object.entries(options.idMap || {}));
+        const report = {
+            scope: pkg.scope,
+            imported: [],
+            skipped: [],
+            memories: 0,
+            relationships: 0,
+            droppedRelationships: 0,
+            stories: 0
+        };
+        
+        // Decide where each packaged NPC goes
+        const skipped = new Set();
+        const overwritten = new Set();
+        for (const npc of pkg.npcs) {
+            let target = idMap.has(npc.id) ? idMap.get(npc.id) : npc.id;
+            let action = 'created';
+            
+            if (existing.has(target)) {
+                if (conflict === 'skip') {
+                    skipped.add(npc.id);
+                    report.skipped.push({ from: npc.id, to: target, name: npc.name });
+                    continue;
+                }
+                if (conflict === 'overwrite') {
+                    overwritten.add(target);
+                    action = 'overwritten';
+                } else {
+                    do {
+                        target = idFactory(npc);
+                    } while (existing.has(target));
+                    action = 'duplicated';
+                }
+            }
+            
+            existing.add(target);
+            if (target !== npc.id) idMap.set(npc.id, target);
+            report.imported.push({ from: npc.id, to: target, name: npc.name, action });
+        }
+        
+        const remap = (record) => remapIds(record, idMap);
+        const operations = [];
+        
+        for (const target of overwritten) {
+            for (const key of await this.adapter.keys(this.stores.memories, `${target}/`)) {
+                operations.push({ type: 'delete', store: this.stores.memories, key });
+            }
+            for (const key of await this.adapter.keys(this.stores.relationships, `${target}/`)) {
+                operations.push({ type: 'delete', store: this.stores.relationships, key });
+            }
+        }
+        
+        for (const npc of migrateAll(this.stores.npcs, pkg.npcs)) {
+            if (skipped.has(npc.id)) continue;
+            const record = remap(npc);
+            operations.push({ type: 'put', store: this.stores.npcs, key: record.id, value: record });
+        }
+        
+        for (const memory of migrateAll(this.stores.memories, pkg.memories)) {
+            if (skipped.has(memory.ownerId)) continue;
+            const record = remap(memory);
+            operations.push({ type: 'put', store: this.stores.memories, key: `${record.ownerId}/${record.id}`, value: record });
+            report.memories++;
+        }
+        
+        for (const rel of migrateAll(this.stores.relationships, pkg.relationships)) {
+            // A skipped NPC's own view stays as it is here
+            if (skipped.has(rel.sourceId)) continue;
+            const record = remap(rel);
+            if (!existing.has(record.sourceId) || !existing.has(record.targetId)) {
+                report.droppedRelationships++;
+                continue;
+            }
+            const id = `${record.sourceId}/${record.targetId}`;
+            operations.push({ type: 'put', store: this.stores.relationships, key: id, value: { ...record, id } });
+            report.relationships++;
+        }
+        
+        if (pkg.narratives && pkg.narratives.length > 0) {
+            const keys = await this.adapter.keys(this.stores.narratives);
+            const next = keys.length > 0 ? parseInt(keys[keys.length - 1], 10) + 1 : 0;
+            migrateAll(this.stores.narratives, pkg.narratives).forEach((story, index) => {
+                operations.push({
+                    type: 'put',
+                    store: this.stores.narratives,
+                    key: String(next + index).padStart(8, '0'),
+                    value: remap(story)
+                });
+            });
+            report.stories = pkg.narratives.length;
+        }
+        
+        // A world that was never saved needs a world record to load the NPCs from
+        if (!await this.adapter.get(this.stores.worldState, 'current')) {
+            const world = pkg.world ?
+                remap(this.migrations.migrate(this.stores.worldState, pkg.world, fallback)) :
+                { npcs: {}, relationships: {}, narratives: {} };
+            operations.push({
+                type: 'put',
+                store: this.stores.worldState,
+                key: 'current',
+                value: { ...world, id: 'current', savedAt: this.clock.now() }
+            });
+        }
+        
+        await this.adapter.batch(operations.map(op =>
+            op.type === 'put' ? { ...op, value: this.migrations.stamp(op.value) } : op
+        ));
+        this.cache.clear();
+        
+        return report;
+    }
+
+    /**
+     * Put the compression layer in front of a backend unless disabled
+     * @private
+     */
+    _wrapAdapter(adapter) {
+        if (this.compression === false) {
+            return adapter;
+        }
+        return new CompressedAdapter(adapter, this.compression === true ? {} : this.compression);
+    }
+
+    /**
+     * Sealed export envelope around the saved world state
+     * @private
+     */
+    async _snapshot() {
+        return this._seal({
+            version: this.version,
+            formatVersion: this.migrations.currentVersion,
+            worldName: this.worldName,
+            exportedAt: this.clock.now(),
+            worldState: await this.loadWorldState(),
+            archive: await this.adapter.getAll(this.stores.archive)
+        });
+    }
+
+    /**
+     * Build operations replacing the archive with an export's
+     * (exports from before archives were included leave it as is)
+     * @private
+     */
+    _archiveOperations(batches) {
+        if (!Array.isArray(batches)) return [];
+        
+        return [
+            { type: 'clear', store: this.stores.archive },
+            ...batches.map(batch => ({
+                type: 'put',
+                store: this.stores.archive,
+                key: Persistence._archiveKey(batch.npcId, batch.archivedAt),
+                value: batch
+            }))
+        ];
+    }
+
+    /**
+     * Archive key: NPC id and zero-padded time, so batches list oldest first
+     * @private
+     */
+    static _archiveKey(npcId, archivedAt) {
+        return `${npcId}/${String(archivedAt).padStart(15, '0')}`;
+    }
+
+    /**
+     * Add the integrity block (checksum or HMAC) to an export
+     * @private
+     */
+    async _seal(data) {
+        const integrity = await this.checksum.sign(data);
+        return integrity ? { ...data, integrity } : data;
+    }
+
+    /**
+     * Log or reject according to the integrity option
+     * @private
+     */
+    _handleIntegrityReport(report, subject) {
+        const errors = report.issues.filter(entry => entry.severity === 'error');
+        if (errors.length === 0) return;
+        
+        if (this.integrity === 'reject') {
+            throw new SaveIntegrityError(
+                `${subject} has ${errors.length} integrity error(s): ${errors[0].message}`, report);
+        }
+        
+        console.warn(`${subject} ${this.worldName} has ${errors.length} integrity error(s)` +
+            (this.integrity === 'repair' ? ', quarantining affected records' : ''), errors);
+    }
+
+    /**
+     * Build operations removing records with errors; fills report.repaired
+     * @private
+     */
+    _repairOperations(report, records, mode) {
+        const operations = [];
+        const seen = new Set();
+        report.repaired = [];
+        
+        for (const { severity, store, key, problem, message } of report.issues) {
+            // A record with several errors is removed once
+            if (severity !== 'error' || seen.has(`${store}/${key}`)) continue;
+            seen.add(`${store}/${key}`);
+            
+            const action = mode === 'drop' ? 'dropped' : 'quarantined';
+            report.repaired.push({ store, key, action });
+            operations.push({ type: 'delete', store: this.stores[store], key });
+            
+            if (action === 'quarantined') {
+                const record = records[store].find(entry => entry.key === key);
+                operations.push({
+                    type: 'put',
+                    store: this.stores.quarantine,
+                    key: `${store}/${key}`,
+                    value: { store, key, value: record.value, problem, message, quarantinedAt: this.clock.now() }
+                });
+            }
+        }
+        
+        return operations;
+    }
+
+    /**
+     * Write a slot's metadata and snapshot, enforcing the slot limit
+     * @private
+     */
+    async _writeSlot(name, snapshot, info) {
+        if (typeof name !== 'string' || !name) {
+            throw new Error('Save slot name must be a non-empty string');
+        }
+        
+        const existing = await this.adapter.get(this.stores.slots, `meta/${name}`);
+        if (!existing && await this.adapter.count(this.stores.slots, 'meta/') >= this.maxSlots) {
+            throw new Error(`Save slot limit (${this.maxSlots}) reached; delete a slot first`);
+        }
+        
+        const worldState = snapshot.worldState;
+        const now = this.clock.now();
+        const meta = this.migrations.stamp({
+            name,
+            createdAt: existing ? existing.createdAt : now,
+            savedAt: now,
+            npcCount: worldState.npcs && worldState.npcs.npcs ? worldState.npcs.npcs.length : 0,
+            playTime: info.playTime !== undefined ? info.playTime : (worldState.playTime || 0),
+            summary: info.summary !== undefined ? info.summary : Persistence._summarize(worldState),
+            thumbnail: info.thumbnail || null,
+            parent: info.parent !== undefined ? info.parent : (existing ? existing.parent : null)
+        });
+        
+        await this.adapter.batch([
+            { type: 'put', store: this.stores.slots, key: `meta/${name}`, value: meta },
+            { type: 'put', store: this.stores.slots, key: `data/${name}`, value: snapshot }
+        ]);
+        
+        return meta;
+    }
+
+    /**
+     * Read a slot's metadata
+     * @private
+     */
+    async _readSlotMeta(name) {
+        const meta = await this.adapter.get(this.stores.slots, `meta/${name}`);
+        if (!meta) {
+            throw new Error(`Save slot not found: ${name}`);
+        }
+        return this.migrations.migrate(this.stores.slots, meta);
+    }
+
+    /**
+     * Read a slot's snapshot
+     * @private
+     */
+    async _readSlotData(name) {
+        const snapshot = await this.adapter.get(this.stores.slots, `data/${name}`);
+        if (!snapshot) {
+            throw new Error(`Save slot not found: ${name}`);
+        }
+        return snapshot;
+    }
+
+    /**
+     * Fail if a slot name is taken
+     * @private
+     */
+    async _assertSlotFree(name) {
+        if (await this.adapter.get(this.stores.slots, `meta/${name}`)) {
+            throw new Error(`Save slot already exists: ${name}`);
+        }
+    }
+
+    /**
+     * Default slot summary from world counts
+     * @private
+     */
+    static _summarize(worldState) {
+        const stats = worldState.statistics || {};
+        const stories = worldState.narratives && worldState.narratives.completedStories ?
+            worldState.narratives.completedStories.length : 0;
+        
+        return `${stats.npcCount || 0} NPCs, ${stats.relationshipCount || 0} relationships, ` +
+               `${stories} stories`;
+    }
+
+    /**
+     * Build the operations writing a world state
+     * 
+     * NPCs, memories, relationships and stories go to their own stores;
+     * the worldState record keeps everything else.
+     * @private
+     */
+    async _worldOperations(worldState, incremental = false) {
+        const { npcs, relationships, narratives, ...world } = worldState;
+        const { npcs: npcList = [], removed = [], ...npcMeta } = npcs || {};
+        const { relationships: relationshipMap = {}, ...relationshipMeta } = relationships || {};
+        // Stories are left out of incremental saves when they have not changed
+        const { completedStories, ...narrativeMeta } = narratives || {};
+        
+        return [
+            {
+                type: 'put',
+                store: this.stores.worldState,
+                key: 'current',
+                value: {
+                    ...world,
+                    id: 'current',
+                    npcs: npcMeta,
+                    relationships: relationshipMeta,
+                    narratives: narrativeMeta,
+                    savedAt: this.clock.now()
+                }
+            },
+            {
+                type: 'put',
+                store: this.stores.metadata,
+                key: 'lastSave',
+                value: {
+                    key: 'lastSave',
+                    timestamp: this.clock.now(),
+                    version: worldState.version,
+                    npcCount: npcMeta.metadata ? npcMeta.metadata.count : npcList.length
+                }
+            },
+            ...await this._removedNPCOperations(removed),
+            ...this._npcOperations(npcList, incremental),
+            ...this._relationshipOperations(relationshipMap, incremental),
+            ...(completedStories ? this._narrativeOperations(completedStories) : [])
+        ];
+    }
+
+    /**
+     * Build operations deleting removed NPCs and their memories
+     * @private
+     */
+    async _removedNPCOperations(npcIds) {
+        const operations = [];
+        
+        for (const npcId of npcIds) {
+            operations.push({ type: 'delete', store: this.stores.npcs, key: npcId });
+            for (const key of await this.adapter.keys(this.stores.memories, `${npcId}/`)) {
+                operations.push({ type: 'delete', store: this.stores.memories, key });
+            }
+        }
+        
+        return operations;
+    }
+
+    /**
+     * Build operations clearing the live world
+     * 
+     * Backups and slots are always kept. Loads and restores also keep the
+     * quarantine, which holds the only copy of repaired records, the
+     * archive, which imports replace only when they carry one, and the
+     * journal, which records what this peer has exchanged with the mesh
+     * rather than the state of any one save.
+     * 
+     * @param {boolean} [all=false] - Clear the stores loads keep as well (clearAll)
+     * @private
+     */
+    _clearOperations(all = false) {
+        const kept = [this.stores.backups, this.stores.slots];
+        if (!all) {
+            kept.push(this.stores.quarantine, this.stores.archive, this.stores.journal);
+        }
+        
+        return Object.values(this.stores)
+            .filter(store => !kept.includes(store))
+            .map(store => ({ type: 'clear', store }));
+    }
+
+    /**
+     * Build operations writing NPCs and their memories
+     * (replacing all of them unless incremental)
+     * @private
+     */
+    _npcOperations(npcs, incremental = false) {
+        const operations = incremental ? [] : [
+            { type: 'clear', store: this.stores.npcs },
+            { type: 'clear', store: this.stores.memories }
+        ];
+        
+        for (let npc of npcs) {
+            // Memories live in their own store to keep NPC records small
+            if (npc.consciousness?.memories) {
+                const { memories, forgottenMemories = [], ...consciousness } = npc.consciousness;
+                operations.push(...this._memoryOperations(npc.id, memories));
+                for (const memoryId of forgottenMemories) {
+                    operations.push({ type: 'delete', store: this.stores.memories, key: `${npc.id}/${memoryId}` });
+                }
+                npc = { ...npc, consciousness };
+            }
+            
+            operations.push({ type: 'put', store: this.stores.npcs, key: npc.id, value: npc });
+        }
+        
+        return operations;
+    }
+
+    /**
+     * Build operations writing one NPC's memories
+     * @private
+     */
+    _memoryOperations(npcId, memories) {
+        const operations = [];
+        
+        for (const category of Object.keys(memories)) {
+            const categoryMemories = memories[category];
+            const list = categoryMemories instanceof Map ?
+                Array.from(categoryMemories.values()) :
+                (Array.isArray(categoryMemories) ? categoryMemories : []);
+            
+            for (const memory of list) {
+                operations.push({
+                    type: 'put',
+                    store: this.stores.memories,
+                    key: `${npcId}/${memory.id}`,
+                    value: { ...memory, ownerId: npcId, category }
+                });
+            }
+        }
+        
+        return operations;
+    }
+
+    /**
+     * Build operations writing relationships (replacing all of them unless incremental)
+     * @private
+     */
+    _relationshipOperations(relationships, incremental = false) {
+        const operations = incremental ? [] : [{ type: 'clear', store: this.stores.relationships }];
+        
+        for (const [entityId, entityRels] of Object.entries(relationships)) {
+            for (const [targetId, relData] of Object.entries(entityRels)) {
+                const id = `${entityId}/${targetId}`;
+                operations.push({
+                    type: 'put',
+                    store: this.stores.relationships,
+                    key: id,
+                    value: { id, sourceId: entityId, targetId, ...relData }
+                });
+            }
+        }
+        
+        return operations;
+    }
+
+    /**
+     * Build operations replacing all stories
+     * @private
+     */
+    _narrativeOperations(stories) {
+        // Zero-padded index keys keep stories in their original order
+        return [
+            { type: 'clear', store: this.stores.narratives },
+            ...stories.map((story, index) => ({
+                type: 'put',
+                store: this.stores.narratives,
+                key: String(index).padStart(8, '0'),
+                value: story
+            }))
+        ];
+    }
+
+    /**
+     * Count the writes and bytes in a batch
+     * @private
+     */
+    static _measure(operations) {
+        let puts = 0;
+        let deletes = 0;
+        let bytes = 0;
+        
+        for (const op of operations) {
+            if (op.type === 'put') {
+                puts++;
+                bytes += JSON.stringify(op.value).length;
+            } else if (op.type === 'delete') {
+                deletes++;
+            }
+        }
+        
+        return { puts, deletes, bytes };
+    }
+
     /**
      * Get cached data
      * @private
@@ -618,7 +1435,7 @@ export class Persistence {
     _getCached(key) {
         const cached = this.cache.get(key);
         
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+        if (cached && this.clock.monotonic() - cached.timestamp < this.cacheTimeout) {
             return cached.data;
         }
         
@@ -632,29 +1449,15 @@ export class Persistence {
     _setCached(key, data) {
         this.cache.set(key, {
             data,
-            timestamp: Date.now()
+            timestamp: this.clock.monotonic()
         });
     }
 
     /**
-     * Promisify IndexedDB request
-     * @private
-     */
-    _promisifyRequest(request) {
-        return new Promise((resolve, reject) => {
-            request.onsuccess = () => resolve(request.result);
-            request.onerror = () => reject(request.error);
-        });
-    }
-
-    /**
-     * Close database connection
+     * Close the storage backend
      */
     close() {
-        if (this.db) {
-            this.db.close();
-            this.db = null;
-        }
+        this.adapter.close();
         this.cache.clear();
     }
 }
@@ -0,0 +1,154 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * RandomSource - Seedable, serializable randomness for AdaptiveNPCWeb
+ *
+ * Hands out one independent PRNG stream per subsystem so that the same
+ * seed and the same inputs always produce the same sequence of draws,
+ * regardless of how many draws other subsystems make.
+ *
+ * @class RandomSource
+ */
+export class RandomSource {
+    /**
+     * @param {number|string} [seed] - World seed (random when omitted)
+     */
+    constructor(seed) {
+        this.seeded = seed !== undefined && seed !== null;
+        this.seed = this.seeded ? seed : Math.floor(Math.random() * 0x100000000);
+
+        // Named PRNG streams, created lazily
+        this.streams = new Map();
+    }
+
+    /**
+     * Get the PRNG stream for a subsystem
+     *
+     * @param {string} name - Subsystem name (e.g. 'npcs', 'narrative')
+     * @returns {SeededRandom} The subsystem's stream
+     */
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new SeededRandom(`${this.seed}:${name}`));
+        }
+        return this.streams.get(name);
+    }
+
+    /**
+     * Serialize the seed and every stream position
+     */
+    serialize() {
+        const streams = {};
+        for (const [name, stream] of this.streams) {
+            streams[name] = stream.state;
+        }
+
+        return {
+            seed: this.seed,
+            seeded: this.seeded,
+            streams
+        };
+    }
+
+    /**
+     * Restore the seed and stream positions
+     */
+    deserialize(data) {
+        this.seed = data.seed;
+        this.seeded = data.seeded !== false;
+
+        // Keep existing stream objects so subsystems holding them stay in sync
+        for (const [name, state] of Object.entries(data.streams || {})) {
+            this.stream(name).state = state;
+        }
+        for (const [name, stream] of this.streams) {
+            if (!(name in (data.streams || {}))) {
+                stream.reseed(`${this.seed}:${name}`);
+            }
+        }
+    }
+}
+
+/**
+ * Deterministic PRNG stream (mulberry32)
+ *
+ * @class SeededRandom
+ */
+export class SeededRandom {
+    constructor(seed) {
+        this.reseed(seed);
+    }
+
+    /**
+     * Reset the stream to the start of a seed's sequence
+     *
+     * @param {number|string} seed - Seed value
+     */
+    reseed(seed) {
+        this.state = SeededRandom.hashSeed(String(seed));
+    }
+
+    /**
+     * Generate a random number
+     *
+     * @returns {number} Random number between 0 (inclusive) and 1 (exclusive)
+     */
+    random() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Pick a random element from an array
+     *
+     * @param {Array} items - Items to pick from
+     * @returns {*} Selected item
+     */
+    pick(items) {
+        return items[Math.floor(this.random() * items.length)];
+    }
+
+    /**
+     * Generate a short random identifier suffix
+     *
+     * @returns {string} 9-character base-36 string
+     */
+    uid() {
+        let id = '';
+        for (let i = 0; i < 9; i++) {
+            id += Math.floor(this.random() * 36).toString(36);
+        }
+        return id;
+    }
+
+    /**
+     * Hash a seed string into a 32-bit state (FNV-1a)
+     */
+    static hashSeed(str) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash | 0;
+    }
+}
+
+export default RandomSource;
@@ -0,0 +1,250 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Thrown when a save fails verification
+ *
+ * @class SaveIntegrityError
+ */
+export class SaveIntegrityError extends Error {
+    /**
+     * @param {string} message - What failed
+     * @param {Object} [report] - Validation report, when records were checked
+     */
+    constructor(message, report = null) {
+        super(message);
+        this.name = 'SaveIntegrityError';
+        this.report = report;
+    }
+}
+
+/**
+ * SaveValidator - Referential integrity checks across the save stores
+ *
+ * Works on records as they sit in storage: { npcs, memories, relationships,
+ * narratives }, each an array of { key, value }. Problems that make a record
+ * unusable (orphans, malformed values) are errors; references that are
+ * merely stale (a story mentioning a removed NPC) are warnings.
+ *
+ * @class SaveValidator
+ */
+export class SaveValidator {
+    /**
+     * Check a set of records
+     *
+     * @param {Object<string, Array<{key: string, value: Object}>>} records - Records by store
+     * @returns {Object} Report: { valid, checked, issues: [{ severity, store, key, problem, message }] }
+     */
+    validate(records) {
+        const issues = [];
+        const issue = (severity, store, key, problem, message) => {
+            issues.push({ severity, store, key, problem, message });
+        };
+
+        const npcs = records.npcs || [];
+        const memories = records.memories || [];
+        const relationships = records.relationships || [];
+        const narratives = records.narratives || [];
+
+        // NPCs define which ids every other store may reference
+        const npcIds = new Set();
+        for (const { key, value } of npcs) {
+            if (!value || typeof value.id !== 'string') {
+                issue('error', 'npcs', key, 'invalid', 'NPC record has no id');
+            } else if (value.id !== key) {
+                issue('error', 'npcs', key, 'invalid', `NPC record is stored under ${key} but has id ${value.id}`);
+            } else {
+                npcIds.add(value.id);
+            }
+        }
+
+        for (const { key, value } of memories) {
+            const owner = key.slice(0, key.indexOf('/'));
+            if (!value || typeof value.id !== 'string') {
+                issue('error', 'memories', key, 'invalid', 'Memory record has no id');
+            } else if (value.ownerId && value.ownerId !== owner) {
+                issue('error', 'memories', key, 'invalid', `Memory is filed under ${owner} but owned by ${value.ownerId}`);
+            } else if (!npcIds.has(owner)) {
+                issue('error', 'memories', key, 'orphan', `Memory belongs to missing NPC ${owner}`);
+            }
+        }
+
+        for (const { key, value } of relationships) {
+            if (!value || !npcIds.has(value.sourceId) || !npcIds.has(value.targetId)) {
+                const missing = value ? [value.sourceId, value.targetId].filter(id => !npcIds.has(id)) : [];
+                issue('error', 'relationships', key, 'orphan',
+                    `Relationship points at missing NPC ${missing.join(', ') || '(none given)'}`);
+                continue;
+            }
+
+            for (const dimension of ['trust', 'affection', 'respect', 'familiarity']) {
+                const amount = value[dimension];
+                if (typeof amount !== 'number' || !(amount >= -1 && amount <= 1)) {
+                    issue('error', 'relationships', key, 'invalid', `${dimension} is out of range: ${amount}`);
+                }
+            }
+        }
+
+        for (const { key, value } of narratives) {
+            const missing = ((value && value.participants) || []).filter(id => !npcIds.has(id));
+            if (missing.length > 0) {
+                issue('warning', 'narratives', key, 'dangling', `Story mentions missing NPC ${missing.join(', ')}`);
+            }
+        }
+
+        return {
+            valid: !issues.some(entry => entry.severity === 'error'),
+            checked: {
+                npcs: npcs.length,
+                memories: memories.length,
+                relationships: relationships.length,
+                narratives: narratives.length
+            },
+            issues
+        };
+    }
+}
+
+/**
+ * SaveChecksum - Digest over exported saves
+ *
+ * With a key the digest is an HMAC-SHA-256, so a hand-edited save is
+ * rejected; without one it is a plain SHA-256 that only catches corruption.
+ * Uses WebCrypto (secure browser contexts, Node 18+); unkeyed checksums are
+ * skipped where it is missing.
+ *
+ * @class SaveChecksum
+ */
+export class SaveChecksum {
+    /**
+     * @param {Object} [config]
+     * @param {string} [config.key] - Secret for HMAC signing
+     * @param {Crypto} [config.crypto] - WebCrypto implementation (defaults to the global)
+     */
+    constructor(config = {}) {
+        this.config = config;
+        this.crypto = this.config.crypto ||
+            (typeof crypto !== 'undefined' && crypto.subtle ? crypto : null);
+        this.algorithm = this.config.key ? 'HMAC-SHA-256' : 'SHA-256';
+        this._hmacKey = null;
+    }
+
+    /**
+     * Compute the integrity block for a save
+     *
+     * @param {Object} data - Save without its integrity field
+     * @returns {Promise<Object|null>} { algorithm, digest }, or null when an unkeyed
+     *                                 checksum cannot be computed (no WebCrypto)
+     */
+    async sign(data) {
+        if (!this.crypto && !this.config.key) {
+            return null;
+        }
+
+        return {
+            algorithm: this.algorithm,
+            digest: await this._digest(data)
+        };
+    }
+
+    /**
+     * Check a save's integrity block
+     *
+     * @param {Object} data - Save including its integrity field
+     * @throws {SaveIntegrityError} If the block is missing where required or does not match
+     */
+    async verify(data) {
+        const { integrity, ...content } = data;
+
+        if (!integrity) {
+            if (this.config.key) {
+                throw new SaveIntegrityError('Save is not signed; refusing to import without a signature');
+            }
+            return;
+        }
+
+        if (integrity.algorithm !== this.algorithm) {
+            if (this.config.key) {
+                throw new SaveIntegrityError('Save is not signed; refusing to import without a signature');
+            }
+            console.warn(`Save is sealed with ${integrity.algorithm}; no key configured to verify it`);
+            return;
+        }
+
+        if (!this.crypto && !this.config.key) {
+            console.warn('WebCrypto unavailable, save checksum not verified');
+            return;
+        }
+
+        if (integrity.digest !== await this._digest(content)) {
+            throw new SaveIntegrityError(this.config.key ?
+                'Save signature does not match; it was modified or signed with another key' :
+                'Save checksum does not match; the data is corrupted');
+        }
+    }
+
+    /**
+     * JSON with object keys sorted, so the digest survives re-serialization
+     *
+     * @param {*} value - Any JSON value
+     * @returns {string} Canonical JSON text
+     */
+    static canonicalize(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => SaveChecksum.canonicalize(item === undefined ? null : item)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            const entries = Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${SaveChecksum.canonicalize(value[key])}`);
+            return `{${entries.join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * Hex digest of a save
+     * @private
+     */
+    async _digest(data) {
+        if (!this.crypto) {
+            throw new Error('WebCrypto is not available in this environment');
+        }
+
+        const bytes = new TextEncoder().encode(SaveChecksum.canonicalize(data));
+        let digest;
+
+        if (this.config.key) {
+            if (!this._hmacKey) {
+                this._hmacKey = await this.crypto.subtle.importKey(
+                    'raw',
+                    new TextEncoder().encode(this.config.key),
+                    { name: 'HMAC', hash: 'SHA-256' },
+                    false,
+                    ['sign']
+                );
+            }
+            digest = await this.crypto.subtle.sign('HMAC', this._hmacKey, bytes);
+        } else {
+            digest = await this.crypto.subtle.digest('SHA-256', bytes);
+        }
+
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+export default SaveValidator;
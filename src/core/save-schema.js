@@ -0,0 +1,157 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Save format written by this library. Bump it whenever a serializer
+ * (NPC, consciousness, memory bank, emotional state, relationship...)
+ * changes shape, and register a migration from the previous version.
+ *
+ * Version 1 is every save written before records were stamped.
+ */
+export const SAVE_FORMAT_VERSION = 2;
+
+/**
+ * Thrown when a save was written by a newer library than this one
+ *
+ * @class SaveVersionError
+ */
+export class SaveVersionError extends Error {
+    /**
+     * @param {number} version - Format version found in the save
+     * @param {number} supported - Newest format this library reads
+     */
+    constructor(version, supported) {
+        super(`Save format version ${version} is newer than this library supports ` +
+              `(${supported}); upgrade AdaptiveNPCWeb to load this world`);
+        this.name = 'SaveVersionError';
+        this.version = version;
+        this.supported = supported;
+    }
+}
+
+/**
+ * MigrationRegistry - Upgrades saved records one format version at a time
+ *
+ * A migration registered from version N holds one optional handler per
+ * store ('worldState', 'npcs', 'memories', 'relationships', 'narratives').
+ * Each handler takes a record as it was written at version N and returns
+ * it in version N + 1 shape. Stores without a handler pass through as is.
+ *
+ * @class MigrationRegistry
+ */
+export class MigrationRegistry {
+    /**
+     * @param {number} [currentVersion] - Version records are migrated to
+     */
+    constructor(currentVersion = SAVE_FORMAT_VERSION) {
+        this.currentVersion = currentVersion;
+        this.migrations = new Map();
+    }
+
+    /**
+     * Register the migration from one version to the next
+     *
+     * @param {number} fromVersion - Version the handlers read
+     * @param {Object<string, Function>} handlers - Store name -> record => record
+     * @returns {MigrationRegistry} This registry, for chaining
+     */
+    register(fromVersion, handlers) {
+        if (!Number.isInteger(fromVersion) || fromVersion < 1 || fromVersion >= this.currentVersion) {
+            throw new Error(`Cannot register a migration from version ${fromVersion}`);
+        }
+        this.migrations.set(fromVersion, handlers);
+        return this;
+    }
+
+    /**
+     * Format version of a record
+     *
+     * @param {Object} record - Saved record
+     * @param {number} [fallback=1] - Version for unstamped records
+     * @returns {number} Format version
+     */
+    versionOf(record, fallback = 1) {
+        return record && Number.isInteger(record.formatVersion) ? record.formatVersion : fallback;
+    }
+
+    /**
+     * Stamp a record with the current format version
+     *
+     * @param {Object} record - Record about to be written
+     * @returns {Object} Stamped copy
+     */
+    stamp(record) {
+        return { ...record, formatVersion: this.currentVersion };
+    }
+
+    /**
+     * Bring a record up to the current format version
+     *
+     * @param {string} store - Store the record belongs to
+     * @param {Object} record - Saved record
+     * @param {number} [fallback=1] - Version for unstamped records
+     * @returns {Object} Migrated, stamped record
+     * @throws {SaveVersionError} If the record is newer than this library
+     */
+    migrate(store, record, fallback = 1) {
+        let version = this.versionOf(record, fallback);
+
+        if (version > this.currentVersion) {
+            throw new SaveVersionError(version, this.currentVersion);
+        }
+
+        while (version < this.currentVersion) {
+            const migration = this.migrations.get(version);
+            if (!migration) {
+                throw new Error(`No save migration registered from version ${version}`);
+            }
+            if (migration[store]) {
+                record = migration[store](record);
+            }
+            version++;
+        }
+
+        return this.stamp(record);
+    }
+}
+
+/**
+ * Migrations shipped with the library
+ */
+export const saveMigrations = new MigrationRegistry();
+
+// v1 -> v2: consciousness saves its memory bank instead of memory statistics.
+// v1 never wrote memory contents, so the bank starts empty with the old counters.
+saveMigrations.register(1, {
+    npcs(npc) {
+        if (!npc.consciousness || !npc.consciousness.memoryStats) {
+            return npc;
+        }
+
+        const { memoryStats, ...consciousness } = npc.consciousness;
+        const { byCategory, workingMemorySize, totalAssociations, ...stats } = memoryStats;
+
+        return {
+            ...npc,
+            consciousness: {
+                ...consciousness,
+                memoryBank: { ownerId: npc.id, associations: {}, stats }
+            }
+        };
+    }
+});
+
+export default saveMigrations;
@@ -0,0 +1,239 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { SystemClock, ManualClock } from './environment.js';
+
+/**
+ * Scheduler - Fixed-timestep driver for all periodic simulation work
+ *
+ * Runs named tasks (consciousness, emotion decay, autosave, ...) at fixed
+ * simulation-time rates. Time only advances through tick(), either called
+ * by the host game loop or by the built-in realtime timer, so pausing and
+ * time-scaling apply to every subsystem at once.
+ *
+ * When the clock is a ManualClock it is advanced by every tick, so all
+ * timestamps follow simulation time instead of the wall clock.
+ *
+ * @class Scheduler
+ */
+export class Scheduler {
+    constructor(config = {}) {
+        this.config = {
+            timeScale: 1,               // Simulation speed multiplier
+            maxStepsPerTick: 10,        // Steps per task per tick, or more if the delta covers more
+            maxBacklogSteps: 600,       // Steps carried over before the oldest are dropped
+            realtimeInterval: 16,       // Wall-clock interval for start() (ms)
+            ...config
+        };
+
+        // Time source for the realtime driver
+        this.clock = this.config.clock || new SystemClock();
+
+        // Registered tasks by name
+        this.tasks = new Map();
+
+        // Simulation clock (ms)
+        this.time = this.config.startTime !== undefined ? this.config.startTime : this.clock.monotonic();
+        this.timeScale = this.config.timeScale;
+        this.paused = false;
+
+        // Realtime driver state
+        this._timer = null;
+        this._ticking = false;
+        this._pendingTime = 0;
+    }
+
+    /**
+     * Register a periodic task
+     *
+     * @param {string} name - Task name
+     * @param {number} interval - Simulation time between runs (ms)
+     * @param {Function} callback - Called with (stepMs, simulationTime)
+     */
+    addTask(name, interval, callback) {
+        this.tasks.set(name, {
+            name,
+            interval,
+            callback,
+            accumulator: 0,
+            runs: 0,
+            dropped: 0
+        });
+    }
+
+    /**
+     * Remove a task
+     *
+     * @param {string} name - Task name
+     */
+    removeTask(name) {
+        this.tasks.delete(name);
+    }
+
+    /**
+     * Change how often a task runs
+     *
+     * @param {string} name - Task name
+     * @param {number} interval - New interval (ms)
+     */
+    setRate(name, interval) {
+        const task = this.tasks.get(name);
+        if (task) {
+            task.interval = interval;
+        }
+    }
+
+    /**
+     * Advance simulation time and run every task that is due
+     *
+     * @param {number} deltaTime - Elapsed host time (ms)
+     * @returns {Promise<number>} Simulation time actually advanced (ms)
+     */
+    async tick(deltaTime) {
+        if (this.paused || deltaTime <= 0) return 0;
+
+        const scaled = deltaTime * this.timeScale;
+        this.time += scaled;
+
+        if (this.clock instanceof ManualClock) {
+            this.clock.advance(scaled);
+        }
+
+        for (const task of this.tasks.values()) {
+            task.accumulator += scaled;
+
+            // Every step the delta covers runs, so one long tick does the work of many short ones,
+            // up to maxBacklogSteps for a delta so long it would stall the host
+            const covered = Math.ceil(scaled / task.interval);
+            const limit = Math.max(this.config.maxStepsPerTick, Math.min(covered, this.config.maxBacklogSteps));
+
+            // Past the backlog limit the oldest steps are dropped and counted
+            const backlog = Math.floor(task.accumulator / task.interval);
+            const excess = backlog - limit - this.config.maxBacklogSteps;
+            if (excess > 0) {
+                if (task.dropped === 0) {
+                    console.warn(`Scheduler: Task ${task.name} cannot keep up, dropping steps (see getStats)`);
+                }
+                task.accumulator -= excess * task.interval;
+                task.dropped += excess;
+            }
+
+            let steps = 0;
+            while (task.accumulator >= task.interval && steps < limit) {
+                task.accumulator -= task.interval;
+                steps++;
+                task.runs++;
+
+                // Whatever is left in the accumulator happened after this step
+                try {
+                    await task.callback(task.interval, this.time - task.accumulator);
+                } catch (error) {
+                    console.error(`Scheduler: Task ${task.name} failed:`, error);
+                }
+            }
+
+            // Steps beyond the per-tick cap carry over into the next tick
+        }
+
+        return scaled;
+    }
+
+    /**
+     * Pause simulation time
+     */
+    pause() {
+        this.paused = true;
+    }
+
+    /**
+     * Resume simulation time
+     */
+    resume() {
+        this.paused = false;
+    }
+
+    /**
+     * Set simulation speed (2 = fast-forward, 0.5 = slow motion)
+     *
+     * @param {number} scale - Time scale multiplier
+     */
+    setTimeScale(scale) {
+        if (!(scale >= 0)) {
+            throw new Error(`Invalid time scale: ${scale}`);
+        }
+        this.timeScale = scale;
+    }
+
+    /**
+     * Drive tick() from a wall-clock timer
+     */
+    start() {
+        if (this._timer) return;
+
+        let lastTime = this.clock.monotonic();
+        this._timer = setInterval(() => {
+            const now = this.clock.monotonic();
+            this._pendingTime += now - lastTime;
+            lastTime = now;
+
+            // Never overlap ticks; carry the elapsed time into the next one
+            if (this._ticking) return;
+
+            const deltaTime = this._pendingTime;
+            this._pendingTime = 0;
+            this._ticking = true;
+            this.tick(deltaTime).finally(() => {
+                this._ticking = false;
+            });
+        }, this.config.realtimeInterval);
+    }
+
+    /**
+     * Stop the wall-clock timer
+     */
+    stop() {
+        if (this._timer) {
+            clearInterval(this._timer);
+            this._timer = null;
+        }
+        this._pendingTime = 0;
+    }
+
+    /**
+     * Get scheduler statistics
+     */
+    getStats() {
+        const tasks = {};
+        for (const [name, task] of this.tasks) {
+            tasks[name] = {
+                interval: task.interval,
+                runs: task.runs,
+                backlog: Math.floor(task.accumulator / task.interval),
+                dropped: task.dropped
+            };
+        }
+
+        return {
+            time: this.time,
+            timeScale: this.timeScale,
+            paused: this.paused,
+            realtime: this._timer !== null,
+            tasks
+        };
+    }
+}
+
+export default Scheduler;
@@ -0,0 +1,132 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Portable package format for sharing NPCs between worlds
+ *
+ * A package is a JSON object:
+ *
+ *   {
+ *     format: 'adaptive-npc-web/package',
+ *     packageVersion: 1,          // Layout of this object (PACKAGE_VERSION)
+ *     formatVersion: 2,           // Format of the records inside (SAVE_FORMAT_VERSION)
+ *     scope: 'npc' | 'npcs' | 'world',
+ *     source: { worldName, exportedAt },
+ *     npcs: [npc],                // NPC records: personality, consciousness (goals,
+ *                                 // memory bank), emotional state
+ *     memories: [memory],         // Each with ownerId and category
+ *     relationships: [relationship], // { sourceId, targetId, trust, ... } touching
+ *                                    // at least one packaged NPC
+ *     world: { ... },             // 'world' scope only: world record (config, random...)
+ *     narratives: [story],        // 'world' scope only: completed stories
+ *     integrity: { algorithm, digest }
+ *   }
+ *
+ * Records keep the shape they have in storage, so older packages are
+ * migrated with the save migrations on import.
+ */
+
+export const PACKAGE_FORMAT = 'adaptive-npc-web/package';
+
+/**
+ * Package layout version. Bump when the fields above change.
+ */
+export const PACKAGE_VERSION = 1;
+
+/**
+ * Conflict strategies for NPCs whose id already exists in the target world
+ *
+ * - skip:      keep the existing NPC, ignore the packaged one
+ * - overwrite: replace the NPC, its memories and its own relationships
+ * - duplicate: import alongside the existing NPC under a fresh id
+ */
+export const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'duplicate'];
+
+/**
+ * Check that an object is a package this library can read
+ *
+ * @param {Object} pkg - Package
+ * @throws {Error} If it is not a package or its layout is newer than this library
+ */
+export function assertPackage(pkg) {
+    if (!pkg || pkg.format !== PACKAGE_FORMAT) {
+        throw new Error('Not an AdaptiveNPCWeb package');
+    }
+    if (!Number.isInteger(pkg.packageVersion) || pkg.packageVersion > PACKAGE_VERSION) {
+        throw new Error(`Package version ${pkg.packageVersion} is newer than this library supports ` +
+                        `(${PACKAGE_VERSION}); upgrade AdaptiveNPCWeb to import it`);
+    }
+    if (!Array.isArray(pkg.npcs)) {
+        throw new Error('Package has no NPC list');
+    }
+}
+
+/**
+ * Replace ids throughout a record
+ *
+ * Strings (and object keys) equal to an old id are replaced, and so are
+ * strings that start with an old id followed by '_' or '/', which covers
+ * memory ids ("<ownerId>_<time>_<uid>") and storage keys ("<npcId>/<id>").
+ *
+ * @param {*} value - Record or any JSON value
+ * @param {Map<string, string>} idMap - Old id -> new id
+ * @returns {*} Remapped copy
+ */
+export function remapIds(value, idMap) {
+    if (idMap.size === 0) return value;
+
+    const remapString = (text) => {
+        if (idMap.has(text)) return idMap.get(text);
+
+        const separator = text.search(/[_/]/);
+        if (separator > 0) {
+            // Ids themselves contain '_', so try every prefix ending at a separator
+            for (let end = separator; end !== -1; end = nextSeparator(text, end + 1)) {
+                const prefix = text.slice(0, end);
+                if (idMap.has(prefix)) {
+                    return idMap.get(prefix) + text.slice(end);
+                }
+            }
+        }
+        return text;
+    };
+
+    const visit = (item) => {
+        if (typeof item === 'string') return remapString(item);
+        if (Array.isArray(item)) return item.map(visit);
+        if (item && typeof item === 'object') {
+            const result = {};
+            for (const [key, entry] of Object.entries(item)) {
+                result[remapString(key)] = visit(entry);
+            }
+            return result;
+        }
+        return item;
+    };
+
+    return visit(value);
+}
+
+/**
+ * Index of the next '_' or '/' at or after start, or -1
+ * @private
+ */
+function nextSeparator(text, start) {
+    for (let i = start; i < text.length; i++) {
+        if (text[i] === '_' || text[i] === '/') return i;
+    }
+    return -1;
+}
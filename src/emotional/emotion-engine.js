@@ -14,6 +14,8 @@
  * limitations under the License.
  */
 
+import { SystemClock } from '../core/environment.js';
+
 /**
  * EmotionEngine - Complex emotional state processing for adaptive NPCs
  * 
@@ -32,6 +34,9 @@ export class EmotionEngine {
             ...config
         };
 
+        // Time source for emotional history
+        this.clock = this.config.clock || new SystemClock();
+
         // Core emotional dimensions (based on psychological research)
         this.dimensions = {
             // Valence (positive-negative)
@@ -176,6 +181,10 @@ export class EmotionEngine {
             betray: {
                 source: { shame: 0.1, happiness: -0.2 },
                 target: { anger: 0.3, sadness: 0.2, trust: -0.5 }
+            },
+            steal: {
+                source: { excitement: 0.15, shame: 0.1 },
+                target: { anger: 0.3, sadness: 0.1, trust: -0.4 }
             }
         };
 
@@ -261,7 +270,7 @@ export class EmotionEngine {
         
         // Record emotional event
         state.emotionalHistory.push({
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             interaction,
             changes,
             resultingMood: state.currentMood
@@ -468,6 +477,15 @@ export class EmotionalState {
         this.volatility = this.personality.neuroticism || 0.5;
     }
 
+    /**
+     * Per-frame update; decay itself runs on the engine's emotion tick
+     *
+     * @param {number} deltaTime - Time since last update
+     */
+    update(deltaTime) {
+        this.updateMood();
+    }
+
     /**
      * Update current mood based on emotional state
      */
@@ -497,7 +515,7 @@ export class EmotionalState {
                 this.moodHistory.push({
                     from: previousMood,
                     to: bestMatch,
-                    timestamp: Date.now(),
+                    timestamp: this.engine.clock.now(),
                     trigger: this.emotionalHistory[this.emotionalHistory.length - 1]
                 });
                 
@@ -509,6 +527,19 @@ export class EmotionalState {
         }
     }
 
+    /**
+     * Shift emotions by the given amounts (changes replicated from a peer)
+     *
+     * @param {Object} changes - { emotion: delta }
+     */
+    adjust(changes) {
+        for (const [emotion, delta] of Object.entries(changes)) {
+            const current = this.emotions[emotion] || 0;
+            this.emotions[emotion] = Math.max(0, Math.min(1, current + delta));
+        }
+        this.updateMood();
+    }
+
     /**
      * Get emotional expressiveness (how much emotions show)
      */
@@ -0,0 +1,268 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { RandomSource } from '../core/random.js';
+import { SystemClock } from '../core/environment.js';
+import { emotionalIntensity } from '../consciousness/forgetting-curve.js';
+
+// Interaction keys that survive any retelling
+const GIST_KEYS = new Set(['action', 'type']);
+
+// Who news is about, which a retelling may mix up
+const PARTICIPANT_KEYS = ['sourceId', 'targetId'];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * GossipNetwork - NPCs pass on what they saw and heard
+ *
+ * When two NPCs interact, each may tell the other about interactions it
+ * took part in or heard about, provided it trusts the listener more than
+ * the relationship network's trustThreshold. The juiciest news (the most
+ * emotionally intense) goes first. The listener remembers it as a
+ * second-hand 'gossip' memory:
+ *
+ *   { type: 'gossip', rumorId, about: { sourceId, targetId }, interaction,
+ *     heardFrom, witnessId, hops, confidence, interest, garbled, eventTime }
+ *
+ * Confidence falls with every retelling, and more so the less the
+ * listener trusts the teller; news nobody would believe is not passed on.
+ * Each retelling may garble details of the interaction (never its action),
+ * each only into another of its kind: numbers grow, other details get mixed
+ * up with ones the listener remembers under the same key (one item for
+ * another), and a participant with another NPC the listener knows of.
+ *
+ * @class GossipNetwork
+ */
+export class GossipNetwork {
+    /**
+     * @param {Object} config
+     * @param {RelationshipNetwork} config.relationships - Who trusts whom
+     * @param {number} [config.shareChance=0.6] - Chance a willing teller passes on each piece of news
+     * @param {number} [config.maxPerExchange=2] - News told per interaction
+     * @param {number} [config.minInterest=0.2] - Emotional intensity news needs to be worth telling
+     * @param {number} [config.hopDecay=0.9] - Confidence kept per retelling, at full trust
+     * @param {number} [config.minConfidence=0.15] - Confidence under which news is not believed
+     * @param {number} [config.maxHops=5] - Retellings after which news stops spreading
+     * @param {number} [config.distortion=0.25] - Chance per retelling that each detail is garbled
+     */
+    constructor(config) {
+        this.config = {
+            shareChance: 0.6,
+            maxPerExchange: 2,
+            minInterest: 0.2,
+            hopDecay: 0.9,
+            minConfidence: 0.15,
+            maxHops: 5,
+            distortion: 0.25,
+            ...config
+        };
+
+        this.relationships = config.relationships;
+        this.rng = (config.random || new RandomSource()).stream('gossip');
+        this.clock = config.clock || new SystemClock();
+    }
+
+    /**
+     * What one NPC tells another
+     *
+     * Telling recalls the memories told (see MemoryBankInstance#recall).
+     * The listener's memories are left to the caller to store.
+     *
+     * @param {AdaptiveNPC} teller
+     * @param {AdaptiveNPC} listener
+     * @returns {Promise<Object[]>} Gossip memories for the listener
+     */
+    async tell(teller, listener) {
+        if (!teller.consciousness || !listener.consciousness) return [];
+
+        const willingness = this.relationships.getRelationship(teller.id, listener.id);
+        if (!willingness || willingness.trust <= this.relationships.config.trustThreshold) return [];
+
+        const tellerBank = teller.consciousness.memoryBank;
+        const listenerBank = listener.consciousness.memoryBank;
+
+        // News: what the listener was not part of and has not heard
+        const known = new Set(listenerBank.find(() => true).map(memory => memory.rumorId || memory.id));
+        const news = tellerBank.find(memory => this._isNews(memory, listener.id, known))
+            .map(memory => ({ memory, interest: this._interest(memory) }))
+            .filter(item => item.interest >= this.config.minInterest)
+            .sort((a, b) => b.interest - a.interest)
+            .slice(0, this.config.maxPerExchange)
+            .filter(() => this.rng.random() < this.config.shareChance);
+        if (news.length === 0) return [];
+
+        const recalled = await tellerBank.recall(news.map(item => item.memory.id));
+
+        // Belief follows the listener's trust in the teller (-1 to 1)
+        const belief = this.relationships.getRelationship(listener.id, teller.id);
+        const trust = belief ? (1 + belief.trust) / 2 : 0.5;
+        const details = this._details(listenerBank, listener.id);
+
+        const rumors = [];
+        for (const memory of recalled) {
+            const heard = memory.type === 'gossip' ? memory.confidence : 1;
+            const confidence = round(heard * this.config.hopDecay * trust);
+            if (confidence < this.config.minConfidence) continue;
+
+            rumors.push(this._retell(memory, teller.id, confidence, details));
+        }
+        return rumors;
+    }
+
+    /**
+     * Gossip an NPC has heard about an entity, most believed first
+     *
+     * @param {AdaptiveNPC} npc
+     * @param {string} entityId - Who the gossip is about
+     * @returns {Object[]} Gossip memories
+     */
+    rumorsAbout(npc, entityId) {
+        if (!npc.consciousness) return [];
+
+        return npc.consciousness.memoryBank
+            .find(memory => memory.type === 'gossip' && memory.about &&
+                (memory.about.sourceId === entityId || memory.about.targetId === entityId))
+            .sort((a, b) => b.confidence - a.confidence);
+    }
+
+    /**
+     * Whether a memory is news to a listener
+     * @private
+     */
+    _isNews(memory, listenerId, known) {
+        if (memory.type === 'gossip') {
+            return Boolean(memory.about) && memory.hops < this.config.maxHops &&
+                !known.has(memory.rumorId) &&
+                memory.about.sourceId !== listenerId && memory.about.targetId !== listenerId;
+        }
+        return memory.type === 'interaction' && !known.has(memory.id) &&
+            memory.source !== listenerId && memory.target !== listenerId;
+    }
+
+    /**
+     * How worth telling a memory is; juicy news is passed on however
+     * unsure the teller is of it
+     * @private
+     */
+    _interest(memory) {
+        return memory.type === 'gossip' ? memory.interest : emotionalIntensity(memory);
+    }
+
+    /**
+     * The listener's version of a memory
+     * @private
+     */
+    _retell(memory, tellerId, confidence, details) {
+        const firstHand = memory.type !== 'gossip';
+        const { interaction, garbled } = this._garble(memory.interaction || {}, details);
+        const about = this._garbleParticipants(firstHand ?
+            { sourceId: memory.source || memory.ownerId, targetId: memory.target || memory.ownerId } :
+            { ...memory.about }, details, garbled);
+
+        return {
+            type: 'gossip',
+            rumorId: firstHand ? memory.id : memory.rumorId,
+            about,
+            interaction,
+            heardFrom: tellerId,
+            witnessId: firstHand ? memory.ownerId : memory.witnessId,
+            hops: firstHand ? 1 : memory.hops + 1,
+            confidence,
+            interest: round(firstHand ? emotionalIntensity(memory) : memory.interest),
+            garbled: [...new Set([...(memory.garbled || []), ...garbled])],
+            eventTime: firstHand ? memory.timestamp : memory.eventTime,
+            timestamp: this.clock.now()
+        };
+    }
+
+    /**
+     * Garble the details of an interaction in the retelling
+     * @private
+     * @returns {Object} { interaction, garbled: keys changed or lost }
+     */
+    _garble(interaction, details) {
+        const retold = {};
+        const garbled = [];
+
+        for (const [key, value] of Object.entries(interaction)) {
+            retold[key] = value;
+            if (GIST_KEYS.has(key) || this.rng.random() >= this.config.distortion) continue;
+
+            if (typeof value === 'number') {
+                // Exaggerated
+                retold[key] = round(value * (1.5 + this.rng.random()));
+            } else if (typeof value === 'string') {
+                // Mixed up with another the listener remembers under the same key
+                const others = (details.values.get(key) || []).filter(detail => detail !== value);
+                if (others.length === 0) continue;
+                retold[key] = this.rng.pick(others);
+            } else {
+                continue;
+            }
+            garbled.push(key);
+        }
+        return { interaction: retold, garbled };
+    }
+
+    /**
+     * Mix up who news is about with other NPCs the listener knows of
+     * @private
+     * @returns {Object} The retold { sourceId, targetId }; keys changed are added to garbled
+     */
+    _garbleParticipants(about, details, garbled) {
+        for (const key of PARTICIPANT_KEYS) {
+            if (this.rng.random() >= this.config.distortion) continue;
+
+            const others = details.npcs.filter(id => id !== about.sourceId && id !== about.targetId);
+            if (others.length === 0) continue;
+            about[key] = this.rng.pick(others);
+            garbled.push(`about.${key}`);
+        }
+        return about;
+    }
+
+    /**
+     * What a listener could mix news up with: the details it remembers,
+     * by interaction key, and the other NPCs its memories involve
+     * @private
+     */
+    _details(bank, listenerId) {
+        const values = new Map();
+        const npcs = new Set();
+        for (const memory of bank.find(() => true)) {
+            const about = memory.about || {};
+            for (const id of [memory.source, memory.target, about.sourceId, about.targetId]) {
+                if (id) npcs.add(id);
+            }
+            if (!memory.interaction || typeof memory.interaction !== 'object') continue;
+
+            for (const [key, value] of Object.entries(memory.interaction)) {
+                if (GIST_KEYS.has(key) || typeof value !== 'string') continue;
+                if (!values.has(key)) values.set(key, new Set());
+                values.get(key).add(value);
+            }
+        }
+        npcs.delete(listenerId);
+
+        return {
+            values: new Map([...values].map(([key, known]) => [key, [...known].sort()])),
+            npcs: [...npcs].sort()
+        };
+    }
+}
+
+export default GossipNetwork;
@@ -14,6 +14,8 @@
  * limitations under the License.
  */
 
+import { SystemClock } from '../core/environment.js';
+
 /**
  * RelationshipNetwork - Manages complex social connections between NPCs
  * 
@@ -33,6 +35,9 @@ export class RelationshipNetwork {
             ...config
         };
 
+        // Time source for interaction timestamps and decay
+        this.clock = this.config.clock || new SystemClock();
+
         // Graph structure: entityId -> Map of relationships
         this.network = new Map();
         
@@ -55,7 +60,9 @@ export class RelationshipNetwork {
      */
     registerEntity(entityId, entity) {
         this.entities.set(entityId, entity);
-        this.network.set(entityId, new Map());
+        if (!this.network.has(entityId)) {
+            this.network.set(entityId, new Map());
+        }
     }
 
     /**
@@ -86,7 +93,7 @@ export class RelationshipNetwork {
         
         // Record interaction history
         const event = {
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             source: sourceId,
             target: targetId,
             interaction,
@@ -117,6 +124,39 @@ export class RelationshipNetwork {
         };
     }
 
+    /**
+     * Shift one direction of a relationship by the given amounts
+     * (changes replicated from a peer: no groups or propagation, which the
+     * peer's own interaction already triggered there)
+     * 
+     * @param {string} sourceId - Entity the relationship belongs to
+     * @param {string} targetId - Entity it points at
+     * @param {Object} changes - { dimension: delta }
+     * @returns {Relationship} Relationship, created if needed
+     */
+    adjustRelationship(sourceId, targetId, changes) {
+        const relationship = this._getOrCreateRelationship(sourceId, targetId);
+        if (Object.keys(changes).length === 0) {
+            return relationship;
+        }
+        
+        this._applyRelationshipChanges(relationship, changes);
+        
+        // Counts as an interaction, so decay holds off as it would locally
+        relationship.history.push({
+            timestamp: this.clock.now(),
+            source: sourceId,
+            target: targetId,
+            changes: { source: changes },
+            resultingRelationships: {
+                source: this._summarizeRelationship(relationship)
+            }
+        });
+        this._pruneHistory();
+        
+        return relationship;
+    }
+
     /**
      * Get relationship between two entities
      * 
@@ -223,16 +263,19 @@ export class RelationshipNetwork {
 
     /**
      * Process relationship decay over time
+     * 
+     * @param {Function} [filter] - (entityId) => whether that entity's relationships decay here
      */
-    processDecay() {
+    processDecay(filter) {
         const decayRate = this.config.decayRate;
         
         for (const [entityId, relationships] of this.network) {
+            if (filter && !filter(entityId)) continue;
             for (const [otherId, rel] of relationships) {
                 // Recent interactions prevent decay
                 const lastInteraction = rel.history[rel.history.length - 1];
                 const timeSinceInteraction = lastInteraction ? 
-                    Date.now() - lastInteraction.timestamp : Infinity;
+                    this.clock.now() - lastInteraction.timestamp : Infinity;
                 
                 if (timeSinceInteraction > 60000) { // 1 minute
                     // Decay towards neutral
@@ -295,7 +338,7 @@ export class RelationshipNetwork {
         
         let relationship = relationships.get(targetId);
         if (!relationship) {
-            relationship = new Relationship(sourceId, targetId);
+            relationship = new Relationship(sourceId, targetId, this.clock.now());
             relationships.set(targetId, relationship);
         }
         
@@ -404,6 +447,7 @@ export class RelationshipNetwork {
             const current = relationship[dimension] || 0;
             relationship[dimension] = Math.max(-1, Math.min(1, current + delta));
         }
+        relationship.dirty = true;
         
         // Update relationship type based on new values
         relationship.updateType();
@@ -454,8 +498,9 @@ export class RelationshipNetwork {
             
             if (!group1 && !group2) {
                 // Create new group
-                const groupId = `group_${Date.now()}`;
-                const group = new SocialGroup(groupId);
+                const now = this.clock.now();
+                const groupId = `group_${now}`;
+                const group = new SocialGroup(groupId, now);
                 group.addMember(entityId1);
                 group.addMember(entityId2);
                 this.groups.set(groupId, group);
@@ -703,10 +748,24 @@ export class RelationshipNetwork {
         return count / 2; // Bidirectional relationships
     }
 
+    /**
+     * Forget pending changes (the whole network is about to be saved)
+     */
+    markClean() {
+        for (const relationships of this.network.values()) {
+            for (const rel of relationships.values()) {
+                rel.dirty = false;
+            }
+        }
+    }
+
     /**
      * Serialize network state
+     * 
+     * @param {boolean} [changesOnly=false] - Only relationships changed since the
+     *                                        last save; clears their dirty flags
      */
-    serialize() {
+    serialize(changesOnly = false) {
         const serialized = {
             entities: Array.from(this.entities.keys()),
             relationships: {},
@@ -718,6 +777,10 @@ export class RelationshipNetwork {
         for (const [entityId, relationships] of this.network) {
             serialized.relationships[entityId] = {};
             for (const [otherId, rel] of relationships) {
+                if (changesOnly) {
+                    if (!rel.dirty) continue;
+                    rel.dirty = false;
+                }
                 serialized.relationships[entityId][otherId] = rel.serialize();
             }
         }
@@ -738,10 +801,13 @@ export class RelationshipNetwork {
         this.network.clear();
         this.groups.clear();
         
-        // Restore entities
+        // Restore entities; references are re-registered by their owners
+        const entities = new Map();
         for (const entityId of data.entities) {
+            entities.set(entityId, this.entities.get(entityId) || null);
             this.network.set(entityId, new Map());
         }
+        this.entities = entities;
         
         // Restore relationships
         for (const [entityId, relationships] of Object.entries(data.relationships)) {
@@ -774,7 +840,7 @@ export class RelationshipNetwork {
  * @class Relationship
  */
 class Relationship {
-    constructor(sourceId, targetId) {
+    constructor(sourceId, targetId, now = Date.now()) {
         this.sourceId = sourceId;
         this.targetId = targetId;
         
@@ -791,8 +857,11 @@ class Relationship {
         this.history = [];
         
         // Metadata
-        this.formed = Date.now();
-        this.lastInteraction = Date.now();
+        this.formed = now;
+        this.lastInteraction = now;
+        
+        // Changed since the last save
+        this.dirty = true;
     }
 
     /**
@@ -867,6 +936,7 @@ class Relationship {
         this.type = data.type;
         this.formed = data.formed;
         this.lastInteraction = data.lastInteraction;
+        this.dirty = false;
         // History is not fully restored to save space
     }
 }
@@ -877,10 +947,10 @@ class Relationship {
  * @class SocialGroup
  */
 class SocialGroup {
-    constructor(id) {
+    constructor(id, now = Date.now()) {
         this.id = id;
         this.members = new Set();
-        this.formed = Date.now();
+        this.formed = now;
         this.type = 'general'; // friend_group, work_group, family, etc.
         this.cohesion = 0.5;
     }
@@ -182,13 +182,13 @@ async function tradeWithNPC(npcName, offeredItems, requestedItems) {
 }
 
 // Example: Check NPC state
-function checkNPCState(npcName) {
+async function checkNPCState(npcName) {
     const npc = npcSystem.getNPC(npcName);
     if (!npc) return null;
     
     const mood = npc.getMood();
     const goals = npc.getGoals();
-    const memories = npc.getRecentMemories(3);
+    const memories = await npc.getRecentMemories(3);
     
     console.log(`📊 ${npcName} Status:`);
     console.log(`   Mood: ${mood.emoji} ${mood.state}`);
@@ -267,7 +267,7 @@ async function main() {
             await playerInteractsWithNPC('Marcus', 'help');
             
             // Check Elena's state
-            checkNPCState('Elena');
+            await checkNPCState('Elena');
             
             // NPCs interact with each other
             const marcusNPC = npcSystem.getNPC('Marcus');
@@ -0,0 +1,68 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Headless Example - AdaptiveNPCWeb on Node.js
+ *
+ * Runs a small village on a server with no browser APIs, simulated time
+ * and a fixed seed. Run with: node src/examples/headless-node.js
+ */
+
+import { Worker } from 'node:worker_threads';
+import { AdaptiveNPCWeb } from '../core/adaptive-npc-web.js';
+import { ManualClock, NodeWorkerAdapter } from '../core/environment.js';
+
+async function runSimulation() {
+    const world = new AdaptiveNPCWeb({
+        worldName: 'HeadlessVillage',
+        seed: 'village-42',
+        manualTick: true,
+        enableNetworking: false,
+        // No frames to draw on a server: NPCs think once a simulated second
+        tickRates: { consciousness: 1000 },
+        environment: {
+            clock: new ManualClock(0),
+            workers: new NodeWorkerAdapter(Worker, 2)
+        }
+    });
+
+    // Populate the village
+    const elena = await world.createNPC({ name: 'Elena', role: 'Blacksmith' });
+    const marcus = await world.createNPC({ name: 'Marcus', role: 'Merchant' });
+
+    // Something happens between them
+    const result = await world.processInteraction(elena.id, marcus.id, {
+        type: 'trade',
+        content: 'Elena sells Marcus a sword',
+        emotion: 'friendly'
+    });
+    console.log('Relationship changes:', result.relationship.changes);
+
+    // Simulate one minute of game time in one-second steps
+    for (let second = 0; second < 60; second++) {
+        await world.tick(1000);
+    }
+
+    console.log('Scheduler:', world.scheduler.getStats());
+    console.log('Elena is feeling', elena.getCurrentMood());
+
+    await world.destroy();
+}
+
+runSimulation().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,49 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Signaling Server Example - Local rendezvous for WebRTCMesh
+ *
+ * Starts a SignalingServer that browser or Node worlds can meet through
+ * with signaling: 'ws://localhost:8787'. Run with:
+ *   node src/examples/signaling-server.js
+ * PORT, HOST and MAX_PEERS override the defaults.
+ */
+
+import { SignalingServer } from '../networking/signaling/signaling-server.js';
+
+async function main() {
+    const server = new SignalingServer({
+        port: Number(process.env.PORT || 8787),
+        host: process.env.HOST || '127.0.0.1',
+        maxPeers: Number(process.env.MAX_PEERS || 10)
+    });
+
+    const { host, port } = await server.listen();
+    console.log(`Signaling server listening on ws://${host}:${port}`);
+
+    const shutdown = async () => {
+        await server.close();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+main().catch(error => {
+    console.error('Signaling server failed to start:', error);
+    process.exit(1);
+});
@@ -14,6 +14,9 @@
  * limitations under the License.
  */
 
+import { RandomSource } from '../core/random.js';
+import { SystemClock } from '../core/environment.js';
+
 /**
  * EventMemory - Tracks and manages significant events for narrative generation
  * 
@@ -32,6 +35,10 @@ export class EventMemory {
             ...config
         };
 
+        // Seeded random stream
+        this.rng = (this.config.random || new RandomSource()).stream('events');
+        this.clock = this.config.clock || new SystemClock();
+
         // Event storage
         this.events = new Map();
         this.eventsByType = new Map();
@@ -62,7 +69,7 @@ export class EventMemory {
             event.id = this._generateEventId();
         }
         if (!event.timestamp) {
-            event.timestamp = Date.now();
+            event.timestamp = this.clock.now();
         }
 
         // Calculate significance if not provided
@@ -245,7 +252,7 @@ export class EventMemory {
 
         for (const group of groups) {
             const thread = {
-                id: `thread_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                id: `thread_${this.clock.now()}_${this.rng.uid()}`,
                 events: group,
                 participants: this._extractParticipants(group),
                 theme: this._identifyTheme(group),
@@ -351,7 +358,7 @@ export class EventMemory {
 
         if (repetitions.length >= 2) {
             patterns.push({
-                id: `pattern_${Date.now()}`,
+                id: `pattern_${this.clock.now()}`,
                 type: 'repetition',
                 eventType: newEvent.type,
                 frequency: repetitions.length + 1,
@@ -363,7 +370,7 @@ export class EventMemory {
         const previous = recentEvents[recentEvents.length - 2];
         if (previous && this._checkCausality(previous, newEvent)) {
             patterns.push({
-                id: `pattern_${Date.now()}`,
+                id: `pattern_${this.clock.now()}`,
                 type: 'causal',
                 cause: previous.type,
                 effect: newEvent.type,
@@ -398,7 +405,7 @@ export class EventMemory {
         } else {
             // Create new cluster
             const newCluster = {
-                id: `cluster_${Date.now()}`,
+                id: `cluster_${this.clock.now()}`,
                 events: [event.id],
                 theme: this._extractTheme(event),
                 significance: event.importance,
@@ -485,7 +492,7 @@ export class EventMemory {
      */
     _queryByTimeRange(startTime, endTime) {
         const start = startTime || 0;
-        const end = endTime || Date.now();
+        const end = endTime || this.clock.now();
 
         return this.eventTimeline.filter(e => 
             e.timestamp >= start && e.timestamp <= end
@@ -699,7 +706,7 @@ export class EventMemory {
      * @private
      */
     _generateEventId() {
-        return `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return `event_${this.clock.now()}_${this.rng.uid()}`;
     }
 
     _eventsAreSimilar(event1, event2) {
@@ -823,8 +830,8 @@ export class EventMemory {
         const sortedEvents = Array.from(this.events.values())
             .sort((a, b) => {
                 // Prioritize by importance and recency
-                const scoreA = a.importance + (1 / (Date.now() - a.timestamp + 1));
-                const scoreB = b.importance + (1 / (Date.now() - b.timestamp + 1));
+                const scoreA = a.importance + (1 / (this.clock.now() - a.timestamp + 1));
+                const scoreB = b.importance + (1 / (this.clock.now() - b.timestamp + 1));
                 return scoreA - scoreB;
             });
 
@@ -14,6 +14,9 @@
  * limitations under the License.
  */
 
+import { RandomSource } from '../core/random.js';
+import { SystemClock } from '../core/environment.js';
+
 /**
  * GoalSystem - Autonomous goal generation and management for NPCs
  * 
@@ -33,6 +36,10 @@ export class GoalSystem {
             ...config
         };
 
+        // Seeded random stream
+        this.rng = (this.config.random || new RandomSource()).stream('goals');
+        this.clock = this.config.clock || new SystemClock();
+
         // Goal storage
         this.goals = new Map();
         this.goalsByOwner = new Map();
@@ -123,11 +130,11 @@ export class GoalSystem {
 
         // Update progress
         goal.progress = Math.max(0, Math.min(1, progress));
-        goal.lastUpdate = Date.now();
+        goal.lastUpdate = this.clock.now();
 
         // Record progress event
         goal.progressHistory.push({
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             progress: goal.progress,
             context
         });
@@ -147,7 +154,7 @@ export class GoalSystem {
      * Process goal decay and maintenance
      */
     processGoals() {
-        const now = Date.now();
+        const now = this.clock.now();
 
         for (const [goalId, goal] of this.goals) {
             if (goal.status !== 'active') continue;
@@ -353,7 +360,7 @@ export class GoalSystem {
 
         // Create goal instance
         const goal = {
-            id: `goal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: `goal_${this.clock.now()}_${this.rng.uid()}`,
             ownerId: npc.id,
             type: template.type,
             description: this._fillTemplate(template.description, context),
@@ -361,8 +368,8 @@ export class GoalSystem {
             currentPriority: template.basePriority * rule.weight,
             progress: 0,
             status: 'active',
-            created: Date.now(),
-            lastUpdate: Date.now(),
+            created: this.clock.now(),
+            lastUpdate: this.clock.now(),
             source: rule.id,
             template: templateId,
             progressHistory: [],
@@ -394,7 +401,7 @@ export class GoalSystem {
         weighted.sort((a, b) => b.relevance - a.relevance);
 
         // Sometimes choose less optimal for variety
-        if (Math.random() < 0.2 && weighted.length > 1) {
+        if (this.rng.random() < 0.2 && weighted.length > 1) {
             return weighted[1].templateId;
         }
 
@@ -549,7 +556,7 @@ export class GoalSystem {
         const urgencyMultiplier = context.urgency || 1;
         const duration = baseDuration / urgencyMultiplier;
 
-        return Date.now() + duration;
+        return this.clock.now() + duration;
     }
 
     /**
@@ -630,19 +637,19 @@ export class GoalSystem {
         const goals = [];
 
         // Highly curious NPCs seek knowledge
-        if (npc.personality?.curiosity > 0.8 && Math.random() < 0.3) {
+        if (npc.personality?.curiosity > 0.8 && this.rng.random() < 0.3) {
             const knowledgeGoal = this._createGoalFromTemplate('explore_area', npc, context);
             if (knowledgeGoal) goals.push(knowledgeGoal);
         }
 
         // Creative NPCs want to create
-        if (npc.personality?.creativity > 0.8 && Math.random() < 0.3) {
+        if (npc.personality?.creativity > 0.8 && this.rng.random() < 0.3) {
             const creativeGoal = this._createGoalFromTemplate('create_art', npc, context);
             if (creativeGoal) goals.push(creativeGoal);
         }
 
         // Social NPCs seek connections
-        if (npc.personality?.extraversion > 0.8 && Math.random() < 0.3) {
+        if (npc.personality?.extraversion > 0.8 && this.rng.random() < 0.3) {
             const socialGoal = this._createGoalFromTemplate('make_friend', npc, context);
             if (socialGoal) goals.push(socialGoal);
         }
@@ -660,7 +667,7 @@ export class GoalSystem {
         // React to recent negative events
         if (context.recentNegativeEvent) {
             const reactiveGoal = {
-                id: `goal_${Date.now()}_reactive`,
+                id: `goal_${this.clock.now()}_reactive`,
                 ownerId: npc.id,
                 type: 'reactive',
                 description: `Respond to ${context.recentNegativeEvent.type}`,
@@ -668,10 +675,10 @@ export class GoalSystem {
                 currentPriority: 0.8,
                 progress: 0,
                 status: 'active',
-                created: Date.now(),
-                lastUpdate: Date.now(),
+                created: this.clock.now(),
+                lastUpdate: this.clock.now(),
                 source: 'reactive',
-                deadline: Date.now() + 6 * 60 * 60 * 1000 // 6 hours
+                deadline: this.clock.now() + 6 * 60 * 60 * 1000 // 6 hours
             };
             goals.push(reactiveGoal);
         }
@@ -679,7 +686,7 @@ export class GoalSystem {
         // React to opportunities
         if (context.recentOpportunity) {
             const opportunityGoal = {
-                id: `goal_${Date.now()}_opportunity`,
+                id: `goal_${this.clock.now()}_opportunity`,
                 ownerId: npc.id,
                 type: 'opportunity',
                 description: `Seize opportunity: ${context.recentOpportunity.type}`,
@@ -687,10 +694,10 @@ export class GoalSystem {
                 currentPriority: 0.7,
                 progress: 0,
                 status: 'active',
-                created: Date.now(),
-                lastUpdate: Date.now(),
+                created: this.clock.now(),
+                lastUpdate: this.clock.now(),
                 source: 'opportunity',
-                deadline: Date.now() + 24 * 60 * 60 * 1000 // 24 hours
+                deadline: this.clock.now() + 24 * 60 * 60 * 1000 // 24 hours
             };
             goals.push(opportunityGoal);
         }
@@ -736,7 +743,7 @@ export class GoalSystem {
      */
     _completeGoal(goal) {
         goal.status = 'completed';
-        goal.completedAt = Date.now();
+        goal.completedAt = this.clock.now();
         goal.completionTime = goal.completedAt - goal.created;
 
         // Move to completed list
@@ -758,7 +765,7 @@ export class GoalSystem {
      */
     _abandonGoal(goal, reason) {
         goal.status = 'abandoned';
-        goal.abandonedAt = Date.now();
+        goal.abandonedAt = this.clock.now();
         goal.abandonmentReason = reason;
 
         // Move to abandoned list
@@ -780,7 +787,7 @@ export class GoalSystem {
         const progressValues = recentProgress.map(p => p.progress);
         
         const allSame = progressValues.every(p => p === progressValues[0]);
-        const timeSinceLastProgress = Date.now() - recentProgress[0].timestamp;
+        const timeSinceLastProgress = this.clock.now() - recentProgress[0].timestamp;
 
         return allSame && timeSinceLastProgress > 24 * 60 * 60 * 1000; // 24 hours
     }
@@ -818,7 +825,7 @@ export class GoalSystem {
         }
 
         // Decrease motivation when stagnant
-        const timeSinceUpdate = Date.now() - goal.lastUpdate;
+        const timeSinceUpdate = this.clock.now() - goal.lastUpdate;
         if (timeSinceUpdate > 12 * 60 * 60 * 1000) { // 12 hours
             goal.motivation.intrinsic *= 0.95;
         }
@@ -906,7 +913,7 @@ export class GoalSystem {
         if (!template) return null;
 
         const goal = {
-            id: `goal_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: `goal_${this.clock.now()}_${this.rng.uid()}`,
             ownerId: npc.id,
             type: template.type,
             description: this._fillTemplate(template.description, context),
@@ -914,8 +921,8 @@ export class GoalSystem {
             currentPriority: template.basePriority,
             progress: 0,
             status: 'active',
-            created: Date.now(),
-            lastUpdate: Date.now(),
+            created: this.clock.now(),
+            lastUpdate: this.clock.now(),
             source: 'personality',
             template: templateId,
             progressHistory: [],
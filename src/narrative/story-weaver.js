@@ -14,6 +14,8 @@
  * limitations under the License.
  */
 
+import { RandomSource } from '../core/random.js';
+import { SystemClock } from '../core/environment.js';
 import { EventMemory } from './event-memory.js';
 import { GoalSystem } from './goal-system.js';
 
@@ -35,9 +37,14 @@ export class StoryWeaver {
             ...config
         };
 
+        // Seeded random stream
+        this.rng = (this.config.random || new RandomSource()).stream('narrative');
+        this.clock = this.config.clock || new SystemClock();
+
         // Story components
-        this.eventMemory = new EventMemory();
-        this.goalSystem = new GoalSystem();
+        const shared = { random: this.config.random, clock: this.clock };
+        this.eventMemory = new EventMemory(shared);
+        this.goalSystem = new GoalSystem(shared);
         
         // Active narrative threads
         this.activeThreads = new Map();
@@ -49,6 +56,9 @@ export class StoryWeaver {
         // Narrative history
         this.completedStories = [];
         this.narrativeGraph = new Map(); // Connections between stories
+        
+        // Whether completed stories changed since the last save
+        this.storiesChanged = true;
     }
 
     /**
@@ -65,9 +75,9 @@ export class StoryWeaver {
         
         // Record the interaction as an event
         const interactionEvent = {
-            id: `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: `event_${this.clock.now()}_${this.rng.uid()}`,
             type: 'interaction',
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             participants: [source.id, target.id],
             interaction,
             relationshipChanges: relationshipUpdate.changes,
@@ -216,14 +226,14 @@ export class StoryWeaver {
         if (!templates || templates.length === 0) return null;
         
         // Select appropriate template
-        const template = templates[Math.floor(Math.random() * templates.length)];
+        const template = this.rng.pick(templates);
         
         // Generate event
         const event = {
-            id: `narrative_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: `narrative_${this.clock.now()}_${this.rng.uid()}`,
             type: 'narrative',
             subtype: trigger.type,
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             participants: trigger.participants,
             title: this._fillTemplate(template.title, trigger),
             description: this._fillTemplate(template.description, trigger),
@@ -274,7 +284,7 @@ export class StoryWeaver {
             }
             
             // Update thread timestamp
-            thread.lastUpdate = Date.now();
+            thread.lastUpdate = this.clock.now();
         }
         
         // Clean up old threads
@@ -335,10 +345,10 @@ export class StoryWeaver {
      */
     _startNarrativeThread(arc) {
         const thread = {
-            id: `thread_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: `thread_${this.clock.now()}_${this.rng.uid()}`,
             type: arc.type,
             participants: arc.participants,
-            startTime: Date.now(),
+            startTime: this.clock.now(),
             events: [],
             currentBeat: 1,
             tension: 0.3,
@@ -614,7 +624,7 @@ export class StoryWeaver {
      */
     async _resolveThread(thread) {
         thread.status = 'resolved';
-        thread.endTime = Date.now();
+        thread.endTime = this.clock.now();
         
         // Create story summary
         const story = {
@@ -629,6 +639,7 @@ export class StoryWeaver {
         };
         
         this.completedStories.push(story);
+        this.storiesChanged = true;
         this.activeThreads.delete(thread.id);
         
         // Update narrative graph
@@ -646,12 +657,12 @@ export class StoryWeaver {
             `Chronicles of ${npc.name}`,
             `The ${npc.role}'s Story`
         ];
-        return titles[Math.floor(Math.random() * titles.length)];
+        return this.rng.pick(titles);
     }
 
     _selectTheme(npc) {
         const themes = ['growth', 'discovery', 'redemption', 'love', 'ambition'];
-        return themes[Math.floor(Math.random() * themes.length)];
+        return this.rng.pick(themes);
     }
 
     _generateSetupScenes(npc, goals, relationships) {
@@ -705,12 +716,12 @@ export class StoryWeaver {
 
     _hasKnowledgeGap(npc1, npc2) {
         // Simplified check - would use actual skill/knowledge data
-        return Math.random() > 0.5;
+        return this.rng.random() > 0.5;
     }
 
     _moreSkilledNPC(npc1, npc2) {
         // Simplified - would compare actual skills
-        return Math.random() > 0.5 ? npc1 : npc2;
+        return this.rng.random() > 0.5 ? npc1 : npc2;
     }
 
     _generateSetupEvents(thread) {
@@ -719,7 +730,7 @@ export class StoryWeaver {
             type: 'narrative_start',
             title: `The Beginning of ${thread.type}`,
             participants: thread.participants,
-            timestamp: Date.now()
+            timestamp: this.clock.now()
         }];
     }
 
@@ -744,7 +755,7 @@ export class StoryWeaver {
     }
 
     _cleanupThreads() {
-        const now = Date.now();
+        const now = this.clock.now();
         const maxAge = this.config.arcDuration * 2;
         
         for (const [id, thread] of this.activeThreads) {
@@ -764,14 +775,14 @@ export class StoryWeaver {
 
     _assessGoalImpact(source, target, event) {
         return {
-            significant: Math.random() > 0.7,
+            significant: this.rng.random() > 0.7,
             goal: 'example_goal',
             type: 'progress'
         };
     }
 
     _detectEventPattern(participants) {
-        if (Math.random() > 0.9) {
+        if (this.rng.random() > 0.9) {
             return {
                 type: 'repeating_cycle',
                 participants
@@ -780,15 +791,48 @@ export class StoryWeaver {
         return null;
     }
 
+    /**
+     * Drop all but the most recent completed stories
+     * 
+     * @param {number} keep - Number of stories to keep
+     * @returns {number} Stories removed
+     */
+    pruneCompletedStories(keep) {
+        const removed = Math.max(0, this.completedStories.length - keep);
+        if (removed > 0) {
+            this.completedStories = this.completedStories.slice(removed);
+            this.storiesChanged = true;
+        }
+        return removed;
+    }
+
+    /**
+     * Mark completed stories as saved
+     */
+    markClean() {
+        this.storiesChanged = false;
+    }
+
     /**
      * Serialize story weaver state
+     * 
+     * @param {boolean} [changesOnly=false] - Leave out completed stories unless they
+     *                                        changed since the last save
      */
-    serialize() {
-        return {
+    serialize(changesOnly = false) {
+        const serialized = {
             activeThreads: Array.from(this.activeThreads.values()),
-            completedStories: this.completedStories.slice(-100),
             narrativeGraph: Object.fromEntries(this.narrativeGraph)
         };
+        
+        if (!changesOnly || this.storiesChanged) {
+            serialized.completedStories = this.completedStories.slice(-100);
+        }
+        if (changesOnly) {
+            this.storiesChanged = false;
+        }
+        
+        return serialized;
     }
 
     /**
@@ -804,6 +848,7 @@ export class StoryWeaver {
         
         if (data.completedStories) {
             this.completedStories = data.completedStories;
+            this.storiesChanged = false;
         }
         
         if (data.narrativeGraph) {
@@ -0,0 +1,571 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Conflict-free replicated data types for shared NPC state
+ *
+ * All of these are state-based: merge() is commutative, associative and
+ * idempotent, so two replicas that have seen the same updates hold the
+ * same state no matter the order they arrived in or how often. Local
+ * updates return a delta - the smallest state carrying the change - that
+ * merges like any full state, so peers only need to send deltas and can
+ * catch up on everything else with one full state.
+ */
+
+/**
+ * Order two [time, replicaId] stamps; replica ids break ties
+ *
+ * @returns {number} Negative, zero or positive, like a sort comparator
+ */
+export function compareStamps(a, b) {
+    if (a[0] !== b[0]) return a[0] - b[0];
+    if (a[1] === b[1]) return 0;
+    return a[1] < b[1] ? -1 : 1;
+}
+
+/**
+ * Grow-only set of records keyed by id
+ *
+ * @class GSet
+ */
+export class GSet {
+    constructor(state) {
+        this.items = new Map();
+        if (state) this.merge(state);
+    }
+
+    get size() {
+        return this.items.size;
+    }
+
+    has(id) {
+        return this.items.has(id);
+    }
+
+    get(id) {
+        return this.items.get(id);
+    }
+
+    values() {
+        return Array.from(this.items.values());
+    }
+
+    /**
+     * @returns {Object|null} Delta, or null if the id was already present
+     */
+    add(id, value) {
+        if (this.items.has(id)) return null;
+        this.items.set(id, value);
+        return { [id]: value };
+    }
+
+    /**
+     * @param {Object} state - { id: value }
+     * @returns {Array} Values that were not present before
+     */
+    merge(state) {
+        const added = [];
+        for (const [id, value] of Object.entries(state)) {
+            if (!this.items.has(id)) {
+                this.items.set(id, value);
+                added.push(value);
+            }
+        }
+        return added;
+    }
+
+    toJSON() {
+        return Object.fromEntries(this.items);
+    }
+}
+
+/**
+ * Records keyed by id that can be edited and removed
+ *
+ * Each record is a last-writer-wins register; a removed id is kept as a
+ * tombstone and never comes back, whichever replica still holds the
+ * record (a two-phase set). drop() lets go of a record locally without
+ * removing it anywhere else.
+ *
+ * State: { records: { id: { value, stamp } }, removed: [ids] }. A plain
+ * { id: value } map (the GSet shape) merges as records stamped at 0.
+ *
+ * @class RecordSet
+ */
+export class RecordSet {
+    constructor(state) {
+        this.records = new Map();
+        this.removed = new Set();
+        if (state) this.merge(state);
+    }
+
+    get size() {
+        return this.records.size;
+    }
+
+    has(id) {
+        return this.records.has(id);
+    }
+
+    get(id) {
+        const register = this.records.get(id);
+        return register ? register.value : undefined;
+    }
+
+    values() {
+        return Array.from(this.records.values(), register => register.value);
+    }
+
+    /**
+     * @returns {Object|null} Delta, or null if the id is known or removed
+     */
+    add(id, value, stamp) {
+        if (this.records.has(id) || this.removed.has(id)) return null;
+        return this.set(id, value, stamp);
+    }
+
+    /**
+     * @returns {Object|null} Delta, or null if the id is removed or a later write is held
+     */
+    set(id, value, stamp) {
+        if (this.removed.has(id)) return null;
+        if (!this.records.has(id)) {
+            this.records.set(id, new LWWRegister());
+        }
+        const write = this.records.get(id).set(value, stamp);
+        return write && { records: { [id]: write } };
+    }
+
+    /**
+     * @returns {Object|null} Delta, or null if already removed
+     */
+    remove(id) {
+        if (this.removed.has(id)) return null;
+        this.removed.add(id);
+        this.records.delete(id);
+        return { removed: [id] };
+    }
+
+    /**
+     * Forget a record here only; a merge that carries it adds it again
+     */
+    drop(id) {
+        this.records.delete(id);
+    }
+
+    /**
+     * @param {Object} state - { records, removed }, or { id: value }
+     * @returns {Object} { added: [values], updated: [values], removed: [ids] }
+     */
+    merge(state) {
+        const changes = { added: [], updated: [], removed: [] };
+        const legacy = !('records' in state) && !('removed' in state);
+        const records = legacy ?
+            Object.fromEntries(Object.entries(state).map(([id, value]) => [id, { value, stamp: [0, ''] }])) :
+            state.records || {};
+
+        for (const id of state.removed || []) {
+            if (this.remove(id)) changes.removed.push(id);
+        }
+        for (const [id, write] of Object.entries(records)) {
+            const known = this.records.has(id);
+            if (this.set(id, write.value, write.stamp)) {
+                (known ? changes.updated : changes.added).push(write.value);
+            }
+        }
+        return changes;
+    }
+
+    toJSON() {
+        const records = {};
+        for (const [id, register] of this.records) {
+            records[id] = register.toJSON();
+        }
+        return { records, removed: Array.from(this.removed) };
+    }
+}
+
+/**
+ * Last-writer-wins register
+ *
+ * Writes carry a [time, replicaId] stamp; the highest stamp wins.
+ *
+ * @class LWWRegister
+ */
+export class LWWRegister {
+    constructor(state) {
+        this.value = undefined;
+        this.stamp = null;
+        if (state) this.merge(state);
+    }
+
+    /**
+     * @returns {Object|null} Delta, or null if a later write is already held
+     */
+    set(value, stamp) {
+        if (this.stamp && compareStamps(stamp, this.stamp) <= 0) return null;
+        this.value = value;
+        this.stamp = stamp;
+        return { value, stamp };
+    }
+
+    /**
+     * @param {Object|null} state - { value, stamp }
+     * @returns {boolean} Whether the merged write replaced the current value
+     */
+    merge(state) {
+        return Boolean(state && this.set(state.value, state.stamp));
+    }
+
+    toJSON() {
+        return this.stamp ? { value: this.value, stamp: this.stamp } : null;
+    }
+}
+
+/**
+ * Counter that can go up and down
+ *
+ * Each replica only ever grows its own positive and negative totals, so
+ * merging takes the larger of each. Amounts may be fractional.
+ *
+ * @class PNCounter
+ */
+export class PNCounter {
+    constructor(state) {
+        this.p = {};
+        this.n = {};
+        if (state) this.merge(state);
+    }
+
+    value() {
+        // Summed in replica order, so every replica rounds the same way
+        const sum = (totals) => Object.keys(totals).sort()
+            .reduce((total, replicaId) => total + totals[replicaId], 0);
+        return sum(this.p) - sum(this.n);
+    }
+
+    /**
+     * @returns {Object|null} Delta, or null for a zero amount
+     */
+    increment(replicaId, amount) {
+        if (!amount) return null;
+        const side = amount > 0 ? 'p' : 'n';
+        const total = (this[side][replicaId] || 0) + Math.abs(amount);
+        this[side][replicaId] = total;
+        return { [side]: { [replicaId]: total } };
+    }
+
+    /**
+     * @param {Object} state - { p: { replicaId: total }, n: { replicaId: total } }
+     * @returns {number} How much the value moved
+     */
+    merge(state) {
+        let change = 0;
+        for (const [side, sign] of [['p', 1], ['n', -1]]) {
+            for (const [replicaId, total] of Object.entries(state[side] || {})) {
+                const current = this[side][replicaId] || 0;
+                if (total > current) {
+                    this[side][replicaId] = total;
+                    change += sign * (total - current);
+                }
+            }
+        }
+        return change;
+    }
+
+    toJSON() {
+        return { p: { ...this.p }, n: { ...this.n } };
+    }
+}
+
+/**
+ * Named PN-counters - mergeable deltas for a set of dimensions
+ * (emotions, relationship trust/affection/...)
+ *
+ * @class CounterMap
+ */
+export class CounterMap {
+    constructor(state) {
+        this.counters = new Map();
+        if (state) this.merge(state);
+    }
+
+    value(key) {
+        const counter = this.counters.get(key);
+        return counter ? counter.value() : 0;
+    }
+
+    values() {
+        const values = {};
+        for (const [key, counter] of this.counters) {
+            values[key] = counter.value();
+        }
+        return values;
+    }
+
+    /**
+     * @returns {Object|null} Delta, or null for a zero amount
+     */
+    increment(replicaId, key, amount) {
+        const delta = this._counter(key).increment(replicaId, amount);
+        return delta ? { [key]: delta } : null;
+    }
+
+    /**
+     * @param {Object} state - { key: PNCounter state }
+     * @returns {Object} { key: change } for every value that moved
+     */
+    merge(state) {
+        const changes = {};
+        for (const [key, counterState] of Object.entries(state)) {
+            const change = this._counter(key).merge(counterState);
+            if (change) changes[key] = change;
+        }
+        return changes;
+    }
+
+    toJSON() {
+        const state = {};
+        for (const [key, counter] of this.counters) {
+            state[key] = counter.toJSON();
+        }
+        return state;
+    }
+
+    /**
+     * @private
+     */
+    _counter(key) {
+        if (!this.counters.has(key)) {
+            this.counters.set(key, new PNCounter());
+        }
+        return this.counters.get(key);
+    }
+}
+
+/**
+ * ReplicatedNPC - The shared state of one NPC as a composite CRDT
+ *
+ * - memories:      RecordSet of memory records, keyed by memory id; edits
+ *                  (reconsolidation, fuzzing) are register writes and
+ *                  forgotten memories are tombstoned
+ * - position:      LWWRegister
+ * - behavior:      LWWRegister
+ * - owner:         LWWRegister holding the peer id that simulates the NPC
+ * - emotions:      CounterMap of emotion deltas
+ * - relationships: other entity id -> CounterMap of relationship deltas
+ * - formed:        other entity id -> when the relationship formed (earliest wins)
+ *
+ * Counters hold the sum of every replica's contributions rather than the
+ * values themselves, so concurrent interactions on different peers add
+ * up instead of overwriting each other. Register stamps come from a
+ * Lamport clock that moves past every stamp it merges.
+ *
+ * Updates return a delta in the same shape as toJSON(); null means
+ * nothing changed.
+ *
+ * @class ReplicatedNPC
+ */
+export class ReplicatedNPC {
+    /**
+     * @param {string} npcId - NPC this state belongs to
+     * @param {string} replicaId - Id contributions from this replica are recorded under
+     * @param {Object} [state] - State to start from (see toJSON)
+     */
+    constructor(npcId, replicaId, state) {
+        this.npcId = npcId;
+        this.replicaId = replicaId;
+        this.time = 0;
+
+        this.memories = new RecordSet();
+        this.position = new LWWRegister();
+        this.behavior = new LWWRegister();
+        this.owner = new LWWRegister();
+        this.emotions = new CounterMap();
+        this.relationships = new Map();
+        this.formed = new Map();
+
+        if (state) this.merge(state);
+    }
+
+    addMemory(record) {
+        if (this.memories.has(record.id) || this.memories.removed.has(record.id)) return null;
+        const delta = this.memories.add(record.id, record, [++this.time, this.replicaId]);
+        return delta && { memories: delta };
+    }
+
+    /**
+     * Replace a memory's record (it was revised)
+     */
+    updateMemory(record) {
+        const delta = this.memories.set(record.id, record, [++this.time, this.replicaId]);
+        return delta && { memories: delta };
+    }
+
+    /**
+     * Tombstone a memory (it was forgotten)
+     */
+    removeMemory(memoryId) {
+        const delta = this.memories.remove(memoryId);
+        return delta && { memories: delta };
+    }
+
+    /**
+     * @param {string} otherId - Entity the relationship points at
+     * @param {number} time - When the relationship formed here
+     * @returns {Object|null} Delta, or null if an earlier time is held
+     */
+    setFormed(otherId, time) {
+        if (typeof time !== 'number' || (this.formed.has(otherId) && this.formed.get(otherId) <= time)) {
+            return null;
+        }
+        this.formed.set(otherId, time);
+        return { formed: { [otherId]: time } };
+    }
+
+    setPosition(position) {
+        return this._write('position', position);
+    }
+
+    setBehavior(behavior) {
+        return this._write('behavior', behavior);
+    }
+
+    setOwner(peerId) {
+        return this._write('owner', peerId);
+    }
+
+    /**
+     * @param {Object} changes - { emotion: delta }
+     */
+    addEmotions(changes) {
+        const delta = this._increment(this.emotions, changes);
+        return delta && { emotions: delta };
+    }
+
+    /**
+     * @param {string} otherId - Entity the relationship points at
+     * @param {Object} changes - { dimension: delta }
+     */
+    addRelationship(otherId, changes) {
+        const delta = this._increment(this.relationship(otherId), changes);
+        return delta && { relationships: { [otherId]: delta } };
+    }
+
+    /**
+     * Merge a full state or delta
+     *
+     * @param {Object} state - State in the toJSON() shape; any part may be missing
+     * @returns {Object|null} What moved: { memories: [new records], revisedMemories: [records],
+     *                        removedMemories: [ids], position?, behavior?, owner?,
+     *                        emotions: { emotion: change }, relationships: { otherId: { dimension: change } },
+     *                        formed: { otherId: time } }, or null if the state held nothing new
+     */
+    merge(state) {
+        const memories = this.memories.merge(state.memories || {});
+        for (const write of Object.values((state.memories && state.memories.records) || {})) {
+            if (write && write.stamp) this.time = Math.max(this.time, write.stamp[0]);
+        }
+
+        const changes = {
+            memories: memories.added,
+            revisedMemories: memories.updated,
+            removedMemories: memories.removed,
+            emotions: this.emotions.merge(state.emotions || {}),
+            relationships: {},
+            formed: {}
+        };
+        let changed = memories.added.length > 0 || memories.updated.length > 0 ||
+            memories.removed.length > 0 || Object.keys(changes.emotions).length > 0;
+
+        for (const field of ['position', 'behavior', 'owner']) {
+            const write = state[field];
+            if (!write) continue;
+            this.time = Math.max(this.time, write.stamp[0]);
+            if (this[field].merge(write)) {
+                changes[field] = write.value;
+                changed = true;
+            }
+        }
+
+        for (const [otherId, relationshipState] of Object.entries(state.relationships || {})) {
+            const moved = this.relationship(otherId).merge(relationshipState);
+            if (Object.keys(moved).length > 0) {
+                changes.relationships[otherId] = moved;
+                changed = true;
+            }
+        }
+
+        for (const [otherId, time] of Object.entries(state.formed || {})) {
+            if (this.setFormed(otherId, time)) {
+                changes.formed[otherId] = time;
+                changed = true;
+            }
+        }
+
+        return changed ? changes : null;
+    }
+
+    toJSON() {
+        const relationships = {};
+        for (const [otherId, counters] of this.relationships) {
+            relationships[otherId] = counters.toJSON();
+        }
+        return {
+            memories: this.memories.toJSON(),
+            position: this.position.toJSON(),
+            behavior: this.behavior.toJSON(),
+            owner: this.owner.toJSON(),
+            emotions: this.emotions.toJSON(),
+            relationships,
+            formed: Object.fromEntries(this.formed)
+        };
+    }
+
+    /**
+     * Relationship counters towards another entity, created on first use
+     *
+     * @param {string} otherId - Entity the relationship points at
+     * @returns {CounterMap}
+     */
+    relationship(otherId) {
+        if (!this.relationships.has(otherId)) {
+            this.relationships.set(otherId, new CounterMap());
+        }
+        return this.relationships.get(otherId);
+    }
+
+    /**
+     * @private
+     */
+    _write(field, value) {
+        const delta = this[field].set(value, [++this.time, this.replicaId]);
+        return delta && { [field]: delta };
+    }
+
+    /**
+     * @private
+     */
+    _increment(counters, changes) {
+        let delta = null;
+        for (const [key, amount] of Object.entries(changes)) {
+            if (typeof amount !== 'number' || !Number.isFinite(amount)) continue;
+            const counterDelta = counters.increment(this.replicaId, key, amount);
+            if (counterDelta) delta = { ...delta, ...counterDelta };
+        }
+        return delta;
+    }
+}
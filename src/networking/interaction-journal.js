@@ -0,0 +1,253 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Fields an entry keeps, whoever sent it
+const ENTRY_FIELDS = ['origin', 'seq', 'sourceId', 'targetId', 'interaction', 'timestamp'];
+
+/**
+ * InteractionJournal - Persistent log of the interactions shared over the mesh
+ *
+ * Every interaction processed here is recorded as an entry numbered in
+ * sequence under this journal's origin, whether or not any peer is
+ * connected, and entries from peers are recorded alongside. The journal
+ * is written through Persistence as it changes, so entries made offline
+ * survive a reload.
+ *
+ * The version vector says, per origin, up to which entry this journal
+ * has everything. Peers exchange vectors when they connect and send each
+ * other the entries the other lacks, in both directions; entries relayed
+ * that way reach peers that never met their origin.
+ *
+ * Only the newest maxEntries entries are kept. Dropping older ones moves
+ * the vector past them, so they are not fetched again.
+ *
+ * @class InteractionJournal
+ */
+export class InteractionJournal {
+    /**
+     * @param {Object} config
+     * @param {Persistence} config.persistence - Where the journal is kept
+     * @param {string} config.origin - Origin for entries recorded here, unless the saved
+     *                                 journal already has one
+     * @param {number} [config.maxEntries=1000] - Entries kept
+     */
+    constructor(config) {
+        this.config = {
+            ...config,
+            maxEntries: typeof config.maxEntries === 'number' ? config.maxEntries : 1000
+        };
+
+        this.persistence = config.persistence;
+        this.origin = config.origin;
+
+        // Origin -> highest seq held with nothing missing before it
+        this.vector = {};
+
+        // Entries in the order they were recorded, and their keys
+        this.entries = [];
+        this.keys = new Set();
+
+        // Writes go out one after another, in the order of the changes
+        this._writes = Promise.resolve();
+
+        this.initialized = this._initialize();
+    }
+
+    /**
+     * Record an interaction processed on this peer
+     *
+     * @param {Object} event - { sourceId, targetId, interaction, timestamp }
+     * @returns {Promise<Object>} The entry, with its origin and seq
+     */
+    async record(event) {
+        await this.initialized;
+
+        const entry = InteractionJournal._entry({
+            ...event,
+            origin: this.origin,
+            seq: (this.vector[this.origin] || 0) + 1
+        });
+        const removed = this._add(entry);
+        await this._save([entry], removed);
+        return entry;
+    }
+
+    /**
+     * Record entries from a peer
+     *
+     * @param {Object[]} entries - Entries as sent by the peer
+     * @returns {Promise<Object[]>} Entries that were new here, oldest first
+     */
+    async receive(entries) {
+        await this.initialized;
+
+        const added = [];
+        const removed = [];
+        const valid = entries.filter(InteractionJournal._valid).map(InteractionJournal._entry);
+        valid.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0) ||
+            (a.origin < b.origin ? -1 : a.origin > b.origin ? 1 : a.seq - b.seq));
+
+        for (const entry of valid) {
+            if (this.has(entry.origin, entry.seq)) continue;
+            removed.push(...this._add(entry));
+            added.push(entry);
+        }
+        if (valid.length < entries.length) {
+            console.warn(`Ignored ${entries.length - valid.length} malformed journal entries`);
+        }
+
+        if (added.length > 0) {
+            await this._save(added, removed);
+        }
+        return added;
+    }
+
+    /**
+     * Whether an entry is in the journal (or older than what it keeps)
+     *
+     * @param {string} origin - Origin of the entry
+     * @param {number} seq - Its number
+     * @returns {boolean}
+     */
+    has(origin, seq) {
+        return seq <= (this.vector[origin] || 0) || this.keys.has(`${origin}/${seq}`);
+    }
+
+    /**
+     * Entries a peer with the given vector lacks
+     *
+     * @param {Object} vector - The peer's version vector
+     * @param {number} [maxSize=Infinity] - Largest total size to return, in characters
+     *                                      (at least one entry is returned)
+     * @returns {Object} { entries, more }
+     */
+    missing(vector, maxSize = Infinity) {
+        const entries = [];
+        let size = 0;
+        let more = false;
+
+        for (const entry of this.entries) {
+            if (entry.seq <= (vector[entry.origin] || 0)) continue;
+
+            const entrySize = JSON.stringify(entry).length;
+            if (entries.length > 0 && size + entrySize > maxSize) {
+                more = true;
+                break;
+            }
+            entries.push(entry);
+            size += entrySize;
+        }
+        return { entries, more };
+    }
+
+    /**
+     * Copy of the version vector
+     *
+     * @returns {Object} Origin -> highest seq held with nothing missing before it
+     */
+    getVector() {
+        return { ...this.vector };
+    }
+
+    /**
+     * @private
+     */
+    async _initialize() {
+        try {
+            const { state, entries } = await this.persistence.loadJournal();
+            if (state) {
+                this.origin = state.origin;
+                this.vector = { ...state.vector };
+            }
+            for (const entry of entries.map(InteractionJournal._entry)) {
+                this.entries.push(entry);
+                this.keys.add(`${entry.origin}/${entry.seq}`);
+            }
+            this.entries.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+        } catch (error) {
+            console.error('Failed to load interaction journal:', error);
+        }
+    }
+
+    /**
+     * Add an entry, advance the vector and drop the oldest entries past
+     * maxEntries
+     * @private
+     * @returns {Object[]} Dropped entries
+     */
+    _add(entry) {
+        this.entries.push(entry);
+        this.keys.add(`${entry.origin}/${entry.seq}`);
+        this._advance(entry.origin);
+
+        const removed = this.entries.splice(0, Math.max(0, this.entries.length - this.config.maxEntries));
+        for (const old of removed) {
+            this.keys.delete(`${old.origin}/${old.seq}`);
+            // Nobody will be asked for it again
+            this.vector[old.origin] = Math.max(this.vector[old.origin] || 0, old.seq);
+            this._advance(old.origin);
+        }
+        return removed;
+    }
+
+    /**
+     * Move an origin's vector entry past the entries held after it
+     * @private
+     */
+    _advance(origin) {
+        let seq = this.vector[origin] || 0;
+        while (this.keys.has(`${origin}/${seq + 1}`)) {
+            seq++;
+        }
+        this.vector[origin] = seq;
+    }
+
+    /**
+     * @private
+     */
+    _save(added, removed) {
+        const state = { origin: this.origin, vector: { ...this.vector } };
+        this._writes = this._writes
+            .then(() => this.persistence.saveJournal({ added, removed, state }))
+            .catch(error => console.error('Failed to save interaction journal:', error));
+        return this._writes;
+    }
+
+    /**
+     * @private
+     */
+    static _entry(entry) {
+        const record = {};
+        for (const field of ENTRY_FIELDS) {
+            if (entry[field] !== undefined) record[field] = entry[field];
+        }
+        return record;
+    }
+
+    /**
+     * @private
+     */
+    static _valid(entry) {
+        return entry !== null && typeof entry === 'object' &&
+            typeof entry.origin === 'string' && entry.origin.length > 0 &&
+            Number.isInteger(entry.seq) && entry.seq > 0 &&
+            (entry.sourceId === undefined || typeof entry.sourceId === 'string') &&
+            (entry.targetId === undefined || typeof entry.targetId === 'string') &&
+            (entry.timestamp === undefined || typeof entry.timestamp === 'number');
+    }
+}
+
+export default InteractionJournal;
@@ -0,0 +1,574 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { checkDelta } from './state-delta.js';
+
+/**
+ * Mesh wire protocol spoken by this library. Bump it whenever the
+ * envelope or a built-in message changes shape; peers agree on the
+ * highest version both support when they connect.
+ */
+export const PROTOCOL_VERSION = 1;
+
+/**
+ * Oldest protocol version this library still speaks. Raise it when
+ * support for an older wire format is dropped.
+ */
+export const MIN_PROTOCOL_VERSION = 1;
+
+/**
+ * Thrown (and reported as 'protocol:error') for messages that break the protocol
+ *
+ * Codes: 'oversized', 'malformed', 'version', 'world', 'sender',
+ * 'misaddressed', 'handshake', 'unknown_type', 'schema', and with
+ * MeshSecurity 'signature' and 'encryption'.
+ *
+ * @class MeshProtocolError
+ */
+export class MeshProtocolError extends Error {
+    /**
+     * @param {string} code - What was wrong
+     * @param {string} message - Human-readable description
+     * @param {Object} [details]
+     * @param {string} [details.peerId] - Peer the message came from
+     * @param {string} [details.type] - Message type, when it could be read
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'MeshProtocolError';
+        this.code = code;
+        this.peerId = details.peerId || null;
+        this.type = details.type || null;
+    }
+}
+
+// Consciousness fields a peer may replace through consciousness_sync
+const CONSCIOUSNESS_STATE_FIELDS = new Set([
+    'awareness', 'currentFocus', 'activeThoughts', 'workingMemory',
+    'goals', 'beliefs', 'lastProcessTime'
+]);
+
+const MAX_SHARED_THOUGHTS = 100;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Shape check for shared consciousness states
+ */
+function consciousnessState(value) {
+    if (!isObject(value)) return 'must be an object';
+
+    const { state, thoughtStream, memories, memoryBank } = value;
+    if (state !== undefined) {
+        if (!isObject(state)) return 'state must be an object';
+        for (const key of Object.keys(state)) {
+            if (!CONSCIOUSNESS_STATE_FIELDS.has(key)) {
+                return `state.${key} is not a consciousness field`;
+            }
+        }
+        if (state.awareness !== undefined &&
+            !(typeof state.awareness === 'number' && state.awareness >= 0 && state.awareness <= 1)) {
+            return 'state.awareness must be a number between 0 and 1';
+        }
+        for (const key of ['activeThoughts', 'workingMemory', 'goals']) {
+            if (state[key] !== undefined && !Array.isArray(state[key])) {
+                return `state.${key} must be an array`;
+            }
+        }
+    }
+    if (thoughtStream !== undefined &&
+        !(Array.isArray(thoughtStream) && thoughtStream.length <= MAX_SHARED_THOUGHTS)) {
+        return `thoughtStream must be an array of at most ${MAX_SHARED_THOUGHTS} thoughts`;
+    }
+    if (memories !== undefined && !Array.isArray(memories)) return 'memories must be an array';
+    if (memoryBank !== undefined && !isObject(memoryBank)) return 'memoryBank must be an object';
+    return null;
+}
+
+/**
+ * Shape check for PN-counter states: { p: { replicaId: total }, n: {...} }
+ */
+function counterState(value) {
+    if (!isObject(value)) return 'must be an object';
+    for (const side of ['p', 'n']) {
+        if (value[side] === undefined) continue;
+        if (!isObject(value[side])) return `${side} must be an object`;
+        for (const total of Object.values(value[side])) {
+            if (typeof total !== 'number' || !Number.isFinite(total) || total < 0) {
+                return `${side} totals must be non-negative numbers`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Shape check for counter maps: { key: counterState }
+ */
+function counterMapState(value) {
+    if (!isObject(value)) return 'must be an object';
+    for (const [key, counter] of Object.entries(value)) {
+        const problem = counterState(counter);
+        if (problem) return `${key} ${problem}`;
+    }
+    return null;
+}
+
+/**
+ * Shape check for LWW register states: null or { value, stamp: [time, replicaId] }
+ */
+function registerState(value) {
+    if (value === null) return null;
+    if (!isObject(value)) return 'must be an object or null';
+    const { stamp } = value;
+    if (!Array.isArray(stamp) || stamp.length !== 2 ||
+        !Number.isInteger(stamp[0]) || typeof stamp[1] !== 'string') {
+        return 'stamp must be [time, replicaId]';
+    }
+    return null;
+}
+
+/**
+ * Shape check for replicated NPC states (see ReplicatedNPC)
+ */
+function replicaState(value) {
+    if (!isObject(value)) return 'must be an object';
+
+    const { memories, position, behavior, owner, emotions, relationships, formed } = value;
+    if (memories !== undefined) {
+        if (!isObject(memories)) return 'memories must be an object';
+        const { records, removed } = memories;
+        if (records !== undefined) {
+            if (!isObject(records)) return 'memories.records must be an object';
+            for (const [id, write] of Object.entries(records)) {
+                const problem = registerState(write);
+                if (problem) return `memories.records.${id} ${problem}`;
+                if (!write || !isObject(write.value) || write.value.id !== id) {
+                    return `memories.records.${id} must hold a record with that id`;
+                }
+            }
+        }
+        if (removed !== undefined && (!Array.isArray(removed) || removed.some(id => typeof id !== 'string'))) {
+            return 'memories.removed must be an array of ids';
+        }
+    }
+    for (const [field, register] of [['position', position], ['behavior', behavior], ['owner', owner]]) {
+        const problem = register === undefined ? null : registerState(register);
+        if (problem) return `${field} ${problem}`;
+    }
+    if (position && !isObject(position.value)) return 'position value must be an object';
+    if (owner && typeof owner.value !== 'string') return 'owner value must be a peer id';
+    if (emotions !== undefined) {
+        const problem = counterMapState(emotions);
+        if (problem) return `emotions: ${problem}`;
+    }
+    if (relationships !== undefined) {
+        if (!isObject(relationships)) return 'relationships must be an object';
+        for (const [otherId, counters] of Object.entries(relationships)) {
+            const problem = counterMapState(counters);
+            if (problem) return `relationships.${otherId}: ${problem}`;
+        }
+    }
+    if (formed !== undefined) {
+        if (!isObject(formed)) return 'formed must be an object';
+        for (const [otherId, time] of Object.entries(formed)) {
+            if (typeof time !== 'number' || !Number.isFinite(time)) return `formed.${otherId} must be a time`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Shape check for version vectors: { origin: highest seq }
+ */
+function versionVector(value) {
+    if (!isObject(value)) return 'must be an object';
+    for (const [origin, seq] of Object.entries(value)) {
+        if (!Number.isInteger(seq) || seq < 0) return `${origin} must be a non-negative integer`;
+    }
+    return null;
+}
+
+/**
+ * Accept undefined, or check the value with a check function
+ */
+function optional(check) {
+    return (value) => (value === undefined ? null : check(value));
+}
+
+/**
+ * Accept null, or check the value against a schema
+ */
+function nullable(schema) {
+    return (value) => (value === null ? null : MeshProtocol.check(value, schema, 'value'));
+}
+
+/**
+ * Shape check for the [min, max] version range in hello
+ */
+function versionRange(value) {
+    if (!Array.isArray(value) || value.length !== 2 ||
+        !value.every(Number.isInteger) || value[0] > value[1]) {
+        return 'must be [minVersion, maxVersion]';
+    }
+    return null;
+}
+
+/**
+ * Envelope every message travels in
+ */
+const ENVELOPE_SCHEMA = {
+    v: 'integer',
+    id: 'string',
+    seq: 'integer',
+    type: 'string',
+    from: 'string',
+    to: 'string?',
+    timestamp: 'number',
+    requiresAck: 'boolean?',
+    request: 'boolean?',
+    stream: 'string?',
+    streamSeq: 'integer?',
+    data: 'any'
+};
+
+/**
+ * Payload schemas for the built-in message types
+ *
+ * A schema maps field names to a type name ('string', 'number',
+ * 'integer', 'boolean', 'object', 'array', 'any'; a trailing '?' makes
+ * the field optional), a nested schema object, or a function returning
+ * a problem description (or null). Fields not named are allowed.
+ */
+export const MESSAGE_SCHEMAS = {
+    hello: {
+        versions: versionRange,
+        worldName: 'string',
+        maxMessageSize: 'number?',
+        ready: 'boolean?',
+        publicKey: 'object?'
+    },
+    heartbeat: {},
+    heartbeat_ack: {},
+    ack: {
+        ackId: 'string'
+    },
+    npc_created: {
+        id: 'string',
+        name: 'string',
+        role: 'string?',
+        personality: 'object?'
+    },
+    // origin/seq number journaled interactions (see InteractionJournal)
+    interaction: {
+        sourceId: 'string?',
+        targetId: 'string?',
+        interaction: 'object?',
+        origin: 'string?',
+        seq: 'integer?',
+        timestamp: 'number?'
+    },
+    journal_sync: {
+        vector: versionVector
+    },
+    // A whole state, or (with version and base) a delta against a version
+    // the receiver acknowledged
+    consciousness_sync: {
+        npcId: 'string',
+        state: optional(consciousnessState),
+        version: 'integer?',
+        base: 'integer?',
+        delta: optional(checkDelta),
+        timestamp: 'number?'
+    },
+    consciousness_request: {
+        npcId: 'string'
+    },
+    npc_delta: {
+        npcId: 'string',
+        state: replicaState
+    },
+    player_presence: {
+        position: {
+            x: 'number',
+            y: 'number',
+            z: 'number?'
+        },
+        seq: 'integer'
+    },
+    response: {
+        requestId: 'string',
+        ok: 'boolean',
+        result: 'any',
+        error: 'string?'
+    },
+    // Envelopes sent together in one frame; each is checked on its own
+    batch: {
+        messages: 'array'
+    }
+};
+
+/**
+ * Delivery options for the built-in message types
+ *
+ * - reliable: retransmitted until the peer acknowledges it
+ * - orderBy:  payload field naming an ordered stream (an NPC id); messages
+ *             in the same stream are handled in the order they were sent
+ * - response: schema for the result of a request of this type
+ */
+export const MESSAGE_OPTIONS = {
+    npc_created: { reliable: true, orderBy: 'id' },
+    interaction: { reliable: true, orderBy: 'sourceId' },
+    consciousness_sync: { reliable: true, orderBy: 'npcId' },
+    consciousness_request: {
+        response: nullable({ npcId: 'string', state: consciousnessState })
+    },
+    // Merging is order-independent, so deltas need no stream
+    npc_delta: { reliable: true },
+    // Entries the requester's vector lacks; it asks again while more is true
+    journal_sync: {
+        response: { entries: 'array', more: 'boolean' }
+    },
+    // Only the latest position matters; seq discards stale ones
+    player_presence: { reliable: true },
+    response: { reliable: true }
+};
+
+/**
+ * MeshProtocol - Envelope encoding and validation for WebRTCMesh
+ *
+ * Every message travels as { v, id, seq, type, from, to?, timestamp,
+ * requiresAck?, request?, stream?, streamSeq?, data }. seq counts every
+ * message on a link; stream/streamSeq order the messages about one NPC.
+ * Small messages may share a frame as a 'batch' envelope whose
+ * messages are checked one by one with accept().
+ * decode() rejects anything oversized, unparsable, from the wrong sender,
+ * of an unknown type, or whose data does not match the type's schema,
+ * with a MeshProtocolError.
+ *
+ * @class MeshProtocol
+ */
+export class MeshProtocol {
+    /**
+     * @param {Object} [config]
+     * @param {number} [config.maxMessageSize=65536] - Largest accepted message, in characters
+     * @param {number[]} [config.versions] - [min, max] protocol versions spoken, by default
+     *        MIN_PROTOCOL_VERSION to PROTOCOL_VERSION
+     */
+    constructor(config = {}) {
+        this.config = {
+            maxMessageSize: 64 * 1024,
+            versions: [MIN_PROTOCOL_VERSION, PROTOCOL_VERSION],
+            ...config
+        };
+
+        this.schemas = new Map(Object.entries(MESSAGE_SCHEMAS));
+        this.options = new Map(Object.entries(MESSAGE_OPTIONS));
+    }
+
+    /**
+     * Register (or replace) a message type
+     *
+     * @param {string} type - Message type
+     * @param {Object} schema - Payload schema (see MESSAGE_SCHEMAS)
+     * @param {Object} [options] - Delivery options (see MESSAGE_OPTIONS)
+     */
+    define(type, schema, options = {}) {
+        this.schemas.set(type, schema);
+        this.options.set(type, options);
+    }
+
+    /**
+     * Delivery options for a message type
+     *
+     * @param {string} type - Message type
+     * @returns {Object} { reliable, orderBy, response }
+     */
+    optionsFor(type) {
+        return this.options.get(type) || {};
+    }
+
+    /**
+     * Highest protocol version both sides speak
+     *
+     * @param {number[]} versions - The peer's [min, max] range
+     * @returns {number|null} Agreed version, or null if the ranges do not overlap
+     */
+    negotiate([min, max]) {
+        const [ownMin, ownMax] = this.config.versions;
+        const version = Math.min(max, ownMax);
+        return version >= Math.max(min, ownMin) ? version : null;
+    }
+
+    /**
+     * Check a payload against its type's schema
+     *
+     * @param {string} type - Message type
+     * @param {*} data - Payload
+     * @throws {MeshProtocolError} If the type is unknown or the payload does not match
+     */
+    validate(type, data) {
+        const schema = this.schemas.get(type);
+        if (!schema) {
+            throw new MeshProtocolError('unknown_type', `Unknown message type: ${type}`, { type });
+        }
+
+        const problem = MeshProtocol.check(data === undefined ? {} : data, schema, 'data');
+        if (problem) {
+            throw new MeshProtocolError('schema', `Invalid ${type} message: ${problem}`, { type });
+        }
+    }
+
+    /**
+     * Serialize an envelope
+     *
+     * @param {Object} message - Envelope
+     * @returns {string} Wire form
+     * @throws {MeshProtocolError} If the result is over maxMessageSize
+     */
+    encode(message) {
+        const text = JSON.stringify(message);
+        if (text.length > this.config.maxMessageSize) {
+            throw new MeshProtocolError('oversized',
+                `${message.type} message is ${text.length} characters (limit ${this.config.maxMessageSize})`,
+                { type: message.type });
+        }
+        return text;
+    }
+
+    /**
+     * Parse and validate an incoming message
+     *
+     * @param {string} text - Wire form
+     * @param {string} sender - Peer the transport received it from
+     * @param {string} localId - This peer's id
+     * @returns {Object} Envelope
+     * @throws {MeshProtocolError} If the message breaks the protocol
+     */
+    decode(text, sender, localId) {
+        const details = { peerId: sender };
+
+        if (typeof text !== 'string') {
+            throw new MeshProtocolError('malformed', 'Message is not text', details);
+        }
+        if (text.length > this.config.maxMessageSize) {
+            throw new MeshProtocolError('oversized',
+                `Message is ${text.length} characters (limit ${this.config.maxMessageSize})`, details);
+        }
+
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            throw new MeshProtocolError('malformed', 'Message is not valid JSON', details);
+        }
+
+        return this.accept(message, sender, localId);
+    }
+
+    /**
+     * Validate an already parsed envelope (one taken out of a batch)
+     *
+     * @param {Object} message - Envelope
+     * @param {string} sender - Peer the transport received it from
+     * @param {string} localId - This peer's id
+     * @returns {Object} The envelope
+     * @throws {MeshProtocolError} If the message breaks the protocol
+     */
+    accept(message, sender, localId) {
+        const details = { peerId: sender };
+
+        const problem = MeshProtocol.check(message, ENVELOPE_SCHEMA, 'envelope');
+        if (problem) {
+            throw new MeshProtocolError('malformed', `Invalid envelope: ${problem}`, details);
+        }
+        details.type = message.type;
+
+        // hello is how peers speaking other versions find one in common
+        const [min, max] = this.config.versions;
+        if (message.type !== 'hello' && (message.v < min || message.v > max)) {
+            throw new MeshProtocolError('version', `Unsupported protocol version ${message.v}`, details);
+        }
+        if (message.from !== sender) {
+            throw new MeshProtocolError('sender', `Message claims to be from ${message.from}`, details);
+        }
+        if (message.to && message.to !== localId) {
+            throw new MeshProtocolError('misaddressed', `Message is addressed to ${message.to}`, details);
+        }
+        if ((message.stream === undefined) !== (message.streamSeq === undefined)) {
+            throw new MeshProtocolError('malformed', 'stream and streamSeq must be sent together', details);
+        }
+
+        try {
+            this.validate(message.type, message.data);
+        } catch (error) {
+            error.peerId = sender;
+            throw error;
+        }
+
+        return message;
+    }
+
+    /**
+     * Check a value against a schema
+     *
+     * @param {*} value - Value to check
+     * @param {string|Object|Function} schema - Type name, nested schema or check function
+     * @param {string} path - Where the value sits, for messages
+     * @returns {string|null} The first problem found, or null
+     */
+    static check(value, schema, path) {
+        if (typeof schema === 'function') {
+            const problem = schema(value);
+            return problem ? `${path} ${problem}` : null;
+        }
+
+        if (typeof schema === 'string') {
+            const optional = schema.endsWith('?');
+            const type = optional ? schema.slice(0, -1) : schema;
+
+            if (value === undefined || value === null) {
+                return optional || type === 'any' ? null : `${path} is required`;
+            }
+
+            const valid = {
+                any: () => true,
+                string: () => typeof value === 'string',
+                number: () => typeof value === 'number' && Number.isFinite(value),
+                integer: () => Number.isInteger(value) && value >= 0,
+                boolean: () => typeof value === 'boolean',
+                object: () => isObject(value),
+                array: () => Array.isArray(value)
+            }[type];
+
+            if (!valid) {
+                return `${path} has unknown schema type ${type}`;
+            }
+            return valid() ? null : `${path} must be ${type === 'integer' ? 'a non-negative integer' : `a ${type}`}`;
+        }
+
+        if (!isObject(value)) {
+            return `${path} must be an object`;
+        }
+        for (const [field, fieldSchema] of Object.entries(schema)) {
+            const problem = MeshProtocol.check(value[field], fieldSchema, `${path}.${field}`);
+            if (problem) return problem;
+        }
+        return null;
+    }
+}
+
+export default MeshProtocol;
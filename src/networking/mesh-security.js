@@ -0,0 +1,254 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { MeshProtocolError } from './mesh-protocol.js';
+
+const SIGNATURE = { name: 'ECDSA', hash: 'SHA-256' };
+const IDENTITY_CURVE = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_BYTES = 64;   // P-256 r || s
+const IV_BYTES = 12;
+const KEY_ITERATIONS = 100000;
+
+/**
+ * MeshSecurity - Signs and encrypts mesh messages with WebCrypto
+ *
+ * Every peer has an ECDSA P-256 identity, generated per session unless
+ * one is passed in, and announces its public key in hello. Every message
+ * after that is signed, and peers drop messages whose signature does not
+ * match the key the sender announced, so nobody can speak for another
+ * peer (a relay, or a peer forging shareConsciousness).
+ *
+ * With a world key, messages are also encrypted with AES-GCM under a key
+ * derived from it: peers without the same key cannot read the world's
+ * traffic or complete the handshake.
+ *
+ * Frames on the wire are JSON: { m, sig } when only signed, { iv, ct }
+ * when encrypted (the ciphertext holds the signature and the message).
+ *
+ * @class MeshSecurity
+ */
+export class MeshSecurity {
+    /**
+     * @param {Object} config
+     * @param {string} config.worldName - Salt for the derived world key
+     * @param {string|CryptoKey} [config.worldKey] - Shared secret (or AES-GCM key) for encryption
+     * @param {CryptoKeyPair} [config.identity] - ECDSA P-256 key pair to sign with
+     * @param {Crypto} [config.crypto] - WebCrypto implementation (defaults to the global;
+     *                                   pass require('node:crypto').webcrypto in older Node)
+     */
+    constructor(config) {
+        this.config = config;
+        this.crypto = this.config.crypto ||
+            (typeof crypto !== 'undefined' && crypto.subtle ? crypto : null);
+        this.encrypted = Boolean(this.config.worldKey);
+
+        // Set by ready()
+        this.identity = null;
+        this.publicKey = null;      // JWK announced in hello
+        this.fingerprint = null;
+        this._worldKey = null;
+        this._ready = null;
+    }
+
+    /**
+     * Derive the world key and set up the identity (once)
+     *
+     * @returns {Promise<MeshSecurity>}
+     */
+    ready() {
+        if (!this._ready) {
+            this._ready = this._initialize();
+        }
+        return this._ready;
+    }
+
+    /**
+     * Sign (and encrypt) an encoded message
+     *
+     * @param {string} text - Encoded envelope
+     * @returns {Promise<string>} Frame to put on the wire
+     */
+    async seal(text) {
+        await this.ready();
+        const subtle = this.crypto.subtle;
+        const bytes = new TextEncoder().encode(text);
+        const signature = new Uint8Array(await subtle.sign(SIGNATURE, this.identity.privateKey, bytes));
+
+        if (!this.encrypted) {
+            return JSON.stringify({ m: text, sig: MeshSecurity._toBase64(signature) });
+        }
+
+        const plain = new Uint8Array(SIGNATURE_BYTES + bytes.length);
+        plain.set(signature);
+        plain.set(bytes, SIGNATURE_BYTES);
+        const iv = this.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const cipher = await subtle.encrypt({ name: 'AES-GCM', iv }, this._worldKey, plain);
+        return JSON.stringify({
+            iv: MeshSecurity._toBase64(iv),
+            ct: MeshSecurity._toBase64(new Uint8Array(cipher))
+        });
+    }
+
+    /**
+     * Decrypt a frame; the signature still has to be verified against the
+     * sender's key
+     *
+     * @param {string} frame - Frame from the wire
+     * @param {string} sender - Peer it came from, for errors
+     * @returns {Promise<Object>} { text, signature }
+     * @throws {MeshProtocolError} 'encryption' if the frame cannot be read with this world key
+     */
+    async open(frame, sender) {
+        await this.ready();
+        const details = { peerId: sender };
+
+        let parsed;
+        try {
+            parsed = JSON.parse(frame);
+        } catch (error) {
+            parsed = null;
+        }
+
+        if (!this.encrypted) {
+            let signature = null;
+            try {
+                signature = parsed && typeof parsed.m === 'string' && MeshSecurity._fromBase64(parsed.sig);
+            } catch (error) {
+                signature = null;
+            }
+            if (!signature) {
+                throw new MeshProtocolError('signature', 'Message is not signed', details);
+            }
+            return { text: parsed.m, signature };
+        }
+
+        if (!parsed || typeof parsed.iv !== 'string' || typeof parsed.ct !== 'string') {
+            throw new MeshProtocolError('encryption', 'Message is not encrypted', details);
+        }
+        let plain;
+        try {
+            plain = new Uint8Array(await this.crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: MeshSecurity._fromBase64(parsed.iv) },
+                this._worldKey,
+                MeshSecurity._fromBase64(parsed.ct)
+            ));
+        } catch (error) {
+            throw new MeshProtocolError('encryption', 'Message is not encrypted with this world key', details);
+        }
+        return {
+            text: new TextDecoder().decode(plain.subarray(SIGNATURE_BYTES)),
+            signature: plain.subarray(0, SIGNATURE_BYTES)
+        };
+    }
+
+    /**
+     * Import a public key a peer announced
+     *
+     * @param {Object} jwk - Public key from the peer's hello
+     * @returns {Promise<Object>} { key, fingerprint }
+     */
+    async importPeerKey(jwk) {
+        const key = await this.crypto.subtle.importKey('jwk', jwk, IDENTITY_CURVE, true, ['verify']);
+        return { key, fingerprint: await this._fingerprint(jwk) };
+    }
+
+    /**
+     * Check a message signature
+     *
+     * @param {string} text - Message as received
+     * @param {Uint8Array} signature - Its signature
+     * @param {CryptoKey} key - Sender's public key
+     * @returns {Promise<boolean>}
+     */
+    async verify(text, signature, key) {
+        try {
+            return await this.crypto.subtle.verify(SIGNATURE, key, signature, new TextEncoder().encode(text));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _initialize() {
+        if (!this.crypto) {
+            throw new Error('WebCrypto is not available in this environment');
+        }
+        const subtle = this.crypto.subtle;
+
+        this.identity = this.config.identity ||
+            await subtle.generateKey(IDENTITY_CURVE, false, ['sign', 'verify']);
+        const { kty, crv, x, y } = await subtle.exportKey('jwk', this.identity.publicKey);
+        this.publicKey = { kty, crv, x, y };
+        this.fingerprint = await this._fingerprint(this.publicKey);
+
+        const worldKey = this.config.worldKey;
+        if (worldKey && typeof worldKey !== 'string') {
+            this._worldKey = worldKey;
+        } else if (worldKey) {
+            const secret = await subtle.importKey('raw', new TextEncoder().encode(worldKey), 'PBKDF2', false, ['deriveKey']);
+            this._worldKey = await subtle.deriveKey(
+                {
+                    name: 'PBKDF2',
+                    hash: 'SHA-256',
+                    salt: new TextEncoder().encode(`AdaptiveNPCWeb:${this.config.worldName}`),
+                    iterations: KEY_ITERATIONS
+                },
+                secret,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+        }
+        return this;
+    }
+
+    /**
+     * Hex SHA-256 over the key's required members (RFC 7638 thumbprint)
+     * @private
+     */
+    async _fingerprint({ kty, crv, x, y }) {
+        const canonical = JSON.stringify({ crv, kty, x, y });
+        const digest = await this.crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @private
+     */
+    static _toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 8192) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 8192));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * @private
+     */
+    static _fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+export default MeshSecurity;
@@ -0,0 +1,219 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { SeededRandom } from '../core/random.js';
+
+/**
+ * NPCAuthority - Decides which mesh peer simulates each shared NPC
+ *
+ * Every NPC has one owner that runs its consciousness, behavior and
+ * decay; the other peers apply what the owner replicates. Ownership is a
+ * register in the NPC's replica (see NPCReplicator), so concurrent claims
+ * settle on the same owner everywhere.
+ *
+ * - An NPC whose owner is neither this peer nor a connected one (never
+ *   claimed, restored from a save, or its owner left or stopped
+ *   answering heartbeats) goes to whichever of the connected peers and
+ *   this one ranks highest for it. Every peer ranks alike, so only that
+ *   peer claims it.
+ * - An owner hands an NPC over when another peer's player is closer to
+ *   it than its own player by more than handoffDistance, which keeps
+ *   players at similar distances from trading it back and forth. A peer
+ *   without a player hands its NPCs to any peer that has one.
+ *
+ * @class NPCAuthority
+ */
+export class NPCAuthority {
+    /**
+     * @param {Object} config
+     * @param {WebRTCMesh} config.mesh - Mesh whose peers share the NPCs
+     * @param {NPCManager} config.npcManager - Live NPCs
+     * @param {NPCReplicator} config.replicator - Holds the ownership registers
+     * @param {number} [config.handoffDistance=5] - How much closer another peer's player must be
+     *                                              to take an NPC over
+     * @param {Object} [config.clock] - Time source for hand-over timestamps (defaults to the mesh's)
+     */
+    constructor(config) {
+        this.config = {
+            ...config,
+            handoffDistance: typeof config.handoffDistance === 'number' ? config.handoffDistance : 5
+        };
+
+        this.mesh = config.mesh;
+        this.npcManager = config.npcManager;
+        this.replicator = config.replicator;
+        this.clock = config.clock || config.mesh.clock;
+
+        // This peer's player, and the last position each other peer reported for theirs
+        this.position = null;
+        this.presenceSeq = 0;
+        this.presenceSent = true;
+        this.players = new Map();   // peer id -> { position, seq }
+    }
+
+    get peerId() {
+        return this.mesh.peerId;
+    }
+
+    /**
+     * Move this peer's player; peers hear about it on the next update()
+     *
+     * @param {Object} position - { x, y, z }
+     */
+    setPlayerPosition(position) {
+        this.position = { x: position.x, y: position.y, z: position.z || 0 };
+        this.presenceSeq++;
+        this.presenceSent = false;
+    }
+
+    /**
+     * Note where a peer's player is
+     *
+     * @param {Object} data - player_presence payload with its sender: { from, position, seq }
+     */
+    receivePresence({ from, position, seq }) {
+        const player = this.players.get(from);
+        if (player && player.seq >= seq) return;
+        this.players.set(from, { position, seq });
+    }
+
+    /**
+     * Tell a newly connected peer where this peer's player is
+     *
+     * @param {string} peerId - Peer to tell
+     */
+    sendPresence(peerId) {
+        if (!this.position) return;
+        this.mesh.send(peerId, 'player_presence', { position: this.position, seq: this.presenceSeq })
+            .catch(error => console.error(`Failed to send player position to ${peerId}:`, error));
+    }
+
+    /**
+     * Forget a peer that left; its NPCs are reassigned on the next update()
+     *
+     * @param {string} peerId - Peer that disconnected
+     */
+    peerLeft(peerId) {
+        this.players.delete(peerId);
+    }
+
+    /**
+     * Claim NPCs left without a reachable owner, hand NPCs to peers whose
+     * players are closer, and share this player's position if it moved
+     *
+     * Changes are recorded in the replicas; the replicator's next flush()
+     * sends them.
+     *
+     * @returns {Object[]} { npcId, owner, previous } for each NPC that changed hands
+     */
+    update() {
+        const connected = this.mesh.getConnectedPeers();
+
+        if (!this.presenceSent && this.position && this.mesh.connected) {
+            this.mesh.broadcast('player_presence', { position: this.position, seq: this.presenceSeq });
+            this.presenceSent = true;
+        }
+
+        const changes = [];
+        const candidates = [this.peerId, ...connected];
+        for (const npc of this.npcManager.getAllNPCs()) {
+            const owner = this.replicator.owner(npc.id);
+            let next = null;
+
+            if (owner !== this.peerId && !connected.includes(owner)) {
+                if (NPCAuthority._rank(npc.id, candidates) === this.peerId) {
+                    next = this.peerId;
+                }
+            } else if (owner === this.peerId) {
+                next = this._closerPeer(npc, connected);
+            }
+
+            if (next) {
+                const previous = this.replicator.setOwner(npc.id, next);
+                changes.push({ npcId: npc.id, owner: next, previous });
+                if (next !== this.peerId) {
+                    this._handOver(npc, next);
+                }
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * The connected peer whose player is close enough to take the NPC over, if any
+     * @private
+     */
+    _closerPeer(npc, connected) {
+        const own = this.position ? NPCAuthority._distance(this.position, npc.position) : Infinity;
+
+        let closest = null;
+        let closestDistance = Infinity;
+        for (const peerId of connected) {
+            const player = this.players.get(peerId);
+            if (!player) continue;
+            const distance = NPCAuthority._distance(player.position, npc.position);
+            if (distance < closestDistance) {
+                closest = peerId;
+                closestDistance = distance;
+            }
+        }
+
+        return closest && closestDistance + this.config.handoffDistance < own ? closest : null;
+    }
+
+    /**
+     * Give the new owner what only the simulating peer keeps: the NPC's
+     * train of thought
+     * @private
+     */
+    _handOver(npc, peerId) {
+        if (!npc.consciousness) return;
+        this.mesh.send(peerId, 'consciousness_sync', {
+            npcId: npc.id,
+            state: {
+                state: npc.consciousness.state,
+                thoughtStream: npc.consciousness.thoughtStream.slice(-10)
+            },
+            timestamp: this.clock.now()
+        }).catch(error => console.error(`Failed to hand ${npc.id} to ${peerId}:`, error));
+    }
+
+    /**
+     * Rendezvous hashing: the candidate whose hash with the NPC id is highest
+     * @private
+     */
+    static _rank(npcId, peerIds) {
+        let best = null;
+        let bestScore = -Infinity;
+        for (const peerId of peerIds) {
+            const score = SeededRandom.hashSeed(`${npcId}:${peerId}`);
+            if (score > bestScore || (score === bestScore && peerId > best)) {
+                best = peerId;
+                bestScore = score;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * @private
+     */
+    static _distance(a, b) {
+        return Math.hypot(a.x - b.x, a.y - b.y, (a.z || 0) - (b.z || 0));
+    }
+}
+
+export default NPCAuthority;
@@ -0,0 +1,646 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { ReplicatedNPC } from './crdt.js';
+
+// Ranges live values are clamped to
+const EMOTION_RANGE = [0, 1];
+const RELATIONSHIP_RANGE = [-1, 1];
+
+const RELATIONSHIP_DIMENSIONS = ['trust', 'affection', 'respect', 'familiarity'];
+
+// Differences smaller than this are rounding, not changes
+const EPSILON = 1e-9;
+
+// Memory fields that travel with a replicated memory
+const MEMORY_FIELDS = [
+    'id', 'type', 'source', 'target', 'interaction', 'content', 'context',
+    'emotionalImpact', 'importance', 'timestamp',
+    // Revisions (see Reconsolidator) and fading details
+    'original', 'revisions', 'fuzziness',
+    // Gossip (see GossipNetwork)
+    'rumorId', 'about', 'heardFrom', 'witnessId', 'hops', 'confidence', 'interest', 'garbled', 'eventTime'
+];
+
+/**
+ * NPCReplicator - Keeps NPCs shared over the mesh convergent
+ *
+ * Every NPC has a ReplicatedNPC beside it. Local interactions record
+ * how far they moved both NPCs' emotions and their relationship and the
+ * memories they created; the peer that simulates an NPC (its owner, see
+ * NPCAuthority) also records its position and behavior as register
+ * writes and its decay as counter contributions. flush() sends what
+ * changed since the last flush as 'npc_delta' messages, and a newly
+ * connected peer gets every replica in full, which covers whatever it
+ * missed while away.
+ *
+ * Memories are edited by register writes when reconsolidation or fuzzing
+ * revises them and tombstoned when their NPC's owner forgets them.
+ * Memories archived under storage pressure are only let go of here.
+ *
+ * Merging a peer's state applies only what was new to the live NPC -
+ * each contribution once, whichever peer or message it arrives through -
+ * so concurrent interactions on different peers add up on all of them.
+ * Emotions and relationship dimensions are projected as
+ * clamp(anchor + counter total): the anchor is what the counters do not
+ * explain (the starting value plus drift no peer recorded, see
+ * settle()), and clamping only the sum keeps the result independent of
+ * arrival order.
+ * Updates for NPCs this world does not have are ignored.
+ *
+ * @class NPCReplicator
+ */
+export class NPCReplicator {
+    /**
+     * @param {Object} config
+     * @param {WebRTCMesh} config.mesh - Mesh to replicate over
+     * @param {string} [config.replicaId] - Id this world's contributions are recorded under
+     *                                      (defaults to the mesh's peer id; a saved world
+     *                                      keeps the id it was saved with)
+     * @param {NPCManager} config.npcManager - Live NPCs
+     * @param {RelationshipNetwork} config.relationshipNetwork - Live relationships
+     * @param {number} [config.maxStateSize] - Largest npc_delta payload before it is split,
+     *                                         in characters (defaults to half the mesh's limit)
+     */
+    constructor(config) {
+        this.config = {
+            maxStateSize: Math.floor(config.mesh.config.maxMessageSize / 2),
+            ...config
+        };
+
+        this.mesh = config.mesh;
+        this.npcManager = config.npcManager;
+        this.relationshipNetwork = config.relationshipNetwork;
+        this.replicaId = config.replicaId || config.mesh.peerId;
+
+        // NPC id -> ReplicatedNPC
+        this.replicas = new Map();
+
+        // NPC id -> ReplicatedNPC holding the deltas not yet sent
+        this.pending = new Map();
+
+        // NPC id -> { emotions: { emotion: anchor }, relationships: { otherId: { dimension: anchor } } }
+        this.anchors = new Map();
+
+        // Memory ids archived here, kept out of merges
+        this.archived = new Set();
+
+        this.memoryCount = 0;
+    }
+
+    /**
+     * The replicated state of an NPC, created on first use
+     *
+     * @param {string} npcId - NPC ID
+     * @returns {ReplicatedNPC}
+     */
+    replica(npcId) {
+        if (!this.replicas.has(npcId)) {
+            this.replicas.set(npcId, new ReplicatedNPC(npcId, this.replicaId));
+        }
+        return this.replicas.get(npcId);
+    }
+
+    /**
+     * An id for a new memory that no other replica can generate
+     *
+     * @param {string} npcId - Owner of the memory
+     * @returns {string} Memory ID
+     */
+    memoryId(npcId) {
+        // The session's peer id: the count starts over on every load
+        return `${npcId}_${this.mesh.peerId}_${++this.memoryCount}`;
+    }
+
+    /**
+     * Peer that simulates an NPC
+     *
+     * @param {string} npcId - NPC ID
+     * @returns {string|null} Peer ID, or null while nobody has claimed it
+     */
+    owner(npcId) {
+        const replica = this.replicas.get(npcId);
+        return replica && replica.owner.value !== undefined ? replica.owner.value : null;
+    }
+
+    /**
+     * Hand an NPC to a peer (this one included)
+     *
+     * @param {string} npcId - NPC ID
+     * @param {string} peerId - New owner
+     * @returns {string|null} Previous owner
+     */
+    setOwner(npcId, peerId) {
+        const previous = this.owner(npcId);
+        this._record(npcId, this.replica(npcId).setOwner(peerId));
+        const npc = this.npcManager.getNPC(npcId);
+        if (npc) npc.owner = peerId;
+        return previous;
+    }
+
+    /**
+     * Get ready to record an interaction between two NPCs
+     *
+     * Pins the anchors of both NPCs' emotions and mutual relationship
+     * (creating the relationship, as the interaction is about to), so
+     * recordInteraction() can tell what the interaction changed.
+     *
+     * @param {string} sourceId - Initiating NPC
+     * @param {string} targetId - Target NPC
+     */
+    prepare(sourceId, targetId) {
+        for (const values of this._interactionValues(sourceId, targetId)) {
+            NPCReplicator._pin(values);
+        }
+    }
+
+    /**
+     * Record what a local interaction changed, side effects such as
+     * emotional contagion included: everything that moved away from
+     * clamp(anchor + total) since prepare(). Overlapping interactions on
+     * the same NPCs are each counted once.
+     *
+     * @param {string} sourceId - Initiating NPC
+     * @param {string} targetId - Target NPC
+     */
+    recordInteraction(sourceId, targetId) {
+        for (const values of this._interactionValues(sourceId, targetId)) {
+            this._recordDrift(values);
+        }
+    }
+
+    /**
+     * Record memories an interaction stored
+     *
+     * @param {Object[]} memories - Stored memories (with their ownerId)
+     */
+    recordMemories(memories) {
+        for (const memory of memories) {
+            this._record(memory.ownerId, this.replica(memory.ownerId).addMemory(NPCReplicator._memoryRecord(memory)));
+        }
+    }
+
+    /**
+     * Record a memory's revised content (reconsolidation or fuzzing)
+     *
+     * @param {string} npcId - NPC the memory belongs to
+     * @param {Object} memory - The revised memory
+     */
+    recordRevision(npcId, memory) {
+        if (this.archived.has(memory.id)) return;
+        this._record(npcId, this.replica(npcId).updateMemory(NPCReplicator._memoryRecord(memory)));
+    }
+
+    /**
+     * Record memories the NPC's owner forgot, so every peer forgets them
+     *
+     * @param {string} npcId - NPC that forgot
+     * @param {string[]} memoryIds - Forgotten memories
+     */
+    recordForgotten(npcId, memoryIds) {
+        const replica = this.replica(npcId);
+        for (const memoryId of memoryIds) {
+            this._record(npcId, replica.removeMemory(memoryId));
+        }
+    }
+
+    /**
+     * Let go of memories archived here; peers keep theirs
+     *
+     * @param {string} npcId - NPC the memories belong to
+     * @param {string[]} memoryIds - Archived memories
+     */
+    recordArchived(npcId, memoryIds) {
+        const replica = this.replica(npcId);
+        const pending = this.pending.get(npcId);
+        for (const memoryId of memoryIds) {
+            this.archived.add(memoryId);
+            replica.memories.drop(memoryId);
+            if (pending) pending.memories.drop(memoryId);
+        }
+    }
+
+    /**
+     * Take up drift outside interactions (decay): NPCs this world
+     * simulates record it for their peers, the rest fold it into their
+     * anchors so the next merge does not undo it
+     */
+    settle() {
+        for (const npc of this.npcManager.getAllNPCs()) {
+            const simulated = this.npcManager.simulates(npc);
+            if (!simulated && !this.anchors.has(npc.id)) continue;
+
+            const otherIds = new Set(Object.keys(this._anchors(npc.id).relationships));
+            if (simulated) {
+                for (const otherId of this.relationshipNetwork.getRelationships(npc.id).keys()) {
+                    otherIds.add(otherId);
+                }
+            }
+
+            const values = [];
+            if (npc.emotionalState) values.push(this._emotionValues(npc));
+            for (const otherId of otherIds) {
+                const relationship = this.relationshipNetwork.getRelationship(npc.id, otherId);
+                if (relationship) values.push(this._relationshipValues(npc.id, otherId, relationship));
+            }
+
+            for (const entry of values) {
+                if (simulated) {
+                    this._recordDrift(entry);
+                    NPCReplicator._pin(entry);
+                } else {
+                    NPCReplicator._settle(entry.live, entry.anchors, entry.counters, entry.range);
+                }
+            }
+        }
+    }
+
+    /**
+     * Record position and behavior changes of the NPCs this world
+     * simulates since the last capture
+     */
+    capture() {
+        for (const npc of this.npcManager.getAllNPCs()) {
+            if (!this.npcManager.simulates(npc)) continue;
+
+            const replica = this.replica(npc.id);
+            if (!NPCReplicator._samePosition(replica.position.value, npc.position)) {
+                this._record(npc.id, replica.setPosition({ ...npc.position }));
+            }
+            if (replica.behavior.value !== npc.currentBehavior) {
+                this._record(npc.id, replica.setBehavior(npc.currentBehavior));
+            }
+            // So the first decay after this is recorded too
+            if (npc.emotionalState) {
+                NPCReplicator._pin(this._emotionValues(npc));
+            }
+        }
+    }
+
+    /**
+     * Capture, then send everything changed since the last flush to all peers
+     *
+     * Nothing is queued while no peer is connected: peers get the full
+     * state when they connect.
+     */
+    flush() {
+        this.capture();
+
+        const pending = Array.from(this.pending.values());
+        this.pending.clear();
+        if (!this.mesh.connected) return;
+
+        for (const delta of pending) {
+            for (const state of this._chunks(delta.toJSON())) {
+                this.mesh.broadcast('npc_delta', { npcId: delta.npcId, state });
+            }
+        }
+    }
+
+    /**
+     * Send every replica in full to one peer
+     *
+     * @param {string} peerId - Peer to catch up
+     * @returns {Promise} Resolves when the peer has acknowledged everything
+     */
+    async sendState(peerId) {
+        this.capture();
+
+        const sends = [];
+        for (const [npcId, replica] of this.replicas) {
+            for (const state of this._chunks(replica.toJSON())) {
+                sends.push(this.mesh.send(peerId, 'npc_delta', { npcId, state }));
+            }
+        }
+        await Promise.all(sends);
+    }
+
+    /**
+     * Merge a peer's npc_delta and apply what was new to the live NPC
+     *
+     * @param {Object} data - { npcId, state }
+     * @returns {Promise<Object|null>} What moved (see ReplicatedNPC#merge), or null
+     */
+    async receive({ npcId, state }) {
+        const npc = this.npcManager.getNPC(npcId);
+        if (!npc) return null;
+
+        const replica = this.replica(npcId);
+        const changes = replica.merge(this._withoutArchived(state));
+        if (!changes) return null;
+        const anchors = this._anchors(npcId);
+
+        if (changes.position) {
+            npc.position = { ...changes.position };
+        }
+        if (changes.behavior !== undefined) {
+            npc.currentBehavior = changes.behavior;
+        }
+        if (changes.owner !== undefined) {
+            npc.owner = changes.owner;
+        }
+        if (npc.emotionalState && Object.keys(changes.emotions).length > 0) {
+            npc.emotionalState.adjust(NPCReplicator._project(
+                npc.emotionalState.emotions, anchors.emotions, replica.emotions, changes.emotions, EMOTION_RANGE
+            ));
+        }
+        for (const [otherId, moved] of Object.entries(changes.relationships)) {
+            if (!anchors.relationships[otherId]) anchors.relationships[otherId] = {};
+            const relationship = this.relationshipNetwork.adjustRelationship(npcId, otherId, {});
+            this.relationshipNetwork.adjustRelationship(npcId, otherId, NPCReplicator._project(
+                relationship, anchors.relationships[otherId], replica.relationship(otherId), moved, RELATIONSHIP_RANGE
+            ));
+        }
+
+        // Relationships date from whichever peer saw them form first
+        for (const otherId of new Set([...Object.keys(changes.formed), ...Object.keys(changes.relationships)])) {
+            const relationship = this.relationshipNetwork.adjustRelationship(npcId, otherId, {});
+            this._record(npcId, replica.setFormed(otherId, relationship.formed));
+            relationship.formed = replica.formed.get(otherId);
+        }
+
+        if (npc.consciousness) {
+            const memoryBank = npc.consciousness.memoryBank;
+            for (const record of changes.memories) {
+                await memoryBank.store({ ...record }, { keepId: true });
+            }
+            for (const record of changes.revisedMemories) {
+                await memoryBank.amend({ ...record });
+            }
+            memoryBank.forget(changes.removedMemories);
+        }
+
+        npc.dirty = true;
+        return changes;
+    }
+
+    /**
+     * Serialize every replica and its anchors (saved with the world, so
+     * contributions already applied are not applied again after a reload),
+     * and the replica id, so a reload adds to the same counter entries
+     */
+    serialize() {
+        const replicas = {};
+        for (const [npcId, replica] of this.replicas) {
+            replicas[npcId] = replica.toJSON();
+        }
+        return {
+            replicaId: this.replicaId,
+            archived: Array.from(this.archived),
+            replicas,
+            anchors: Object.fromEntries(this.anchors)
+        };
+    }
+
+    /**
+     * Restore replicas saved by serialize()
+     */
+    deserialize(data) {
+        this.replicas.clear();
+        this.pending.clear();
+        this.anchors.clear();
+        if (data.replicaId) {
+            this.replicaId = data.replicaId;
+        }
+        this.archived = new Set(data.archived || []);
+        for (const [npcId, state] of Object.entries(data.replicas || {})) {
+            const replica = new ReplicatedNPC(npcId, this.replicaId, state);
+            this.replicas.set(npcId, replica);
+            const npc = this.npcManager.getNPC(npcId);
+            if (npc) npc.owner = this.owner(npcId);
+        }
+        for (const [npcId, anchors] of Object.entries(data.anchors || {})) {
+            const relationships = {};
+            for (const [otherId, dimensions] of Object.entries(anchors.relationships || {})) {
+                relationships[otherId] = { ...dimensions };
+            }
+            this.anchors.set(npcId, { emotions: { ...anchors.emotions }, relationships });
+        }
+    }
+
+    /**
+     * Add a local delta to the NPC's unsent changes
+     * @private
+     */
+    _record(npcId, delta) {
+        if (!delta) return;
+        if (!this.pending.has(npcId)) {
+            this.pending.set(npcId, new ReplicatedNPC(npcId, this.replicaId));
+        }
+        this.pending.get(npcId).merge(delta);
+    }
+
+    /**
+     * A peer's state without the records of memories archived here
+     * @private
+     */
+    _withoutArchived(state) {
+        const records = state.memories && state.memories.records;
+        if (this.archived.size === 0 || !records) return state;
+
+        const kept = {};
+        for (const [memoryId, write] of Object.entries(records)) {
+            if (!this.archived.has(memoryId)) kept[memoryId] = write;
+        }
+        return { ...state, memories: { ...state.memories, records: kept } };
+    }
+
+    /**
+     * @private
+     */
+    _anchors(npcId) {
+        if (!this.anchors.has(npcId)) {
+            this.anchors.set(npcId, { emotions: {}, relationships: {} });
+        }
+        return this.anchors.get(npcId);
+    }
+
+    /**
+     * Record how far live values moved away from clamp(anchor + total)
+     * @private
+     */
+    _recordDrift(values) {
+        const changes = {};
+        for (const key of values.keys) {
+            if (!(key in values.anchors)) continue;
+            const unclamped = values.anchors[key] + values.counters.value(key);
+            const current = values.live[key] || 0;
+            if (Math.abs(current - NPCReplicator._clamp(unclamped, values.range)) > EPSILON) {
+                changes[key] = current - unclamped;
+            }
+        }
+
+        const replica = this.replica(values.npcId);
+        const delta = values.otherId ?
+            replica.addRelationship(values.otherId, changes) :
+            replica.addEmotions(changes);
+        this._record(values.npcId, delta);
+    }
+
+    /**
+     * Live values, anchors and counters of both NPCs' emotions and of
+     * their relationship in both directions
+     * @private
+     */
+    _interactionValues(sourceId, targetId) {
+        const values = [];
+        for (const [npcId, otherId] of [[sourceId, targetId], [targetId, sourceId]]) {
+            const npc = this.npcManager.getNPC(npcId);
+            if (npc && npc.emotionalState) {
+                values.push(this._emotionValues(npc));
+            }
+            values.push(this._relationshipValues(npcId, otherId,
+                this.relationshipNetwork.adjustRelationship(npcId, otherId, {})));
+        }
+        return values;
+    }
+
+    /**
+     * @private
+     */
+    _emotionValues(npc) {
+        return {
+            npcId: npc.id,
+            live: npc.emotionalState.emotions,
+            keys: Object.keys(npc.emotionalState.emotions),
+            anchors: this._anchors(npc.id).emotions,
+            counters: this.replica(npc.id).emotions,
+            range: EMOTION_RANGE
+        };
+    }
+
+    /**
+     * @private
+     */
+    _relationshipValues(npcId, otherId, relationship) {
+        const anchors = this._anchors(npcId);
+        if (!anchors.relationships[otherId]) anchors.relationships[otherId] = {};
+        this._record(npcId, this.replica(npcId).setFormed(otherId, relationship.formed));
+        return {
+            npcId,
+            otherId,
+            live: relationship,
+            keys: RELATIONSHIP_DIMENSIONS,
+            anchors: anchors.relationships[otherId],
+            counters: this.replica(npcId).relationship(otherId),
+            range: RELATIONSHIP_RANGE
+        };
+    }
+
+    /**
+     * Split a state that is too big for one message; memories are spread
+     * over as many messages as they need
+     * @private
+     */
+    _chunks(state) {
+        const limit = this.config.maxStateSize;
+        if (JSON.stringify(state).length <= limit) {
+            return [state];
+        }
+
+        const { memories, ...rest } = state;
+        const { records, removed } = memories || {};
+        const chunks = [{ ...rest, memories: { removed: removed || [] } }];
+        let current = {};
+        let size = 0;
+        for (const [id, record] of Object.entries(records || {})) {
+            const recordSize = JSON.stringify(record).length + id.length;
+            if (size > 0 && size + recordSize > limit) {
+                chunks.push({ memories: { records: current } });
+                current = {};
+                size = 0;
+            }
+            current[id] = record;
+            size += recordSize;
+        }
+        if (size > 0) {
+            chunks.push({ memories: { records: current } });
+        }
+        return chunks;
+    }
+
+    /**
+     * The part of a memory that is replicated
+     * @private
+     */
+    static _memoryRecord(memory) {
+        const record = {};
+        for (const field of MEMORY_FIELDS) {
+            if (memory[field] !== undefined) record[field] = memory[field];
+        }
+        return record;
+    }
+
+    /**
+     * How far each moved value has to shift to reach clamp(anchor + total)
+     *
+     * Values without an anchor yet are anchored at what the counters did
+     * not explain before this merge.
+     * @private
+     */
+    static _project(live, anchors, counters, moved, range) {
+        const shifts = {};
+        for (const [key, change] of Object.entries(moved)) {
+            const current = live[key] || 0;
+            const before = counters.value(key) - change;
+            if (!(key in anchors)) {
+                anchors[key] = current - before;
+            }
+            anchors[key] += current - NPCReplicator._clamp(anchors[key] + before, range);
+            shifts[key] = NPCReplicator._clamp(anchors[key] + before + change, range) - current;
+        }
+        return shifts;
+    }
+
+    /**
+     * Anchor values that have no anchor yet at what the counters do not explain
+     * @private
+     */
+    static _pin(values) {
+        for (const key of values.keys) {
+            if (!(key in values.anchors)) {
+                values.anchors[key] = (values.live[key] || 0) - values.counters.value(key);
+            }
+        }
+    }
+
+    /**
+     * Move anchors by however far the live values drifted from their projection
+     * @private
+     */
+    static _settle(live, anchors, counters, range) {
+        for (const key of Object.keys(anchors)) {
+            const total = counters.value(key);
+            anchors[key] += (live[key] || 0) - NPCReplicator._clamp(anchors[key] + total, range);
+        }
+    }
+
+    /**
+     * @private
+     */
+    static _clamp(value, [min, max]) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    /**
+     * @private
+     */
+    static _samePosition(a, b) {
+        return Boolean(a && b) && a.x === b.x && a.y === b.y && a.z === b.z;
+    }
+}
+
+export default NPCReplicator;
@@ -0,0 +1,107 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { SignalingTransport } from './signaling-transport.js';
+
+/**
+ * BroadcastChannelSignaling - Serverless signaling between same-origin tabs
+ *
+ * Every peer in a room listens on one BroadcastChannel. A newcomer
+ * announces itself with 'join'; everyone already there answers with
+ * 'here', which reaches the newcomer as a 'peers' event. Signals are
+ * broadcast with a recipient and ignored by everyone else.
+ *
+ * @class BroadcastChannelSignaling
+ */
+export class BroadcastChannelSignaling extends SignalingTransport {
+    /**
+     * @param {Object} [config]
+     * @param {Function} [config.BroadcastChannel] - Channel class (defaults to the global)
+     * @param {string} [config.prefix='adaptive-npc-web'] - Channel name prefix
+     */
+    constructor(config = {}) {
+        super({
+            prefix: 'adaptive-npc-web',
+            ...config
+        });
+
+        this.BroadcastChannel = this.config.BroadcastChannel ||
+            (typeof BroadcastChannel !== 'undefined' ? BroadcastChannel : null);
+        this.channel = null;
+    }
+
+    async join(room, peerId) {
+        if (!this.BroadcastChannel) {
+            throw new Error('BroadcastChannel is not available in this environment');
+        }
+        await super.join(room, peerId);
+
+        this.channel = new this.BroadcastChannel(`${this.config.prefix}/${room}`);
+        this.channel.onmessage = (event) => this._onMessage(event.data);
+        this._post({ type: 'join', from: peerId });
+    }
+
+    send(to, data) {
+        this._post({ type: 'signal', from: this.peerId, to, data });
+    }
+
+    async leave() {
+        if (this.channel) {
+            this._post({ type: 'leave', from: this.peerId });
+            this.channel.close();
+            this.channel = null;
+        }
+        await super.leave();
+    }
+
+    /**
+     * Translate channel traffic into transport events
+     * @private
+     */
+    _onMessage(message) {
+        if (!message || message.from === this.peerId) return;
+        if (message.to && message.to !== this.peerId) return;
+
+        switch (message.type) {
+            case 'join':
+                this._post({ type: 'here', from: this.peerId, to: message.from });
+                this.emit('peer_joined', { peerId: message.from });
+                break;
+            case 'here':
+                this.emit('peers', { peers: [message.from] });
+                break;
+            case 'leave':
+                this.emit('peer_left', { peerId: message.from });
+                break;
+            case 'signal':
+                this.emit('signal', { from: message.from, data: message.data });
+                break;
+        }
+    }
+
+    /**
+     * Post to the room channel
+     * @private
+     */
+    _post(message) {
+        if (!this.channel) {
+            throw new Error('Not in a signaling room');
+        }
+        this.channel.postMessage(message);
+    }
+}
+
+export default BroadcastChannelSignaling;
@@ -0,0 +1,64 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { SignalingTransport } from './signaling-transport.js';
+import { WebSocketSignaling } from './websocket-signaling.js';
+import { BroadcastChannelSignaling } from './broadcast-channel-signaling.js';
+import { LoopbackSignaling, LoopbackSignalingHub } from './loopback-signaling.js';
+
+/**
+ * Resolve the `signaling` option into a transport
+ *
+ * Accepts a transport instance, a server URL ('ws://...' or 'wss://...'),
+ * a transport name ('websocket', 'broadcast', 'loopback') or
+ * { type, ...options }. Without a choice, same-origin tabs find each other
+ * through BroadcastChannel where it exists.
+ *
+ * @param {SignalingTransport|string|Object} [signaling] - Signaling selection
+ * @returns {SignalingTransport} Signaling transport
+ */
+export function createSignalingTransport(signaling) {
+    if (signaling instanceof SignalingTransport) {
+        return signaling;
+    }
+
+    if (typeof signaling === 'string' && /^wss?:\/\//.test(signaling)) {
+        return new WebSocketSignaling({ url: signaling });
+    }
+
+    const { type, ...options } = typeof signaling === 'string' ? { type: signaling } : (signaling || {});
+
+    switch (type || (typeof BroadcastChannel !== 'undefined' ? 'broadcast' : null)) {
+        case 'websocket':
+            return new WebSocketSignaling(options);
+        case 'broadcast':
+            return new BroadcastChannelSignaling(options);
+        case 'loopback':
+            return new LoopbackSignaling(options);
+        case null:
+            throw new Error('No signaling transport available; pass a server URL or a transport');
+        default:
+            throw new Error(`Unknown signaling type: ${type}`);
+    }
+}
+
+export {
+    SignalingTransport,
+    WebSocketSignaling,
+    BroadcastChannelSignaling,
+    LoopbackSignaling,
+    LoopbackSignalingHub
+};
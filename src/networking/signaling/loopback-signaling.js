@@ -0,0 +1,146 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { SignalingTransport } from './signaling-transport.js';
+
+/**
+ * LoopbackSignalingHub - In-process stand-in for a signaling server
+ *
+ * Holds the rooms for every LoopbackSignaling transport that shares it.
+ * Messages are copied through JSON and delivered asynchronously, like they
+ * would be over a socket.
+ *
+ * @class LoopbackSignalingHub
+ */
+export class LoopbackSignalingHub {
+    /**
+     * @param {Object} [config]
+     * @param {number} [config.maxPeers=Infinity] - Room capacity
+     * @param {number} [config.latency=0] - Delivery delay in ms
+     */
+    constructor(config = {}) {
+        this.config = {
+            maxPeers: Infinity,
+            latency: 0,
+            ...config
+        };
+
+        // Room name -> Map of peer id -> transport
+        this.rooms = new Map();
+    }
+
+    /**
+     * Add a transport to a room
+     *
+     * @returns {string[]} Peers already in the room
+     */
+    join(room, peerId, transport) {
+        if (!this.rooms.has(room)) {
+            this.rooms.set(room, new Map());
+        }
+        const members = this.rooms.get(room);
+
+        if (members.size >= this.config.maxPeers) {
+            throw new Error(`Room ${room} is full (${this.config.maxPeers} peers)`);
+        }
+
+        const existing = Array.from(members.keys());
+        members.set(peerId, transport);
+        for (const id of existing) {
+            this._deliver(room, id, { type: 'peer_joined', peerId });
+        }
+        return existing;
+    }
+
+    /**
+     * Relay a signal to one member of a room
+     */
+    relay(room, from, to, data) {
+        this._deliver(room, to, { type: 'signal', from, data });
+    }
+
+    /**
+     * Remove a transport from a room
+     */
+    leave(room, peerId) {
+        const members = this.rooms.get(room);
+        if (!members || !members.delete(peerId)) return;
+
+        for (const id of members.keys()) {
+            this._deliver(room, id, { type: 'peer_left', peerId });
+        }
+        if (members.size === 0) {
+            this.rooms.delete(room);
+        }
+    }
+
+    /**
+     * Deliver a wire message to a member, if it is still there
+     * @private
+     */
+    _deliver(room, peerId, message) {
+        const text = JSON.stringify(message);
+        setTimeout(() => {
+            const members = this.rooms.get(room);
+            const transport = members && members.get(peerId);
+            if (transport) {
+                transport._receive(JSON.parse(text));
+            }
+        }, this.config.latency);
+    }
+}
+
+// Shared by transports created without a hub of their own
+const defaultHub = new LoopbackSignalingHub();
+
+/**
+ * LoopbackSignaling - In-process signaling for tests and single-process demos
+ *
+ * @class LoopbackSignaling
+ */
+export class LoopbackSignaling extends SignalingTransport {
+    /**
+     * @param {Object} [config]
+     * @param {LoopbackSignalingHub} [config.hub] - Hub to meet other peers in
+     *                                             (defaults to a process-wide hub)
+     */
+    constructor(config = {}) {
+        super(config);
+        this.hub = this.config.hub || defaultHub;
+    }
+
+    async join(room, peerId) {
+        await super.join(room, peerId);
+        const peers = this.hub.join(room, peerId, this);
+        this.hub._deliver(room, peerId, { type: 'peers', peers });
+    }
+
+    send(to, data) {
+        if (!this.room) {
+            throw new Error('Not in a signaling room');
+        }
+        this.hub.relay(this.room, this.peerId, to, data);
+    }
+
+    async leave() {
+        if (this.room) {
+            this.hub.leave(this.room, this.peerId);
+        }
+        await super.leave();
+    }
+}
+
+export default LoopbackSignaling;
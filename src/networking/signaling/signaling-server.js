@@ -0,0 +1,458 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+// RFC 6455 handshake constant
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+/**
+ * SignalingServer - Zero-dependency rendezvous server for WebRTCMesh (Node only)
+ *
+ * Speaks the wire protocol in signaling-transport.js over WebSockets:
+ * rooms are keyed by world name, joining peers get the room's peer list,
+ * everyone else hears about joins and leaves, and signals are relayed to
+ * the addressed peer. Rooms are capped at maxPeers, like the mesh itself.
+ *
+ * GET /health answers with room and peer counts.
+ *
+ * @class SignalingServer
+ */
+export class SignalingServer {
+    /**
+     * @param {Object} [config]
+     * @param {number} [config.port=8787] - Port to listen on (0 picks a free one)
+     * @param {string} [config.host='127.0.0.1'] - Interface to bind
+     * @param {number} [config.maxPeers=10] - Peers per room (WebRTCMesh's default maxPeers)
+     * @param {number} [config.maxMessageSize=65536] - Largest accepted message in bytes
+     * @param {number} [config.pingInterval=30000] - Keepalive interval; silent clients are dropped
+     */
+    constructor(config = {}) {
+        this.config = {
+            port: 8787,
+            host: '127.0.0.1',
+            maxPeers: 10,
+            maxMessageSize: 64 * 1024,
+            pingInterval: 30000,
+            ...config
+        };
+
+        // Room name -> Map of peer id -> client
+        this.rooms = new Map();
+        this.clients = new Set();
+
+        this.server = createServer((request, response) => this._handleHttp(request, response));
+        this.server.on('upgrade', (request, socket) => this._handleUpgrade(request, socket));
+        this.pingTimer = null;
+    }
+
+    /**
+     * Start listening
+     *
+     * @returns {Promise<Object>} { host, port } actually bound
+     */
+    listen() {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, () => {
+                this.server.off('error', reject);
+                this.pingTimer = setInterval(() => this._ping(), this.config.pingInterval);
+                const { address, port } = this.server.address();
+                resolve({ host: address, port });
+            });
+        });
+    }
+
+    /**
+     * Disconnect every client and stop listening
+     *
+     * @returns {Promise<void>}
+     */
+    close() {
+        clearInterval(this.pingTimer);
+        this.pingTimer = null;
+
+        for (const client of this.clients) {
+            client.close(1001, 'Server shutting down');
+        }
+
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    /**
+     * Room and peer counts
+     *
+     * @returns {Object} { rooms: { name: peerCount }, peers }
+     */
+    getStats() {
+        const rooms = {};
+        for (const [name, members] of this.rooms) {
+            rooms[name] = members.size;
+        }
+        return { rooms, peers: this.clients.size };
+    }
+
+    /**
+     * Plain HTTP requests: health check only
+     * @private
+     */
+    _handleHttp(request, response) {
+        if (request.method === 'GET' && request.url === '/health') {
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(JSON.stringify(this.getStats()));
+            return;
+        }
+        response.writeHead(426, { 'Content-Type': 'text/plain' });
+        response.end('WebSocket connections only\n');
+    }
+
+    /**
+     * Complete the WebSocket handshake and start serving the client
+     * @private
+     */
+    _handleUpgrade(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write(
+            'HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\n' +
+            'Connection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+        );
+
+        const client = new WebSocketClient(socket, this.config.maxMessageSize);
+        this.clients.add(client);
+
+        client.onmessage = (text) => this._handleMessage(client, text);
+        client.onclose = () => {
+            this.clients.delete(client);
+            this._leave(client);
+        };
+    }
+
+    /**
+     * Apply one protocol message from a client
+     * @private
+     */
+    _handleMessage(client, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            client.sendJSON({ type: 'error', message: 'Malformed message' });
+            return;
+        }
+
+        switch (message.type) {
+            case 'join':
+                this._join(client, message);
+                break;
+            case 'signal': {
+                const members = client.room && this.rooms.get(client.room);
+                const target = members && members.get(message.to);
+                if (!target) {
+                    client.sendJSON({ type: 'error', message: `Peer ${message.to} is not in the room` });
+                    return;
+                }
+                target.sendJSON({ type: 'signal', from: client.peerId, data: message.data });
+                break;
+            }
+            case 'leave':
+                this._leave(client);
+                break;
+            default:
+                client.sendJSON({ type: 'error', message: `Unknown message type: ${message.type}` });
+        }
+    }
+
+    /**
+     * Put a client in a room
+     * @private
+     */
+    _join(client, { room, peerId }) {
+        if (typeof room !== 'string' || !room || typeof peerId !== 'string' || !peerId) {
+            client.sendJSON({ type: 'error', message: 'join needs a room and a peerId' });
+            return;
+        }
+        if (client.room) {
+            client.sendJSON({ type: 'error', message: `Already in room ${client.room}` });
+            return;
+        }
+
+        if (!this.rooms.has(room)) {
+            this.rooms.set(room, new Map());
+        }
+        const members = this.rooms.get(room);
+
+        if (members.has(peerId)) {
+            client.sendJSON({ type: 'error', message: `Peer id ${peerId} is already in the room` });
+            return;
+        }
+        if (members.size >= this.config.maxPeers) {
+            client.sendJSON({ type: 'error', message: `Room ${room} is full (${this.config.maxPeers} peers)` });
+            return;
+        }
+
+        client.sendJSON({ type: 'peers', peers: Array.from(members.keys()) });
+        for (const member of members.values()) {
+            member.sendJSON({ type: 'peer_joined', peerId });
+        }
+
+        members.set(peerId, client);
+        client.room = room;
+        client.peerId = peerId;
+    }
+
+    /**
+     * Take a client out of its room
+     * @private
+     */
+    _leave(client) {
+        const members = client.room && this.rooms.get(client.room);
+        if (!members) return;
+
+        members.delete(client.peerId);
+        for (const member of members.values()) {
+            member.sendJSON({ type: 'peer_left', peerId: client.peerId });
+        }
+        if (members.size === 0) {
+            this.rooms.delete(client.room);
+        }
+
+        client.room = null;
+        client.peerId = null;
+    }
+
+    /**
+     * Ping every client, dropping those that missed the previous ping
+     * @private
+     */
+    _ping() {
+        for (const client of this.clients) {
+            if (!client.alive) {
+                client.destroy();
+                continue;
+            }
+            client.alive = false;
+            client.send(OPCODES.ping, Buffer.alloc(0));
+        }
+    }
+}
+
+/**
+ * Server side of one WebSocket connection (text messages only)
+ * @private
+ */
+class WebSocketClient {
+    constructor(socket, maxMessageSize) {
+        this.socket = socket;
+        this.maxMessageSize = maxMessageSize;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+        this.alive = true;
+
+        // Protocol state
+        this.room = null;
+        this.peerId = null;
+
+        this.onmessage = null;
+        this.onclose = null;
+
+        socket.on('data', (chunk) => this._onData(chunk));
+        socket.on('close', () => this._onClose());
+        socket.on('error', () => this.destroy());
+    }
+
+    /**
+     * Send a protocol message
+     */
+    sendJSON(message) {
+        this.send(OPCODES.text, Buffer.from(JSON.stringify(message)));
+    }
+
+    /**
+     * Send one unmasked frame
+     */
+    send(opcode, payload) {
+        if (this.closed) return;
+
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Start the closing handshake
+     */
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.send(OPCODES.close, payload);
+        this.closed = true;
+        this.socket.end();
+    }
+
+    /**
+     * Drop the connection without a handshake
+     */
+    destroy() {
+        this.closed = true;
+        this.socket.destroy();
+    }
+
+    /**
+     * Parse as many complete frames as the buffer holds
+     * @private
+     */
+    _onData(chunk) {
+        this.alive = true;
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        for (;;) {
+            const frame = this._readFrame();
+            if (!frame) return;
+            this._onFrame(frame);
+            if (this.closed) return;
+        }
+    }
+
+    /**
+     * Take one frame off the buffer, or return null if it is incomplete
+     * @private
+     */
+    _readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        // Clients must mask; anything huge is refused before buffering it
+        if (!masked) {
+            this.close(1002, 'Unmasked frame');
+            return null;
+        }
+        if (length > this.maxMessageSize) {
+            this.close(1009, 'Message too large');
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) return null;
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    /**
+     * Handle one frame
+     * @private
+     */
+    _onFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODES.text:
+            case OPCODES.continuation: {
+                this.fragments.push(payload);
+                const size = this.fragments.reduce((total, part) => total + part.length, 0);
+                if (size > this.maxMessageSize) {
+                    this.close(1009, 'Message too large');
+                    return;
+                }
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    if (this.onmessage) this.onmessage(text);
+                }
+                break;
+            }
+            case OPCODES.binary:
+                this.close(1003, 'Text messages only');
+                break;
+            case OPCODES.ping:
+                this.send(OPCODES.pong, payload);
+                break;
+            case OPCODES.pong:
+                break;
+            case OPCODES.close:
+                this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                break;
+            default:
+                this.close(1002, 'Unknown opcode');
+        }
+    }
+
+    /**
+     * @private
+     */
+    _onClose() {
+        this.closed = true;
+        if (this.onclose) {
+            const onclose = this.onclose;
+            this.onclose = null;
+            onclose();
+        }
+    }
+}
+
+export default SignalingServer;
@@ -0,0 +1,154 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * SignalingTransport - Rendezvous channel WebRTCMesh uses to set up peers
+ *
+ * Peers join a room (the world name) and exchange opaque signals (SDP
+ * offers/answers and ICE candidates) addressed by peer id. Transports emit:
+ *
+ * - 'peers'       { peers: [peerId] }  peers already in the room; the
+ *                                       newcomer sends them offers
+ * - 'peer_joined' { peerId }           a peer entered the room
+ * - 'peer_left'   { peerId }           a peer left or dropped
+ * - 'signal'      { from, data }       a signal addressed to this peer
+ * - 'error'       Error
+ * - 'closed'                           the transport went away
+ *
+ * Server-based transports speak this JSON wire protocol:
+ *
+ *   client -> server  { type: 'join', room, peerId }
+ *                     { type: 'signal', to, data }
+ *                     { type: 'leave' }
+ *   server -> client  { type: 'peers', peers }
+ *                     { type: 'peer_joined', peerId }
+ *                     { type: 'peer_left', peerId }
+ *                     { type: 'signal', from, data }
+ *                     { type: 'error', message }
+ *
+ * @class SignalingTransport
+ */
+export class SignalingTransport {
+    constructor(config = {}) {
+        this.config = { ...config };
+        this.room = null;
+        this.peerId = null;
+
+        // Event listeners
+        this.listeners = new Map();
+    }
+
+    /**
+     * Enter a room
+     *
+     * @param {string} room - Room name (the world name)
+     * @param {string} peerId - This peer's id
+     */
+    async join(room, peerId) {
+        this.room = room;
+        this.peerId = peerId;
+    }
+
+    /**
+     * Send a signal to one peer in the room
+     *
+     * @param {string} to - Target peer id
+     * @param {Object} data - JSON-compatible signal
+     */
+    send(to, data) {
+        throw new Error(`${this.constructor.name}.send() not implemented`);
+    }
+
+    /**
+     * Leave the room and release the transport
+     */
+    async leave() {
+        this.room = null;
+    }
+
+    /**
+     * Register an event handler
+     *
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler function
+     */
+    on(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(handler);
+    }
+
+    /**
+     * Remove an event handler
+     *
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler to remove
+     */
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            this.listeners.set(type, handlers.filter(h => h !== handler));
+        }
+    }
+
+    /**
+     * Emit an event
+     *
+     * @param {string} type - Event type
+     * @param {*} data - Event data
+     */
+    emit(type, data) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            for (const handler of handlers) {
+                try {
+                    handler(data);
+                } catch (error) {
+                    console.error(`Error in signaling handler for ${type}:`, error);
+                }
+            }
+        }
+    }
+
+    /**
+     * Dispatch a server -> client wire message as an event
+     * @protected
+     */
+    _receive(message) {
+        switch (message.type) {
+            case 'peers':
+                this.emit('peers', { peers: (message.peers || []).filter(id => id !== this.peerId) });
+                break;
+            case 'peer_joined':
+            case 'peer_left':
+                if (message.peerId !== this.peerId) {
+                    this.emit(message.type, { peerId: message.peerId });
+                }
+                break;
+            case 'signal':
+                this.emit('signal', { from: message.from, data: message.data });
+                break;
+            case 'error':
+                this.emit('error', new Error(message.message));
+                break;
+            default:
+                console.warn(`Unknown signaling message: ${message.type}`);
+        }
+    }
+}
+
+export default SignalingTransport;
@@ -0,0 +1,162 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { SignalingTransport } from './signaling-transport.js';
+
+/**
+ * WebSocketSignaling - Signaling through a rendezvous server
+ *
+ * Connects to a server speaking the wire protocol described in
+ * signaling-transport.js. join() resolves once the server has answered
+ * with the room's peer list, and rejects if it refuses (e.g. room full).
+ *
+ * @class WebSocketSignaling
+ */
+export class WebSocketSignaling extends SignalingTransport {
+    /**
+     * @param {Object} config
+     * @param {string} config.url - Server URL (ws:// or wss://)
+     * @param {Function} [config.WebSocket] - WebSocket class (defaults to the global)
+     * @param {number} [config.joinTimeout=10000] - Time to wait for the server to answer, in ms
+     */
+    constructor(config = {}) {
+        super({
+            joinTimeout: 10000,
+            ...config
+        });
+
+        if (!this.config.url) {
+            throw new Error('WebSocketSignaling requires a url');
+        }
+
+        this.WebSocket = this.config.WebSocket ||
+            (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        this.socket = null;
+    }
+
+    async join(room, peerId) {
+        if (!this.WebSocket) {
+            throw new Error('WebSocket is not available in this environment');
+        }
+        await super.join(room, peerId);
+
+        const socket = new this.WebSocket(this.config.url);
+        this.socket = socket;
+
+        await new Promise((resolve, reject) => {
+            socket.onopen = () => resolve();
+            socket.onerror = () => reject(new Error(`Could not reach signaling server ${this.config.url}`));
+        });
+
+        // The server answers a join with the peer list, or an error
+        const joined = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reject(new Error('Signaling server did not answer the join'));
+            }, this.config.joinTimeout);
+            this._pendingJoin = { resolve, reject, timer };
+        });
+
+        socket.onmessage = (event) => this._onMessage(event.data);
+        socket.onerror = () => this.emit('error', new Error('Signaling connection error'));
+        socket.onclose = () => {
+            this.socket = null;
+            this._settleJoin(new Error('Signaling server closed the connection'));
+            this.emit('closed');
+        };
+
+        this._post({ type: 'join', room, peerId });
+
+        try {
+            await joined;
+        } catch (error) {
+            this._close();
+            throw error;
+        }
+    }
+
+    send(to, data) {
+        this._post({ type: 'signal', to, data });
+    }
+
+    async leave() {
+        if (this.socket) {
+            this._post({ type: 'leave' });
+            this._close();
+        }
+        await super.leave();
+    }
+
+    /**
+     * Handle a message from the server
+     * @private
+     */
+    _onMessage(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            console.warn('Ignoring malformed signaling message');
+            return;
+        }
+
+        if (this._pendingJoin && (message.type === 'peers' || message.type === 'error')) {
+            this._settleJoin(message.type === 'error' ? new Error(message.message) : null);
+            if (message.type === 'error') return;
+        }
+
+        this._receive(message);
+    }
+
+    /**
+     * Resolve or reject a join still waiting for the server
+     * @private
+     */
+    _settleJoin(error) {
+        const pending = this._pendingJoin;
+        if (!pending) return;
+
+        this._pendingJoin = null;
+        clearTimeout(pending.timer);
+        if (error) pending.reject(error);
+        else pending.resolve();
+    }
+
+    /**
+     * Send a wire message
+     * @private
+     */
+    _post(message) {
+        if (!this.socket || this.socket.readyState !== 1) {
+            throw new Error('Signaling connection is not open');
+        }
+        this.socket.send(JSON.stringify(message));
+    }
+
+    /**
+     * Close the socket without emitting 'closed' twice
+     * @private
+     */
+    _close() {
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            socket.onclose = null;
+            socket.close();
+        }
+    }
+}
+
+export default WebSocketSignaling;
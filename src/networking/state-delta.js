@@ -0,0 +1,118 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Deltas between two JSON states
+ *
+ * A delta is { set: [[path, value], ...], unset: [path, ...] }, where a
+ * path is the list of object keys leading to a value. Objects are
+ * compared key by key; arrays and other values are replaced whole when
+ * they differ.
+ */
+
+// Longest path a delta may use, and keys that would reach into prototypes
+const MAX_DEPTH = 8;
+const FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * What changed from one state to the next
+ *
+ * @param {Object} base - Earlier state (JSON values only)
+ * @param {Object} next - Later state (JSON values only)
+ * @returns {Object|null} Delta, or null if the states are equal
+ */
+export function diffState(base, next) {
+    const delta = { set: [], unset: [] };
+    collect(base, next, [], delta);
+    return delta.set.length > 0 || delta.unset.length > 0 ? delta : null;
+}
+
+/**
+ * Apply a delta to a copy of a state
+ *
+ * @param {Object} base - State the delta was made against (left untouched)
+ * @param {Object} delta - Delta from diffState()
+ * @returns {Object} The later state
+ */
+export function applyDelta(base, delta) {
+    const state = JSON.parse(JSON.stringify(base));
+
+    for (const path of delta.unset || []) {
+        const parent = walk(state, path.slice(0, -1), false);
+        if (parent) delete parent[path[path.length - 1]];
+    }
+    for (const [path, value] of delta.set || []) {
+        if (path.length === 0) continue;
+        walk(state, path.slice(0, -1), true)[path[path.length - 1]] = value;
+    }
+    return state;
+}
+
+/**
+ * Shape check for deltas received from peers
+ *
+ * @returns {string|null} Problem description, or null
+ */
+export function checkDelta(value) {
+    if (!isObject(value)) return 'must be an object';
+    const { set = [], unset = [] } = value;
+    if (!Array.isArray(set) || !Array.isArray(unset)) return 'set and unset must be arrays';
+
+    const checkPath = (path) => Array.isArray(path) && path.length > 0 && path.length <= MAX_DEPTH &&
+        path.every(key => typeof key === 'string' && !FORBIDDEN_KEYS.has(key));
+    if (!set.every(entry => Array.isArray(entry) && entry.length === 2 && checkPath(entry[0]))) {
+        return `set entries must be [path, value] with paths of 1-${MAX_DEPTH} plain keys`;
+    }
+    if (!unset.every(checkPath)) {
+        return `unset entries must be paths of 1-${MAX_DEPTH} plain keys`;
+    }
+    return null;
+}
+
+/**
+ * @private
+ */
+function collect(base, next, path, delta) {
+    for (const key of Object.keys(base)) {
+        if (!(key in next)) delta.unset.push([...path, key]);
+    }
+    for (const [key, value] of Object.entries(next)) {
+        const before = base[key];
+        if (isObject(before) && isObject(value) && path.length + 1 < MAX_DEPTH) {
+            collect(before, value, [...path, key], delta);
+        } else if (!(key in base) || JSON.stringify(before) !== JSON.stringify(value)) {
+            delta.set.push([[...path, key], value]);
+        }
+    }
+}
+
+/**
+ * Object at a path; missing (or non-object) steps are created when asked to
+ * @private
+ */
+function walk(state, path, create) {
+    let node = state;
+    for (const key of path) {
+        if (!isObject(node[key])) {
+            if (!create) return null;
+            node[key] = {};
+        }
+        node = node[key];
+    }
+    return node;
+}
@@ -0,0 +1,93 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { SystemClock } from '../core/environment.js';
+
+/**
+ * TokenBucket - Rate limit that allows short bursts
+ *
+ * Holds up to `capacity` tokens and refills at `rate` per second. Amounts
+ * larger than the capacity are let through once the bucket is full, so
+ * nothing is blocked forever.
+ *
+ * @class TokenBucket
+ */
+export class TokenBucket {
+    /**
+     * @param {number} rate - Tokens added per second (Infinity for no limit)
+     * @param {number} [capacity=rate] - Largest burst
+     * @param {Object} [clock] - Time source for refills (see SystemClock)
+     */
+    constructor(rate, capacity = rate, clock = new SystemClock()) {
+        this.rate = rate;
+        this.capacity = capacity;
+        this.clock = clock;
+        this.tokens = capacity;
+        this.updated = clock.monotonic();
+    }
+
+    /**
+     * Take tokens if there are enough
+     *
+     * @param {number} amount - Tokens needed
+     * @returns {boolean} Whether they were taken
+     */
+    take(amount) {
+        this._refill();
+        if (this.tokens < Math.min(amount, this.capacity)) {
+            return false;
+        }
+        this.tokens -= amount;
+        return true;
+    }
+
+    /**
+     * Take tokens even if that leaves the bucket in debt
+     *
+     * @param {number} amount - Tokens used
+     */
+    spend(amount) {
+        this._refill();
+        this.tokens -= amount;
+    }
+
+    /**
+     * How long until take(amount) would succeed
+     *
+     * @param {number} amount - Tokens needed
+     * @returns {number} Milliseconds
+     */
+    wait(amount) {
+        this._refill();
+        const missing = Math.min(amount, this.capacity) - this.tokens;
+        return missing > 0 ? Math.ceil(missing / this.rate * 1000) : 0;
+    }
+
+    /**
+     * @private
+     */
+    _refill() {
+        const now = this.clock.monotonic();
+        if (this.rate === Infinity) {
+            this.tokens = this.capacity;
+        } else {
+            this.tokens = Math.min(this.capacity, this.tokens + (now - this.updated) / 1000 * this.rate);
+        }
+        this.updated = now;
+    }
+}
+
+export default TokenBucket;
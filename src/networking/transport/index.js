@@ -0,0 +1,59 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { MeshTransport } from './mesh-transport.js';
+import { WebRTCTransport } from './webrtc-transport.js';
+import { RelayTransport } from './relay-transport.js';
+import { MemoryTransport, SimulatedNetwork } from './memory-transport.js';
+
+/**
+ * Resolve the mesh `transport` option into a transport
+ *
+ * Accepts a transport instance, a transport name ('webrtc', 'relay',
+ * 'memory') or { type, ...options }. WebRTC is the default. `defaults`
+ * carries the mesh settings (signaling, RTCPeerConnection, iceServers,
+ * maxPeers) the WebRTC and relay transports fall back on.
+ *
+ * @param {MeshTransport|string|Object} [transport] - Transport selection
+ * @param {Object} [defaults] - Mesh-level settings
+ * @returns {MeshTransport} Mesh transport
+ */
+export function createMeshTransport(transport, defaults = {}) {
+    if (transport instanceof MeshTransport) {
+        return transport;
+    }
+
+    const { type, ...options } = typeof transport === 'string' ? { type: transport } : (transport || {});
+
+    switch (type || 'webrtc') {
+        case 'webrtc':
+            return new WebRTCTransport({ ...defaults, ...options });
+        case 'relay':
+            return new RelayTransport({ signaling: defaults.signaling, ...options });
+        case 'memory':
+            return new MemoryTransport(options);
+        default:
+            throw new Error(`Unknown mesh transport: ${type}`);
+    }
+}
+
+export {
+    MeshTransport,
+    WebRTCTransport,
+    RelayTransport,
+    MemoryTransport,
+    SimulatedNetwork
+};
@@ -0,0 +1,262 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { MeshTransport } from './mesh-transport.js';
+import { SeededRandom } from '../../core/random.js';
+
+/**
+ * SimulatedNetwork - In-process network for testing the mesh protocol
+ *
+ * Every MemoryTransport in a room is linked to every other one. Messages
+ * are delivered asynchronously after `latency` plus up to `jitter` ms,
+ * dropped with probability `loss`, and silently lost between peers on
+ * different sides of a partition - the mesh has to notice through its
+ * heartbeat, as it would on a real network. Drops are drawn from a
+ * seeded stream, so the same seed loses the same messages.
+ *
+ * The config can be changed while the network is running.
+ *
+ * @class SimulatedNetwork
+ */
+export class SimulatedNetwork {
+    /**
+     * @param {Object} [config]
+     * @param {number} [config.latency=0] - Base delivery delay in ms
+     * @param {number} [config.jitter=0] - Extra random delay, up to this many ms
+     * @param {number} [config.loss=0] - Probability (0-1) that a message is dropped
+     * @param {number} [config.maxPeers=Infinity] - Room capacity
+     * @param {number|string} [config.seed=0] - Seed for loss and jitter
+     */
+    constructor(config = {}) {
+        this.config = {
+            latency: 0,
+            jitter: 0,
+            loss: 0,
+            maxPeers: Infinity,
+            seed: 0,
+            ...config
+        };
+
+        this.random = new SeededRandom(this.config.seed);
+
+        // Room name -> Map of peer id -> transport
+        this.rooms = new Map();
+
+        // Peer id -> partition group; peers not listed share group null
+        this.groups = new Map();
+
+        this.stats = {
+            sent: 0,
+            delivered: 0,
+            dropped: 0
+        };
+    }
+
+    /**
+     * Split the network: peers in different groups stop hearing each other
+     *
+     * @param {...string[]} groups - Peer ids on each side; unlisted peers form one more side
+     */
+    partition(...groups) {
+        this.groups.clear();
+        groups.forEach((group, index) => {
+            for (const peerId of group) {
+                this.groups.set(peerId, index);
+            }
+        });
+    }
+
+    /**
+     * Remove all partitions
+     */
+    heal() {
+        this.groups.clear();
+    }
+
+    /**
+     * Whether a message from one peer can currently reach another
+     */
+    canReach(from, to) {
+        const a = this.groups.has(from) ? this.groups.get(from) : null;
+        const b = this.groups.has(to) ? this.groups.get(to) : null;
+        return a === b;
+    }
+
+    /**
+     * Add a transport to a room and link it to everyone already there
+     */
+    join(room, peerId, transport) {
+        if (!this.rooms.has(room)) {
+            this.rooms.set(room, new Map());
+        }
+        const members = this.rooms.get(room);
+
+        if (members.has(peerId)) {
+            throw new Error(`Peer id ${peerId} is already in room ${room}`);
+        }
+        if (members.size >= this.config.maxPeers) {
+            throw new Error(`Room ${room} is full (${this.config.maxPeers} peers)`);
+        }
+
+        const existing = Array.from(members.values());
+        members.set(peerId, transport);
+        for (const other of existing) {
+            this._schedule(() => {
+                // Either side may have left before the link came up
+                if (members.get(peerId) !== transport || members.get(other.peerId) !== other) return;
+                transport._link(other.peerId);
+                other._link(peerId);
+            });
+        }
+    }
+
+    /**
+     * Carry a message between two linked transports
+     */
+    deliver(room, from, to, data) {
+        this.stats.sent++;
+
+        if (!this.canReach(from, to) || this.random.random() < this.config.loss) {
+            this.stats.dropped++;
+            return;
+        }
+
+        this._schedule(() => {
+            const members = this.rooms.get(room);
+            const target = members && members.get(to);
+            if (target && target.links.has(from)) {
+                this.stats.delivered++;
+                target._receive(from, data);
+            } else {
+                this.stats.dropped++;
+            }
+        });
+    }
+
+    /**
+     * Tear down the link between two peers, on both ends
+     */
+    unlink(room, a, b) {
+        const members = this.rooms.get(room);
+        if (!members) return;
+
+        for (const [self, other] of [[a, b], [b, a]]) {
+            const transport = members.get(self);
+            if (transport) {
+                transport._unlink(other);
+            }
+        }
+    }
+
+    /**
+     * Remove a transport from a room
+     */
+    leave(room, peerId) {
+        const members = this.rooms.get(room);
+        const transport = members && members.get(peerId);
+        if (!transport) return;
+
+        for (const other of Array.from(transport.links)) {
+            this.unlink(room, peerId, other);
+        }
+        members.delete(peerId);
+        if (members.size === 0) {
+            this.rooms.delete(room);
+        }
+    }
+
+    /**
+     * Run a callback after the simulated delay
+     * @private
+     */
+    _schedule(callback) {
+        const delay = this.config.latency + this.random.random() * this.config.jitter;
+        setTimeout(callback, delay);
+    }
+}
+
+// Shared by transports created without a network of their own
+const defaultNetwork = new SimulatedNetwork();
+
+/**
+ * MemoryTransport - Mesh transport on a SimulatedNetwork
+ *
+ * @class MemoryTransport
+ */
+export class MemoryTransport extends MeshTransport {
+    /**
+     * @param {Object} [config]
+     * @param {SimulatedNetwork} [config.network] - Network to join (defaults to a process-wide one)
+     */
+    constructor(config = {}) {
+        super(config);
+        this.network = this.config.network || defaultNetwork;
+
+        // Peers this transport can currently send to
+        this.links = new Set();
+    }
+
+    async join(room, peerId) {
+        await super.join(room, peerId);
+        this.network.join(room, peerId, this);
+    }
+
+    send(peerId, data) {
+        if (!this.links.has(peerId)) {
+            throw new Error(`Peer ${peerId} not connected`);
+        }
+        this.network.deliver(this.room, this.peerId, peerId, data);
+    }
+
+    disconnect(peerId) {
+        if (this.room) {
+            this.network.unlink(this.room, this.peerId, peerId);
+        }
+    }
+
+    async leave() {
+        if (this.room) {
+            this.network.leave(this.room, this.peerId);
+        }
+        await super.leave();
+    }
+
+    /**
+     * @private
+     */
+    _link(peerId) {
+        this.links.add(peerId);
+        this.emit('peer_connected', { peerId });
+    }
+
+    /**
+     * @private
+     */
+    _unlink(peerId) {
+        if (this.links.delete(peerId)) {
+            this.emit('peer_disconnected', { peerId });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _receive(from, data) {
+        this.emit('message', { from, data });
+    }
+}
+
+export default MemoryTransport;
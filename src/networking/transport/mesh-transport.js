@@ -0,0 +1,129 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * MeshTransport - Wire that carries WebRTCMesh protocol messages
+ *
+ * The mesh owns the protocol (message ids, acks, heartbeats, handlers);
+ * a transport only finds peers in a room and moves strings between them.
+ * Transports emit:
+ *
+ * - 'peer_connected'    { peerId }        a peer can now be sent to
+ * - 'peer_disconnected' { peerId }        a peer went away
+ * - 'message'           { from, data }    a string from a connected peer
+ * - 'error'             Error
+ *
+ * @class MeshTransport
+ */
+export class MeshTransport {
+    constructor(config = {}) {
+        this.config = { ...config };
+        this.room = null;
+        this.peerId = null;
+
+        // Event listeners
+        this.listeners = new Map();
+    }
+
+    /**
+     * Throw if this transport cannot work in the current environment
+     * (the mesh does not retry these)
+     */
+    assertAvailable() {}
+
+    /**
+     * Enter a room and start finding peers
+     *
+     * @param {string} room - Room name (the world name)
+     * @param {string} peerId - This peer's id
+     * @param {Object} [options] - Transport-specific options from WebRTCMesh.connect()
+     */
+    async join(room, peerId, options = {}) {
+        this.room = room;
+        this.peerId = peerId;
+    }
+
+    /**
+     * Send a string to one connected peer
+     *
+     * @param {string} peerId - Target peer id
+     * @param {string} data - Serialized message
+     */
+    send(peerId, data) {
+        throw new Error(`${this.constructor.name}.send() not implemented`);
+    }
+
+    /**
+     * Drop the connection to one peer
+     *
+     * @param {string} peerId - Peer to drop
+     */
+    disconnect(peerId) {}
+
+    /**
+     * Drop every peer and leave the room
+     */
+    async leave() {
+        this.room = null;
+    }
+
+    /**
+     * Register an event handler
+     *
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler function
+     */
+    on(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(handler);
+    }
+
+    /**
+     * Remove an event handler
+     *
+     * @param {string} type - Event type
+     * @param {Function} handler - Handler to remove
+     */
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            this.listeners.set(type, handlers.filter(h => h !== handler));
+        }
+    }
+
+    /**
+     * Emit an event
+     *
+     * @param {string} type - Event type
+     * @param {*} data - Event data
+     */
+    emit(type, data) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            for (const handler of handlers) {
+                try {
+                    handler(data);
+                } catch (error) {
+                    console.error(`Error in transport handler for ${type}:`, error);
+                }
+            }
+        }
+    }
+}
+
+export default MeshTransport;
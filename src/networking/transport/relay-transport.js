@@ -0,0 +1,126 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { MeshTransport } from './mesh-transport.js';
+import { createSignalingTransport } from '../signaling/index.js';
+
+/**
+ * RelayTransport - Mesh messages relayed through a signaling transport
+ *
+ * Skips WebRTC entirely: every peer in the signaling room counts as
+ * connected, and mesh messages travel as { type: 'mesh', payload }
+ * signals. Over WebSocketSignaling and SignalingServer that makes a
+ * plain WebSocket star network - no NAT traversal needed, at the cost of
+ * routing all traffic through the server.
+ *
+ * @class RelayTransport
+ */
+export class RelayTransport extends MeshTransport {
+    /**
+     * @param {Object} [config]
+     * @param {SignalingTransport|string|Object} [config.signaling] - Signaling to relay through
+     */
+    constructor(config = {}) {
+        super(config);
+
+        this.signaling = null;
+        this.connected = new Set();
+    }
+
+    /**
+     * @param {string} room - Signaling room
+     * @param {string} peerId - This peer's id
+     * @param {Object} [options]
+     * @param {SignalingTransport|string|Object} [options.signaling] - Overrides config.signaling
+     */
+    async join(room, peerId, options = {}) {
+        await super.join(room, peerId);
+
+        const signaling = options.signaling !== undefined ? options.signaling : this.config.signaling;
+        const transport = createSignalingTransport(signaling);
+        this.signaling = transport;
+        this._bindSignaling(transport);
+
+        try {
+            await transport.join(room, peerId);
+        } catch (error) {
+            this.signaling = null;
+            throw error;
+        }
+    }
+
+    send(peerId, data) {
+        if (!this.connected.has(peerId)) {
+            throw new Error(`Peer ${peerId} not connected`);
+        }
+        this.signaling.send(peerId, { type: 'mesh', payload: data });
+    }
+
+    // The relay cannot refuse traffic; the peer is forgotten until it rejoins
+    disconnect(peerId) {
+        if (this.connected.delete(peerId)) {
+            this.emit('peer_disconnected', { peerId });
+        }
+    }
+
+    async leave() {
+        for (const peerId of Array.from(this.connected)) {
+            this.disconnect(peerId);
+        }
+
+        const transport = this.signaling;
+        this.signaling = null;
+        if (transport) {
+            await transport.leave();
+        }
+        await super.leave();
+    }
+
+    /**
+     * Translate room membership and signals into transport events
+     * @private
+     */
+    _bindSignaling(transport) {
+        // Events from a transport we already left are ignored
+        const current = (handler) => (event) => {
+            if (this.signaling === transport) handler(event);
+        };
+        const add = (peerId) => {
+            if (!this.connected.has(peerId)) {
+                this.connected.add(peerId);
+                this.emit('peer_connected', { peerId });
+            }
+        };
+
+        transport.on('peers', current(({ peers }) => peers.forEach(add)));
+        transport.on('peer_joined', current(({ peerId }) => add(peerId)));
+        transport.on('peer_left', current(({ peerId }) => this.disconnect(peerId)));
+        transport.on('signal', current(({ from, data }) => {
+            if (data && data.type === 'mesh' && this.connected.has(from)) {
+                this.emit('message', { from, data: data.payload });
+            }
+        }));
+        transport.on('error', current((error) => this.emit('error', error)));
+        transport.on('closed', current(() => {
+            console.warn('Relay connection lost');
+            for (const peerId of Array.from(this.connected)) {
+                this.disconnect(peerId);
+            }
+        }));
+    }
+}
+
+export default RelayTransport;
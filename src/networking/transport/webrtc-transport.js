@@ -0,0 +1,318 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { MeshTransport } from './mesh-transport.js';
+import { createSignalingTransport } from '../signaling/index.js';
+
+/**
+ * WebRTCTransport - Mesh messages over RTCDataChannels
+ *
+ * Peers meet through a signaling transport (a WebSocket server,
+ * BroadcastChannel between tabs, or an in-process loopback) using the
+ * world name as the room. A peer joining the room sends an SDP offer to
+ * everyone already there; ICE candidates trickle through signaling as
+ * they are found. A peer counts as connected once its data channel opens.
+ *
+ * @class WebRTCTransport
+ */
+export class WebRTCTransport extends MeshTransport {
+    /**
+     * @param {Object} [config]
+     * @param {SignalingTransport|string|Object} [config.signaling] - Default signaling for join()
+     * @param {Function} [config.RTCPeerConnection] - WebRTC implementation (defaults to the global)
+     * @param {Array} [config.iceServers] - STUN/TURN servers
+     * @param {number} [config.maxPeers=10] - Connections to set up at most
+     */
+    constructor(config = {}) {
+        super({
+            maxPeers: 10,
+            iceServers: [
+                { urls: 'stun:stun.l.google.com:19302' },
+                { urls: 'stun:stun1.l.google.com:19302' }
+            ],
+            ...config
+        });
+
+        this.RTCPeerConnection = this.config.RTCPeerConnection ||
+            (typeof RTCPeerConnection !== 'undefined' ? RTCPeerConnection : null);
+
+        // Peer id -> { id, connection, dataChannel, open, pendingCandidates }
+        this.connections = new Map();
+
+        this.signaling = null;
+        this.signalingState = 'disconnected';
+    }
+
+    // Headless hosts must inject a WebRTC implementation; retrying won't help
+    assertAvailable() {
+        if (!this.RTCPeerConnection) {
+            throw new Error('WebRTC is not available in this environment');
+        }
+    }
+
+    /**
+     * @param {string} room - Signaling room
+     * @param {string} peerId - This peer's id
+     * @param {Object} [options]
+     * @param {SignalingTransport|string|Object} [options.signaling] - Overrides config.signaling
+     */
+    async join(room, peerId, options = {}) {
+        this.assertAvailable();
+        await super.join(room, peerId);
+
+        const signaling = options.signaling !== undefined ? options.signaling : this.config.signaling;
+        const transport = createSignalingTransport(signaling);
+        this.signaling = transport;
+        this.signalingState = 'connecting';
+        this._bindSignaling(transport);
+
+        try {
+            await transport.join(room, peerId);
+        } catch (error) {
+            this.signaling = null;
+            this.signalingState = 'disconnected';
+            throw error;
+        }
+        this.signalingState = 'connected';
+    }
+
+    send(peerId, data) {
+        const peer = this.connections.get(peerId);
+        if (!peer || !peer.dataChannel || peer.dataChannel.readyState !== 'open') {
+            throw new Error('Data channel not open');
+        }
+        peer.dataChannel.send(data);
+    }
+
+    disconnect(peerId) {
+        const peer = this.connections.get(peerId);
+        if (!peer) return;
+
+        // Removed first: closing the channel can call back in here
+        this.connections.delete(peerId);
+        if (peer.dataChannel) {
+            peer.dataChannel.close();
+        }
+        peer.connection.close();
+        if (peer.open) {
+            this.emit('peer_disconnected', { peerId });
+        }
+    }
+
+    async leave() {
+        for (const peerId of Array.from(this.connections.keys())) {
+            this.disconnect(peerId);
+        }
+
+        const transport = this.signaling;
+        this.signaling = null;
+        this.signalingState = 'disconnected';
+        if (transport) {
+            await transport.leave();
+        }
+        await super.leave();
+    }
+
+    /**
+     * Route signaling events into peer connection setup
+     * @private
+     */
+    _bindSignaling(transport) {
+        // Events from a transport we already left are ignored
+        const current = (handler) => (event) => {
+            if (this.signaling === transport) handler(event);
+        };
+
+        // Newcomers make the offers, so two peers never offer to each other
+        transport.on('peers', current(({ peers }) => {
+            for (const peerId of peers) {
+                this._connectToPeer(peerId, true);
+            }
+        }));
+
+        transport.on('peer_left', current(({ peerId }) => this.disconnect(peerId)));
+        transport.on('signal', current(({ from, data }) => this._handleSignal(from, data)));
+        transport.on('error', current((error) => this.emit('error', error)));
+        transport.on('closed', current(() => {
+            // Open data channels keep working; new peers cannot reach us
+            this.signalingState = 'disconnected';
+            console.warn('Signaling connection lost');
+        }));
+    }
+
+    /**
+     * Connect to a peer
+     *
+     * The initiator creates the data channel and sends an offer; the other
+     * side waits for the offer and picks the channel up from ondatachannel.
+     * @private
+     */
+    async _connectToPeer(peerId, initiator) {
+        if (this.connections.has(peerId)) {
+            return this.connections.get(peerId);
+        }
+        if (this.connections.size >= this.config.maxPeers) {
+            console.warn(`Peer limit (${this.config.maxPeers}) reached, ignoring ${peerId}`);
+            return null;
+        }
+
+        const connection = new this.RTCPeerConnection({
+            iceServers: this.config.iceServers
+        });
+        const peer = {
+            id: peerId,
+            connection,
+            dataChannel: null,
+            open: false,
+            pendingCandidates: []
+        };
+        this.connections.set(peerId, peer);
+
+        // Trickle ICE: candidates go out as soon as they are found
+        connection.onicecandidate = (event) => {
+            if (event.candidate) {
+                const candidate = event.candidate.toJSON ? event.candidate.toJSON() : event.candidate;
+                this._signal(peerId, { type: 'candidate', candidate });
+            }
+        };
+
+        connection.onconnectionstatechange = () => {
+            if (connection.connectionState === 'failed') {
+                console.warn(`Connection to ${peerId} failed`);
+                this.disconnect(peerId);
+            }
+        };
+
+        try {
+            if (initiator) {
+                this._setupDataChannel(peer, connection.createDataChannel('npc-sync', { ordered: true }));
+                await connection.setLocalDescription(await connection.createOffer());
+                this._signal(peerId, { type: 'offer', description: WebRTCTransport._describe(connection.localDescription) });
+            } else {
+                connection.ondatachannel = (event) => this._setupDataChannel(peer, event.channel);
+            }
+        } catch (error) {
+            console.error(`Failed to connect to peer ${peerId}:`, error);
+            this.disconnect(peerId);
+            return null;
+        }
+
+        return peer;
+    }
+
+    /**
+     * Apply an offer, answer or ICE candidate from a peer
+     * @private
+     */
+    async _handleSignal(from, data) {
+        try {
+            switch (data.type) {
+                case 'offer': {
+                    const peer = await this._connectToPeer(from, false);
+                    if (!peer) return;
+
+                    await peer.connection.setRemoteDescription(data.description);
+                    await this._flushCandidates(peer);
+                    await peer.connection.setLocalDescription(await peer.connection.createAnswer());
+                    this._signal(from, { type: 'answer', description: WebRTCTransport._describe(peer.connection.localDescription) });
+                    break;
+                }
+                case 'answer': {
+                    const peer = this.connections.get(from);
+                    if (!peer) return;
+
+                    await peer.connection.setRemoteDescription(data.description);
+                    await this._flushCandidates(peer);
+                    break;
+                }
+                case 'candidate': {
+                    const peer = this.connections.get(from);
+                    if (!peer) return;
+
+                    // Candidates can overtake the description they belong to
+                    if (peer.connection.remoteDescription) {
+                        await peer.connection.addIceCandidate(data.candidate);
+                    } else {
+                        peer.pendingCandidates.push(data.candidate);
+                    }
+                    break;
+                }
+                default:
+                    console.warn(`Unknown signal from ${from}: ${data.type}`);
+            }
+        } catch (error) {
+            console.error(`Signaling with ${from} failed:`, error);
+            this.disconnect(from);
+        }
+    }
+
+    /**
+     * Add candidates that arrived before the remote description
+     * @private
+     */
+    async _flushCandidates(peer) {
+        const candidates = peer.pendingCandidates;
+        peer.pendingCandidates = [];
+        for (const candidate of candidates) {
+            await peer.connection.addIceCandidate(candidate);
+        }
+    }
+
+    /**
+     * Wire up a peer's data channel
+     * @private
+     */
+    _setupDataChannel(peer, dataChannel) {
+        peer.dataChannel = dataChannel;
+
+        dataChannel.onopen = () => {
+            console.log(`Data channel opened with ${peer.id}`);
+            peer.open = true;
+            this.emit('peer_connected', { peerId: peer.id });
+        };
+
+        dataChannel.onmessage = (event) => {
+            this.emit('message', { from: peer.id, data: event.data });
+        };
+
+        dataChannel.onclose = () => {
+            console.log(`Data channel closed with ${peer.id}`);
+            this.disconnect(peer.id);
+        };
+    }
+
+    /**
+     * Send a signal to a peer, logging transport failures
+     * @private
+     */
+    _signal(peerId, data) {
+        try {
+            this.signaling.send(peerId, data);
+        } catch (error) {
+            console.error(`Failed to signal ${peerId}:`, error);
+        }
+    }
+
+    /**
+     * Plain copy of a session description (safe to clone or stringify)
+     * @private
+     */
+    static _describe(description) {
+        return { type: description.type, sdp: description.sdp };
+    }
+}
+
+export default WebRTCTransport;
@@ -14,15 +14,84 @@
  * limitations under the License.
  */
 
+import { createMeshTransport } from './transport/index.js';
+import { MeshProtocol, MeshProtocolError, PROTOCOL_VERSION, MIN_PROTOCOL_VERSION } from './mesh-protocol.js';
+import { MeshSecurity } from './mesh-security.js';
+import { TokenBucket } from './token-bucket.js';
+import { SystemClock } from '../core/environment.js';
+import { RandomSource } from '../core/random.js';
+import { diffState, applyDelta } from './state-delta.js';
+
+// Control messages that go out even when a peer's bandwidth budget is spent
+const URGENT_TYPES = new Set(['hello', 'ack', 'heartbeat', 'heartbeat_ack']);
+
+// Consciousness versions a peer keeps per NPC as bases for deltas
+const MAX_RECEIVED_STATES = 16;
+
 /**
  * WebRTCMesh - Peer-to-peer mesh network for NPC communication
  * 
  * Enables NPCs to share experiences, knowledge, and consciousness
  * states across different game instances.
  * 
+ * The mesh owns the protocol - message ids, acknowledgements, heartbeats
+ * and handlers - and leaves moving bytes to a MeshTransport: WebRTC data
+ * channels by default, a signaling relay (e.g. WebSockets through
+ * SignalingServer), or a SimulatedNetwork for tests. The world name is
+ * the room peers meet in.
+ * 
+ * Messages travel in versioned envelopes (see mesh-protocol.js). Newly
+ * connected peers exchange 'hello' to agree on a protocol version before
+ * anything else; malformed, oversized or unexpected messages are dropped
+ * and reported as 'protocol:error', and peers that keep sending them are
+ * disconnected.
+ * 
+ * Reliable message types are retransmitted with backoff until acked,
+ * duplicates are recognised by message id, and messages about the same
+ * NPC are handled in the order they were sent. request() pairs a message
+ * with the peer's response.
+ * 
+ * With `security` set, every message is signed and checked against the
+ * key its sender announced in hello, and with a world key also encrypted
+ * (see MeshSecurity); peers that cannot prove either are dropped.
+ * 
+ * Messages to a peer are queued briefly and small ones share a frame
+ * ('batch'). Frames leave within the peer's bandwidth budget, except
+ * handshake, ack and heartbeat traffic; the rest waits. Frames from a
+ * peer beyond the inbound limits are dropped, and a peer that keeps
+ * flooding is disconnected. shareConsciousness() sends each peer only
+ * what changed since the last state it acknowledged.
+ * 
  * @class WebRTCMesh
  */
 export class WebRTCMesh {
+    /**
+     * @param {string} worldName - World name, used as the room
+     * @param {Object} [config]
+     * @param {MeshTransport|string|Object} [config.transport='webrtc'] - Wire for mesh messages:
+     *        a transport, 'webrtc', 'relay', 'memory' or { type, ...options }
+     * @param {SignalingTransport|string|Object} [config.signaling] - Default signaling for
+     *        connect(): a transport, a ws(s):// URL, 'broadcast', 'loopback' or { type, ...options }
+     * @param {Function} [config.RTCPeerConnection] - WebRTC implementation (defaults to the global)
+     * @param {number} [config.maxMessageSize=65536] - Largest message sent or accepted, in characters
+     * @param {number[]} [config.protocolVersions] - [min, max] protocol versions spoken
+     *        (default: MIN_PROTOCOL_VERSION to PROTOCOL_VERSION)
+     * @param {number} [config.maxProtocolErrors=10] - Rejected messages before a peer is dropped
+     * @param {number} [config.retryInterval=500] - First retransmission delay in ms (doubles per retry)
+     * @param {number} [config.maxRetries=4] - Retransmissions before a reliable message fails
+     * @param {number} [config.orderTimeout=10000] - How long an ordered stream waits for a missing
+     *                                              message before skipping it, in ms
+     * @param {number} [config.dedupWindow=1024] - Message ids remembered per peer
+     * @param {boolean|Object} [config.security] - Sign messages (true), or { worldKey, identity }
+     *        to also encrypt them with a shared world key (see MeshSecurity)
+     * @param {Crypto} [config.crypto] - WebCrypto implementation for security (defaults to the global)
+     * @param {number} [config.batchInterval=0] - How long messages wait to share a frame, in ms
+     * @param {number} [config.peerBandwidth=262144] - Outgoing bytes per second to each peer
+     * @param {number} [config.inboundRate=500] - Frames per second accepted from each peer
+     * @param {number} [config.inboundBandwidth=1048576] - Bytes per second accepted from each peer
+     * @param {Object} [config.clock] - Time source for timestamps, timeouts and rate limits
+     * @param {RandomSource} [config.random] - Source of message ids
+     */
     constructor(worldName, config = {}) {
         this.worldName = worldName;
         this.config = {
@@ -34,19 +103,63 @@ export class WebRTCMesh {
             reconnectDelay: 5000,
             heartbeatInterval: 30000,
             messageTimeout: 10000,
+            maxMessageSize: 64 * 1024,
+            protocolVersions: [MIN_PROTOCOL_VERSION, PROTOCOL_VERSION],
+            maxProtocolErrors: 10,
+            retryInterval: 500,
+            maxRetries: 4,
+            orderTimeout: 10000,
+            dedupWindow: 1024,
+            batchInterval: 0,
+            peerBandwidth: 256 * 1024,
+            inboundRate: 500,
+            inboundBandwidth: 1024 * 1024,
+            RTCPeerConnection: typeof RTCPeerConnection !== 'undefined' ? RTCPeerConnection : null,
             ...config
         };
+        
+        // Time and ids follow the world's clock and seed
+        this.clock = this.config.clock || new SystemClock();
+        this.rng = (this.config.random || new RandomSource()).stream('mesh');
+        delete this.config.clock;
+        delete this.config.random;
 
-        // Peer connections
+        // Peer id -> { id, connectionState ('negotiating' | 'connected'), protocolVersion,
+        //              sendSeq, lastSeq, protocolErrors, lastSeen, lastSent, helloTimer,
+        //              unacked, seen, streamsOut, streamsIn, publicKey, fingerprint,
+        //              outbox, inbox, queue, flushTimer, budget, inbound, stats,
+        //              sharedStates, receivedStates }
         this.peers = new Map();
         this.peerId = this._generatePeerId();
         
-        // Signaling
-        this.signalingServer = null;
-        this.signalingState = 'disconnected';
+        // NPC id -> version of the last consciousness state shared
+        this.sharedVersions = new Map();
+        
+        // Signing and encryption, when configured
+        this.security = this.config.security ? new MeshSecurity({
+            ...(this.config.security === true ? {} : this.config.security),
+            worldName,
+            crypto: this.config.crypto
+        }) : null;
+        
+        // Wire transport
+        this.transport = createMeshTransport(this.config.transport, {
+            signaling: this.config.signaling,
+            RTCPeerConnection: this.config.RTCPeerConnection,
+            iceServers: this.config.iceServers,
+            maxPeers: this.config.maxPeers
+        });
+        this.reconnectTimer = null;
         
         // Message handling
+        this.protocol = new MeshProtocol({
+            maxMessageSize: this.config.maxMessageSize,
+            versions: this.config.protocolVersions
+        });
         this.messageHandlers = new Map();
+        this.responders = new Map();
+        
+        // Request id -> { peerId, type, resolve, reject, timeout }
         this.pendingMessages = new Map();
         
         // Network state
@@ -56,31 +169,50 @@ export class WebRTCMesh {
             messagesSent: 0,
             bytesReceived: 0,
             bytesSent: 0,
-            peersConnected: 0
+            peersConnected: 0,
+            protocolErrors: 0,
+            retransmissions: 0,
+            duplicates: 0,
+            deliveryFailures: 0,
+            rateLimited: 0
         };
         
+        // Message type -> { sent, received, bytesSent, bytesReceived }
+        this.typeStats = new Map();
+        
         // Event emitter functionality
         this.listeners = new Map();
         
         // Initialize default handlers
         this._setupDefaultHandlers();
+        this._bindTransport();
     }
 
     /**
      * Connect to the mesh network
      * 
-     * @param {string} signalingUrl - Optional signaling server URL
+     * @param {SignalingTransport|string|Object} [signaling] - Signaling transport or
+     *        server URL for transports that use one (defaults to config.signaling)
      */
-    async connect(signalingUrl) {
+    async connect(signaling) {
         if (this.connected) {
             console.warn('Already connected to mesh network');
             return;
         }
 
         try {
-            // In production, would connect to actual signaling server
-            // For demo, we'll simulate peer discovery
-            await this._simulateSignaling();
+            this.transport.assertAvailable();
+            if (this.security) {
+                await this.security.ready();
+            }
+        } catch (error) {
+            console.error('Failed to connect to mesh:', error);
+            this.emit('error', error);
+            return;
+        }
+
+        try {
+            await this.transport.join(this.worldName, this.peerId, { signaling });
             
             this.connected = true;
             this.emit('connected', { peerId: this.peerId });
@@ -94,7 +226,10 @@ export class WebRTCMesh {
             this.emit('error', error);
             
             // Retry connection
-            setTimeout(() => this.connect(signalingUrl), this.config.reconnectDelay);
+            this.reconnectTimer = setTimeout(() => {
+                this.reconnectTimer = null;
+                this.connect(signaling);
+            }, this.config.reconnectDelay);
         }
     }
 
@@ -102,10 +237,15 @@ export class WebRTCMesh {
      * Disconnect from the mesh network
      */
     disconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
         if (!this.connected) return;
         
-        // Close all peer connections
-        for (const [peerId, peer] of this.peers) {
+        // Close all peer connections, sending what is still queued
+        for (const [peerId, peer] of Array.from(this.peers)) {
+            this._flush(peer);
             this._closePeer(peerId);
         }
         
@@ -114,7 +254,9 @@ export class WebRTCMesh {
             clearInterval(this.heartbeatTimer);
         }
         
+        // Leave the room
         this.connected = false;
+        this.transport.leave().catch(error => console.error('Failed to leave mesh room:', error));
         this.emit('disconnected');
         
         console.log('Disconnected from mesh network');
@@ -125,25 +267,23 @@ export class WebRTCMesh {
      * 
      * @param {string} type - Message type
      * @param {Object} data - Message data
+     * @returns {number} Peers the message went to
+     * @throws {MeshProtocolError} If the type is unknown or data does not match its schema
      */
     broadcast(type, data) {
-        const message = {
-            id: this._generateMessageId(),
-            type,
-            data,
-            from: this.peerId,
-            timestamp: Date.now()
-        };
+        this.protocol.validate(type, data);
+        const message = this._envelope(type, data);
         
         let sent = 0;
         for (const [peerId, peer] of this.peers) {
-            if (peer.connectionState === 'connected' && peer.dataChannel?.readyState === 'open') {
-                try {
-                    this._sendToPeer(peer, message);
-                    sent++;
-                } catch (error) {
-                    console.error(`Failed to send to peer ${peerId}:`, error);
-                }
+            if (peer.connectionState === 'connected') {
+                this._dispatch(peer, message).catch(error => {
+                    // Messages still in flight when a peer leaves are simply dropped
+                    if (this.peers.get(peerId) === peer) {
+                        console.error(`Failed to send to peer ${peerId}:`, error);
+                    }
+                });
+                sent++;
             }
         }
         
@@ -155,48 +295,85 @@ export class WebRTCMesh {
     /**
      * Send a message to a specific peer
      * 
+     * The message is retransmitted until the peer acknowledges it.
+     * 
      * @param {string} peerId - Target peer ID
      * @param {string} type - Message type
      * @param {Object} data - Message data
      * @returns {Promise} Resolves when message is acknowledged
      */
     async send(peerId, type, data) {
-        const peer = this.peers.get(peerId);
-        if (!peer || peer.connectionState !== 'connected') {
-            throw new Error(`Peer ${peerId} not connected`);
-        }
+        const peer = this._connectedPeer(peerId);
+        this.protocol.validate(type, data);
         
-        const message = {
-            id: this._generateMessageId(),
-            type,
-            data,
-            from: this.peerId,
-            to: peerId,
-            timestamp: Date.now(),
-            requiresAck: true
-        };
+        const message = this._envelope(type, data, { to: peerId, requiresAck: true });
+        this.networkStats.messagesSent++;
+        return this._dispatch(peer, message);
+    }
+
+    /**
+     * Send a request and wait for the peer's response
+     * 
+     * The peer answers through the responder registered with respond().
+     * 
+     * @param {string} peerId - Target peer ID
+     * @param {string} type - Message type
+     * @param {Object} payload - Message data
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Time to wait for the response in ms
+     *                                     (defaults to config.messageTimeout)
+     * @returns {Promise<*>} The responder's result; rejects with its error or on timeout
+     */
+    async request(peerId, type, payload, options = {}) {
+        const peer = this._connectedPeer(peerId);
+        this.protocol.validate(type, payload);
+        
+        const message = this._envelope(type, payload, { to: peerId, request: true });
+        const timeout = options.timeout || this.config.messageTimeout;
         
         return new Promise((resolve, reject) => {
-            // Store pending message
             this.pendingMessages.set(message.id, {
+                peerId,
+                type,
                 resolve,
                 reject,
                 timeout: setTimeout(() => {
                     this.pendingMessages.delete(message.id);
-                    reject(new Error('Message timeout'));
-                }, this.config.messageTimeout)
+                    reject(new Error(`${type} request to ${peerId} timed out`));
+                }, timeout)
             });
             
-            try {
-                this._sendToPeer(peer, message);
-                this.networkStats.messagesSent++;
-            } catch (error) {
-                this.pendingMessages.delete(message.id);
-                reject(error);
-            }
+            this.networkStats.messagesSent++;
+            this._dispatch(peer, message).catch(error => this._settleRequest(message.id, error));
         });
     }
 
+    /**
+     * Answer requests of a type
+     * 
+     * @param {string} type - Message type
+     * @param {Function} responder - (data, { peerId }) => result or Promise of one;
+     *                               throwing sends the error back to the requester
+     */
+    respond(type, responder) {
+        this.responders.set(type, responder);
+    }
+
+    /**
+     * Allow a custom message type on the mesh
+     * 
+     * Peers drop types they have no schema for, so every peer has to
+     * define the type. Received messages are emitted as events of the
+     * same name.
+     * 
+     * @param {string} type - Message type
+     * @param {Object} schema - Payload schema (see MESSAGE_SCHEMAS in mesh-protocol.js)
+     * @param {Object} [options] - { reliable, orderBy, response } (see MESSAGE_OPTIONS)
+     */
+    defineMessage(type, schema, options = {}) {
+        this.protocol.define(type, schema, options);
+    }
+
     /**
      * Register a message handler
      * 
@@ -229,14 +406,39 @@ export class WebRTCMesh {
         }
     }
 
+    /**
+     * Peers that finished the handshake
+     * 
+     * @returns {string[]} Peer IDs
+     */
+    getConnectedPeers() {
+        return Array.from(this.peers.values())
+            .filter(peer => peer.connectionState === 'connected')
+            .map(peer => peer.id);
+    }
+
     /**
      * Get network statistics
+     * 
+     * byPeer counts frames as they went over the wire; byType counts
+     * encoded messages before batching and encryption.
      */
     getStats() {
+        const byPeer = {};
+        for (const [peerId, peer] of this.peers) {
+            byPeer[peerId] = { ...peer.stats, queued: peer.queue.length };
+        }
+        const byType = {};
+        for (const [type, stats] of this.typeStats) {
+            byType[type] = { ...stats };
+        }
+        
         return {
             ...this.networkStats,
-            peersConnected: this.peers.size,
-            peers: Array.from(this.peers.keys())
+            transport: this.transport.constructor.name,
+            peers: Array.from(this.peers.keys()),
+            byPeer,
+            byType
         };
     }
 
@@ -247,24 +449,45 @@ export class WebRTCMesh {
     _setupDefaultHandlers() {
         // Heartbeat handler
         this.messageHandlers.set('heartbeat', (message, peer) => {
-            peer.lastHeartbeat = Date.now();
-            this._sendToPeer(peer, {
-                type: 'heartbeat_ack',
-                id: message.id,
-                from: this.peerId
-            });
+            this._sendToPeer(peer, this._envelope('heartbeat_ack', {}));
         });
         
+        this.messageHandlers.set('heartbeat_ack', () => {});
+        
         // Acknowledgment handler
-        this.messageHandlers.set('ack', (message) => {
-            const pending = this.pendingMessages.get(message.ackId);
-            if (pending) {
-                clearTimeout(pending.timeout);
-                pending.resolve(message);
-                this.pendingMessages.delete(message.ackId);
+        this.messageHandlers.set('ack', (message, peer) => {
+            const { ackId } = message.data;
+            const entry = peer.unacked.get(ackId);
+            if (entry) {
+                clearTimeout(entry.timer);
+                peer.unacked.delete(ackId);
+                entry.resolve(message);
             }
         });
         
+        // Responses to our requests
+        this.messageHandlers.set('response', (message, peer) => {
+            const { requestId, ok, result, error } = message.data;
+            const pending = this.pendingMessages.get(requestId);
+            if (!pending || pending.peerId !== peer.id) return;
+            
+            if (!ok) {
+                this._settleRequest(requestId, new Error(error || `${pending.type} request failed`));
+                return;
+            }
+            
+            const schema = this.protocol.optionsFor(pending.type).response;
+            const problem = schema && MeshProtocol.check(result, schema, 'result');
+            if (problem) {
+                const rejection = new MeshProtocolError('schema', `Invalid ${pending.type} response: ${problem}`,
+                    { peerId: peer.id, type: 'response' });
+                this._rejectMessage(peer, rejection);
+                this._settleRequest(requestId, rejection);
+                return;
+            }
+            this._settleRequest(requestId, null, result);
+        });
+        
         // NPC sync handlers
         this.messageHandlers.set('npc_created', (message) => {
             this.emit('npc_created', message.data);
@@ -274,136 +497,266 @@ export class WebRTCMesh {
             this.emit('interaction', message.data);
         });
         
-        this.messageHandlers.set('consciousness_sync', (message) => {
-            this.emit('consciousness_sync', message.data);
+        this.messageHandlers.set('consciousness_sync', (message, peer) => {
+            const state = this._receiveConsciousness(message, peer);
+            if (state) {
+                const { base, delta, ...data } = message.data;
+                this.emit('consciousness_sync', { ...data, state, from: message.from });
+            }
+        });
+
+        this.messageHandlers.set('npc_delta', (message) => {
+            this.emit('npc_delta', { ...message.data, from: message.from });
+        });
+
+        this.messageHandlers.set('player_presence', (message) => {
+            this.emit('player_presence', { ...message.data, from: message.from });
         });
     }
 
     /**
-     * Simulate signaling for demo (in production, use actual signaling server)
+     * Route transport events into peer bookkeeping and message handling
      * @private
      */
-    async _simulateSignaling() {
-        // Simulate finding peers
-        const simulatedPeers = this._discoverLocalPeers();
+    _bindTransport() {
+        this.transport.on('peer_connected', ({ peerId }) => {
+            if (this.peers.has(peerId)) return;
+            if (this.peers.size >= this.config.maxPeers) {
+                console.warn(`Peer limit (${this.config.maxPeers}) reached, ignoring ${peerId}`);
+                this.transport.disconnect(peerId);
+                return;
+            }
+            
+            // The peer is announced once it has answered our hello
+            const peer = {
+                id: peerId,
+                connectionState: 'negotiating',
+                protocolVersion: null,
+                sendSeq: 0,
+                lastSeq: null,
+                protocolErrors: 0,
+                lastSeen: null,
+                lastSent: 0,
+                helloTimer: null,
+                greetingSince: this.clock.monotonic(),
+                unacked: new Map(),      // message id -> { message, attempts, timer, resolve, reject }
+                seen: new Set(),         // recent message ids, oldest first
+                streamsOut: new Map(),   // stream -> next streamSeq to send
+                streamsIn: new Map(),    // stream -> { next, buffer, timer }
+                publicKey: null,         // signing key from the peer's hello
+                fingerprint: null,
+                outbox: Promise.resolve(),
+                inbox: Promise.resolve(),
+                queue: [],               // { message, text, type, onSent } waiting for a frame
+                flushTimer: null,
+                budget: new TokenBucket(this.config.peerBandwidth, this.config.peerBandwidth, this.clock),
+                inbound: {
+                    frames: new TokenBucket(this.config.inboundRate, this.config.inboundRate, this.clock),
+                    bytes: new TokenBucket(this.config.inboundBandwidth, this.config.inboundBandwidth, this.clock),
+                    windowStart: 0,
+                    dropped: 0           // frames dropped since windowStart
+                },
+                stats: { messagesSent: 0, messagesReceived: 0, bytesSent: 0, bytesReceived: 0, dropped: 0 },
+                sharedStates: new Map(),     // NPC id -> { version, state } the peer acknowledged
+                receivedStates: new Map()    // NPC id -> Map(version -> state), bases for its deltas
+            };
+            this.peers.set(peerId, peer);
+            this._greet(peer);
+        });
+        
+        this.transport.on('peer_disconnected', ({ peerId }) => this._closePeer(peerId));
         
-        for (const peerInfo of simulatedPeers) {
-            await this._connectToPeer(peerInfo);
+        this.transport.on('message', ({ from, data }) => {
+            const peer = this.peers.get(from);
+            if (peer && this._admit(peer, data)) {
+                this._receive(data, peer);
+            }
+        });
+        
+        this.transport.on('error', (error) => this.emit('error', error));
+    }
+
+    /**
+     * Check a frame's signature (and decrypt it) before handling it; frames
+     * from one peer are opened one at a time, so they keep their order
+     * @private
+     */
+    _receive(frame, peer) {
+        if (!this.security) {
+            this._handleMessage(frame, peer);
+            return;
         }
+        
+        peer.inbox = peer.inbox
+            .then(() => this._openFrame(frame, peer))
+            .then(text => {
+                if (this.peers.get(peer.id) === peer) this._handleMessage(text, peer);
+            }, error => {
+                if (this.peers.get(peer.id) === peer) this._rejectMessage(peer, error);
+            });
     }
 
     /**
-     * Discover local peers (simulated for demo)
+     * The message inside a frame, once its signature checks out against the
+     * key the peer announced in hello (a hello is checked against its own key)
      * @private
      */
-    _discoverLocalPeers() {
-        // In production, this would query a signaling server
-        // For demo, we'll simulate some peers
-        const peers = [];
-        
-        // Check if there are other instances in localStorage
-        const instances = this._getLocalInstances();
-        for (const instance of instances) {
-            if (instance.id !== this.peerId) {
-                peers.push({
-                    id: instance.id,
-                    worldName: instance.worldName,
-                    offer: null // Would contain WebRTC offer
-                });
+    async _openFrame(frame, peer) {
+        const details = { peerId: peer.id };
+        if (typeof frame === 'string' && frame.length > this.config.maxMessageSize * 2) {
+            throw new MeshProtocolError('oversized', `Frame is ${frame.length} characters`, details);
+        }
+        
+        const { text, signature } = await this.security.open(frame, peer.id);
+        let message = null;
+        try {
+            message = JSON.parse(text);
+        } catch (error) {
+            // decode() reports it
+        }
+        if (!message || typeof message !== 'object') return text;
+        details.type = typeof message.type === 'string' ? message.type : null;
+        
+        let announced = null;
+        if (message.type === 'hello') {
+            try {
+                announced = await this.security.importPeerKey(message.data.publicKey);
+            } catch (error) {
+                throw new MeshProtocolError('signature', 'hello carries no valid public key', details);
             }
+            if (peer.fingerprint && peer.fingerprint !== announced.fingerprint) {
+                throw new MeshProtocolError('signature', 'Peer announced a different key', details);
+            }
+        } else if (!peer.publicKey) {
+            throw new MeshProtocolError('handshake', `${details.type} arrived before hello`, details);
         }
         
-        return peers;
+        const key = announced ? announced.key : peer.publicKey;
+        if (!await this.security.verify(text, signature, key)) {
+            throw new MeshProtocolError('signature', `${details.type} is not signed by ${peer.id}`, details);
+        }
+        if (announced) {
+            peer.publicKey = announced.key;
+            peer.fingerprint = announced.fingerprint;
+        }
+        return text;
     }
 
     /**
-     * Connect to a peer
+     * Handle incoming message
      * @private
      */
-    async _connectToPeer(peerInfo) {
-        if (this.peers.has(peerInfo.id)) {
-            return; // Already connected
+    _handleMessage(data, peer) {
+        let message;
+        try {
+            message = this.protocol.decode(data, peer.id, this.peerId);
+            if (message.type === 'batch') {
+                this._checkAgreed(peer, message);
+            }
+        } catch (error) {
+            this._rejectMessage(peer, error);
+            return;
         }
         
-        try {
-            const peer = new RTCPeerConnection({
-                iceServers: this.config.iceServers
-            });
-            
-            // Store peer connection
-            this.peers.set(peerInfo.id, peer);
-            peer.peerId = peerInfo.id;
-            
-            // Setup data channel
-            const dataChannel = peer.createDataChannel('npc-sync', {
-                ordered: true,
-                reliable: true
-            });
-            
-            peer.dataChannel = dataChannel;
-            
-            // Handle data channel events
-            dataChannel.onopen = () => {
-                console.log(`Data channel opened with ${peerInfo.id}`);
-                peer.connectionState = 'connected';
-                this.networkStats.peersConnected++;
-                this.emit('peer_connected', { peerId: peerInfo.id });
-            };
-            
-            dataChannel.onmessage = (event) => {
-                this._handleMessage(event.data, peer);
-            };
-            
-            dataChannel.onclose = () => {
-                console.log(`Data channel closed with ${peerInfo.id}`);
-                this._closePeer(peerInfo.id);
-            };
+        if (message.type !== 'batch') {
+            this._handleEnvelope(message, peer, data.length);
+            return;
+        }
+        
+        for (const inner of message.data.messages) {
+            if (this.peers.get(peer.id) !== peer) return;
             
-            // Setup ICE candidates
-            peer.onicecandidate = (event) => {
-                if (event.candidate) {
-                    // In production, send candidate to peer via signaling
+            let accepted;
+            try {
+                accepted = this.protocol.accept(inner, peer.id, this.peerId);
+                if (accepted.type === 'batch' || accepted.type === 'hello') {
+                    throw new MeshProtocolError('malformed', `${accepted.type} cannot be batched`,
+                        { peerId: peer.id, type: accepted.type });
                 }
-            };
-            
-            // Create and set offers/answers
-            if (peerInfo.offer) {
-                // Answer existing offer
-                await peer.setRemoteDescription(peerInfo.offer);
-                const answer = await peer.createAnswer();
-                await peer.setLocalDescription(answer);
-                // In production, send answer via signaling
+            } catch (error) {
+                this._rejectMessage(peer, error);
+                continue;
+            }
+            this._handleEnvelope(accepted, peer, JSON.stringify(inner).length);
+        }
+    }
+
+    /**
+     * Handle one decoded envelope
+     * @private
+     */
+    _handleEnvelope(message, peer, size) {
+        try {
+            if (message.type === 'hello') {
+                this._completeHandshake(peer, message);
             } else {
-                // Create new offer
-                const offer = await peer.createOffer();
-                await peer.setLocalDescription(offer);
-                // In production, send offer via signaling
+                this._checkAgreed(peer, message);
+            }
+        } catch (error) {
+            this._rejectMessage(peer, error);
+            return;
+        }
+        
+        this.networkStats.messagesReceived++;
+        peer.stats.messagesReceived++;
+        const typeStats = this._typeStats(message.type);
+        typeStats.received++;
+        typeStats.bytesReceived += size;
+        peer.lastSeq = message.seq;
+        peer.lastSeen = this.clock.monotonic();
+        if (message.type === 'hello') return;
+        
+        try {
+            // Acknowledge every copy: the ack for an earlier one may have been lost
+            if (message.requiresAck) {
+                this._sendToPeer(peer, this._envelope('ack', { ackId: message.id }));
             }
-            
         } catch (error) {
-            console.error(`Failed to connect to peer ${peerInfo.id}:`, error);
-            this._closePeer(peerInfo.id);
+            console.error(`Failed to acknowledge ${message.id}:`, error);
+        }
+        
+        if (peer.seen.has(message.id)) {
+            this.networkStats.duplicates++;
+            return;
+        }
+        peer.seen.add(message.id);
+        if (peer.seen.size > this.config.dedupWindow) {
+            peer.seen.delete(peer.seen.values().next().value);
+        }
+        
+        if (message.stream !== undefined) {
+            this._receiveInOrder(peer, message);
+        } else {
+            this._dispatchLocally(message, peer);
         }
     }
 
     /**
-     * Handle incoming message
+     * Throw unless the peer finished the handshake and the message uses the
+     * agreed version
      * @private
      */
-    _handleMessage(data, peer) {
+    _checkAgreed(peer, message) {
+        if (peer.connectionState !== 'connected') {
+            throw new MeshProtocolError('handshake', `${message.type} arrived before hello`,
+                { peerId: peer.id, type: message.type });
+        }
+        if (message.v !== peer.protocolVersion) {
+            throw new MeshProtocolError('version',
+                `Message uses protocol version ${message.v}, agreed on ${peer.protocolVersion}`,
+                { peerId: peer.id, type: message.type });
+        }
+    }
+
+    /**
+     * Run the handler, responder or event for a received message
+     * @private
+     */
+    _dispatchLocally(message, peer) {
         try {
-            const message = JSON.parse(data);
-            
-            this.networkStats.messagesReceived++;
-            this.networkStats.bytesReceived += data.length;
-            
-            // Send acknowledgment if required
-            if (message.requiresAck) {
-                this._sendToPeer(peer, {
-                    type: 'ack',
-                    ackId: message.id,
-                    from: this.peerId
-                });
+            if (message.request) {
+                this._answer(peer, message);
+                return;
             }
             
             // Handle message
@@ -421,17 +774,497 @@ export class WebRTCMesh {
     }
 
     /**
-     * Send message to peer
+     * Hold back stream messages until everything sent before them was handled
      * @private
      */
-    _sendToPeer(peer, message) {
-        if (peer.dataChannel && peer.dataChannel.readyState === 'open') {
-            const data = JSON.stringify(message);
-            peer.dataChannel.send(data);
-            this.networkStats.bytesSent += data.length;
-        } else {
-            throw new Error('Data channel not open');
+    _receiveInOrder(peer, message) {
+        let stream = peer.streamsIn.get(message.stream);
+        if (!stream) {
+            stream = { next: 0, buffer: new Map(), timer: null };
+            peer.streamsIn.set(message.stream, stream);
         }
+        
+        // Older than a gap we already gave up on
+        if (message.streamSeq < stream.next) return;
+        
+        stream.buffer.set(message.streamSeq, message);
+        this._drainStream(peer, stream);
+    }
+
+    /**
+     * Handle buffered stream messages that are next in line
+     * @private
+     */
+    _drainStream(peer, stream) {
+        clearTimeout(stream.timer);
+        stream.timer = null;
+        
+        while (stream.buffer.has(stream.next)) {
+            const message = stream.buffer.get(stream.next);
+            stream.buffer.delete(stream.next);
+            stream.next++;
+            this._dispatchLocally(message, peer);
+            if (!this.peers.has(peer.id)) return;
+        }
+        
+        // A gap: wait for the retransmission, then skip past it
+        if (stream.buffer.size > 0) {
+            stream.timer = setTimeout(() => {
+                stream.next = Math.min(...stream.buffer.keys());
+                this._drainStream(peer, stream);
+            }, this.config.orderTimeout);
+        }
+    }
+
+    /**
+     * Run the responder for a request and send back its result
+     * @private
+     */
+    _answer(peer, message) {
+        const responder = this.responders.get(message.type);
+        
+        Promise.resolve()
+            .then(() => {
+                if (!responder) {
+                    throw new Error(`No responder for ${message.type}`);
+                }
+                return responder(message.data, { peerId: peer.id });
+            })
+            .then(
+                result => ({ requestId: message.id, ok: true, result: result === undefined ? null : result }),
+                error => ({ requestId: message.id, ok: false, result: null, error: error.message })
+            )
+            .then(response => {
+                if (this.peers.get(peer.id) !== peer) return;
+                return this._dispatch(peer, this._envelope('response', response, { to: peer.id }));
+            })
+            .catch(error => console.error(`Failed to answer ${message.type} from ${peer.id}:`, error));
+    }
+
+    /**
+     * Resolve or reject a pending request
+     * @private
+     */
+    _settleRequest(requestId, error, result) {
+        const pending = this.pendingMessages.get(requestId);
+        if (!pending) return;
+        
+        clearTimeout(pending.timeout);
+        this.pendingMessages.delete(requestId);
+        if (error) pending.reject(error);
+        else pending.resolve(result);
+    }
+
+    /**
+     * Agree on a protocol version with a peer from its hello
+     * @private
+     */
+    _completeHandshake(peer, message) {
+        const { versions, worldName } = message.data;
+        const details = { peerId: peer.id, type: 'hello' };
+        
+        if (worldName !== this.worldName) {
+            throw new MeshProtocolError('world', `Peer is in world ${worldName}`, details);
+        }
+        
+        // Both sides pick the highest common version, so they agree without another round trip
+        const version = this.protocol.negotiate(versions);
+        if (version === null) {
+            throw new MeshProtocolError('version',
+                `No common protocol version (peer speaks ${versions[0]}-${versions[1]}, ` +
+                `we speak ${this.config.protocolVersions.join('-')})`, details);
+        }
+        
+        if (peer.connectionState !== 'negotiating') {
+            // The peer is still waiting for our hello, so it must have been lost
+            if (!message.data.ready) {
+                this._sendHello(peer);
+            }
+            return;
+        }
+        
+        clearTimeout(peer.helloTimer);
+        peer.protocolVersion = version;
+        peer.connectionState = 'connected';
+        this.networkStats.peersConnected++;
+        this.emit('peer_connected', { peerId: peer.id, protocolVersion: version, fingerprint: peer.fingerprint });
+    }
+
+    /**
+     * Drop a message that broke the protocol
+     * @private
+     */
+    _rejectMessage(peer, error) {
+        this.networkStats.protocolErrors++;
+        peer.protocolErrors++;
+        console.warn(`Rejected message from ${peer.id}: ${error.message}`);
+        
+        this.emit('protocol:error', {
+            peerId: peer.id,
+            code: error.code,
+            type: error.type,
+            message: error.message
+        });
+        
+        // A failed handshake ends the connection; so does a peer that keeps misbehaving.
+        // Messages overtaking a lost hello are not the peer's fault.
+        const failedHandshake = peer.connectionState === 'negotiating' &&
+            ['version', 'world', 'signature', 'encryption'].includes(error.code);
+        if (error.code === 'handshake') {
+            peer.protocolErrors--;
+        }
+        if (failedHandshake || peer.protocolErrors >= this.config.maxProtocolErrors) {
+            this._closePeer(peer.id);
+        }
+    }
+
+    /**
+     * Send hello until the peer answers or the handshake times out
+     * @private
+     */
+    _greet(peer) {
+        if (this.peers.get(peer.id) !== peer || peer.connectionState !== 'negotiating') return;
+        
+        const remaining = this.config.messageTimeout - (this.clock.monotonic() - peer.greetingSince);
+        if (remaining <= 0) {
+            console.warn(`Peer ${peer.id} never completed the handshake`);
+            this._closePeer(peer.id);
+            return;
+        }
+        
+        this._sendHello(peer);
+        peer.helloTimer = setTimeout(() => this._greet(peer), Math.min(this.config.retryInterval, remaining));
+    }
+
+    /**
+     * @private
+     */
+    _sendHello(peer) {
+        try {
+            this._sendToPeer(peer, this._envelope('hello', {
+                versions: this.config.protocolVersions,
+                worldName: this.worldName,
+                maxMessageSize: this.config.maxMessageSize,
+                ready: peer.connectionState === 'connected',
+                publicKey: this.security ? this.security.publicKey : undefined
+            }));
+        } catch (error) {
+            console.error(`Failed to greet peer ${peer.id}:`, error);
+        }
+    }
+
+    /**
+     * A connected peer, or throw
+     * @private
+     */
+    _connectedPeer(peerId) {
+        const peer = this.peers.get(peerId);
+        if (!peer || peer.connectionState !== 'connected') {
+            throw new Error(`Peer ${peerId} not connected`);
+        }
+        return peer;
+    }
+
+    /**
+     * Send a message to one peer with the delivery guarantees of its type
+     * 
+     * Stream messages get the next number in their stream; reliable ones
+     * (the type's option, acked sends and requests) are retransmitted until
+     * acknowledged.
+     * @private
+     * @returns {Promise} Resolves once delivered (immediately for unreliable messages)
+     */
+    _dispatch(peer, message) {
+        const options = this.protocol.optionsFor(message.type);
+        let outgoing = message;
+        
+        const stream = options.orderBy && message.data ? message.data[options.orderBy] : undefined;
+        if (typeof stream === 'string') {
+            const streamSeq = peer.streamsOut.get(stream) || 0;
+            peer.streamsOut.set(stream, streamSeq + 1);
+            outgoing = { ...outgoing, stream, streamSeq };
+        }
+        
+        if (!(options.reliable || message.requiresAck || message.request)) {
+            try {
+                this._sendToPeer(peer, outgoing);
+                return Promise.resolve();
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+        
+        return new Promise((resolve, reject) => {
+            const entry = { message: { ...outgoing, requiresAck: true }, attempts: 0, timer: null, resolve, reject };
+            peer.unacked.set(outgoing.id, entry);
+            this._transmit(peer, entry);
+        });
+    }
+
+    /**
+     * Send (or resend) a reliable message and schedule the next attempt
+     * @private
+     */
+    _transmit(peer, entry) {
+        const { message } = entry;
+        
+        if (entry.attempts > this.config.maxRetries) {
+            peer.unacked.delete(message.id);
+            this.networkStats.deliveryFailures++;
+            this.emit('delivery_failed', { peerId: peer.id, id: message.id, type: message.type });
+            entry.reject(new Error(`${message.type} to ${peer.id} was not acknowledged after ${entry.attempts} attempts`));
+            return;
+        }
+        
+        if (entry.attempts > 0) {
+            this.networkStats.retransmissions++;
+        }
+        entry.attempts++;
+        
+        // The retry clock starts once the message leaves, not while it waits for bandwidth
+        try {
+            this._sendToPeer(peer, message, () => {
+                entry.timer = setTimeout(() => this._transmit(peer, entry),
+                    this.config.retryInterval * Math.pow(2, entry.attempts - 1));
+            });
+        } catch (error) {
+            // Retrying will not shrink an oversized message
+            peer.unacked.delete(message.id);
+            entry.reject(error);
+        }
+    }
+
+    /**
+     * Build an outgoing message (the version and sequence number are
+     * stamped per peer when it is sent)
+     * @private
+     */
+    _envelope(type, data, fields = {}) {
+        return {
+            id: this._generateMessageId(),
+            type,
+            from: this.peerId,
+            timestamp: this.clock.now(),
+            ...fields,
+            data
+        };
+    }
+
+    /**
+     * Queue a message for a peer; it leaves with the next frame
+     * 
+     * @private
+     * @param {Function} [onSent] - Called once the message is on the wire
+     * @throws {MeshProtocolError} If the message is too large to send
+     */
+    _sendToPeer(peer, message, onSent) {
+        const envelope = {
+            v: peer.protocolVersion || this.config.protocolVersions[1],
+            seq: peer.sendSeq,
+            ...message
+        };
+        const text = this.protocol.encode(envelope);
+        peer.sendSeq++;
+        
+        peer.stats.messagesSent++;
+        const typeStats = this._typeStats(message.type);
+        typeStats.sent++;
+        typeStats.bytesSent += text.length;
+        
+        peer.queue.push({ message: envelope, text, type: message.type, onSent });
+        if (!peer.flushTimer) {
+            peer.flushTimer = setTimeout(() => this._flush(peer), this.config.batchInterval);
+        }
+    }
+
+    /**
+     * Send queued messages in as few frames as fit the peer's budget
+     * @private
+     */
+    _flush(peer) {
+        peer.flushTimer = null;
+        if (this.peers.get(peer.id) !== peer) return;
+        
+        while (peer.queue.length > 0) {
+            const frame = this._nextFrame(peer, peer.queue);
+            if (peer.budget.take(frame.text.length)) {
+                this._sendFrame(peer, frame);
+                continue;
+            }
+            
+            // Over budget: control messages still go out, the rest waits its turn
+            peer.queue.unshift(...frame.items);
+            const urgent = peer.queue.filter(item => URGENT_TYPES.has(item.type));
+            peer.queue = peer.queue.filter(item => !URGENT_TYPES.has(item.type));
+            while (urgent.length > 0) {
+                const control = this._nextFrame(peer, urgent);
+                peer.budget.spend(control.text.length);
+                this._sendFrame(peer, control);
+            }
+            
+            if (peer.queue.length > 0) {
+                peer.flushTimer = setTimeout(() => this._flush(peer),
+                    Math.max(peer.budget.wait(peer.queue[0].text.length), this.config.batchInterval));
+            }
+            return;
+        }
+    }
+
+    /**
+     * Take the messages for one frame off the front of a queue: a lone
+     * message as it is, several as a batch no larger than maxMessageSize
+     * @private
+     */
+    _nextFrame(peer, queue) {
+        const first = queue.shift();
+        const items = [first];
+        
+        // Hellos travel alone, so their key can be checked before anything else
+        if (peer.connectionState === 'connected' && first.type !== 'hello') {
+            const header = this._envelope('batch', { messages: [] });
+            const envelope = { v: peer.protocolVersion, seq: first.message.seq, ...header };
+            let size = JSON.stringify(envelope).length + first.text.length;
+            
+            while (queue.length > 0 && queue[0].type !== 'hello' &&
+                   size + queue[0].text.length + 1 <= this.config.maxMessageSize) {
+                size += queue[0].text.length + 1;
+                items.push(queue.shift());
+            }
+            
+            if (items.length > 1) {
+                envelope.data.messages = items.map(item => item.message);
+                return { text: this.protocol.encode(envelope), items };
+            }
+        }
+        return { text: first.text, items };
+    }
+
+    /**
+     * Put a frame on the wire
+     * @private
+     */
+    _sendFrame(peer, frame) {
+        const deliver = (data) => {
+            try {
+                this.transport.send(peer.id, data);
+                peer.stats.bytesSent += data.length;
+                this.networkStats.bytesSent += data.length;
+            } catch (error) {
+                // Reliable messages are retried like lost ones
+                console.error(`Failed to send to ${peer.id}:`, error);
+            }
+            peer.lastSent = this.clock.monotonic();
+            for (const item of frame.items) {
+                if (item.onSent) item.onSent();
+            }
+        };
+        
+        if (!this.security) {
+            deliver(frame.text);
+            return;
+        }
+        
+        // Sealing is asynchronous; chained per peer so frames leave in order
+        peer.outbox = peer.outbox
+            .then(() => this.security.seal(frame.text))
+            .then(data => {
+                if (this.peers.get(peer.id) === peer) deliver(data);
+            })
+            .catch(error => console.error(`Failed to send to ${peer.id}:`, error));
+    }
+
+    /**
+     * Whether a frame fits the peer's inbound limits; drops are reported
+     * once a second, and a peer that keeps flooding is disconnected
+     * @private
+     */
+    _admit(peer, frame) {
+        const size = typeof frame === 'string' ? frame.length : 0;
+        peer.stats.bytesReceived += size;
+        this.networkStats.bytesReceived += size;
+        
+        const { inbound } = peer;
+        if (inbound.frames.take(1) && inbound.bytes.take(size)) {
+            return true;
+        }
+        
+        peer.stats.dropped++;
+        this.networkStats.rateLimited++;
+        
+        const now = this.clock.monotonic();
+        if (now - inbound.windowStart >= 1000) {
+            inbound.windowStart = now;
+            inbound.dropped = 0;
+            console.warn(`Peer ${peer.id} exceeds the inbound rate limit, dropping frames`);
+            this.emit('protocol:error', {
+                peerId: peer.id,
+                code: 'rate_limited',
+                type: null,
+                message: `Peer exceeds ${this.config.inboundRate} frames or ${this.config.inboundBandwidth} bytes per second`
+            });
+        }
+        
+        inbound.dropped++;
+        if (inbound.dropped > this.config.inboundRate) {
+            console.warn(`Peer ${peer.id} keeps flooding, disconnecting`);
+            this._closePeer(peer.id);
+        }
+        return false;
+    }
+
+    /**
+     * @private
+     */
+    _typeStats(type) {
+        let stats = this.typeStats.get(type);
+        if (!stats) {
+            stats = { sent: 0, received: 0, bytesSent: 0, bytesReceived: 0 };
+            this.typeStats.set(type, stats);
+        }
+        return stats;
+    }
+
+    /**
+     * Rebuild a consciousness_sync state (it may be a delta against a
+     * version the peer sent before) and keep it as a base for later deltas
+     * @private
+     * @returns {Object|null} The full state, or null if the message was rejected
+     */
+    _receiveConsciousness(message, peer) {
+        const { npcId, version, base, delta } = message.data;
+        const details = { peerId: peer.id, type: message.type };
+        const versions = peer.receivedStates.get(npcId) || new Map();
+        
+        let state = message.data.state;
+        try {
+            if (delta !== undefined) {
+                if (base === undefined || version === undefined || !versions.has(base)) {
+                    throw new MeshProtocolError('schema', `Delta for ${npcId} is against unknown version ${base}`, details);
+                }
+                state = applyDelta(versions.get(base), delta);
+                this.protocol.validate('consciousness_sync', { npcId, state });
+            } else if (state === undefined) {
+                throw new MeshProtocolError('schema', 'consciousness_sync carries neither state nor delta', details);
+            }
+        } catch (error) {
+            if (!(error instanceof MeshProtocolError)) {
+                error = new MeshProtocolError('schema', error.message, details);
+            }
+            this._rejectMessage(peer, error);
+            return null;
+        }
+        
+        if (version !== undefined) {
+            // The sender's bases only move forward
+            for (const known of versions.keys()) {
+                if ((base !== undefined && known < base) || versions.size >= MAX_RECEIVED_STATES) {
+                    versions.delete(known);
+                }
+            }
+            versions.set(version, state);
+            peer.receivedStates.set(npcId, versions);
+        }
+        return state;
     }
 
     /**
@@ -441,13 +1274,35 @@ export class WebRTCMesh {
     _closePeer(peerId) {
         const peer = this.peers.get(peerId);
         if (peer) {
-            if (peer.dataChannel) {
-                peer.dataChannel.close();
-            }
-            peer.close();
+            // Removed first: the transport reports the disconnect back to us
             this.peers.delete(peerId);
-            this.networkStats.peersConnected--;
-            this.emit('peer_disconnected', { peerId });
+            clearTimeout(peer.helloTimer);
+            clearTimeout(peer.flushTimer);
+            peer.queue = [];
+            this.transport.disconnect(peerId);
+            
+            // Nothing more will be acknowledged or answered
+            const gone = new Error(`Peer ${peerId} disconnected`);
+            for (const entry of peer.unacked.values()) {
+                clearTimeout(entry.timer);
+                entry.reject(gone);
+            }
+            peer.unacked.clear();
+            for (const stream of peer.streamsIn.values()) {
+                clearTimeout(stream.timer);
+            }
+            for (const [requestId, pending] of this.pendingMessages) {
+                if (pending.peerId === peerId) {
+                    this._settleRequest(requestId, gone);
+                }
+            }
+            
+            // Peers still negotiating were never announced
+            if (peer.connectionState === 'connected') {
+                this.networkStats.peersConnected--;
+                this.emit('peer_disconnected', { peerId });
+            }
+            peer.connectionState = 'closed';
         }
     }
 
@@ -457,23 +1312,21 @@ export class WebRTCMesh {
      */
     _startHeartbeat() {
         this.heartbeatTimer = setInterval(() => {
-            const now = Date.now();
+            const now = this.clock.monotonic();
             
             for (const [peerId, peer] of this.peers) {
                 if (peer.connectionState === 'connected') {
-                    // Send heartbeat
-                    try {
-                        this._sendToPeer(peer, {
-                            type: 'heartbeat',
-                            from: this.peerId,
-                            timestamp: now
-                        });
-                    } catch (error) {
-                        console.error(`Heartbeat failed for ${peerId}`);
+                    // Send heartbeat, unless other traffic already told the peer we are here
+                    if (now - peer.lastSent >= this.config.heartbeatInterval / 2) {
+                        try {
+                            this._sendToPeer(peer, this._envelope('heartbeat', {}));
+                        } catch (error) {
+                            console.error(`Heartbeat failed for ${peerId}`);
+                        }
                     }
                     
                     // Check for timeout
-                    if (peer.lastHeartbeat && now - peer.lastHeartbeat > this.config.heartbeatInterval * 2) {
+                    if (peer.lastSeen && now - peer.lastSeen > this.config.heartbeatInterval * 2) {
                         console.warn(`Peer ${peerId} timed out`);
                         this._closePeer(peerId);
                     }
@@ -482,51 +1335,20 @@ export class WebRTCMesh {
         }, this.config.heartbeatInterval);
     }
 
-    /**
-     * Get local instances for peer discovery
-     * @private
-     */
-    _getLocalInstances() {
-        try {
-            const instances = localStorage.getItem('adaptiveNPCWeb_instances');
-            if (instances) {
-                const parsed = JSON.parse(instances);
-                // Clean up old instances
-                const recent = parsed.filter(i => 
-                    Date.now() - i.timestamp < 60000 // 1 minute
-                );
-                return recent;
-            }
-        } catch (error) {
-            console.error('Failed to get local instances:', error);
-        }
-        return [];
-    }
-
-    /**
-     * Register this instance locally
-     * @private
-     */
-    _registerInstance() {
-        try {
-            const instances = this._getLocalInstances();
-            instances.push({
-                id: this.peerId,
-                worldName: this.worldName,
-                timestamp: Date.now()
-            });
-            localStorage.setItem('adaptiveNPCWeb_instances', JSON.stringify(instances));
-        } catch (error) {
-            console.error('Failed to register instance:', error);
-        }
-    }
-
     /**
      * Generate unique peer ID
+     *
+     * Peers of one world often share its seed, so the id draws on crypto
+     * when available instead of the seeded stream.
      * @private
      */
     _generatePeerId() {
-        return `peer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const crypto = this.config.crypto || (typeof globalThis !== 'undefined' ? globalThis.crypto : null);
+        if (crypto && crypto.getRandomValues) {
+            const bytes = crypto.getRandomValues(new Uint8Array(9));
+            return `peer_${this.clock.now()}_${Array.from(bytes, b => (b % 36).toString(36)).join('')}`;
+        }
+        return `peer_${this.clock.now()}_${this.rng.uid()}`;
     }
 
     /**
@@ -534,59 +1356,98 @@ export class WebRTCMesh {
      * @private
      */
     _generateMessageId() {
-        return `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return `msg_${this.clock.now()}_${this.rng.uid()}`;
     }
 
     /**
      * Share NPC consciousness state
      * 
+     * Peers that acknowledged an earlier state get only what changed since
+     * (unless the change is no smaller than the state).
+     * 
      * @param {string} npcId - NPC ID
      * @param {Object} consciousnessState - State to share
+     * @returns {number} Peers the state went to
      */
     shareConsciousness(npcId, consciousnessState) {
-        this.broadcast('consciousness_sync', {
-            npcId,
-            state: consciousnessState,
-            worldName: this.worldName,
-            timestamp: Date.now()
-        });
+        const state = JSON.parse(JSON.stringify(consciousnessState));
+        this.protocol.validate('consciousness_sync', { npcId, state });
+        
+        const version = (this.sharedVersions.get(npcId) || 0) + 1;
+        this.sharedVersions.set(npcId, version);
+        const fullSize = JSON.stringify(state).length;
+        
+        let sent = 0;
+        for (const [peerId, peer] of this.peers) {
+            if (peer.connectionState !== 'connected') continue;
+            
+            const data = { npcId, version, worldName: this.worldName, timestamp: this.clock.now() };
+            const acked = peer.sharedStates.get(npcId);
+            const delta = acked ? (diffState(acked.state, state) || { set: [], unset: [] }) : null;
+            if (delta && JSON.stringify(delta).length < fullSize) {
+                data.base = acked.version;
+                data.delta = delta;
+            } else {
+                data.state = state;
+            }
+            
+            this._dispatch(peer, this._envelope('consciousness_sync', data))
+                .then(() => {
+                    const current = peer.sharedStates.get(npcId);
+                    if (!current || current.version < version) {
+                        peer.sharedStates.set(npcId, { version, state });
+                    }
+                })
+                .catch(error => {
+                    if (this.peers.get(peerId) === peer) {
+                        console.error(`Failed to share ${npcId} with ${peerId}:`, error);
+                    }
+                });
+            sent++;
+        }
+        
+        this.networkStats.messagesSent++;
+        return sent;
     }
 
     /**
      * Share interaction event
      * 
-     * @param {Object} interaction - Interaction to share
+     * @param {Object} interaction - Interaction to share (its timestamp defaults to now)
      */
     shareInteraction(interaction) {
         this.broadcast('interaction', {
+            timestamp: this.clock.now(),
             ...interaction,
             worldName: this.worldName,
-            sharedBy: this.peerId,
-            timestamp: Date.now()
+            sharedBy: this.peerId
         });
     }
 
     /**
      * Request consciousness state from peers
      * 
+     * Asks every connected peer at once; peers answer through the
+     * 'consciousness_request' responder (AdaptiveNPCWeb registers one).
+     * 
      * @param {string} npcId - NPC ID to request
+     * @returns {Promise<Object[]>} { peerId, npcId, state } from each peer that knows the NPC
      */
     async requestConsciousness(npcId) {
-        const responses = [];
+        const peerIds = this.getConnectedPeers();
         
-        for (const [peerId, peer] of this.peers) {
-            if (peer.connectionState === 'connected') {
-                try {
-                    const response = await this.send(peerId, 'consciousness_request', {
-                        npcId,
-                        worldName: this.worldName
-                    });
-                    responses.push(response);
-                } catch (error) {
-                    console.error(`Failed to request from ${peerId}:`, error);
-                }
+        const results = await Promise.allSettled(peerIds.map(peerId =>
+            this.request(peerId, 'consciousness_request', { npcId, worldName: this.worldName })
+        ));
+        
+        const responses = [];
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                console.error(`Failed to request from ${peerIds[index]}:`, result.reason);
+            } else if (result.value) {
+                responses.push({ peerId: peerIds[index], ...result.value });
             }
-        }
+        });
         
         return responses;
     }
@@ -38,8 +38,11 @@ export class QuantumPersonality {
 
         // Initialize quantum simulator
         this.simulator = new QuantumSimulator({
-            qubits: this.config.dimensionality
+            qubits: this.config.dimensionality,
+            random: this.config.random,
+            clock: this.config.clock
         });
+        this.clock = this.simulator.clock;
 
         // Personality dimension definitions
         this.dimensions = {
@@ -93,6 +96,32 @@ export class QuantumPersonality {
         return instance;
     }
 
+    /**
+     * Rebuild a saved quantum personality
+     * 
+     * Saves from before personalities were serialized hold the raw instance
+     * or plain trait values; those are regenerated from the traits.
+     * 
+     * @param {Object} data - Output of QuantumPersonalityInstance.serialize()
+     * @returns {QuantumPersonalityInstance} The restored instance
+     */
+    restorePersonality(data) {
+        const dimensions = data && data.dimensions ? Object.values(data.dimensions) : [];
+        if (dimensions.length === 0 || !Array.isArray(dimensions[0])) {
+            return this.generatePersonality((data && (data.baseTraits || data)) || {});
+        }
+
+        const instance = new QuantumPersonalityInstance({
+            dimensions: this.dimensions,
+            simulator: this.simulator,
+            config: this.config,
+            baseTraits: {}
+        });
+        instance.deserialize(data);
+
+        return instance;
+    }
+
     /**
      * Entangle two personalities (they influence each other)
      * 
@@ -131,7 +160,7 @@ export class QuantumPersonality {
 
         history.get(dimension).push({
             value: observedValue,
-            timestamp: performance.now(),
+            timestamp: this.clock.monotonic(),
             confidence: 1.0
         });
     }
@@ -169,7 +198,7 @@ export class QuantumPersonalityInstance {
         this.coherence = new Map();
         
         // Unique ID
-        this.id = `qp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.id = `qp_${this.simulator.clock.now()}_${this.simulator.rng.uid()}`;
     }
 
     /**
@@ -214,7 +243,7 @@ export class QuantumPersonalityInstance {
         const coherenceInfo = this.coherence.get(dimension);
         
         // Check if we need to refresh the superposition
-        const timeSinceCollapse = performance.now() - coherenceInfo.lastCollapse;
+        const timeSinceCollapse = this.simulator.clock.monotonic() - coherenceInfo.lastCollapse;
         if (timeSinceCollapse > this.config.coherenceTime) {
             this._refreshSuperposition(dimension);
         }
@@ -235,7 +264,7 @@ export class QuantumPersonalityInstance {
         // Update coherence
         coherenceInfo.observations++;
         coherenceInfo.strength *= (1 - this.config.observationImpact);
-        coherenceInfo.lastCollapse = performance.now();
+        coherenceInfo.lastCollapse = this.simulator.clock.monotonic();
 
         // Apply entanglement effects
         this._propagateEntanglement(dimension, collapsedValue);
@@ -255,7 +284,7 @@ export class QuantumPersonalityInstance {
             // Use collapsed state if available and recent
             if (this.collapsedState.has(dimension)) {
                 const coherenceInfo = this.coherence.get(dimension);
-                const age = performance.now() - coherenceInfo.lastCollapse;
+                const age = this.simulator.clock.monotonic() - coherenceInfo.lastCollapse;
                 
                 if (age < this.config.coherenceTime) {
                     personality[dimension] = this.collapsedState.get(dimension);
@@ -311,8 +340,8 @@ export class QuantumPersonalityInstance {
                 
                 // Gaussian-like amplitude
                 const amplitude = {
-                    magnitude: Math.exp(-distance ** 2 / (2 * spread ** 2)),
-                    phase: Math.random() * 2 * Math.PI
+                    magnitude: Math.exp(-(distance ** 2) / (2 * spread ** 2)),
+                    phase: this.simulator.rng.random() * 2 * Math.PI
                 };
                 
                 superposition.set(value, amplitude);
@@ -322,8 +351,8 @@ export class QuantumPersonalityInstance {
             for (let i = 0; i <= 10; i++) {
                 const value = i / 10;
                 const amplitude = {
-                    magnitude: 1 / Math.sqrt(11) + (Math.random() - 0.5) * this.config.quantumNoise,
-                    phase: Math.random() * 2 * Math.PI
+                    magnitude: 1 / Math.sqrt(11) + (this.simulator.rng.random() - 0.5) * this.config.quantumNoise,
+                    phase: this.simulator.rng.random() * 2 * Math.PI
                 };
                 
                 superposition.set(value, amplitude);
@@ -476,14 +505,14 @@ export class QuantumPersonalityInstance {
         probabilities.forEach(p => p.probability /= totalProb);
         
         // Collapse based on quantum measurement
-        const random = Math.random();
+        const random = this.simulator.rng.random();
         let cumulative = 0;
         
         for (const { value, probability } of probabilities) {
             cumulative += probability;
             if (random <= cumulative) {
                 // Add quantum noise to the collapsed value
-                const noise = (Math.random() - 0.5) * this.config.quantumNoise;
+                const noise = (this.simulator.rng.random() - 0.5) * this.config.quantumNoise;
                 return Math.max(0, Math.min(1, value + noise));
             }
         }
@@ -14,6 +14,8 @@
  * limitations under the License.
  */
 
+import { SystemClock } from '../core/environment.js';
+
 /**
  * QuantumSimulator - Simulates quantum mechanics for personality traits
  * 
@@ -35,9 +37,15 @@ export class QuantumSimulator {
         // Quantum state representation
         this.quantumStates = new Map();
         this.entanglements = new Map();
+
+        // Time source for timestamps
+        this.clock = this.config.clock || new SystemClock();
         
-        // Random number generator with better entropy
-        this.rng = new QuantumRNG();
+        // Random number generator with better entropy, or a seeded
+        // stream when the simulator is given a RandomSource
+        this.rng = new QuantumRNG(
+            this.config.random ? this.config.random.stream('quantum') : null
+        );
         
         // Basis states
         this.basisStates = this._generateBasisStates();
@@ -94,7 +102,7 @@ export class QuantumSimulator {
         const entanglement = {
             states: [stateId1, stateId2],
             strength: Math.min(1, Math.max(0, strength)),
-            created: Date.now()
+            created: this.clock.now()
         };
 
         // Store bidirectional entanglement
@@ -375,7 +383,7 @@ class QuantumSuperposition {
         this.amplitudes = config.amplitudes;
         this.simulator = config.simulator;
         
-        this.id = `qs_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.id = `qs_${this.simulator.clock.now()}_${this.simulator.rng.uid()}`;
         this.coherence = 1.0;
         this.collapsed = false;
         this.entangled = false;
@@ -497,8 +505,13 @@ class QuantumSuperposition {
  * @class QuantumRNG
  */
 class QuantumRNG {
-    constructor() {
-        this.seed = Date.now();
+    /**
+     * @param {SeededRandom} [source] - Seeded stream to draw from instead of
+     *                                  mixing browser and time entropy
+     */
+    constructor(source = null) {
+        this.source = source;
+        this.seed = source ? source.state : Date.now();
         this.counter = 0;
     }
 
@@ -508,6 +521,10 @@ class QuantumRNG {
      * @returns {number} Random number between 0 and 1
      */
     random() {
+        if (this.source) {
+            return this.source.random();
+        }
+
         // Mix multiple sources of randomness
         const browserRandom = Math.random();
         const timeComponent = (Date.now() % 1000) / 1000;
@@ -523,6 +540,18 @@ class QuantumRNG {
         return mixed;
     }
 
+    /**
+     * Generate a short random identifier suffix
+     * 
+     * @returns {string} 9-character base-36 string
+     */
+    uid() {
+        if (this.source) {
+            return this.source.uid();
+        }
+        return Math.random().toString(36).substr(2, 9);
+    }
+
     /**
      * Quantum-inspired mixing function
      * @private
@@ -0,0 +1,144 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { StorageAdapter } from './storage-adapter.js';
+import { RecordCodec } from './compression.js';
+
+/**
+ * CompressedAdapter - Transparently compresses large records of another adapter
+ *
+ * Values whose JSON exceeds the threshold are written compressed and
+ * restored on read, so callers only ever see the original values. Records
+ * written before compression was enabled (or below the threshold) are read
+ * as they are.
+ *
+ * @class CompressedAdapter
+ */
+export class CompressedAdapter extends StorageAdapter {
+    /**
+     * @param {StorageAdapter} adapter - Backend that holds the data
+     * @param {Object} [config]
+     * @param {number} [config.threshold=1024] - Minimum JSON length worth compressing
+     * @param {string[]} [config.stores] - Stores to compress (default: all)
+     * @param {string} [config.format] - 'gzip' or 'lzw' (default: gzip when available)
+     */
+    constructor(adapter, config = {}) {
+        super({
+            threshold: 1024,
+            stores: null,
+            ...config
+        });
+
+        this.adapter = adapter;
+        this.codec = new RecordCodec(this.config);
+
+        // Running totals for getStorageStats()
+        this.stats = {
+            format: this.codec.format,
+            compressed: 0,
+            bytesIn: 0,
+            bytesOut: 0
+        };
+    }
+
+    async open(name, stores) {
+        await super.open(name, stores);
+        await this.adapter.open(name, stores);
+    }
+
+    async get(store, key) {
+        return this._decode(await this.adapter.get(store, key));
+    }
+
+    async getAll(store, prefix = '') {
+        const values = await this.adapter.getAll(store, prefix);
+        return Promise.all(values.map(value => this._decode(value)));
+    }
+
+    async keys(store, prefix = '') {
+        return this.adapter.keys(store, prefix);
+    }
+
+    async count(store, prefix = '') {
+        return this.adapter.count(store, prefix);
+    }
+
+    async put(store, key, value) {
+        return this.adapter.put(store, key, await this._encode(store, value));
+    }
+
+    async delete(store, key) {
+        return this.adapter.delete(store, key);
+    }
+
+    async clear(store) {
+        return this.adapter.clear(store);
+    }
+
+    async batch(operations) {
+        // Compress first so the backend still applies everything at once
+        const encoded = await Promise.all(operations.map(async op =>
+            op.type === 'put' ? { ...op, value: await this._encode(op.store, op.value) } : op
+        ));
+        return this.adapter.batch(encoded);
+    }
+
+    async estimate() {
+        return this.adapter.estimate();
+    }
+
+    close() {
+        this.adapter.close();
+    }
+
+    /**
+     * Compress a value if it is large enough to benefit
+     * @private
+     */
+    async _encode(store, value) {
+        if (this.config.stores && !this.config.stores.includes(store)) {
+            return value;
+        }
+
+        const text = JSON.stringify(value);
+        if (text === undefined || text.length < this.config.threshold) {
+            return value;
+        }
+
+        const compressed = await this.codec.compress(text);
+        if (!compressed) {
+            return value;
+        }
+
+        this.stats.compressed++;
+        this.stats.bytesIn += text.length;
+        this.stats.bytesOut += compressed.data.length;
+        return compressed;
+    }
+
+    /**
+     * Restore a compressed value
+     * @private
+     */
+    async _decode(value) {
+        if (!RecordCodec.isCompressed(value)) {
+            return value;
+        }
+        return JSON.parse(await this.codec.decompress(value));
+    }
+}
+
+export default CompressedAdapter;
@@ -0,0 +1,270 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// LZW codes are written one per UTF-16 unit, skipping the surrogate range so
+// the output stays a well-formed string in every backend
+const LZW_MAX_CODE = 0x10000 - 0x800;
+
+/**
+ * RecordCodec - Compresses JSON records into storable strings
+ *
+ * Uses gzip through the built-in CompressionStream where available and a
+ * pure-JS LZW otherwise. Compressed records look like
+ * { $compressed: 'gzip'|'lzw', data, size } and are only kept when they
+ * are meaningfully smaller than the JSON they replace.
+ *
+ * @class RecordCodec
+ */
+export class RecordCodec {
+    /**
+     * @param {Object} [config]
+     * @param {string} [config.format] - 'gzip' or 'lzw' (default: gzip when available)
+     * @param {number} [config.minSavings=0.1] - Fraction a record must shrink by to be kept compressed
+     * @param {Function} [config.CompressionStream] - Stream class (defaults to the global)
+     * @param {Function} [config.DecompressionStream] - Stream class (defaults to the global)
+     */
+    constructor(config = {}) {
+        this.config = {
+            minSavings: 0.1,
+            ...config
+        };
+
+        this.CompressionStream = this.config.CompressionStream ||
+            (typeof CompressionStream !== 'undefined' ? CompressionStream : null);
+        this.DecompressionStream = this.config.DecompressionStream ||
+            (typeof DecompressionStream !== 'undefined' ? DecompressionStream : null);
+        this.format = this.config.format || (this.CompressionStream ? 'gzip' : 'lzw');
+
+        if (this.format === 'gzip' && !this.CompressionStream) {
+            throw new Error('gzip compression needs CompressionStream, which this environment lacks');
+        }
+    }
+
+    /**
+     * Whether a stored value is a compressed record
+     *
+     * @param {*} value - Stored value
+     * @returns {boolean}
+     */
+    static isCompressed(value) {
+        return Boolean(value) && typeof value === 'object' && typeof value.$compressed === 'string';
+    }
+
+    /**
+     * Compress JSON text
+     *
+     * @param {string} text - JSON text
+     * @returns {Promise<Object|null>} Compressed record, or null if it would not save space
+     */
+    async compress(text) {
+        const bytes = new TextEncoder().encode(text);
+        const data = this.format === 'gzip' ?
+            RecordCodec._toBase64(await this._pipe(bytes, this.CompressionStream)) :
+            RecordCodec.lzwEncode(bytes);
+
+        if (data.length > text.length * (1 - this.config.minSavings)) {
+            return null;
+        }
+
+        return { $compressed: this.format, data, size: text.length };
+    }
+
+    /**
+     * Restore the JSON text of a compressed record
+     *
+     * @param {Object} record - Compressed record
+     * @returns {Promise<string>} JSON text
+     */
+    async decompress(record) {
+        let bytes;
+
+        switch (record.$compressed) {
+            case 'gzip':
+                if (!this.DecompressionStream) {
+                    throw new Error('Record is gzip-compressed but DecompressionStream is not available');
+                }
+                bytes = await this._pipe(RecordCodec._fromBase64(record.data), this.DecompressionStream);
+                break;
+            case 'lzw':
+                bytes = RecordCodec.lzwDecode(record.data);
+                break;
+            default:
+                throw new Error(`Unknown record compression: ${record.$compressed}`);
+        }
+
+        return new TextDecoder().decode(bytes);
+    }
+
+    /**
+     * LZW-encode bytes into a string, one UTF-16 unit per code
+     *
+     * The dictionary stops growing once the code space is full, which keeps
+     * encoder and decoder in step without reset markers.
+     *
+     * @param {Uint8Array} bytes - Input
+     * @returns {string} Encoded string
+     */
+    static lzwEncode(bytes) {
+        const dictionary = new Map();
+        for (let i = 0; i < 256; i++) {
+            dictionary.set(String.fromCharCode(i), i);
+        }
+
+        let next = 256;
+        let phrase = '';
+        const codes = [];
+
+        for (const byte of bytes) {
+            const char = String.fromCharCode(byte);
+            const extended = phrase + char;
+
+            if (dictionary.has(extended)) {
+                phrase = extended;
+                continue;
+            }
+
+            codes.push(dictionary.get(phrase));
+            if (next < LZW_MAX_CODE) {
+                dictionary.set(extended, next++);
+            }
+            phrase = char;
+        }
+
+        if (phrase) {
+            codes.push(dictionary.get(phrase));
+        }
+
+        return RecordCodec._codesToString(codes);
+    }
+
+    /**
+     * Decode a string produced by lzwEncode()
+     *
+     * @param {string} data - Encoded string
+     * @returns {Uint8Array} Original bytes
+     */
+    static lzwDecode(data) {
+        if (!data) return new Uint8Array(0);
+
+        const dictionary = [];
+        for (let i = 0; i < 256; i++) {
+            dictionary.push(String.fromCharCode(i));
+        }
+
+        const codeAt = (index) => {
+            const unit = data.charCodeAt(index);
+            return unit < 0xD800 ? unit : unit - 0x800;
+        };
+
+        let previous = dictionary[codeAt(0)];
+        const parts = [previous];
+
+        for (let i = 1; i < data.length; i++) {
+            const code = codeAt(i);
+            let entry;
+
+            if (code < dictionary.length) {
+                entry = dictionary[code];
+            } else if (code === dictionary.length) {
+                entry = previous + previous[0];
+            } else {
+                throw new Error('Corrupted LZW data');
+            }
+
+            parts.push(entry);
+            if (dictionary.length < LZW_MAX_CODE) {
+                dictionary.push(previous + entry[0]);
+            }
+            previous = entry;
+        }
+
+        const text = parts.join('');
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * Run bytes through a (de)compression stream
+     * @private
+     */
+    async _pipe(bytes, StreamClass) {
+        const stream = new StreamClass('gzip');
+        const writer = stream.writable.getWriter();
+        const reader = stream.readable.getReader();
+        const chunks = [];
+
+        // Read while writing so the stream never stalls on backpressure
+        const reading = (async () => {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                chunks.push(value);
+            }
+        })();
+
+        await Promise.all([writer.write(bytes).then(() => writer.close()), reading]);
+
+        const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            output.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return output;
+    }
+
+    /**
+     * Encode LZW codes as characters outside the surrogate range
+     * @private
+     */
+    static _codesToString(codes) {
+        let text = '';
+        // Chunked to stay under argument count limits
+        for (let i = 0; i < codes.length; i += 8192) {
+            text += String.fromCharCode(...codes.slice(i, i + 8192).map(code =>
+                code < 0xD800 ? code : code + 0x800));
+        }
+        return text;
+    }
+
+    /**
+     * @private
+     */
+    static _toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 8192) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 8192));
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * @private
+     */
+    static _fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+}
+
+export default RecordCodec;
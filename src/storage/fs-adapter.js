@@ -0,0 +1,288 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { StorageAdapter } from './storage-adapter.js';
+
+/**
+ * FileSystemAdapter - Node.js filesystem backend for server-side worlds
+ *
+ * Each database is a directory and each store one file inside it:
+ * - 'json':   <store>.json, an object of key -> value rewritten on every change
+ *             (written to a temp file and renamed, so a crash never truncates it)
+ * - 'ndjson': <store>.ndjson, an append-only log of put/delete lines that is
+ *             compacted once it grows well past the live record count
+ *
+ * Stores are held in memory after open(); reads never touch the disk.
+ * Node built-ins are imported lazily so browsers can load this module.
+ *
+ * @class FileSystemAdapter
+ */
+export class FileSystemAdapter extends StorageAdapter {
+    /**
+     * @param {Object} config
+     * @param {string} config.directory - Root directory for databases
+     * @param {string} [config.format='json'] - 'json' or 'ndjson'
+     * @param {number} [config.compactRatio=2] - NDJSON log lines per live record before compaction
+     * @param {number} [config.quota=Infinity] - Disk budget in bytes reported by estimate()
+     */
+    constructor(config = {}) {
+        super({
+            format: 'json',
+            compactRatio: 2,
+            quota: Infinity,
+            ...config
+        });
+
+        if (!this.config.directory) {
+            throw new Error('FileSystemAdapter requires a directory');
+        }
+        if (!['json', 'ndjson'].includes(this.config.format)) {
+            throw new Error(`Unknown file format: ${this.config.format}`);
+        }
+
+        // Store name -> Map of key -> JSON text
+        this.data = new Map();
+
+        // NDJSON lines written per store since the last compaction
+        this.logLength = new Map();
+
+        // Serializes writes so files are never written concurrently
+        this._writes = Promise.resolve();
+    }
+
+    async open(name, stores) {
+        await super.open(name, stores);
+
+        this.fs = await import('node:fs/promises');
+        this.path = await import('node:path');
+        this.root = this.path.join(this.config.directory, name);
+        await this.fs.mkdir(this.root, { recursive: true });
+
+        for (const store of stores) {
+            const { data, torn } = await this._load(store);
+            this.data.set(store, data);
+
+            // Drop the torn line now, before appends bury it mid-file
+            if (torn) {
+                await this._compact(store);
+            }
+        }
+    }
+
+    async get(store, key) {
+        const text = this._store(store).get(key);
+        return text === undefined ? undefined : JSON.parse(text);
+    }
+
+    async getAll(store, prefix = '') {
+        const data = this._store(store);
+        return (await this.keys(store, prefix)).map(key => JSON.parse(data.get(key)));
+    }
+
+    async keys(store, prefix = '') {
+        return Array.from(this._store(store).keys())
+            .filter(key => key.startsWith(prefix))
+            .sort();
+    }
+
+    async put(store, key, value) {
+        return this.batch([{ type: 'put', store, key, value }]);
+    }
+
+    async delete(store, key) {
+        return this.batch([{ type: 'delete', store, key }]);
+    }
+
+    async clear(store) {
+        return this.batch([{ type: 'clear', store }]);
+    }
+
+    /**
+     * Apply operations in memory, then write each touched store once.
+     * Every store file is updated atomically; a crash between two store
+     * files can leave one updated and the other not.
+     */
+    async batch(operations) {
+        for (const op of operations) {
+            this._store(op.store);
+            if (!['put', 'delete', 'clear'].includes(op.type)) {
+                throw new Error(`Unknown storage operation: ${op.type}`);
+            }
+        }
+
+        const touched = new Map();
+
+        for (const op of operations) {
+            const data = this._store(op.store);
+            if (!touched.has(op.store)) {
+                touched.set(op.store, []);
+            }
+
+            if (op.type === 'put') {
+                const text = JSON.stringify(op.value);
+                data.set(op.key, text);
+                touched.get(op.store).push(`{"k":${JSON.stringify(op.key)},"v":${text}}`);
+            } else if (op.type === 'delete') {
+                data.delete(op.key);
+                touched.get(op.store).push(`{"k":${JSON.stringify(op.key)},"d":1}`);
+            } else {
+                data.clear();
+                touched.get(op.store).push('{"c":1}');
+            }
+        }
+
+        const write = this._writes.then(async () => {
+            for (const [store, lines] of touched) {
+                await this._persist(store, lines);
+            }
+        });
+
+        // Keep the queue alive after a failed write
+        this._writes = write.catch(() => {});
+        return write;
+    }
+
+    async estimate() {
+        let usage = 0;
+        for (const store of this.stores) {
+            try {
+                usage += (await this.fs.stat(this._file(store))).size;
+            } catch (error) {
+                // Store not written yet
+            }
+        }
+        return { usage, quota: this.config.quota };
+    }
+
+    close() {
+        this.data.clear();
+        this.logLength.clear();
+    }
+
+    /**
+     * Read a store file into memory
+     * @private
+     */
+    async _load(store) {
+        const data = new Map();
+        let content;
+
+        try {
+            content = await this.fs.readFile(this._file(store), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return { data, torn: false };
+            throw error;
+        }
+
+        if (this.config.format === 'json') {
+            for (const [key, value] of Object.entries(JSON.parse(content))) {
+                data.set(key, JSON.stringify(value));
+            }
+            return { data, torn: false };
+        }
+
+        let torn = false;
+        const lines = content.split('\n').filter(line => line.trim());
+        lines.forEach((line, index) => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // A torn final line from a crash mid-append is dropped
+                if (index === lines.length - 1) {
+                    torn = true;
+                    return;
+                }
+                throw error;
+            }
+
+            if (entry.c) data.clear();
+            else if (entry.d) data.delete(entry.k);
+            else data.set(entry.k, JSON.stringify(entry.v));
+        });
+        this.logLength.set(store, lines.length);
+
+        return { data, torn };
+    }
+
+    /**
+     * Write a store's changes to disk
+     * @private
+     */
+    async _persist(store, lines) {
+        const data = this._store(store);
+
+        if (this.config.format === 'ndjson') {
+            const logLength = (this.logLength.get(store) || 0) + lines.length;
+            if (logLength <= data.size * this.config.compactRatio + 100) {
+                await this.fs.appendFile(this._file(store), lines.join('\n') + '\n');
+                this.logLength.set(store, logLength);
+                return;
+            }
+
+            await this._compact(store);
+            return;
+        }
+
+        const entries = Array.from(data, ([key, text]) => `${JSON.stringify(key)}:${text}`);
+        await this._replace(store, `{${entries.join(',')}}`);
+    }
+
+    /**
+     * Rewrite an NDJSON log with one line per live record
+     * @private
+     */
+    async _compact(store) {
+        const lines = Array.from(this._store(store), ([key, text]) =>
+            `{"k":${JSON.stringify(key)},"v":${text}}`
+        );
+        await this._replace(store, lines.length ? lines.join('\n') + '\n' : '');
+        this.logLength.set(store, lines.length);
+    }
+
+    /**
+     * Atomically replace a store file
+     * @private
+     */
+    async _replace(store, content) {
+        const file = this._file(store);
+        const temp = `${file}.tmp`;
+        await this.fs.writeFile(temp, content);
+        await this.fs.rename(temp, file);
+    }
+
+    /**
+     * Path of a store file
+     * @private
+     */
+    _file(store) {
+        return this.path.join(this.root, `${store}.${this.config.format}`);
+    }
+
+    /**
+     * Get a store's map
+     * @private
+     */
+    _store(store) {
+        const data = this.data.get(store);
+        if (!data) {
+            throw new Error(`Unknown store: ${store}`);
+        }
+        return data;
+    }
+}
+
+export default FileSystemAdapter;
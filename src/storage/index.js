@@ -0,0 +1,66 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { StorageAdapter } from './storage-adapter.js';
+import { MemoryAdapter } from './memory-adapter.js';
+import { LocalStorageAdapter } from './local-storage-adapter.js';
+import { IndexedDBAdapter } from './indexeddb-adapter.js';
+import { FileSystemAdapter } from './fs-adapter.js';
+import { CompressedAdapter } from './compressed-adapter.js';
+import { RecordCodec } from './compression.js';
+
+/**
+ * Resolve the `storage` option into an adapter
+ *
+ * Accepts an adapter instance, a backend name ('memory', 'localStorage',
+ * 'indexedDB', 'fs') or { type, ...options }. Without a choice, IndexedDB
+ * is used when the environment has it and memory otherwise.
+ *
+ * @param {StorageAdapter|string|Object} [storage] - Storage selection
+ * @param {Object} [environment] - Environment providing an indexedDB factory
+ * @returns {StorageAdapter} Storage adapter
+ */
+export function createStorageAdapter(storage, environment = {}) {
+    if (storage instanceof StorageAdapter) {
+        return storage;
+    }
+
+    const { type, ...options } = typeof storage === 'string' ? { type: storage } : (storage || {});
+    const indexedDB = options.indexedDB || environment.indexedDB;
+
+    switch (type || (indexedDB ? 'indexedDB' : 'memory')) {
+        case 'memory':
+            return new MemoryAdapter(options);
+        case 'localStorage':
+            return new LocalStorageAdapter(options);
+        case 'indexedDB':
+            return new IndexedDBAdapter({ ...options, indexedDB });
+        case 'fs':
+            return new FileSystemAdapter(options);
+        default:
+            throw new Error(`Unknown storage type: ${type}`);
+    }
+}
+
+export {
+    StorageAdapter,
+    MemoryAdapter,
+    LocalStorageAdapter,
+    IndexedDBAdapter,
+    FileSystemAdapter,
+    CompressedAdapter,
+    RecordCodec
+};
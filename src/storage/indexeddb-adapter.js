@@ -0,0 +1,240 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { StorageAdapter } from './storage-adapter.js';
+
+/**
+ * IndexedDBAdapter - IndexedDB backend (browser default)
+ *
+ * Every store is an object store with out-of-line string keys. Stores are
+ * created on demand by bumping the database version; stores left over from
+ * the original keyPath-based schema are converted in the same upgrade.
+ *
+ * @class IndexedDBAdapter
+ */
+export class IndexedDBAdapter extends StorageAdapter {
+    /**
+     * @param {Object} [config]
+     * @param {IDBFactory} [config.indexedDB] - Factory (defaults to the global)
+     * @param {Function} [config.IDBKeyRange] - Key range class (defaults to the global)
+     */
+    constructor(config = {}) {
+        super(config);
+
+        this.factory = this.config.indexedDB ||
+            (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.KeyRange = this.config.IDBKeyRange ||
+            (typeof IDBKeyRange !== 'undefined' ? IDBKeyRange : null);
+        this.db = null;
+    }
+
+    async open(name, stores) {
+        if (!this.factory) {
+            throw new Error('IndexedDB is not available in this environment');
+        }
+        await super.open(name, stores);
+
+        let db = await this._openDatabase(name);
+
+        const needsUpgrade = stores.some(store =>
+            !db.objectStoreNames.contains(store) ||
+            db.transaction([store], 'readonly').objectStore(store).keyPath !== null
+        );
+
+        if (needsUpgrade) {
+            const version = db.version + 1;
+            db.close();
+            db = await this._openDatabase(name, version, (upgradeDb, transaction) =>
+                this._upgrade(upgradeDb, transaction, stores)
+            );
+        }
+
+        db.onerror = (event) => {
+            console.error('Database error:', event.target.error);
+        };
+
+        this.db = db;
+    }
+
+    async get(store, key) {
+        const transaction = this.db.transaction([store], 'readonly');
+        return IndexedDBAdapter._request(transaction.objectStore(store).get(key));
+    }
+
+    async getAll(store, prefix = '') {
+        const objectStore = this.db.transaction([store], 'readonly').objectStore(store);
+
+        if (!prefix || this.KeyRange) {
+            return IndexedDBAdapter._request(objectStore.getAll(this._range(prefix)));
+        }
+
+        // No IDBKeyRange available: read matching keys one by one
+        const keys = await this.keys(store, prefix);
+        return Promise.all(keys.map(key => this.get(store, key)));
+    }
+
+    async keys(store, prefix = '') {
+        const objectStore = this.db.transaction([store], 'readonly').objectStore(store);
+        const keys = await IndexedDBAdapter._request(objectStore.getAllKeys(this._range(prefix)));
+        return keys.filter(key => String(key).startsWith(prefix));
+    }
+
+    async count(store, prefix = '') {
+        if (prefix && !this.KeyRange) {
+            return super.count(store, prefix);
+        }
+        const objectStore = this.db.transaction([store], 'readonly').objectStore(store);
+        return IndexedDBAdapter._request(objectStore.count(this._range(prefix)));
+    }
+
+    async put(store, key, value) {
+        return this.batch([{ type: 'put', store, key, value }]);
+    }
+
+    async delete(store, key) {
+        return this.batch([{ type: 'delete', store, key }]);
+    }
+
+    async clear(store) {
+        return this.batch([{ type: 'clear', store }]);
+    }
+
+    /**
+     * Apply all operations in a single readwrite transaction
+     */
+    async batch(operations) {
+        if (operations.length === 0) return;
+
+        for (const op of operations) {
+            if (!['put', 'delete', 'clear'].includes(op.type)) {
+                throw new Error(`Unknown storage operation: ${op.type}`);
+            }
+        }
+
+        const stores = [...new Set(operations.map(op => op.store))];
+        const transaction = this.db.transaction(stores, 'readwrite');
+        const done = IndexedDBAdapter._complete(transaction);
+
+        for (const op of operations) {
+            const objectStore = transaction.objectStore(op.store);
+            if (op.type === 'put') objectStore.put(op.value, op.key);
+            else if (op.type === 'delete') objectStore.delete(op.key);
+            else objectStore.clear();
+        }
+
+        return done;
+    }
+
+    async estimate() {
+        if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage, quota };
+        }
+        return null;
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Open the database, running onUpgrade when the version changes
+     * @private
+     */
+    _openDatabase(name, version, onUpgrade) {
+        return new Promise((resolve, reject) => {
+            const request = version ? this.factory.open(name, version) : this.factory.open(name);
+
+            request.onerror = () => {
+                console.error('Failed to open IndexedDB:', request.error);
+                reject(request.error);
+            };
+
+            request.onsuccess = () => resolve(request.result);
+
+            request.onupgradeneeded = (event) => {
+                if (onUpgrade) {
+                    onUpgrade(event.target.result, event.target.transaction);
+                }
+            };
+        });
+    }
+
+    /**
+     * Create missing stores and convert keyPath stores to out-of-line keys
+     * @private
+     */
+    _upgrade(db, transaction, stores) {
+        for (const store of stores) {
+            if (!db.objectStoreNames.contains(store)) {
+                db.createObjectStore(store);
+                continue;
+            }
+
+            const legacy = transaction.objectStore(store);
+            const keyPath = legacy.keyPath;
+            if (keyPath === null) continue;
+
+            const request = legacy.getAll();
+            request.onsuccess = () => {
+                db.deleteObjectStore(store);
+                const converted = db.createObjectStore(store);
+                for (const record of request.result) {
+                    converted.put(record, String(record[keyPath]));
+                }
+            };
+        }
+
+        console.log('IndexedDB schema created/updated');
+    }
+
+    /**
+     * Key range covering every key that starts with prefix
+     * @private
+     */
+    _range(prefix) {
+        if (!prefix || !this.KeyRange) return undefined;
+        return this.KeyRange.bound(prefix, prefix + '\uffff');
+    }
+
+    /**
+     * Promisify an IndexedDB request
+     * @private
+     */
+    static _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Resolve when a transaction commits
+     * @private
+     */
+    static _complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+}
+
+export default IndexedDBAdapter;
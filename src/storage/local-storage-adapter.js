@@ -0,0 +1,143 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { StorageAdapter } from './storage-adapter.js';
+
+/**
+ * LocalStorageAdapter - Web Storage backend
+ *
+ * For embedded webviews where IndexedDB is missing or unreliable. Each
+ * record is one entry named "<database>/<store>/<key>". Web Storage is
+ * small (usually ~5MB) and synchronous, so keep worlds modest.
+ *
+ * @class LocalStorageAdapter
+ */
+export class LocalStorageAdapter extends StorageAdapter {
+    /**
+     * @param {Object} [config]
+     * @param {Storage} [config.storage] - Storage object (defaults to localStorage)
+     * @param {number} [config.quota] - Assumed quota in bytes for estimate()
+     */
+    constructor(config = {}) {
+        super({
+            quota: 5 * 1024 * 1024,
+            ...config
+        });
+
+        this.storage = this.config.storage ||
+            (typeof localStorage !== 'undefined' ? localStorage : null);
+    }
+
+    async open(name, stores) {
+        if (!this.storage) {
+            throw new Error('localStorage is not available in this environment');
+        }
+        await super.open(name, stores);
+    }
+
+    async get(store, key) {
+        const text = this.storage.getItem(this._entry(store, key));
+        return text === null ? undefined : JSON.parse(text);
+    }
+
+    async getAll(store, prefix = '') {
+        const keys = await this.keys(store, prefix);
+        return keys.map(key => JSON.parse(this.storage.getItem(this._entry(store, key))));
+    }
+
+    async keys(store, prefix = '') {
+        const base = this._entry(store, '');
+        const keys = [];
+
+        for (let i = 0; i < this.storage.length; i++) {
+            const entry = this.storage.key(i);
+            if (entry.startsWith(base + prefix)) {
+                keys.push(entry.slice(base.length));
+            }
+        }
+
+        return keys.sort();
+    }
+
+    async put(store, key, value) {
+        this.storage.setItem(this._entry(store, key), JSON.stringify(value));
+    }
+
+    async delete(store, key) {
+        this.storage.removeItem(this._entry(store, key));
+    }
+
+    async clear(store) {
+        for (const key of await this.keys(store)) {
+            this.storage.removeItem(this._entry(store, key));
+        }
+    }
+
+    /**
+     * Apply all writes or none; a quota error part way through rolls back
+     */
+    async batch(operations) {
+        const previous = new Map();
+        const remember = (entry) => {
+            if (!previous.has(entry)) {
+                previous.set(entry, this.storage.getItem(entry));
+            }
+        };
+
+        try {
+            for (const op of operations) {
+                if (op.type === 'clear') {
+                    for (const key of await this.keys(op.store)) {
+                        remember(this._entry(op.store, key));
+                    }
+                } else {
+                    remember(this._entry(op.store, op.key));
+                }
+                await StorageAdapter.apply(this, op);
+            }
+        } catch (error) {
+            for (const [entry, text] of previous) {
+                if (text === null) this.storage.removeItem(entry);
+                else this.storage.setItem(entry, text);
+            }
+            throw error;
+        }
+    }
+
+    async estimate() {
+        const base = `${this.name}/`;
+        let usage = 0;
+
+        for (let i = 0; i < this.storage.length; i++) {
+            const entry = this.storage.key(i);
+            if (entry.startsWith(base)) {
+                usage += (entry.length + this.storage.getItem(entry).length) * 2;
+            }
+        }
+
+        return { usage, quota: this.config.quota };
+    }
+
+    /**
+     * Web Storage entry name for a record
+     * @private
+     */
+    _entry(store, key) {
+        return `${this.name}/${store}/${key}`;
+    }
+}
+
+export default LocalStorageAdapter;
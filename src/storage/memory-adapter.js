@@ -0,0 +1,128 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { StorageAdapter } from './storage-adapter.js';
+
+/**
+ * MemoryAdapter - Keeps everything in process memory
+ *
+ * Nothing survives a reload. Values are stored as JSON text so callers get
+ * the same copy semantics as the persistent backends. Used for tests,
+ * headless servers that save elsewhere, and as the fallback when no
+ * persistent storage is available.
+ *
+ * @class MemoryAdapter
+ */
+export class MemoryAdapter extends StorageAdapter {
+    /**
+     * @param {Object} [config]
+     * @param {number} [config.quota=Infinity] - Budget in bytes reported by estimate()
+     */
+    constructor(config = {}) {
+        super({
+            quota: Infinity,
+            ...config
+        });
+
+        // Store name -> Map of key -> JSON text
+        this.data = new Map();
+    }
+
+    async open(name, stores) {
+        await super.open(name, stores);
+        for (const store of stores) {
+            if (!this.data.has(store)) {
+                this.data.set(store, new Map());
+            }
+        }
+    }
+
+    async get(store, key) {
+        const text = this._store(store).get(key);
+        return text === undefined ? undefined : JSON.parse(text);
+    }
+
+    async getAll(store, prefix = '') {
+        const data = this._store(store);
+        return (await this.keys(store, prefix)).map(key => JSON.parse(data.get(key)));
+    }
+
+    async keys(store, prefix = '') {
+        return Array.from(this._store(store).keys())
+            .filter(key => key.startsWith(prefix))
+            .sort();
+    }
+
+    async put(store, key, value) {
+        this._store(store).set(key, JSON.stringify(value));
+    }
+
+    async delete(store, key) {
+        this._store(store).delete(key);
+    }
+
+    async clear(store) {
+        this._store(store).clear();
+    }
+
+    /**
+     * Batches are validated up front so a bad operation leaves nothing half-written
+     */
+    async batch(operations) {
+        const encoded = operations.map(op => {
+            this._store(op.store);
+            if (!['put', 'delete', 'clear'].includes(op.type)) {
+                throw new Error(`Unknown storage operation: ${op.type}`);
+            }
+            return op.type === 'put' ? { ...op, text: JSON.stringify(op.value) } : op;
+        });
+
+        for (const op of encoded) {
+            const data = this._store(op.store);
+            if (op.type === 'put') data.set(op.key, op.text);
+            else if (op.type === 'delete') data.delete(op.key);
+            else data.clear();
+        }
+    }
+
+    async estimate() {
+        let usage = 0;
+        for (const data of this.data.values()) {
+            for (const [key, text] of data) {
+                usage += (key.length + text.length) * 2;
+            }
+        }
+        return { usage, quota: this.config.quota };
+    }
+
+    close() {
+        this.data.clear();
+    }
+
+    /**
+     * Get a store's map
+     * @private
+     */
+    _store(store) {
+        const data = this.data.get(store);
+        if (!data) {
+            throw new Error(`Unknown store: ${store}`);
+        }
+        return data;
+    }
+}
+
+export default MemoryAdapter;
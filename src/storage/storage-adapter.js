@@ -0,0 +1,166 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * StorageAdapter - Interface between Persistence and a storage backend
+ *
+ * A database is a set of named stores, each a plain key/value map with
+ * string keys and JSON-compatible values. Keys are often hierarchical
+ * ("npcId/memoryId") so getAll()/keys() accept a prefix to scan a range.
+ *
+ * Subclasses implement open/get/getAll/keys/put/delete/clear. batch() should
+ * be overridden wherever the backend can apply several writes atomically.
+ *
+ * @class StorageAdapter
+ */
+export class StorageAdapter {
+    constructor(config = {}) {
+        this.config = { ...config };
+        this.name = null;
+        this.stores = [];
+    }
+
+    /**
+     * Open (or create) a database with the given stores
+     *
+     * @param {string} name - Database name
+     * @param {string[]} stores - Store names
+     */
+    async open(name, stores) {
+        this.name = name;
+        this.stores = stores;
+    }
+
+    /**
+     * Read a single value
+     *
+     * @param {string} store - Store name
+     * @param {string} key - Record key
+     * @returns {Promise<*>} Value or undefined
+     */
+    async get(store, key) {
+        throw new Error(`${this.constructor.name}.get() not implemented`);
+    }
+
+    /**
+     * Read every value whose key starts with prefix
+     *
+     * @param {string} store - Store name
+     * @param {string} [prefix=''] - Key prefix
+     * @returns {Promise<Array>} Values in key order
+     */
+    async getAll(store, prefix = '') {
+        throw new Error(`${this.constructor.name}.getAll() not implemented`);
+    }
+
+    /**
+     * List keys that start with prefix
+     *
+     * @param {string} store - Store name
+     * @param {string} [prefix=''] - Key prefix
+     * @returns {Promise<string[]>} Keys in order
+     */
+    async keys(store, prefix = '') {
+        throw new Error(`${this.constructor.name}.keys() not implemented`);
+    }
+
+    /**
+     * Write a value
+     *
+     * @param {string} store - Store name
+     * @param {string} key - Record key
+     * @param {*} value - JSON-compatible value
+     */
+    async put(store, key, value) {
+        throw new Error(`${this.constructor.name}.put() not implemented`);
+    }
+
+    /**
+     * Delete a value
+     *
+     * @param {string} store - Store name
+     * @param {string} key - Record key
+     */
+    async delete(store, key) {
+        throw new Error(`${this.constructor.name}.delete() not implemented`);
+    }
+
+    /**
+     * Delete every value in a store
+     *
+     * @param {string} store - Store name
+     */
+    async clear(store) {
+        throw new Error(`${this.constructor.name}.clear() not implemented`);
+    }
+
+    /**
+     * Count values whose key starts with prefix
+     *
+     * @param {string} store - Store name
+     * @param {string} [prefix=''] - Key prefix
+     * @returns {Promise<number>} Record count
+     */
+    async count(store, prefix = '') {
+        return (await this.keys(store, prefix)).length;
+    }
+
+    /**
+     * Apply several writes together
+     *
+     * The base implementation applies them one by one; backends that
+     * support transactions override this to make the batch atomic.
+     *
+     * @param {Array<Object>} operations - { type: 'put'|'delete'|'clear', store, key, value }
+     */
+    async batch(operations) {
+        for (const op of operations) {
+            await StorageAdapter.apply(this, op);
+        }
+    }
+
+    /**
+     * Storage usage estimate
+     *
+     * @returns {Promise<Object|null>} { usage, quota } in bytes, or null if unknown
+     */
+    async estimate() {
+        return null;
+    }
+
+    /**
+     * Release any resources held by the adapter
+     */
+    close() {}
+
+    /**
+     * Apply a single batch operation through an adapter's own methods
+     */
+    static apply(adapter, op) {
+        switch (op.type) {
+            case 'put':
+                return adapter.put(op.store, op.key, op.value);
+            case 'delete':
+                return adapter.delete(op.store, op.key);
+            case 'clear':
+                return adapter.clear(op.store);
+            default:
+                throw new Error(`Unknown storage operation: ${op.type}`);
+        }
+    }
+}
+
+export default StorageAdapter;
@@ -0,0 +1,98 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptiveNPCWeb } from '../src/core/adaptive-npc-web.js';
+import { ManualClock } from '../src/core/environment.js';
+import { RandomSource } from '../src/core/random.js';
+import { MemoryAdapter } from '../src/storage/index.js';
+
+function draws(stream, count) {
+    return Array.from({ length: count }, () => stream.random());
+}
+
+/**
+ * Everything a world saved, store by store and key by key
+ */
+function savedWorld(storage) {
+    const stores = {};
+    for (const [store, values] of storage.data) {
+        stores[store] = Object.fromEntries([...values].sort(([a], [b]) => a.localeCompare(b)));
+    }
+    return JSON.stringify(stores);
+}
+
+/**
+ * A minute in a small village, saved in full at the end
+ */
+async function simulate(t, seed) {
+    const storage = new MemoryAdapter();
+    const world = new AdaptiveNPCWeb({
+        worldName: 'determinism',
+        seed,
+        manualTick: true,
+        enableNetworking: false,
+        storage,
+        tickRates: { consciousness: 1000 },
+        environment: { clock: new ManualClock(1000) }
+    });
+    t.after(() => world.destroy());
+
+    const ada = await world.createNPC({ name: 'Ada', role: 'smith' });
+    const bo = await world.createNPC({ name: 'Bo', role: 'guard' });
+    const cy = await world.createNPC({ name: 'Cy' });
+    await world.processInteraction(ada.id, bo.id, { action: 'trade', item: 'sword' });
+    await world.processInteraction(cy.id, ada.id, { action: 'insult' });
+    for (let second = 0; second < 60; second++) {
+        await world.tick(1000);
+    }
+    await world.processInteraction(bo.id, cy.id, { action: 'help' });
+
+    assert.equal(await world.saveState({ full: true }), true);
+    return savedWorld(storage);
+}
+
+test('a stream draws the same numbers however much the others draw', () => {
+    const quiet = new RandomSource(42);
+    const busy = new RandomSource(42);
+    draws(busy.stream('narrative'), 100);
+
+    assert.deepEqual(draws(busy.stream('npcs'), 5), draws(quiet.stream('npcs'), 5));
+    assert.notDeepEqual(draws(quiet.stream('npcs'), 5), draws(quiet.stream('narrative'), 5));
+});
+
+test('a restored random source continues where it was saved', () => {
+    const random = new RandomSource('village');
+    draws(random.stream('npcs'), 3);
+    const saved = random.serialize();
+    const expected = draws(random.stream('npcs'), 5);
+
+    const restored = new RandomSource(1);
+    const stream = restored.stream('npcs');
+    restored.deserialize(saved);
+    assert.deepEqual(draws(stream, 5), expected);
+    assert.equal(restored.seed, 'village');
+});
+
+test('the same seed and inputs save byte-identical worlds', async (t) => {
+    const first = await simulate(t, 42);
+    const second = await simulate(t, 42);
+    assert.equal(first, second);
+
+    const other = await simulate(t, 43);
+    assert.notEqual(other, first);
+});
@@ -0,0 +1,73 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptiveNPCWeb } from '../src/core/adaptive-npc-web.js';
+import { ManualClock } from '../src/core/environment.js';
+
+/**
+ * The miller hears about a theft from the baker, with every detail that
+ * can be garbled garbled
+ */
+async function hearTheft(t, millerKnows) {
+    const world = new AdaptiveNPCWeb({
+        worldName: 'gossip',
+        seed: 11,
+        manualTick: true,
+        enableNetworking: false,
+        environment: { clock: new ManualClock(1000) },
+        gossip: { shareChance: 1, distortion: 1 }
+    });
+    t.after(() => world.destroy());
+    const npcs = {};
+    for (const name of ['thief', 'baker', 'miller', 'farmer']) {
+        npcs[name] = (await world.createNPC({ name })).id;
+    }
+
+    if (millerKnows) {
+        await world.processInteraction(npcs.miller, npcs.farmer, millerKnows);
+    }
+    await world.processInteraction(npcs.thief, npcs.baker, { action: 'steal', item: 'sourdough loaf', amount: 2 });
+    await world.processInteraction(npcs.baker, npcs.miller, { action: 'compliment' });
+
+    const [rumor] = world.getNPC(npcs.miller).consciousness.memoryBank
+        .find(memory => memory.type === 'gossip' && memory.interaction.action === 'steal');
+    assert.ok(rumor, 'the miller heard about the theft');
+    return { rumor, npcs };
+}
+
+test('retellings garble details only into others of their kind', async (t) => {
+    const { rumor, npcs } = await hearTheft(t, { action: 'trade', item: 'apples', price: 3 });
+
+    assert.equal(rumor.interaction.action, 'steal');
+    assert.equal(rumor.interaction.item, 'apples', 'an item the miller remembers');
+    assert.ok(rumor.interaction.amount > 2);
+    assert.deepEqual(Object.keys(rumor.interaction).sort(), ['action', 'amount', 'item']);
+
+    // The thief is mixed up with someone the miller knows, and nobody is left to take the baker's place
+    assert.equal(rumor.about.sourceId, npcs.farmer);
+    assert.equal(rumor.about.targetId, npcs.baker);
+    assert.deepEqual([...rumor.garbled].sort(), ['about.sourceId', 'amount', 'item']);
+});
+
+test('details the listener has nothing to mix up with are kept', async (t) => {
+    const { rumor, npcs } = await hearTheft(t, null);
+
+    assert.equal(rumor.interaction.item, 'sourdough loaf');
+    assert.deepEqual(rumor.about, { sourceId: npcs.thief, targetId: npcs.baker });
+    assert.deepEqual(rumor.garbled, ['amount']);
+});
@@ -0,0 +1,118 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Worker } from 'node:worker_threads';
+import { AdaptiveNPCWeb } from '../src/core/adaptive-npc-web.js';
+import { Environment, ManualClock, NodeWorkerAdapter } from '../src/core/environment.js';
+import { MemoryAdapter } from '../src/storage/index.js';
+
+/**
+ * Worker adapter that records the workers it hands out
+ */
+function fakeWorkers(size) {
+    const workers = [];
+    return {
+        size,
+        workers,
+        create(code) {
+            const worker = { code, messages: [], terminated: false };
+            worker.postMessage = data => worker.messages.push(data);
+            worker.terminate = () => { worker.terminated = true; };
+            workers.push(worker);
+            return worker;
+        }
+    };
+}
+
+function createWorld(t, environment, storage) {
+    const world = new AdaptiveNPCWeb({
+        worldName: 'headless',
+        seed: 3,
+        manualTick: true,
+        enableNetworking: false,
+        storage,
+        tickRates: { consciousness: 1000 },
+        environment: { clock: new ManualClock(1000), ...environment }
+    });
+    t.after(() => world.destroy());
+    return world;
+}
+
+test('Node is detected as headless', () => {
+    const environment = new Environment();
+
+    assert.equal(environment.headless, true);
+    assert.equal(environment.workers, null);
+    assert.equal(environment.requestFrame, null);
+    assert.equal(environment.indexedDB, null);
+    assert.equal(environment.RTCPeerConnection, null);
+    assert.equal(typeof environment.clock.now(), 'number');
+});
+
+test('a world runs its whole pipeline in Node', async (t) => {
+    const storage = new MemoryAdapter();
+    const world = createWorld(t, {}, storage);
+    const ada = await world.createNPC({ name: 'Ada', role: 'smith' });
+    const bo = await world.createNPC({ name: 'Bo', role: 'guard' });
+
+    const result = await world.processInteraction(ada.id, bo.id, { action: 'help' });
+    assert.ok(result.relationship);
+    for (let second = 0; second < 5; second++) {
+        await world.tick(1000);
+    }
+    assert.equal(world.scheduler.getStats().tasks.consciousness.runs, 5);
+    assert.equal(world.clock.now(), 6000);
+    assert.ok(ada.consciousness.memoryBank.stats.totalMemories > 0);
+
+    assert.equal(await world.saveState({ full: true }), true);
+    const reloaded = createWorld(t, {}, storage);
+    assert.equal(await reloaded.loadState(), true);
+    assert.equal(reloaded.getNPC(ada.id).name, 'Ada');
+});
+
+test('injected workers and frame callbacks are used, and released on destroy', async (t) => {
+    const workers = fakeWorkers(2);
+    const frames = [];
+    const world = createWorld(t, { workers, requestFrame: callback => frames.push(callback) });
+    await world.createNPC({ name: 'Ada' });
+
+    // The world's pool and the NPC manager's pool
+    assert.equal(workers.workers.length, 4);
+    assert.equal(frames.length, 1);
+    world.clock.advance(20);
+    frames[0]();
+    assert.equal(frames.length, 2);
+    assert.equal(world.performance.fps, 50);
+
+    await world.destroy();
+    assert.ok(workers.workers.every(worker => worker.terminated));
+    frames[1]();
+    assert.equal(frames.length, 2, 'no frames are requested once destroyed');
+});
+
+test('NodeWorkerAdapter runs browser-style worker code on worker_threads', async () => {
+    const adapter = new NodeWorkerAdapter(Worker, 1);
+    const worker = adapter.create('self.onmessage = (e) => self.postMessage({ doubled: e.data * 2 });');
+
+    const reply = await new Promise(resolve => {
+        worker.onmessage = event => resolve(event.data);
+        worker.postMessage(21);
+    });
+    assert.deepEqual(reply, { doubled: 42 });
+    await worker.terminate();
+});
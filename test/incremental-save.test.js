@@ -0,0 +1,98 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptiveNPCWeb } from '../src/core/adaptive-npc-web.js';
+import { ManualClock } from '../src/core/environment.js';
+import { MemoryAdapter } from '../src/storage/index.js';
+
+function createWorld(t, storage) {
+    const world = new AdaptiveNPCWeb({
+        worldName: 'incremental',
+        seed: 7,
+        manualTick: true,
+        enableQuantum: false,
+        storage,
+        environment: { clock: new ManualClock(1000) }
+    });
+    t.after(() => world.destroy());
+    return world;
+}
+
+/**
+ * Keys of the operations each batch written to storage touched, by store
+ */
+function recordWrites(t, storage) {
+    const writes = [];
+    const batch = storage.batch.bind(storage);
+    t.mock.method(storage, 'batch', async (operations) => {
+        const touched = {};
+        for (const { store, key, type } of operations) {
+            if (!touched[store]) touched[store] = [];
+            touched[store].push(type === 'clear' ? '*' : key);
+        }
+        writes.push(touched);
+        return batch(operations);
+    });
+    return writes;
+}
+
+async function storeMemories(npc, count) {
+    for (let i = 0; i < count; i++) {
+        await npc.consciousness.memoryBank.store({ type: 'event', content: `Market day ${i}`, importance: 0.3 });
+    }
+}
+
+test('incremental saves write only the NPCs and memories that changed', async (t) => {
+    const storage = new MemoryAdapter();
+    const world = createWorld(t, storage);
+    const ada = await world.createNPC({ name: 'Ada', role: 'smith' });
+    await world.createNPC({ name: 'Bo', role: 'guard' });
+    assert.equal(await world.saveState(), true);
+
+    const writes = recordWrites(t, storage);
+    await storeMemories(ada, 2);
+    assert.equal(await world.saveState(), true);
+
+    const [save] = writes.filter(write => write.npcs || write.memories);
+    assert.deepEqual(save.npcs, [ada.id]);
+    assert.equal(save.memories.length, 2);
+    assert.ok(save.memories.every(key => key.startsWith(`${ada.id}/`)));
+    assert.ok(!Object.values(save).flat().includes('*'), 'nothing is cleared');
+
+    // Nothing changed, nothing written for NPCs
+    writes.length = 0;
+    assert.equal(await world.saveState(), true);
+    assert.ok(writes.every(write => !write.npcs && !write.memories));
+});
+
+test('a full save keeps every memory, however many', async (t) => {
+    const storage = new MemoryAdapter();
+    const world = createWorld(t, storage);
+    const ada = await world.createNPC({ name: 'Ada', role: 'smith' });
+    assert.equal(await world.saveState(), true);
+
+    await storeMemories(ada, 150);
+    assert.equal(await world.saveState(), true);
+    assert.equal(await world.saveState({ full: true }), true);
+
+    const reloaded = createWorld(t, storage);
+    assert.equal(await reloaded.loadState(), true);
+    const episodic = reloaded.getNPC(ada.id).consciousness.memoryBank.memories.episodic;
+    assert.equal(episodic.size, ada.consciousness.memoryBank.memories.episodic.size);
+    assert.ok(episodic.size >= 150);
+});
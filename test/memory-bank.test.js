@@ -0,0 +1,65 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryBank } from '../src/consciousness/memory-bank.js';
+import { ManualClock } from '../src/core/environment.js';
+import { RandomSource } from '../src/core/random.js';
+
+const YEAR = 365 * 24 * 60 * 60 * 1000;
+
+async function createMemoryBank() {
+    const clock = new ManualClock(1000);
+    const bank = new MemoryBank({ clock, random: new RandomSource(7) });
+    const memoryBank = bank.createInstance('ada');
+
+    const memories = [];
+    for (const [action, importance] of [['greet', 0.2], ['trade', 0.5], ['rescue', 0.6]]) {
+        const memory = { type: 'interaction', interaction: { action }, importance };
+        await memoryBank.store(memory);
+        memories.push(memory);
+        clock.advance(1000);
+    }
+    return { bank, memoryBank, clock, memories };
+}
+
+test('memory statistics follow forgetting and archiving', async () => {
+    const { bank, memoryBank, memories } = await createMemoryBank();
+    const [greet, trade, rescue] = memories;
+    assert.equal(memoryBank.stats.totalMemories, 3);
+    assert.equal(bank.stats.totalMemories, 3);
+
+    memoryBank.forget([rescue.id]);
+    assert.equal(memoryBank.stats.totalMemories, 2);
+    assert.equal(bank.stats.totalMemories, 2);
+    assert.equal(memoryBank.stats.strongestMemory.id, trade.id);
+
+    memoryBank.archive([greet.id]);
+    assert.equal(memoryBank.stats.totalMemories, 1);
+    assert.equal(memoryBank.stats.oldestMemory.id, trade.id);
+});
+
+test('memory statistics empty out when every memory fades', async () => {
+    const { bank, memoryBank, clock } = await createMemoryBank();
+    clock.advance(10 * YEAR);
+
+    assert.equal(memoryBank.processForgetting().length, 3);
+    assert.equal(memoryBank.stats.totalMemories, 0);
+    assert.equal(memoryBank.stats.strongestMemory, null);
+    assert.equal(memoryBank.stats.oldestMemory, null);
+    assert.equal(bank.stats.totalMemories, 0);
+});
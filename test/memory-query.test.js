@@ -0,0 +1,87 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryBank } from '../src/consciousness/memory-bank.js';
+import { MemoryQueryError } from '../src/consciousness/memory-query.js';
+import { ManualClock } from '../src/core/environment.js';
+import { RandomSource } from '../src/core/random.js';
+
+async function createMemoryBank() {
+    const clock = new ManualClock(1000);
+    const bank = new MemoryBank({ clock, random: new RandomSource(7) });
+    const memoryBank = bank.createInstance('ada');
+
+    const actions = ['greet', 'trade', 'gift', 'insult'];
+    for (const [i, action] of actions.entries()) {
+        await memoryBank.store({
+            type: 'interaction',
+            interaction: { action },
+            context: { location: { x: i, y: 0, z: 0 } },
+            importance: 0.2 + i / 10
+        });
+        clock.advance(1000);
+    }
+    return memoryBank;
+}
+
+test('queries without criteria scan every memory', async () => {
+    const memoryBank = await createMemoryBank();
+
+    assert.equal((await memoryBank.query({})).length, 4);
+    const latest = await memoryBank.query({ sort: ['-timestamp'], limit: 2 });
+    assert.deepEqual(latest.map(memory => memory.interaction.action), ['insult', 'gift']);
+
+    const plan = await memoryBank.explain({ limit: 5 });
+    assert.equal(plan.index, 'scan');
+    assert.equal(plan.returned, 4);
+});
+
+test('unknown operators are malformed, and objects to equal go under eq', async () => {
+    const memoryBank = await createMemoryBank();
+
+    await assert.rejects(memoryBank.query({ where: { importance: { bogus: 1 } } }),
+        { name: 'MemoryQueryError', path: 'where.importance.bogus' });
+    await assert.rejects(memoryBank.query({ where: { importance: { gte: 0.3, bogus: 1 } } }), MemoryQueryError);
+    await assert.rejects(memoryBank.query({ where: { 'context.location': { x: 1, y: 0, z: 0 } } }), MemoryQueryError);
+    await assert.rejects(memoryBank.query({ where: { importance: {} } }), MemoryQueryError);
+
+    const found = await memoryBank.query({ where: { 'context.location': { eq: { x: 1, y: 0, z: 0 } } } });
+    assert.deepEqual(found.map(memory => memory.interaction.action), ['trade']);
+    const legacy = await memoryBank.query({ context: { location: { x: 2, y: 0, z: 0 } } });
+    assert.deepEqual(legacy.map(memory => memory.interaction.action), ['gift']);
+});
+
+test('range operators take numbers', async () => {
+    const memoryBank = await createMemoryBank();
+
+    for (const operator of ['gt', 'gte', 'lt', 'lte']) {
+        await assert.rejects(memoryBank.query({ where: { importance: { [operator]: 'abc' } } }),
+            { name: 'MemoryQueryError', path: `where.importance.${operator}` });
+    }
+    await assert.rejects(memoryBank.query({ where: { importance: { gt: NaN } } }), MemoryQueryError);
+    assert.equal((await memoryBank.query({ where: { importance: { gt: 0.35 } } })).length, 2);
+});
+
+test('unknown query keys are malformed', async () => {
+    const memoryBank = await createMemoryBank();
+
+    await assert.rejects(memoryBank.query({ limit: 5, sortBy: 'recent' }),
+        { name: 'MemoryQueryError', path: 'sortBy' });
+    await assert.rejects(memoryBank.explain({ wher: { type: 'interaction' } }), MemoryQueryError);
+    await assert.rejects(memoryBank.query(null), MemoryQueryError);
+});
@@ -0,0 +1,157 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HashingEmbedder, describeMemory } from '../src/consciousness/memory-embedder.js';
+import { VectorIndex } from '../src/consciousness/vector-index.js';
+import { MemoryBank } from '../src/consciousness/memory-bank.js';
+import { ManualClock } from '../src/core/environment.js';
+import { RandomSource, SeededRandom } from '../src/core/random.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const similarity = (embedder, a, b) => VectorIndex.dot(embedder.embed(a), embedder.embed(b));
+
+async function createMemoryBank(config = {}) {
+    const clock = new ManualClock(1000);
+    const bank = new MemoryBank({ clock, random: new RandomSource(7), ...config });
+    const memoryBank = bank.createInstance('ada');
+
+    const memories = [];
+    for (const description of [
+        'The smith forged a fine sword for me',
+        'We sang songs at the tavern all night',
+        'Bo the guard chased a thief through the market'
+    ]) {
+        const memory = { type: 'observation', description, importance: 0.5 };
+        await memoryBank.store(memory);
+        memories.push(memory);
+        clock.advance(1000);
+    }
+    return { bank, memoryBank, clock, memories };
+}
+
+test('texts sharing words or stems get similar vectors', () => {
+    const embedder = new HashingEmbedder();
+    const vector = embedder.embed('The smith forged a sword');
+
+    assert.equal(vector.length, 128);
+    assert.ok(Math.abs(VectorIndex.dot(vector, vector) - 1) < 1e-6);
+    assert.deepEqual(embedder.embed('The smith forged a sword'), vector);
+    assert.ok(similarity(embedder, 'forged a sword', 'forging swords') > 0.5);
+    assert.ok(similarity(embedder, 'forged a sword', 'sang at the tavern') < 0.2);
+    assert.ok(embedder.embed('the 42 of it').every(value => value === 0));
+    assert.deepEqual(HashingEmbedder.tokenize('The Smith forged 3 swords quickly'), ['smith', 'forg', 'sword', 'quick']);
+});
+
+test('a memory is described by its text fields, without ids', () => {
+    assert.equal(describeMemory({
+        id: 'ada_1',
+        type: 'interaction',
+        description: 'traded at the market',
+        interaction: { action: 'trade', item: 'sword', targetId: 'npc_bo', price: 5 },
+        importance: 0.5
+    }), 'interaction traded at the market trade sword');
+});
+
+test('the index returns the nearest vectors, leaving out excluded ones', () => {
+    const index = new VectorIndex({ dimensions: 3 });
+    index.add('east', [1, 0, 0]);
+    index.add('north', [0, 1, 0]);
+    index.add('northeast', [2, 2, 0]);
+
+    assert.deepEqual(index.search([1, 0.1, 0], 2).map(result => result.id), ['east', 'northeast']);
+    assert.deepEqual(index.search([1, 0.1, 0], 2, { exclude: new Set(['east']) }).map(result => result.id),
+        ['northeast', 'north']);
+
+    index.add('east', [0, 0, 1]);
+    index.remove('north');
+    assert.equal(index.size, 2);
+    assert.deepEqual(index.search([1, 0.1, 0], 3).map(result => result.id), ['northeast', 'east']);
+    assert.throws(() => index.add('up', [0, 1]), /has 2 dimensions, expected 3/);
+});
+
+test('approximate searches find what a full scan finds', () => {
+    const rng = new SeededRandom(21);
+    const randomVector = () => Array.from({ length: 32 }, () => rng.random() * 2 - 1);
+    const approximate = new VectorIndex({ dimensions: 32, exactBelow: 0 });
+    const exact = new VectorIndex({ dimensions: 32 });
+    const vectors = Array.from({ length: 500 }, randomVector);
+    vectors.forEach((vector, i) => {
+        approximate.add(`v${i}`, vector);
+        exact.add(`v${i}`, vector);
+    });
+
+    let found = 0;
+    for (let i = 0; i < 50; i++) {
+        // A slightly moved copy of an indexed vector
+        const query = vectors[i * 10].map(value => value + (rng.random() - 0.5) * 0.2);
+        const [nearest] = approximate.search(query, 1);
+        if (nearest.id === exact.search(query, 1)[0].id) found++;
+    }
+    assert.ok(found >= 45, `found ${found} of 50`);
+});
+
+test('similarTo finds memories by meaning rather than exact words', async () => {
+    const { memoryBank, memories } = await createMemoryBank();
+    const [forge, tavern] = memories;
+    assert.equal(forge.embedding.length, 128);
+
+    const results = await memoryBank.query({ similarTo: 'forging swords', k: 2 });
+    assert.deepEqual(results.map(memory => memory.id), [forge.id, tavern.id]);
+    assert.ok(results[0].similarity > 0.5);
+    assert.ok(results[0].relevanceScore > results[1].relevanceScore);
+    assert.equal((await memoryBank.query({ search: 'forging swords' })).length, 0, 'substring search misses it');
+
+    const plan = await memoryBank.explain({ similarTo: forge, k: 3, where: { type: 'observation' } });
+    assert.equal(plan.index, 'similarity');
+    assert.equal(plan.key, forge.id);
+    assert.equal(plan.candidates, 2, 'a memory is not similar to itself');
+});
+
+test('similar memories are ranked with recency and importance blended in', async () => {
+    const { memoryBank, clock, memories: [forge] } = await createMemoryBank();
+    const old = { type: 'observation', description: 'The smith forged a fine sword for me', importance: 0.5 };
+    await memoryBank.store(old);
+    clock.advance(30 * DAY);
+    const recent = { type: 'observation', description: 'The smith forged a fine sword for me', importance: 0.5 };
+    const vital = { type: 'observation', description: 'The smith forged a fine sword for me', importance: 1 };
+    await memoryBank.store(recent);
+    await memoryBank.store(vital);
+
+    // Four memories of the same words: the important one, then the recent one
+    const results = await memoryBank.query({ similarTo: 'the smith forged a sword', k: 4 });
+    assert.deepEqual(results.map(memory => memory.id).slice(0, 2), [vital.id, recent.id]);
+    assert.deepEqual(results.map(memory => memory.id).slice(2).sort(), [forge.id, old.id].sort());
+});
+
+test('any embedder with dimensions and embed() can be plugged in', async () => {
+    const texts = [];
+    const embedder = {
+        dimensions: 2,
+        async embed(text) {
+            texts.push(text);
+            return text.includes('sword') ? [1, 0] : [0, 1];
+        }
+    };
+    const { memoryBank, memories } = await createMemoryBank({ embedder });
+
+    assert.deepEqual(memories[0].embedding, [1, 0]);
+    assert.deepEqual(texts, memories.map(memory => `observation ${memory.description}`));
+    const [nearest] = await memoryBank.query({ similarTo: 'a sword', k: 1 });
+    assert.equal(nearest.id, memories[0].id);
+});
@@ -0,0 +1,109 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MeshProtocol, MeshProtocolError, PROTOCOL_VERSION, MIN_PROTOCOL_VERSION } from '../src/networking/mesh-protocol.js';
+import { WebRTCMesh } from '../src/networking/webrtc-mesh.js';
+import { SimulatedNetwork } from '../src/networking/transport/index.js';
+
+/**
+ * Wait (up to two seconds) for messages to arrive
+ */
+async function settle(done) {
+    for (let waited = 0; !done(); waited += 10) {
+        assert.ok(waited < 2000, 'timed out waiting for peers');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Two meshes of one world, speaking the given version ranges
+ */
+async function connectPeers(t, ...ranges) {
+    t.mock.method(console, 'warn', () => {});
+    const network = new SimulatedNetwork({ latency: 1, seed: 5 });
+    const peers = ranges.map(protocolVersions => {
+        const mesh = new WebRTCMesh('village', {
+            transport: { type: 'memory', network },
+            protocolVersions,
+            messageTimeout: 500
+        });
+        const peer = { mesh, connected: [], errors: [] };
+        mesh.on('peer_connected', event => peer.connected.push(event));
+        mesh.on('protocol:error', event => peer.errors.push(event));
+        t.after(() => mesh.disconnect());
+        return peer;
+    });
+    for (const { mesh } of peers) {
+        await mesh.connect();
+    }
+    return peers;
+}
+
+test('the protocol starts at version 1', () => {
+    assert.equal(MIN_PROTOCOL_VERSION, 1);
+    assert.equal(PROTOCOL_VERSION, 1);
+    assert.deepEqual(new MeshProtocol().config.versions, [1, 1]);
+});
+
+test('peers agree on the highest version both speak', () => {
+    const protocol = new MeshProtocol({ versions: [2, 4] });
+
+    assert.equal(protocol.negotiate([1, 3]), 3);
+    assert.equal(protocol.negotiate([4, 6]), 4);
+    assert.equal(protocol.negotiate([1, 1]), null);
+    assert.equal(protocol.negotiate([5, 6]), null);
+});
+
+test('messages in a version outside the range are rejected', () => {
+    const protocol = new MeshProtocol({ versions: [2, 3] });
+    const envelope = v => ({ v, id: 'm1', seq: 1, type: 'interaction', from: 'peer_a', timestamp: 1, data: {} });
+
+    assert.equal(protocol.accept(envelope(3), 'peer_a', 'peer_b').v, 3);
+    for (const v of [1, 4]) {
+        assert.throws(() => protocol.accept(envelope(v), 'peer_a', 'peer_b'),
+            error => error instanceof MeshProtocolError && error.code === 'version');
+    }
+});
+
+test('a newer peer connects to an older one on the version they share', async (t) => {
+    const [newer, older] = await connectPeers(t, [1, 2], [1, 1]);
+    await settle(() => newer.connected.length === 1 && older.connected.length === 1);
+
+    assert.equal(newer.connected[0].protocolVersion, 1);
+    assert.equal(older.connected[0].protocolVersion, 1);
+
+    const received = [];
+    older.mesh.on('interaction', data => received.push(data));
+    newer.mesh.broadcast('interaction', { action: 'wave' });
+    await settle(() => received.length === 1);
+    assert.deepEqual([...newer.errors, ...older.errors], []);
+});
+
+test('peers with no version in common never connect', async (t) => {
+    const [newer, older] = await connectPeers(t, [2, 3], [1, 1]);
+    await settle(() => newer.errors.length + older.errors.length > 0);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    // Whichever side hears the other first turns it away
+    const errors = [...newer.errors, ...older.errors];
+    assert.ok(errors.every(error => error.code === 'version'));
+    for (const { mesh, connected } of [newer, older]) {
+        assert.deepEqual(connected, []);
+        assert.deepEqual(mesh.getConnectedPeers(), []);
+    }
+});
@@ -0,0 +1,165 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { webcrypto } from 'node:crypto';
+import { MeshSecurity } from '../src/networking/mesh-security.js';
+import { MeshProtocolError } from '../src/networking/mesh-protocol.js';
+import { WebRTCMesh } from '../src/networking/webrtc-mesh.js';
+import { SimulatedNetwork } from '../src/networking/transport/index.js';
+
+/**
+ * Wait (up to five seconds) for messages to arrive
+ */
+async function settle(done) {
+    for (let waited = 0; !done(); waited += 10) {
+        assert.ok(waited < 5000, 'timed out waiting for peers');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Meshes of one world with the given security settings, recording what
+ * they hear and every frame they put on the wire
+ */
+async function connectPeers(t, ...settings) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const network = new SimulatedNetwork({ latency: 1, seed: 9 });
+    const peers = settings.map(security => {
+        const mesh = new WebRTCMesh('village', {
+            transport: { type: 'memory', network },
+            security,
+            messageTimeout: 1000
+        });
+        const peer = { mesh, connected: [], errors: [], heard: [], frames: t.mock.method(mesh.transport, 'send') };
+        mesh.on('peer_connected', event => peer.connected.push(event));
+        mesh.on('protocol:error', event => peer.errors.push(event));
+        mesh.on('interaction', data => peer.heard.push(data.note));
+        t.after(() => mesh.disconnect());
+        return peer;
+    });
+    for (const { mesh } of peers) {
+        await mesh.connect();
+    }
+    return { network, peers };
+}
+
+/**
+ * The frames a peer sent that carry a message of this type
+ */
+function framesOf(peer, type) {
+    return peer.frames.mock.calls.map(call => call.arguments[1])
+        .filter(frame => JSON.parse(JSON.parse(frame).m).type === type);
+}
+
+test('sealed messages open and verify only with the signer\'s key', async () => {
+    const signer = await new MeshSecurity({ worldName: 'village' }).ready();
+    const other = await new MeshSecurity({ worldName: 'village' }).ready();
+    const { key } = await signer.importPeerKey(signer.publicKey);
+    const text = JSON.stringify({ type: 'interaction', data: { note: 'hello' } });
+
+    const frame = await signer.seal(text);
+    const opened = await other.open(frame, 'peer_a');
+    assert.equal(opened.text, text);
+    assert.equal(await other.verify(opened.text, opened.signature, key), true);
+    assert.equal(await other.verify(text.replace('hello', 'howdy'), opened.signature, key), false);
+    assert.equal(await other.verify(text, opened.signature, (await other.importPeerKey(other.publicKey)).key), false);
+
+    await assert.rejects(other.open(JSON.stringify({ m: text }), 'peer_a'),
+        error => error instanceof MeshProtocolError && error.code === 'signature');
+    assert.match(signer.fingerprint, /^[0-9a-f]{64}$/);
+});
+
+test('a world key encrypts frames, and other keys cannot open them', async () => {
+    const text = JSON.stringify({ type: 'interaction', data: { note: 'the password is anvil' } });
+    const friend = await new MeshSecurity({ worldName: 'village', worldKey: 'invite-123' }).ready();
+    const again = await new MeshSecurity({ worldName: 'village', worldKey: 'invite-123' }).ready();
+    const stranger = await new MeshSecurity({ worldName: 'village', worldKey: 'guess' }).ready();
+    const otherWorld = await new MeshSecurity({ worldName: 'harbour', worldKey: 'invite-123' }).ready();
+
+    const frame = await friend.seal(text);
+    assert.deepEqual(Object.keys(JSON.parse(frame)).sort(), ['ct', 'iv']);
+    assert.ok(!frame.includes('anvil'));
+    assert.equal((await again.open(frame, 'peer_a')).text, text);
+    assert.notEqual(await friend.seal(text), frame, 'every frame gets a fresh iv');
+
+    for (const outsider of [stranger, otherWorld]) {
+        await assert.rejects(outsider.open(frame, 'peer_a'),
+            error => error instanceof MeshProtocolError && error.code === 'encryption');
+    }
+    await assert.rejects(again.open(await new MeshSecurity({ worldName: 'village' }).seal(text), 'peer_a'),
+        error => error.code === 'encryption');
+});
+
+test('signing peers connect, announce their fingerprints and talk', async (t) => {
+    const identity = await webcrypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign', 'verify']);
+    const { peers: [ada, bo] } = await connectPeers(t, { identity }, true);
+    await settle(() => ada.connected.length === 1 && bo.connected.length === 1);
+
+    assert.equal(bo.connected[0].fingerprint, ada.mesh.security.fingerprint);
+    assert.equal(ada.connected[0].fingerprint, bo.mesh.security.fingerprint);
+
+    ada.mesh.shareInteraction({ note: 'signed and sealed' });
+    await settle(() => bo.heard.length === 1);
+    assert.deepEqual(bo.heard, ['signed and sealed']);
+    assert.equal(framesOf(ada, 'interaction').length, 1);
+    assert.deepEqual(ada.errors.concat(bo.errors), []);
+});
+
+test('tampered and forged messages are rejected as signature errors', async (t) => {
+    const { network, peers: [ada, bo] } = await connectPeers(t, true, true);
+    await settle(() => ada.connected.length === 1 && bo.connected.length === 1);
+    ada.mesh.shareInteraction({ note: 'pay the smith 5 coins' });
+    await settle(() => bo.heard.length === 1);
+
+    const genuine = JSON.parse(framesOf(ada, 'interaction')[0]);
+    const altered = JSON.parse(genuine.m);
+    altered.id = 'msg_forged';
+    altered.data.note = 'pay the smith 500 coins';
+    const text = JSON.stringify(altered);
+    const mallory = new MeshSecurity({ worldName: 'village' });
+
+    // Someone on the path (a relay, say) edits a message, or re-signs it with its own key
+    const room = ada.mesh.transport.room;
+    network.deliver(room, ada.mesh.peerId, bo.mesh.peerId, JSON.stringify({ m: text, sig: genuine.sig }));
+    network.deliver(room, ada.mesh.peerId, bo.mesh.peerId, await mallory.seal(text));
+    network.deliver(room, ada.mesh.peerId, bo.mesh.peerId, JSON.stringify({ m: text }));
+    await settle(() => bo.errors.length === 3);
+
+    assert.deepEqual(bo.errors.map(error => error.code), ['signature', 'signature', 'signature']);
+    assert.deepEqual(bo.heard, ['pay the smith 5 coins']);
+    assert.deepEqual(bo.mesh.getConnectedPeers(), [ada.mesh.peerId], 'a few forgeries do not cost ada the connection');
+});
+
+test('peers sharing a world key talk; peers without it never connect', async (t) => {
+    const { peers: [ada, bo, stranger, open] } = await connectPeers(t,
+        { worldKey: 'invite-123' }, { worldKey: 'invite-123' }, { worldKey: 'guess' }, false);
+    await settle(() => ada.connected.length === 1 && bo.connected.length === 1);
+
+    ada.mesh.shareInteraction({ note: 'meet at the mill' });
+    await settle(() => bo.heard.length === 1);
+    assert.ok(ada.frames.mock.calls.every(call => !call.arguments[1].includes('mill')), 'nothing readable on the wire');
+
+    // Ada and Bo each turn away the stranger and the unsecured peer at hello
+    await settle(() => ada.errors.length === 2 && bo.errors.length === 2);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.deepEqual(stranger.connected.concat(open.connected), []);
+    assert.deepEqual(stranger.heard.concat(open.heard), []);
+    assert.deepEqual(ada.mesh.getConnectedPeers(), [bo.mesh.peerId]);
+    assert.ok([ada, bo, stranger, open].every(peer => peer.errors.every(error => error.code === 'encryption')));
+});
@@ -0,0 +1,231 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffState, applyDelta, checkDelta } from '../src/networking/state-delta.js';
+import { TokenBucket } from '../src/networking/token-bucket.js';
+import { ManualClock } from '../src/core/environment.js';
+import { WebRTCMesh } from '../src/networking/webrtc-mesh.js';
+import { SimulatedNetwork } from '../src/networking/transport/index.js';
+
+/**
+ * Wait (up to five seconds) for messages to arrive
+ */
+async function settle(done) {
+    for (let waited = 0; !done(); waited += 10) {
+        assert.ok(waited < 5000, 'timed out waiting for messages');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+const pause = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Two connected meshes of one world, each with its own settings; frames
+ * the first puts on the wire are recorded
+ */
+async function connectPair(t, senderConfig = {}, receiverConfig = {}) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const network = new SimulatedNetwork({ latency: 1, seed: 12 });
+    const [sender, receiver] = [senderConfig, receiverConfig].map(config => {
+        const mesh = new WebRTCMesh('village', { transport: { type: 'memory', network }, ...config });
+        mesh.defineMessage('chatter', { n: 'integer', text: 'string?' });
+        t.after(() => mesh.disconnect());
+        return mesh;
+    });
+    for (const mesh of [sender, receiver]) {
+        await mesh.connect();
+    }
+    await settle(() => sender.getConnectedPeers().length === 1 && receiver.getConnectedPeers().length === 1);
+    return { sender, receiver, frames: t.mock.method(sender.transport, 'send') };
+}
+
+const mood = {
+    state: { awareness: 0.6, beliefs: { smithing: 0.4, dragons: 0.1 }, goals: ['forge'] },
+    thoughtStream: ['the forge is warm'],
+    notes: 'hammer and anvil '.repeat(40)
+};
+
+test('a delta turns one state into the next', () => {
+    const next = {
+        state: { awareness: 0.8, beliefs: { smithing: 0.4 }, goals: ['forge', 'rest'] },
+        thoughtStream: ['the forge is warm'],
+        notes: mood.notes,
+        mood: 'content'
+    };
+    const delta = diffState(mood, next);
+
+    assert.deepEqual(delta, {
+        set: [[['state', 'awareness'], 0.8], [['state', 'goals'], ['forge', 'rest']], [['mood'], 'content']],
+        unset: [['state', 'beliefs', 'dragons']]
+    });
+    assert.deepEqual(applyDelta(mood, delta), next);
+    assert.equal(mood.state.beliefs.dragons, 0.1, 'the base is left untouched');
+    assert.equal(diffState(mood, JSON.parse(JSON.stringify(mood))), null);
+});
+
+test('deltas from peers cannot reach outside the state', () => {
+    assert.equal(checkDelta({ set: [[['state', 'awareness'], 1]], unset: [['mood']] }), null);
+    assert.equal(checkDelta({}), null);
+
+    assert.match(checkDelta({ set: [[['__proto__', 'polluted'], true]] }), /plain keys/);
+    assert.match(checkDelta({ unset: [['constructor']] }), /plain keys/);
+    assert.match(checkDelta({ set: [[Array(9).fill('deep'), 1]] }), /paths of 1-8/);
+    assert.match(checkDelta({ set: [[[], 1]] }), /paths of 1-8/);
+    assert.match(checkDelta({ set: 'everything' }), /must be arrays/);
+    assert.equal(checkDelta([]), 'must be an object');
+});
+
+test('a token bucket allows bursts up to its capacity, then refills', () => {
+    const clock = new ManualClock();
+    const bucket = new TokenBucket(100, 50, clock);
+
+    assert.equal(bucket.take(30), true);
+    assert.equal(bucket.take(30), false);
+    assert.equal(bucket.wait(30), 100);
+    clock.advance(100);
+    assert.equal(bucket.take(30), true);
+
+    // Larger than the capacity: through once the bucket is full, then in debt
+    assert.equal(bucket.take(80), false);
+    clock.advance(1000);
+    assert.equal(bucket.take(80), true);
+    assert.equal(bucket.wait(10), 400);
+    bucket.spend(10);
+    assert.equal(bucket.wait(10), 500);
+
+    const unlimited = new TokenBucket(Infinity, Infinity, clock);
+    assert.equal(unlimited.take(1e9), true);
+    assert.equal(unlimited.wait(1e9), 0);
+});
+
+test('messages queued in one turn, or within batchInterval, share a frame', async (t) => {
+    const { sender, receiver, frames } = await connectPair(t, { batchInterval: 40 });
+    const heard = [];
+    receiver.on('chatter', message => heard.push(message.data.n));
+
+    for (let n = 0; n < 10; n++) {
+        sender.broadcast('chatter', { n });
+        if (n === 4) await pause(10);
+    }
+    await settle(() => heard.length === 10);
+
+    assert.deepEqual(heard, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    assert.equal(frames.mock.callCount(), 1);
+    assert.equal(JSON.parse(frames.mock.calls[0].arguments[1]).type, 'batch');
+    const { byType, byPeer } = sender.getStats();
+    assert.equal(byType.chatter.sent, 10);
+    assert.equal(byPeer[receiver.peerId].queued, 0);
+    assert.equal(receiver.getStats().byType.chatter.received, 10);
+});
+
+test('consciousness is shared in full once, then as deltas against what was acknowledged', async (t) => {
+    const { sender, receiver, frames } = await connectPair(t);
+    const states = [];
+    receiver.on('consciousness_sync', event => states.push(event.state));
+
+    sender.shareConsciousness('npc_ada', mood);
+    await settle(() => states.length === 1);
+    await pause(20);
+    const calmer = { ...mood, state: { ...mood.state, beliefs: { smithing: 0.7 } } };
+    sender.shareConsciousness('npc_ada', calmer);
+    await settle(() => states.length === 2);
+
+    assert.deepEqual(states, [mood, calmer]);
+    const [full, delta] = frames.mock.calls.map(call => JSON.parse(call.arguments[1]))
+        .filter(message => message.type === 'consciousness_sync')
+        .map(message => message.data);
+    assert.deepEqual(full.state, mood);
+    assert.equal(delta.state, undefined);
+    assert.equal(delta.base, full.version);
+    assert.deepEqual(delta.delta, { set: [[['state', 'beliefs', 'smithing'], 0.7]], unset: [['state', 'beliefs', 'dragons']] });
+});
+
+test('a delta against a version the receiver never had is rejected', async (t) => {
+    const { sender, receiver } = await connectPair(t);
+    const errors = [];
+    const states = [];
+    receiver.on('protocol:error', event => errors.push(event));
+    receiver.on('consciousness_sync', event => states.push(event.state));
+
+    sender.broadcast('consciousness_sync', { npcId: 'npc_ada', version: 3, base: 2, delta: { set: [[['mood'], 'sly']] } });
+    await settle(() => errors.length === 1);
+    assert.equal(errors[0].code, 'schema');
+    assert.match(errors[0].message, /unknown version 2/);
+    assert.deepEqual(states, []);
+});
+
+test('a peer\'s bandwidth budget holds messages back instead of dropping them', async (t) => {
+    const { sender, receiver } = await connectPair(t, { peerBandwidth: 4000 });
+    const heard = [];
+    receiver.on('chatter', message => heard.push(message.data.n));
+    await pause(1000);
+
+    const started = Date.now();
+    const text = 'the forge is warm tonight '.repeat(40);
+    for (let n = 0; n < 12; n++) {
+        sender.broadcast('chatter', { n, text });
+        await pause(2);
+    }
+    assert.ok(sender.getStats().byPeer[receiver.peerId].queued > 0, 'some messages wait their turn');
+
+    await settle(() => heard.length === 12);
+    assert.deepEqual(heard, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]);
+    // The first 4 KB leave at once; the rest once the budget has refilled
+    assert.ok(Date.now() - started >= 800);
+});
+
+test('heartbeats go only to peers that heard nothing else lately', async (t) => {
+    const { sender, receiver } = await connectPair(t, { heartbeatInterval: 100 }, { heartbeatInterval: 100 });
+    for (let n = 0; n < 25; n++) {
+        sender.broadcast('chatter', { n });
+        await pause(15);
+    }
+
+    assert.equal(sender.getStats().byType.heartbeat.sent, 0);
+    assert.ok(sender.getStats().byType.heartbeat.received >= 2);
+    assert.deepEqual(sender.getConnectedPeers(), [receiver.peerId]);
+});
+
+test('frames beyond the inbound rate are dropped, and a flooding peer is cut off', async (t) => {
+    const { sender, receiver } = await connectPair(t, {}, { inboundRate: 20 });
+    const errors = [];
+    const heard = [];
+    receiver.on('protocol:error', event => errors.push(event));
+    receiver.on('chatter', message => heard.push(message.data.n));
+    await pause(1000);
+
+    // A burst a little over the limit: some frames are dropped
+    for (let n = 0; n < 30; n++) {
+        sender.broadcast('chatter', { n });
+        await pause(2);
+    }
+    await pause(50);
+    assert.ok(heard.length >= 20 && heard.length < 30);
+    assert.equal(receiver.getStats().rateLimited, 30 - heard.length);
+    assert.equal(receiver.getStats().byPeer[sender.peerId].dropped, 30 - heard.length);
+    assert.deepEqual(errors.map(error => error.code), ['rate_limited']);
+    assert.deepEqual(receiver.getConnectedPeers(), [sender.peerId]);
+
+    // More dropped frames in a second than the limit allows: disconnected
+    for (let n = 30; n < 80 && receiver.getConnectedPeers().length > 0; n++) {
+        sender.broadcast('chatter', { n });
+        await pause(2);
+    }
+    assert.deepEqual(receiver.getConnectedPeers(), []);
+});
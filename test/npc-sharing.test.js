@@ -0,0 +1,138 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptiveNPCWeb } from '../src/core/adaptive-npc-web.js';
+import { ManualClock } from '../src/core/environment.js';
+import { SimulatedNetwork } from '../src/networking/transport/index.js';
+
+const PEERS = 5;
+
+/**
+ * Wait for messages to arrive
+ */
+async function settle(done, timeout = 10000) {
+    for (let waited = 0; !done(); waited += 20) {
+        assert.ok(waited < timeout, 'timed out waiting for peers');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+/**
+ * The shared NPCs as one peer sees them
+ */
+function snapshot(world, npcIds) {
+    return JSON.stringify(npcIds.map(npcId => {
+        const npc = world.getNPC(npcId);
+        const memoryBank = npc.consciousness.memoryBank;
+        return {
+            owner: world.getNPCOwner(npcId),
+            position: npc.position,
+            emotions: Object.values(npc.emotionalState.emotions).map(value => value.toFixed(9)),
+            relationships: npcIds.filter(otherId => otherId !== npcId).map(otherId => {
+                const relationship = world.relationshipNetwork.getRelationship(npcId, otherId);
+                return relationship && [relationship.trust, relationship.affection, relationship.formed]
+                    .map(value => Number(value).toFixed(9));
+            }),
+            memories: Object.values(memoryBank.memories).flatMap(memories => [...memories.keys()]).sort()
+        };
+    }));
+}
+
+/**
+ * Five peers load the same world, connect, and interact with its NPCs at once
+ */
+async function shareWorld(t, network) {
+    const worlds = [];
+    for (let i = 0; i < PEERS; i++) {
+        const world = new AdaptiveNPCWeb({
+            worldName: 'village',
+            seed: 42,
+            manualTick: true,
+            enableQuantum: false,
+            environment: { clock: new ManualClock(1000) },
+            meshTransport: { type: 'memory', network },
+            meshLimits: { retryInterval: 30, maxRetries: 10 }
+        });
+        t.after(() => world.destroy());
+        worlds.push(world);
+    }
+
+    const npcIds = [];
+    for (const world of worlds) {
+        const ids = [];
+        for (const name of ['Ada', 'Bo', 'Cy']) {
+            ids.push((await world.createNPC({ name })).id);
+        }
+        npcIds.push(ids);
+    }
+    assert.ok(npcIds.every(ids => JSON.stringify(ids) === JSON.stringify(npcIds[0])), 'same NPCs on every peer');
+    const [ada, bo, cy] = npcIds[0];
+
+    const errors = t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+    for (const world of worlds) {
+        t.after(() => world.mesh.disconnect());
+        await world.mesh.connect();
+    }
+    await settle(() => worlds.every(world => world.mesh.getConnectedPeers().length === PEERS - 1));
+
+    // Ownership: every NPC claimed by one peer, as every peer sees it
+    for (const world of worlds) {
+        await world.tick(world.config.tickRates.replication);
+    }
+    await settle(() => new Set(worlds.map(world => snapshot(world, npcIds[0]))).size === 1 &&
+        worlds[0].getNPCOwner(ada) !== null);
+
+    // Interactions on different peers at once
+    await Promise.all([
+        worlds[0].processInteraction(ada, bo, { action: 'help' }),
+        worlds[1].processInteraction(bo, ada, { action: 'betray' }),
+        worlds[2].processInteraction(ada, cy, { action: 'compliment' }),
+        worlds[3].processInteraction(cy, bo, { action: 'cooperate' }),
+        worlds[4].processInteraction(ada, bo, { action: 'gift' })
+    ]);
+    const owner = worlds.find(world => world.getNPCOwner(cy) === world.mesh.peerId);
+    owner.getNPC(cy).position = { x: 4, y: 2, z: 0 };
+    owner.replicator.flush();
+
+    await settle(() => new Set(worlds.map(world => snapshot(world, npcIds[0]))).size === 1);
+    assert.deepEqual(errors.mock.calls.map(call => call.arguments.join(' ')), []);
+    return { worlds, npcIds: npcIds[0] };
+}
+
+test('five peers agree on NPC owners and state', async (t) => {
+    const { worlds, npcIds } = await shareWorld(t, new SimulatedNetwork({ latency: 2, jitter: 5, seed: 1 }));
+
+    const owners = npcIds.map(npcId => worlds[0].getNPCOwner(npcId));
+    const peerIds = worlds.map(world => world.mesh.peerId);
+    assert.ok(owners.every(owner => peerIds.includes(owner)));
+    assert.deepEqual(worlds[2].getNPC(npcIds[2]).position, { x: 4, y: 2, z: 0 });
+
+    // Five interactions, each remembered by both sides, on every peer
+    const memories = npcIds.reduce((total, npcId) =>
+        total + worlds[1].getNPC(npcId).consciousness.memoryBank.stats.totalMemories, 0);
+    assert.ok(memories >= 10);
+});
+
+test('five peers converge through lost messages', async (t) => {
+    const network = new SimulatedNetwork({ latency: 2, jitter: 10, loss: 0.2, seed: 3 });
+    const { worlds, npcIds } = await shareWorld(t, network);
+
+    assert.ok(network.stats.dropped > 0, 'messages were lost');
+    assert.deepEqual(worlds[4].getNPC(npcIds[2]).position, { x: 4, y: 2, z: 0 });
+});
@@ -0,0 +1,109 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Persistence } from '../src/core/persistence.js';
+import { ManualClock } from '../src/core/environment.js';
+import { RandomSource } from '../src/core/random.js';
+
+function createPersistence(worldName) {
+    return new Persistence(worldName, {
+        storage: 'memory',
+        clock: new ManualClock(1000),
+        random: new RandomSource(7)
+    });
+}
+
+const WORLD = {
+    version: '1.0.0',
+    timestamp: 1000,
+    config: {},
+    npcs: { npcs: [], metadata: { count: 0 } },
+    relationships: { entities: [], relationships: {}, groups: {}, eventHistory: [] },
+    narratives: { activeThreads: [], completedStories: [], narrativeGraph: {} }
+};
+
+test('loads and restores keep quarantined records', async () => {
+    const persistence = createPersistence('stores-quarantine');
+    await persistence.saveWorldState(WORLD);
+    await persistence.saveSlot('start');
+    const backupId = await persistence.createBackup();
+
+    const record = { store: 'npcs', key: 'npc_bad', value: {}, problem: 'missing-field', quarantinedAt: 1000 };
+    await persistence.adapter.put(persistence.stores.quarantine, 'npcs/npc_bad', record);
+
+    assert.equal(await persistence.loadSlot('start'), true);
+    assert.equal(await persistence.restoreBackup(backupId), true);
+    assert.equal(await persistence.importData(await persistence.exportData()), true);
+    assert.deepEqual(await persistence.adapter.get(persistence.stores.quarantine, 'npcs/npc_bad'), record);
+
+    await persistence.clearAll();
+    assert.equal(await persistence.adapter.get(persistence.stores.quarantine, 'npcs/npc_bad'), undefined);
+});
+
+test('archived memories travel with slots, backups and exports', async () => {
+    const persistence = createPersistence('stores-archive');
+    await persistence.saveWorldState({
+        ...WORLD,
+        npcs: {
+            npcs: [{
+                id: 'npc_ada',
+                name: 'Ada',
+                consciousness: {
+                    memoryBank: { ownerId: 'npc_ada', associations: {}, stats: {} },
+                    memories: { episodic: [{ id: 'mem_1', type: 'interaction', importance: 0.1, timestamp: 1000 }] }
+                }
+            }],
+            metadata: { count: 1 }
+        }
+    });
+
+    const relief = await persistence.relieveStoragePressure();
+    assert.deepEqual(relief.archived, { npc_ada: ['mem_1'] });
+
+    const exported = await persistence.exportData();
+    assert.equal(exported.archive.length, 1);
+    await persistence.saveSlot('archived');
+    const backupId = await persistence.createBackup();
+
+    const archivedIds = async () => (await persistence.loadArchivedMemories('npc_ada')).map(memory => memory.id);
+    assert.equal(await persistence.loadSlot('archived'), true);
+    assert.deepEqual(await archivedIds(), ['mem_1']);
+    assert.equal(await persistence.restoreBackup(backupId), true);
+    assert.deepEqual(await archivedIds(), ['mem_1']);
+
+    const other = createPersistence('stores-archive-copy');
+    assert.equal(await other.importData(exported), true);
+    assert.deepEqual((await other.loadArchivedMemories('npc_ada')).map(memory => memory.id), ['mem_1']);
+});
+
+test('loads and restores keep the interaction journal', async () => {
+    const persistence = createPersistence('stores-journal');
+    await persistence.saveWorldState(WORLD);
+    await persistence.saveSlot('start');
+    const backupId = await persistence.createBackup();
+
+    const entry = { origin: 'peer_a', seq: 1, interaction: { action: 'help' } };
+    await persistence.saveJournal({ added: [entry], state: { origin: 'peer_a', vector: { peer_a: 1 } } });
+
+    assert.equal(await persistence.loadSlot('start'), true);
+    assert.equal(await persistence.restoreBackup(backupId), true);
+
+    const journal = await persistence.loadJournal();
+    assert.deepEqual(journal.state.vector, { peer_a: 1 });
+    assert.deepEqual(journal.entries.map(({ origin, seq }) => ({ origin, seq })), [{ origin: 'peer_a', seq: 1 }]);
+});
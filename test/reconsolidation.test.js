@@ -0,0 +1,160 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Reconsolidation } from '../src/consciousness/reconsolidation.js';
+import { MemoryBank } from '../src/consciousness/memory-bank.js';
+import { AdaptiveNPCWeb } from '../src/core/adaptive-npc-web.js';
+import { ManualClock } from '../src/core/environment.js';
+import { RandomSource } from '../src/core/random.js';
+import { MemoryAdapter } from '../src/storage/index.js';
+
+// Far angrier than usual
+const angry = { emotions: { anger: 0.7, joy: 0.3 }, baselines: { anger: 0.2, joy: 0.3 }, currentMood: 'angry' };
+
+// As angry as can be: with toneChance 1, tone words always take on the mood
+const furious = { emotions: { anger: 1 }, baselines: { anger: 0 }, currentMood: 'angry' };
+
+const always = () => 0;
+const never = () => 0.99;
+
+function tradeMemory() {
+    return {
+        type: 'interaction',
+        interaction: { action: 'trade', emotion: 'friendly' },
+        emotionalImpact: { anger: 0.1, joy: 0.5 },
+        importance: 0.6
+    };
+}
+
+test('recall in a strong mood moves emotional tags toward it, within maxDrift', () => {
+    const reconsolidation = new Reconsolidation({ enabled: true });
+    const memory = tradeMemory();
+    const impact = memory.emotionalImpact;
+
+    const revision = reconsolidation.reconsolidate(memory, angry, never, 5000);
+    assert.deepEqual(revision, {
+        timestamp: 5000,
+        mood: 'angry',
+        bias: { anger: 0.5 },
+        changes: [{ path: 'emotionalImpact.anger', from: 0.1, to: 0.2 }]
+    });
+    assert.deepEqual(memory.emotionalImpact, { anger: 0.2, joy: 0.5 });
+    assert.equal(impact.anger, 0.1, 'records sharing the old tags keep them');
+
+    for (let time = 6000; time < 16000; time += 1000) {
+        reconsolidation.reconsolidate(memory, angry, never, time);
+    }
+    assert.equal(memory.emotionalImpact.anger, 0.4, 'never more than 0.3 from what was first felt');
+    assert.deepEqual(memory.original, { 'emotionalImpact.anger': 0.1, 'emotionalImpact.joy': 0.5, 'interaction.emotion': 'friendly' });
+    assert.equal(memory.revisions.length, 3);
+    assert.equal(reconsolidation.reconsolidate(memory, angry, never, 20000), null);
+});
+
+test('tone words may take on the mood', () => {
+    const reconsolidation = new Reconsolidation({ enabled: true });
+    const memory = tradeMemory();
+
+    const revision = reconsolidation.reconsolidate(memory, angry, always, 5000);
+    assert.deepEqual(revision.changes[1], { path: 'interaction.emotion', from: 'friendly', to: 'angry' });
+    assert.deepEqual(memory.interaction, { action: 'trade', emotion: 'angry' });
+
+    const calm = tradeMemory();
+    reconsolidation.reconsolidate(calm, { ...angry, currentMood: 'neutral' }, always, 5000);
+    assert.equal(calm.interaction.emotion, 'friendly');
+});
+
+test('nothing changes when disabled, or when the mood is close to baseline', () => {
+    const memory = tradeMemory();
+    const content = { emotions: { anger: 0.3 }, baselines: { anger: 0.2 }, currentMood: 'angry' };
+
+    assert.equal(new Reconsolidation().reconsolidate(memory, angry, always, 5000), null);
+    assert.equal(new Reconsolidation({ enabled: true }).reconsolidate(memory, content, always, 5000), null);
+    assert.equal(new Reconsolidation({ enabled: true }).reconsolidate(memory, null, always, 5000), null);
+    assert.deepEqual(memory, tradeMemory());
+});
+
+test('only the latest maxRevisions revisions are kept', () => {
+    const reconsolidation = new Reconsolidation({ enabled: true, maxRevisions: 2, maxDrift: 1, rate: 0.01 });
+    const memory = tradeMemory();
+    for (let time = 1; time <= 5; time++) {
+        reconsolidation.reconsolidate(memory, angry, never, time);
+    }
+
+    assert.deepEqual(memory.revisions.map(revision => revision.timestamp), [4, 5]);
+    assert.equal(memory.original['emotionalImpact.anger'], 0.1);
+});
+
+test('queried memories are revised in the NPC\'s mood, and the history can be read back', async () => {
+    const clock = new ManualClock(1000);
+    const bank = new MemoryBank({ clock, random: new RandomSource(7), reconsolidation: { enabled: true, toneChance: 1 } });
+    const memoryBank = bank.createInstance('ada');
+    const unchanged = bank.createInstance('bo', { reconsolidation: false });
+    const revised = [];
+    memoryBank.on('memory:revised', memory => revised.push(memory.id));
+
+    const memory = tradeMemory();
+    const id = await memoryBank.store(memory);
+    await unchanged.store(tradeMemory());
+    assert.deepEqual(memoryBank.getRevisions(id), { original: {}, revisions: [], current: {} });
+
+    for (const instance of [memoryBank, unchanged]) {
+        instance.attachEmotionalState(furious);
+        await instance.query({ type: 'interaction' });
+        clock.advance(1000);
+    }
+
+    assert.deepEqual(revised, [id]);
+    const { original, revisions, current } = memoryBank.getRevisions(id);
+    assert.deepEqual(original, { 'emotionalImpact.anger': 0.1, 'emotionalImpact.joy': 0.5, 'interaction.emotion': 'friendly' });
+    assert.deepEqual(current, { 'emotionalImpact.anger': 0.3, 'emotionalImpact.joy': 0.5, 'interaction.emotion': 'angry' });
+    assert.equal(revisions.length, 1);
+    assert.deepEqual((await memoryBank.query({ where: { 'interaction.emotion': 'angry' } })).map(found => found.id), [id]);
+    assert.equal(unchanged.find(() => true)[0].interaction.emotion, 'friendly');
+    assert.equal(memoryBank.getRevisions('nope'), null);
+});
+
+test('revised memories and their history survive a save', async (t) => {
+    const storage = new MemoryAdapter();
+    const createWorld = () => {
+        const world = new AdaptiveNPCWeb({
+            worldName: 'recollection',
+            seed: 5,
+            manualTick: true,
+            enableNetworking: false,
+            storage,
+            reconsolidation: { enabled: true, toneChance: 1 },
+            environment: { clock: new ManualClock(1000) }
+        });
+        t.after(() => world.destroy());
+        return world;
+    };
+
+    const world = createWorld();
+    const ada = await world.createNPC({ name: 'Ada', role: 'smith' });
+    const memoryBank = ada.consciousness.memoryBank;
+    const id = await memoryBank.store(tradeMemory());
+    memoryBank.attachEmotionalState(furious);
+    await memoryBank.recall([id]);
+    const history = memoryBank.getRevisions(id);
+    assert.equal(history.current['interaction.emotion'], 'angry');
+    assert.equal(await world.saveState({ full: true }), true);
+
+    const reloaded = createWorld();
+    assert.equal(await reloaded.loadState(), true);
+    assert.deepEqual(reloaded.getNPC(ada.id).consciousness.memoryBank.getRevisions(id), history);
+});
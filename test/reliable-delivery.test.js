@@ -0,0 +1,180 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebRTCMesh } from '../src/networking/webrtc-mesh.js';
+import { MeshProtocolError } from '../src/networking/mesh-protocol.js';
+import { SimulatedNetwork } from '../src/networking/transport/index.js';
+
+/**
+ * Wait (up to five seconds) for messages to arrive
+ */
+async function settle(done) {
+    for (let waited = 0; !done(); waited += 10) {
+        assert.ok(waited < 5000, 'timed out waiting for messages');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+// Messages sent in the same tick share a frame; a pause sends them separately
+const pause = () => new Promise(resolve => setTimeout(resolve, 2));
+
+/**
+ * Meshes of one world on a simulated network, connected to each other,
+ * that all know the test's message types
+ */
+async function connectMeshes(t, count, network, config = {}) {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    const meshes = Array.from({ length: count }, () => {
+        const mesh = new WebRTCMesh('village', {
+            transport: { type: 'memory', network },
+            retryInterval: 20,
+            maxRetries: 8,
+            ...config
+        });
+        mesh.defineMessage('note', { n: 'integer' }, { reliable: true });
+        mesh.defineMessage('step', { npcId: 'string', n: 'integer' }, { reliable: true, orderBy: 'npcId' });
+        mesh.defineMessage('chatter', { npcId: 'string', n: 'integer' });
+        mesh.defineMessage('lookup', { key: 'string' }, { response: { value: 'integer' } });
+        t.after(() => mesh.disconnect());
+        return mesh;
+    });
+    for (const mesh of meshes) {
+        await mesh.connect();
+    }
+    await settle(() => meshes.every(mesh => mesh.getConnectedPeers().length === count - 1));
+    return meshes;
+}
+
+test('reliable messages arrive exactly once over a lossy network', async (t) => {
+    const network = new SimulatedNetwork({ latency: 2, jitter: 3, loss: 0.3, seed: 11 });
+    const [sender, receiver] = await connectMeshes(t, 2, network);
+    const received = [];
+    receiver.on('note', message => received.push(message.data.n));
+
+    for (let n = 0; n < 30; n++) {
+        sender.broadcast('note', { n });
+        await pause();
+    }
+    await settle(() => received.length === 30 && sender.peers.get(receiver.peerId).unacked.size === 0);
+
+    assert.deepEqual([...received].sort((a, b) => a - b), Array.from({ length: 30 }, (_, n) => n));
+    assert.ok(network.stats.dropped > 0);
+    assert.ok(sender.getStats().retransmissions > 0);
+    // Copies resent because their ack was lost are acknowledged again, not handled again
+    assert.ok(receiver.getStats().duplicates > 0);
+});
+
+test('messages about one NPC are handled in the order they were sent', async (t) => {
+    const network = new SimulatedNetwork({ latency: 1, jitter: 30, loss: 0.2, seed: 4 });
+    const [sender, receiver] = await connectMeshes(t, 2, network);
+    const ordered = { npc_ada: [], npc_bo: [] };
+    const unordered = [];
+    receiver.on('step', message => ordered[message.data.npcId].push(message.data.n));
+    receiver.on('chatter', message => unordered.push(message.data.n));
+
+    for (let n = 0; n < 20; n++) {
+        sender.broadcast('step', { npcId: 'npc_ada', n });
+        sender.broadcast('step', { npcId: 'npc_bo', n });
+        sender.broadcast('chatter', { npcId: 'npc_ada', n });
+        await pause();
+    }
+    await settle(() => ordered.npc_ada.length === 20 && ordered.npc_bo.length === 20);
+
+    const sent = Array.from({ length: 20 }, (_, n) => n);
+    assert.deepEqual(ordered.npc_ada, sent);
+    assert.deepEqual(ordered.npc_bo, sent);
+    // The same network reorders (and loses) messages sent without a stream
+    assert.notDeepEqual(unordered, sent);
+});
+
+test('send() resolves once acknowledged and rejects when the peer cannot be reached', async (t) => {
+    const network = new SimulatedNetwork({ latency: 1, seed: 2 });
+    const [sender, receiver] = await connectMeshes(t, 2, network, { retryInterval: 10, maxRetries: 3 });
+    const received = [];
+    const failures = [];
+    receiver.on('note', message => received.push(message.data.n));
+    sender.on('delivery_failed', event => failures.push(event));
+
+    await sender.send(receiver.peerId, 'note', { n: 1 });
+    assert.deepEqual(received, [1]);
+
+    network.partition([sender.peerId], [receiver.peerId]);
+    await assert.rejects(sender.send(receiver.peerId, 'note', { n: 2 }), /note to .* was not acknowledged after 4 attempts/);
+    assert.equal(sender.getStats().deliveryFailures, 1);
+    assert.equal(failures.length, 1);
+    assert.equal(failures[0].peerId, receiver.peerId);
+    assert.equal(failures[0].type, 'note');
+    assert.deepEqual(received, [1]);
+
+    await assert.rejects(sender.send('peer_nobody', 'note', { n: 3 }), /Peer peer_nobody not connected/);
+    await assert.rejects(sender.send(receiver.peerId, 'note', { n: 'four' }), MeshProtocolError);
+});
+
+test('requests resolve with the responder\'s result, its error, or a timeout', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const network = new SimulatedNetwork({ latency: 2, loss: 0.2, seed: 8 });
+    const [asker, answerer] = await connectMeshes(t, 2, network);
+    const values = { anvil: 3, hammer: 7 };
+    answerer.respond('lookup', ({ key }, { peerId }) => {
+        assert.equal(peerId, asker.peerId);
+        if (key === 'cart') return new Promise(() => {});
+        if (key === 'wheel') return { value: 'round' };
+        if (!(key in values)) throw new Error(`Nothing called ${key}`);
+        return { value: values[key] };
+    });
+
+    assert.deepEqual(await asker.request(answerer.peerId, 'lookup', { key: 'anvil' }), { value: 3 });
+    assert.deepEqual(await Promise.all(['hammer', 'anvil'].map(key =>
+        asker.request(answerer.peerId, 'lookup', { key }))), [{ value: 7 }, { value: 3 }]);
+    await assert.rejects(asker.request(answerer.peerId, 'lookup', { key: 'sword' }), /Nothing called sword/);
+    await assert.rejects(asker.request(answerer.peerId, 'lookup', { key: 'wheel' }),
+        error => error instanceof MeshProtocolError && error.code === 'schema');
+    await assert.rejects(asker.request(answerer.peerId, 'lookup', { key: 'cart' }, { timeout: 300 }),
+        /lookup request to .* timed out/);
+    await assert.rejects(answerer.request(asker.peerId, 'lookup', { key: 'anvil' }), /No responder for lookup/);
+    assert.equal(asker.pendingMessages.size, 0);
+});
+
+test('a request to an unreachable peer fails instead of waiting forever', async (t) => {
+    const network = new SimulatedNetwork({ latency: 1, seed: 3 });
+    const [asker, answerer] = await connectMeshes(t, 2, network, { retryInterval: 10, maxRetries: 2 });
+    answerer.respond('lookup', () => ({ value: 1 }));
+
+    network.partition([asker.peerId], [answerer.peerId]);
+    await assert.rejects(asker.request(answerer.peerId, 'lookup', { key: 'anvil' }, { timeout: 5000 }),
+        /was not acknowledged after 3 attempts/);
+    assert.equal(asker.pendingMessages.size, 0);
+});
+
+test('requestConsciousness gathers the states peers have', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const network = new SimulatedNetwork({ latency: 1, seed: 6 });
+    const [asker, owner, stranger, silent] = await connectMeshes(t, 4, network);
+    owner.respond('consciousness_request', ({ npcId }) =>
+        npcId === 'npc_ada' ? { npcId, state: { state: { awareness: 0.7 } } } : null);
+    stranger.respond('consciousness_request', () => null);
+    silent.respond('consciousness_request', () => {
+        throw new Error('busy');
+    });
+
+    assert.deepEqual(await asker.requestConsciousness('npc_ada'),
+        [{ peerId: owner.peerId, npcId: 'npc_ada', state: { state: { awareness: 0.7 } } }]);
+    assert.deepEqual(await asker.requestConsciousness('npc_bo'), []);
+    assert.equal(console.error.mock.callCount(), 2, 'the failing peer is reported each time');
+});
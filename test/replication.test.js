@@ -0,0 +1,206 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptiveNPCWeb } from '../src/core/adaptive-npc-web.js';
+import { ManualClock } from '../src/core/environment.js';
+import { SimulatedNetwork } from '../src/networking/transport/index.js';
+
+/**
+ * Two peers of one world with the same NPCs, the second running 250ms
+ * behind; states are handed over directly (see share()), so nothing
+ * depends on network timing
+ */
+async function createPeers(t) {
+    const network = new SimulatedNetwork({ seed: 3 });
+    const peers = [];
+    for (const lag of [0, 250]) {
+        const clock = new ManualClock(1000);
+        const world = new AdaptiveNPCWeb({
+            worldName: 'replication',
+            seed: 7,
+            manualTick: true,
+            enableQuantum: false,
+            environment: { clock },
+            meshTransport: { type: 'memory', network }
+        });
+        t.after(() => world.destroy());
+        const ada = await world.createNPC({ name: 'Ada', role: 'smith' });
+        const bo = await world.createNPC({ name: 'Bo', role: 'guard' });
+        clock.advance(lag);
+        peers.push({ world, ada: ada.id, bo: bo.id });
+    }
+    assert.equal(peers[0].ada, peers[1].ada);
+    return peers;
+}
+
+async function share(from, to, npcId) {
+    return to.replicator.receive({ npcId, state: from.replicator.replica(npcId).toJSON() });
+}
+
+/**
+ * Wait (up to two seconds) for messages to arrive
+ */
+async function settle(done) {
+    for (let waited = 0; !done(); waited += 10) {
+        assert.ok(waited < 2000, 'timed out waiting for peers');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+function memoryIds(world, npcId) {
+    const memoryBank = world.getNPC(npcId).consciousness.memoryBank;
+    return Object.values(memoryBank.memories).flatMap(memories => Array.from(memories.keys())).sort();
+}
+
+test('a reloaded world keeps recording under its saved replica id', async (t) => {
+    const [first, second] = await createPeers(t);
+    await first.world.processInteraction(first.ada, first.bo, { action: 'help' });
+    const saved = first.world.replicator.serialize();
+
+    second.world.replicator.deserialize(saved);
+    await second.world.processInteraction(second.ada, second.bo, { action: 'help' });
+
+    const { emotions } = second.world.replicator.replica(second.ada).toJSON();
+    const contributors = new Set(Object.values(emotions).flatMap(counter => [
+        ...Object.keys(counter.p), ...Object.keys(counter.n)
+    ]));
+    assert.equal(second.world.replicator.replicaId, saved.replicaId);
+    assert.deepEqual([...contributors], [saved.replicaId]);
+
+    // Memory ids still come from this session, so they never repeat one made before the save
+    assert.ok(memoryIds(second.world, second.ada).some(id => id.includes(second.world.mesh.peerId)));
+});
+
+test('forgotten memories are forgotten on every peer and stay forgotten', async (t) => {
+    const [owner, peer] = await createPeers(t);
+    await owner.world.processInteraction(owner.ada, owner.bo, { action: 'help' });
+    await share(owner.world, peer.world, owner.ada);
+    const [forgottenId] = memoryIds(owner.world, owner.ada);
+    assert.ok(memoryIds(peer.world, owner.ada).includes(forgottenId));
+
+    // The owner's forgetting cycle forgets the memory
+    const memoryBank = owner.world.getNPC(owner.ada).consciousness.memoryBank;
+    t.mock.method(memoryBank, 'processForgetting', () => {
+        const memory = memoryBank._getMemoryById(forgottenId);
+        memoryBank.forget([forgottenId]);
+        return [memory];
+    });
+    await owner.world.tick(owner.world.config.tickRates.forgetting);
+
+    const changes = await share(owner.world, peer.world, owner.ada);
+    assert.deepEqual(changes.removedMemories, [forgottenId]);
+    assert.ok(!memoryIds(peer.world, owner.ada).includes(forgottenId));
+
+    // A peer that still holds the record cannot bring it back
+    const stale = peer.world.replicator.replica(owner.ada).toJSON();
+    stale.memories.records[forgottenId] = { value: { id: forgottenId }, stamp: [99, 'stale'] };
+    assert.equal(await owner.world.replicator.receive({ npcId: owner.ada, state: stale }), null);
+});
+
+test('revised memories read the same on every peer', async (t) => {
+    const [owner, peer] = await createPeers(t);
+    await owner.world.processInteraction(owner.ada, owner.bo, { action: 'help' });
+    await share(owner.world, peer.world, owner.ada);
+
+    const memoryBank = owner.world.getNPC(owner.ada).consciousness.memoryBank;
+    const [memoryId] = memoryIds(owner.world, owner.ada);
+    const memory = memoryBank._getMemoryById(memoryId);
+    memory.original = { content: memory.content };
+    memory.content = 'Bo helped, or was it Cy?';
+    owner.world.replicator.recordRevision(owner.ada, memory);
+
+    const changes = await share(owner.world, peer.world, owner.ada);
+    assert.equal(changes.revisedMemories.length, 1);
+    const replicated = peer.world.getNPC(owner.ada).consciousness.memoryBank._getMemoryById(memoryId);
+    assert.equal(replicated.content, 'Bo helped, or was it Cy?');
+    assert.deepEqual(replicated.original, memory.original);
+});
+
+test('relationships date from the peer that saw them form first', async (t) => {
+    const [early, late] = await createPeers(t);
+    await early.world.processInteraction(early.ada, early.bo, { action: 'help' });
+    await late.world.processInteraction(late.ada, late.bo, { action: 'help' });
+
+    await share(early.world, late.world, early.ada);
+    await share(late.world, early.world, early.ada);
+
+    for (const { world } of [early, late]) {
+        assert.equal(world.relationshipNetwork.getRelationship(early.ada, early.bo).formed, 1000);
+    }
+});
+
+test('only the owner of an NPC shares its consciousness', async (t) => {
+    const peers = await createPeers(t);
+    const npcId = peers[0].ada;
+    for (const { world } of peers) {
+        t.after(() => world.mesh.disconnect());
+        await world.mesh.connect();
+    }
+    await settle(() => peers.every(({ world }) => world.mesh.getConnectedPeers().length === 1));
+    for (const { world } of peers) {
+        await world.tick(world.config.tickRates.replication);
+    }
+    await settle(() => {
+        const owners = peers.map(({ world }) => world.getNPCOwner(npcId));
+        return owners[0] !== null && owners[0] === owners[1];
+    });
+    const ownerId = peers[0].world.getNPCOwner(npcId);
+    const [owner, other] = peers[0].world.mesh.peerId === ownerId ?
+        [peers[0].world, peers[1].world] : [peers[1].world, peers[0].world];
+
+    const warnings = t.mock.method(console, 'warn', () => {});
+    const owned = owner.getNPC(npcId).consciousness;
+    const awareness = owned.state.awareness;
+    other.mesh.shareConsciousness(npcId, { state: { awareness: 0.01 } });
+    await settle(() => warnings.mock.callCount() > 0);
+    assert.equal(owned.state.awareness, awareness);
+
+    const replica = other.getNPC(npcId).consciousness;
+    owner.mesh.shareConsciousness(npcId, { state: { awareness: 0.02 } });
+    await settle(() => replica.state.awareness === 0.02);
+});
+
+test('a journal sync that fails is retried while the peer stays', async (t) => {
+    const [away, back] = await createPeers(t);
+    await away.world.processInteraction(away.ada, away.bo, { action: 'help' });
+
+    // The first request for the journal is lost
+    const request = back.world.mesh.request.bind(back.world.mesh);
+    let lost = false;
+    t.mock.method(back.world.mesh, 'request', async (peerId, type, data) => {
+        if (type === 'journal_sync' && !lost) {
+            lost = true;
+            throw new Error('journal_sync timed out');
+        }
+        return request(peerId, type, data);
+    });
+    const warnings = t.mock.method(console, 'warn', () => {});
+    back.world.mesh.config.retryInterval = 20;
+
+    const synced = [];
+    back.world.on('journal_synced', event => synced.push(event));
+    for (const { world } of [away, back]) {
+        t.after(() => world.mesh.disconnect());
+        await world.mesh.connect();
+    }
+    await settle(() => synced.length > 0);
+
+    assert.equal(synced[0].received, 1);
+    assert.deepEqual(synced[0].vector, away.world.journal.getVector());
+    assert.ok(warnings.mock.calls.some(call => String(call.arguments[0]).startsWith('Retrying interaction journal sync')));
+});
@@ -0,0 +1,128 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptiveNPCWeb } from '../src/core/adaptive-npc-web.js';
+import { ManualClock } from '../src/core/environment.js';
+
+const EMOTIONS = {
+    happiness: 0.6, sadness: 0.2, excitement: 0.5, calmness: 0.6, anger: 0.1, fear: 0.1,
+    love: 0.3, trust: 0.5, pride: 0.5, shame: 0.1, gratitude: 0.4, envy: 0.1
+};
+
+/**
+ * An NPC as version 1 wrote it: no format stamp, memory statistics
+ * instead of a memory bank, and plain trait values
+ */
+function v1NPC(id, name, role, personality) {
+    return {
+        id,
+        name,
+        role,
+        position: { x: 0, y: 0, z: 0 },
+        appearance: {},
+        active: true,
+        currentBehavior: 'idle',
+        updateCount: 12,
+        consciousness: {
+            id,
+            name,
+            personality,
+            state: {
+                awareness: 0.9,
+                currentFocus: null,
+                activeThoughts: [],
+                workingMemory: [],
+                goals: [{ type: 'survival', description: 'Stay safe and healthy', priority: 1, progress: 0 }],
+                beliefs: {},
+                lastProcessTime: 0
+            },
+            thoughtStream: [],
+            memoryStats: {
+                totalMemories: 4,
+                byCategory: { episodic: 4 },
+                workingMemorySize: 2,
+                totalAssociations: 1
+            }
+        },
+        emotionalState: {
+            emotions: { ...EMOTIONS },
+            currentMood: 'content',
+            moodHistory: [],
+            baselines: { ...EMOTIONS },
+            volatility: 0.5
+        },
+        personality
+    };
+}
+
+const V1_EXPORT = {
+    version: 1,
+    worldName: 'Old Village',
+    exportedAt: 1000,
+    worldState: {
+        version: '1.0.0',
+        timestamp: 1000,
+        config: {},
+        npcs: {
+            npcs: [
+                v1NPC('npc_1_ada', 'Ada', 'smith', { openness: 0.7, agreeableness: 0.8 }),
+                v1NPC('npc_1_bo', 'Bo', 'guard', { conscientiousness: 0.9, courage: 0.8 })
+            ],
+            metadata: { count: 2, timestamp: 1000, version: '1.0.0' }
+        },
+        relationships: {
+            entities: ['npc_1_ada', 'npc_1_bo'],
+            relationships: { npc_1_ada: {}, npc_1_bo: {} },
+            groups: {},
+            eventHistory: []
+        },
+        narratives: { activeThreads: [], completedStories: [], narrativeGraph: {} },
+        playTime: 60000
+    }
+};
+
+test('a version 1 save loads into a running world', async (t) => {
+    const world = new AdaptiveNPCWeb({
+        worldName: 'migration-v1',
+        seed: 7,
+        manualTick: true,
+        environment: { clock: new ManualClock(2000) }
+    });
+    await world.tick(1);
+
+    assert.equal(await world.persistence.importData(structuredClone(V1_EXPORT)), true);
+    assert.equal(await world.loadState(), true);
+
+    const ada = world.getNPC('npc_1_ada');
+    const bo = world.getNPC('npc_1_bo');
+    assert.equal(world.getAllNPCs().length, 2);
+    assert.equal(ada.consciousness.memoryBank.stats.totalMemories, 4, 'old counters carried over');
+    assert.equal(ada.personality.baseTraits.openness, 0.7, 'traits seed the personality');
+
+    const errors = t.mock.method(console, 'error', () => {});
+    await world.tick(1000);
+    const result = await world.processInteraction(ada.id, bo.id, { action: 'help', context: 'after migration' });
+    await world.tick(1000);
+    errors.mock.restore();
+
+    assert.deepEqual(errors.mock.calls.map(call => call.arguments.join(' ')), []);
+    assert.ok(result);
+    assert.equal(ada.consciousness.memoryBank.stats.totalMemories, 5);
+    assert.ok(world.relationshipNetwork.getRelationship(ada.id, bo.id));
+    world.destroy();
+});
@@ -0,0 +1,108 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scheduler } from '../src/core/scheduler.js';
+import { AdaptiveNPCWeb } from '../src/core/adaptive-npc-web.js';
+import { ManualClock } from '../src/core/environment.js';
+
+/**
+ * A scheduler with one task that records the time of every step
+ */
+function createScheduler(config = {}, interval = 16) {
+    const scheduler = new Scheduler({ clock: new ManualClock(0), startTime: 0, ...config });
+    const steps = [];
+    scheduler.addTask('think', interval, (stepMs, time) => steps.push(time));
+    return { scheduler, steps };
+}
+
+test('a long tick runs every step it covers, in order', async () => {
+    const { scheduler, steps } = createScheduler();
+
+    await scheduler.tick(1000);
+    assert.equal(steps.length, 62);
+    assert.deepEqual(steps.slice(0, 3), [16, 32, 48]);
+    assert.equal(steps.at(-1), 992);
+
+    await scheduler.tick(8);
+    assert.equal(steps.at(-1), 1008);
+    assert.deepEqual(scheduler.getStats().tasks.think, { interval: 16, runs: 63, backlog: 0, dropped: 0 });
+    assert.equal(scheduler.clock.now(), 1008);
+});
+
+test('short ticks run the same steps as one long tick', async () => {
+    const long = createScheduler();
+    const short = createScheduler();
+
+    await long.scheduler.tick(1000);
+    for (let i = 0; i < 100; i++) {
+        await short.scheduler.tick(10);
+    }
+    assert.deepEqual(short.steps, long.steps);
+});
+
+test('steps past the per-tick bound carry over, and past the backlog limit are dropped', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const { scheduler, steps } = createScheduler({ maxStepsPerTick: 2, maxBacklogSteps: 5 }, 10);
+
+    await scheduler.tick(200);
+    assert.equal(steps.length, 5);
+    assert.deepEqual(scheduler.getStats().tasks.think, { interval: 10, runs: 5, backlog: 5, dropped: 10 });
+    assert.equal(warn.mock.callCount(), 1);
+
+    // The backlog catches up at maxStepsPerTick a tick
+    await scheduler.tick(5);
+    assert.equal(steps.length, 7);
+    await scheduler.tick(5);
+    await scheduler.tick(5);
+    assert.equal(scheduler.getStats().tasks.think.backlog, 0);
+    assert.equal(steps.at(-1), 210);
+});
+
+test('paused and time-scaled ticks', async () => {
+    const { scheduler, steps } = createScheduler();
+
+    scheduler.pause();
+    assert.equal(await scheduler.tick(1000), 0);
+    assert.equal(steps.length, 0);
+
+    scheduler.resume();
+    scheduler.setTimeScale(2);
+    assert.equal(await scheduler.tick(80), 160);
+    assert.equal(steps.length, 10);
+    assert.throws(() => scheduler.setTimeScale(-1));
+});
+
+test('a world ticked a second at a time keeps its 16ms consciousness rate', async (t) => {
+    const world = new AdaptiveNPCWeb({
+        worldName: 'scheduler',
+        seed: 5,
+        manualTick: true,
+        enableNetworking: false,
+        environment: { clock: new ManualClock(0) }
+    });
+    t.after(() => world.destroy());
+    await world.createNPC({ name: 'Ada' });
+
+    for (let second = 0; second < 3; second++) {
+        await world.tick(1000);
+    }
+    const { consciousness, emotion } = world.scheduler.getStats().tasks;
+    assert.equal(consciousness.runs, Math.floor(3000 / world.config.tickRates.consciousness));
+    assert.equal(consciousness.dropped, 0);
+    assert.equal(emotion.runs, 3);
+});
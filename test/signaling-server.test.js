@@ -0,0 +1,255 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect } from 'node:net';
+import { randomBytes } from 'node:crypto';
+import { SignalingServer } from '../src/networking/signaling/signaling-server.js';
+import { WebSocketSignaling } from '../src/networking/signaling/index.js';
+import { WebRTCMesh } from '../src/networking/webrtc-mesh.js';
+
+/**
+ * Browser-style WebSocket client over node:net (Node 20 has no global
+ * WebSocket); text frames only, which is all the server speaks
+ */
+class TestWebSocket {
+    constructor(url) {
+        const { hostname, port } = new URL(url);
+        this.readyState = 0;
+        this.buffer = Buffer.alloc(0);
+
+        this.socket = connect(Number(port), hostname, () => {
+            this.socket.write(
+                'GET / HTTP/1.1\r\n' +
+                `Host: ${hostname}:${port}\r\n` +
+                'Upgrade: websocket\r\n' +
+                'Connection: Upgrade\r\n' +
+                `Sec-WebSocket-Key: ${randomBytes(16).toString('base64')}\r\n` +
+                'Sec-WebSocket-Version: 13\r\n\r\n'
+            );
+        });
+        this.socket.on('data', chunk => this._onData(chunk));
+        this.socket.on('error', () => this.onerror && this.onerror());
+        this.socket.on('close', () => {
+            this.readyState = 3;
+            if (this.onclose) this.onclose();
+        });
+    }
+
+    send(text) {
+        this.sendFrame(0x1, Buffer.from(text));
+    }
+
+    sendFrame(opcode, payload) {
+        const length = payload.length < 126 ? Buffer.from([payload.length | 0x80]) :
+            Buffer.from([126 | 0x80, payload.length >> 8, payload.length & 0xFF]);
+        const mask = randomBytes(4);
+        const masked = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+        this.socket.write(Buffer.concat([Buffer.from([0x80 | opcode]), length, mask, masked]));
+    }
+
+    // Closing handshake: the server answers and ends the connection
+    close() {
+        if (this.readyState !== 1) return;
+        this.readyState = 2;
+        this.sendFrame(0x8, Buffer.from([0x03, 0xE8]));
+    }
+
+    _onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        if (this.readyState === 0) {
+            const end = this.buffer.indexOf('\r\n\r\n');
+            if (end === -1) return;
+            const status = this.buffer.subarray(0, end).toString();
+            this.buffer = this.buffer.subarray(end + 4);
+            if (!status.startsWith('HTTP/1.1 101')) {
+                this.socket.destroy();
+                return;
+            }
+            this.readyState = 1;
+            this.onopen();
+        }
+
+        while (this.buffer.length >= 2) {
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+            if (length === 126) {
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            }
+            if (this.buffer.length < offset + length) return;
+
+            const opcode = this.buffer[0] & 0x0F;
+            const payload = this.buffer.subarray(offset, offset + length);
+            this.buffer = this.buffer.subarray(offset + length);
+            if (opcode === 0x1 && this.onmessage) {
+                this.onmessage({ data: payload.toString() });
+            } else if (opcode === 0x8) {
+                this.closeCode = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+            }
+        }
+    }
+}
+
+async function startServer(t, config = {}) {
+    const server = new SignalingServer({ port: 0, ...config });
+    const { port } = await server.listen();
+    t.after(() => server.close());
+    return { server, url: `ws://127.0.0.1:${port}`, http: `http://127.0.0.1:${port}` };
+}
+
+/**
+ * A signaling client that records its events
+ */
+function createClient(t, url) {
+    const signaling = new WebSocketSignaling({ url, WebSocket: TestWebSocket, joinTimeout: 2000 });
+    const events = [];
+    for (const type of ['peers', 'peer_joined', 'peer_left', 'signal', 'error']) {
+        signaling.on(type, event => events.push({ type, ...(event instanceof Error ? { message: event.message } : event) }));
+    }
+    t.after(() => signaling.leave());
+    return { signaling, events };
+}
+
+/**
+ * A raw connection that collects the server's replies
+ */
+async function openSocket(t, url) {
+    const socket = new TestWebSocket(url);
+    const replies = [];
+    socket.onmessage = ({ data }) => replies.push(JSON.parse(data));
+    await new Promise((resolve, reject) => {
+        socket.onopen = resolve;
+        socket.onerror = reject;
+    });
+    t.after(() => socket.close());
+    return { socket, replies };
+}
+
+/**
+ * Wait (up to two seconds) for the server to answer
+ */
+async function settle(done) {
+    for (let waited = 0; !done(); waited += 10) {
+        assert.ok(waited < 2000, 'timed out waiting for the server');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+test('peers in a room hear each other join and leave, and exchange signals', async (t) => {
+    const { server, url } = await startServer(t);
+    const ada = createClient(t, url);
+    const bo = createClient(t, url);
+    const elsewhere = createClient(t, url);
+
+    await ada.signaling.join('village', 'ada');
+    await bo.signaling.join('village', 'bo');
+    await elsewhere.signaling.join('harbour', 'cy');
+    await settle(() => ada.events.length === 2);
+    assert.deepEqual(ada.events, [{ type: 'peers', peers: [] }, { type: 'peer_joined', peerId: 'bo' }]);
+    assert.deepEqual(bo.events, [{ type: 'peers', peers: ['ada'] }]);
+    assert.deepEqual(server.getStats(), { rooms: { village: 2, harbour: 1 }, peers: 3 });
+
+    bo.signaling.send('ada', { type: 'offer', sdp: 'v=0' });
+    await settle(() => ada.events.length === 3);
+    assert.deepEqual(ada.events[2], { type: 'signal', from: 'bo', data: { type: 'offer', sdp: 'v=0' } });
+
+    await bo.signaling.leave();
+    await settle(() => ada.events.length === 4);
+    assert.deepEqual(ada.events[3], { type: 'peer_left', peerId: 'bo' });
+    assert.deepEqual(elsewhere.events, [{ type: 'peers', peers: [] }]);
+    await settle(() => server.getStats().peers === 2);
+});
+
+test('full rooms and taken peer ids are refused', async (t) => {
+    const { server, url } = await startServer(t, { maxPeers: 2 });
+    await createClient(t, url).signaling.join('village', 'ada');
+    await createClient(t, url).signaling.join('village', 'bo');
+
+    await assert.rejects(createClient(t, url).signaling.join('village', 'cy'), /Room village is full \(2 peers\)/);
+    await createClient(t, url).signaling.join('harbour', 'ada');
+    await assert.rejects(createClient(t, url).signaling.join('harbour', 'ada'), /Peer id ada is already in the room/);
+    assert.deepEqual(server.getStats().rooms, { village: 2, harbour: 1 });
+});
+
+test('malformed and misaddressed messages are answered with errors', async (t) => {
+    const { url } = await startServer(t);
+    const { socket, replies } = await openSocket(t, url);
+
+    socket.send('not json');
+    socket.send(JSON.stringify({ type: 'teleport' }));
+    socket.send(JSON.stringify({ type: 'join', room: '' }));
+    socket.send(JSON.stringify({ type: 'join', room: 'village', peerId: 'ada' }));
+    socket.send(JSON.stringify({ type: 'signal', to: 'nobody', data: {} }));
+    socket.send(JSON.stringify({ type: 'join', room: 'harbour', peerId: 'ada' }));
+    await settle(() => replies.length === 6);
+
+    assert.deepEqual(replies, [
+        { type: 'error', message: 'Malformed message' },
+        { type: 'error', message: 'Unknown message type: teleport' },
+        { type: 'error', message: 'join needs a room and a peerId' },
+        { type: 'peers', peers: [] },
+        { type: 'error', message: 'Peer nobody is not in the room' },
+        { type: 'error', message: 'Already in room village' }
+    ]);
+});
+
+test('oversized and binary frames close the connection', async (t) => {
+    const { server, url } = await startServer(t, { maxMessageSize: 100 });
+    const large = await openSocket(t, url);
+    const binary = await openSocket(t, url);
+
+    large.socket.send(JSON.stringify({ type: 'join', room: 'x'.repeat(200), peerId: 'ada' }));
+    binary.socket.sendFrame(0x2, Buffer.from([1, 2, 3]));
+    await settle(() => large.socket.readyState === 3 && binary.socket.readyState === 3);
+
+    assert.equal(large.socket.closeCode, 1009);
+    assert.equal(binary.socket.closeCode, 1003);
+    assert.equal(server.getStats().peers, 0);
+});
+
+test('the health check reports rooms, and plain HTTP is turned away', async (t) => {
+    const { url, http } = await startServer(t);
+    await createClient(t, url).signaling.join('village', 'ada');
+
+    const health = await fetch(`${http}/health`);
+    assert.deepEqual(await health.json(), { rooms: { village: 1 }, peers: 1 });
+    const other = await fetch(`${http}/`);
+    assert.equal(other.status, 426);
+    await other.text();
+});
+
+test('two meshes talk through the server over the relay transport', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const { url } = await startServer(t);
+    const meshes = [0, 1].map(() => {
+        const mesh = new WebRTCMesh('village', { transport: 'relay', reconnectDelay: 60000 });
+        t.after(() => mesh.disconnect());
+        return mesh;
+    });
+    for (const mesh of meshes) {
+        await mesh.connect({ type: 'websocket', url, WebSocket: TestWebSocket });
+    }
+    await settle(() => meshes.every(mesh => mesh.getConnectedPeers().length === 1));
+
+    const heard = [];
+    meshes[1].on('interaction', data => heard.push(data.note));
+    meshes[0].shareInteraction({ note: 'over the server' });
+    await settle(() => heard.length === 1);
+    assert.deepEqual(heard, ['over the server']);
+});
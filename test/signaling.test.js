@@ -0,0 +1,271 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebRTCMesh } from '../src/networking/webrtc-mesh.js';
+import {
+    createSignalingTransport,
+    LoopbackSignaling,
+    LoopbackSignalingHub,
+    WebSocketSignaling,
+    BroadcastChannelSignaling
+} from '../src/networking/signaling/index.js';
+
+/**
+ * Data channel whose other end lives in the same process
+ */
+class FakeDataChannel {
+    constructor(label) {
+        this.label = label;
+        this.readyState = 'connecting';
+        this.remote = null;
+    }
+
+    send(data) {
+        if (this.readyState !== 'open') throw new Error('Data channel not open');
+        const remote = this.remote;
+        setTimeout(() => remote.onmessage && remote.onmessage({ data }), 1);
+    }
+
+    close() {
+        if (this.readyState === 'closed') return;
+        this.readyState = 'closed';
+        setTimeout(() => {
+            if (this.onclose) this.onclose();
+            if (this.remote) this.remote.close();
+        }, 0);
+    }
+
+    _open() {
+        this.readyState = 'open';
+        setTimeout(() => this.onopen && this.onopen(), 0);
+    }
+}
+
+/**
+ * RTCPeerConnection stand-in: the SDP names the connection, so applying an
+ * answer links the two ends, and each description yields two ICE candidates
+ */
+class FakeRTCPeerConnection {
+    static connections = new Map();
+    static nextId = 0;
+
+    constructor() {
+        this.id = `pc${FakeRTCPeerConnection.nextId++}`;
+        FakeRTCPeerConnection.connections.set(this.id, this);
+        this.localDescription = null;
+        this.remoteDescription = null;
+        this.connectionState = 'new';
+        this.candidates = [];
+    }
+
+    createDataChannel(label) {
+        this.channel = new FakeDataChannel(label);
+        return this.channel;
+    }
+
+    async createOffer() {
+        return { type: 'offer', sdp: this.id };
+    }
+
+    async createAnswer() {
+        return { type: 'answer', sdp: this.id };
+    }
+
+    async setLocalDescription(description) {
+        this.localDescription = description;
+        setTimeout(() => {
+            if (this.connectionState === 'closed') return;
+            for (const n of [1, 2]) {
+                this.onicecandidate({ candidate: { candidate: `${this.id}-${n}`, sdpMid: '0' } });
+            }
+            this.onicecandidate({ candidate: null });
+        }, 0);
+    }
+
+    async setRemoteDescription(description) {
+        await new Promise(resolve => setTimeout(resolve, 2));
+        this.remoteDescription = description;
+        if (description.type !== 'answer') return;
+
+        const remote = FakeRTCPeerConnection.connections.get(description.sdp);
+        const theirs = new FakeDataChannel(this.channel.label);
+        this.channel.remote = theirs;
+        theirs.remote = this.channel;
+        remote.ondatachannel({ channel: theirs });
+        this.channel._open();
+        theirs._open();
+        this.connectionState = remote.connectionState = 'connected';
+    }
+
+    async addIceCandidate(candidate) {
+        if (!this.remoteDescription) throw new Error('Candidate before remote description');
+        this.candidates.push(candidate.candidate);
+    }
+
+    close() {
+        this.connectionState = 'closed';
+    }
+}
+
+/**
+ * Minimal signaling server behind a fake WebSocket class, with rooms of
+ * at most two peers
+ */
+function fakeWebSocketServer() {
+    const rooms = new Map();
+    const deliver = (socket, message) => setTimeout(() => socket.onmessage({ data: JSON.stringify(message) }), 0);
+
+    return class FakeWebSocket {
+        constructor(url) {
+            this.readyState = 0;
+            setTimeout(() => {
+                if (url.includes('unreachable')) {
+                    this.onerror();
+                    return;
+                }
+                this.readyState = 1;
+                this.onopen();
+            }, 0);
+        }
+
+        send(text) {
+            const message = JSON.parse(text);
+            if (message.type === 'join') {
+                if (!rooms.has(message.room)) rooms.set(message.room, new Map());
+                const members = rooms.get(message.room);
+                if (members.size >= 2) {
+                    deliver(this, { type: 'error', message: `Room ${message.room} is full` });
+                    return;
+                }
+                deliver(this, { type: 'peers', peers: Array.from(members.keys()) });
+                members.forEach(member => deliver(member, { type: 'peer_joined', peerId: message.peerId }));
+                members.set(message.peerId, this);
+                this.members = members;
+                this.peerId = message.peerId;
+            } else if (message.type === 'signal') {
+                const target = this.members.get(message.to);
+                if (target) deliver(target, { type: 'signal', from: this.peerId, data: message.data });
+            } else if (message.type === 'leave') {
+                this.close();
+            }
+        }
+
+        close() {
+            this.readyState = 3;
+            if (!this.members || !this.members.delete(this.peerId)) return;
+            this.members.forEach(member => deliver(member, { type: 'peer_left', peerId: this.peerId }));
+        }
+    };
+}
+
+/**
+ * Wait (up to two seconds) for signaling and channels to settle
+ */
+async function settle(done) {
+    for (let waited = 0; !done(); waited += 10) {
+        assert.ok(waited < 2000, 'timed out waiting for peers');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+function createMeshes(t, count) {
+    t.mock.method(console, 'log', () => {});
+    return Array.from({ length: count }, () => {
+        const mesh = new WebRTCMesh('village', { RTCPeerConnection: FakeRTCPeerConnection, reconnectDelay: 60000 });
+        t.after(() => mesh.disconnect());
+        return mesh;
+    });
+}
+
+/**
+ * Three peers join one after another, find each other and talk
+ */
+async function meetThroughSignaling(t, createSignaling) {
+    const meshes = createMeshes(t, 3);
+    for (const mesh of meshes) {
+        await mesh.connect(createSignaling());
+    }
+    await settle(() => meshes.every(mesh => mesh.getConnectedPeers().length === 2));
+
+    const heard = [];
+    meshes[2].on('interaction', data => heard.push(data.note));
+    meshes[0].shareInteraction({ note: 'from the first' });
+    meshes[1].shareInteraction({ note: 'from the second' });
+    await settle(() => heard.length === 2);
+
+    // Every connection took the other side's trickled candidates
+    for (const mesh of meshes) {
+        for (const { connection } of mesh.transport.connections.values()) {
+            assert.deepEqual(connection.candidates.sort(),
+                [`${connection.remoteDescription.sdp}-1`, `${connection.remoteDescription.sdp}-2`]);
+        }
+    }
+
+    meshes[1].disconnect();
+    await settle(() => meshes[0].getConnectedPeers().length === 1 && meshes[2].getConnectedPeers().length === 1);
+    assert.deepEqual(meshes[0].getConnectedPeers(), [meshes[2].peerId]);
+}
+
+test('peers meet through loopback signaling', async (t) => {
+    const hub = new LoopbackSignalingHub({ latency: 1 });
+    await meetThroughSignaling(t, () => new LoopbackSignaling({ hub }));
+});
+
+test('peers meet through BroadcastChannel signaling', async (t) => {
+    await meetThroughSignaling(t, () => new BroadcastChannelSignaling({ prefix: 'signaling-test' }));
+});
+
+test('peers meet through a WebSocket signaling server', async (t) => {
+    const FakeWebSocket = fakeWebSocketServer();
+    const meshes = createMeshes(t, 2);
+    for (const mesh of meshes) {
+        await mesh.connect(new WebSocketSignaling({ url: 'ws://signaling.test', WebSocket: FakeWebSocket }));
+    }
+    await settle(() => meshes.every(mesh => mesh.getConnectedPeers().length === 1));
+});
+
+test('signaling failures surface as mesh errors', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const FakeWebSocket = fakeWebSocketServer();
+    const [first, second, third, unreachable] = createMeshes(t, 4);
+    for (const mesh of [first, second]) {
+        await mesh.connect(new WebSocketSignaling({ url: 'ws://signaling.test', WebSocket: FakeWebSocket }));
+    }
+
+    const errors = [];
+    for (const mesh of [third, unreachable]) {
+        mesh.on('error', error => errors.push(error.message));
+    }
+    await third.connect(new WebSocketSignaling({ url: 'ws://signaling.test', WebSocket: FakeWebSocket }));
+    await unreachable.connect(new WebSocketSignaling({ url: 'ws://unreachable.test', WebSocket: FakeWebSocket }));
+
+    assert.deepEqual(errors, ['Room village is full', 'Could not reach signaling server ws://unreachable.test']);
+    assert.equal(third.connected, false);
+    assert.equal(unreachable.connected, false);
+});
+
+test('signaling options resolve to transports', () => {
+    const loopback = new LoopbackSignaling();
+
+    assert.equal(createSignalingTransport(loopback), loopback);
+    assert.ok(createSignalingTransport('wss://example.org/signal') instanceof WebSocketSignaling);
+    assert.ok(createSignalingTransport('loopback') instanceof LoopbackSignaling);
+    assert.ok(createSignalingTransport({ type: 'broadcast', prefix: 'x' }) instanceof BroadcastChannelSignaling);
+    assert.throws(() => createSignalingTransport('carrier-pigeon'), /Unknown signaling type/);
+    assert.throws(() => new WebSocketSignaling({}), /requires a url/);
+});
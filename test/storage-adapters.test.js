@@ -0,0 +1,204 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, appendFile, readFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+    createStorageAdapter,
+    MemoryAdapter,
+    LocalStorageAdapter,
+    FileSystemAdapter,
+    CompressedAdapter,
+    RecordCodec
+} from '../src/storage/index.js';
+
+const STORES = ['npcs', 'memories'];
+
+/**
+ * In-memory stand-in for window.localStorage
+ */
+class FakeStorage {
+    constructor(quota = Infinity) {
+        this.entries = new Map();
+        this.quota = quota;
+    }
+
+    get length() {
+        return this.entries.size;
+    }
+
+    key(index) {
+        return Array.from(this.entries.keys())[index];
+    }
+
+    getItem(entry) {
+        return this.entries.has(entry) ? this.entries.get(entry) : null;
+    }
+
+    setItem(entry, text) {
+        if (this.entries.size >= this.quota && !this.entries.has(entry)) {
+            throw new Error('QuotaExceededError');
+        }
+        this.entries.set(entry, String(text));
+    }
+
+    removeItem(entry) {
+        this.entries.delete(entry);
+    }
+}
+
+async function tempDirectory(t) {
+    const directory = await mkdtemp(join(tmpdir(), 'npc-storage-'));
+    t.after(() => rm(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+const BACKENDS = {
+    memory: async () => new MemoryAdapter(),
+    localStorage: async () => new LocalStorageAdapter({ storage: new FakeStorage() }),
+    'fs (json)': async (t) => new FileSystemAdapter({ directory: await tempDirectory(t) }),
+    'fs (ndjson)': async (t) => new FileSystemAdapter({ directory: await tempDirectory(t), format: 'ndjson' }),
+    'compressed (lzw)': async () => new CompressedAdapter(new MemoryAdapter(), { format: 'lzw', threshold: 64 })
+};
+
+for (const [name, createAdapter] of Object.entries(BACKENDS)) {
+    test(`${name} adapter stores, scans and batches records`, async (t) => {
+        const adapter = await createAdapter(t);
+        await adapter.open('village', STORES);
+
+        await adapter.put('npcs', 'npc_ada', { name: 'Ada', notes: 'smith '.repeat(40) });
+        await adapter.put('memories', 'npc_bo/m2', { id: 'm2' });
+        await adapter.put('memories', 'npc_ada/m2', { id: 'm2' });
+        await adapter.put('memories', 'npc_ada/m1', { id: 'm1' });
+
+        assert.deepEqual(await adapter.get('npcs', 'npc_ada'), { name: 'Ada', notes: 'smith '.repeat(40) });
+        assert.equal(await adapter.get('npcs', 'npc_cy'), undefined);
+        assert.deepEqual(await adapter.keys('memories', 'npc_ada/'), ['npc_ada/m1', 'npc_ada/m2']);
+        assert.deepEqual(await adapter.getAll('memories', 'npc_ada/'), [{ id: 'm1' }, { id: 'm2' }]);
+        assert.equal(await adapter.count('memories'), 3);
+
+        await adapter.batch([
+            { type: 'delete', store: 'memories', key: 'npc_ada/m1' },
+            { type: 'put', store: 'npcs', key: 'npc_bo', value: { name: 'Bo' } },
+            { type: 'clear', store: 'memories' },
+            { type: 'put', store: 'memories', key: 'npc_bo/m3', value: { id: 'm3' } }
+        ]);
+        assert.deepEqual(await adapter.keys('npcs'), ['npc_ada', 'npc_bo']);
+        assert.deepEqual(await adapter.getAll('memories'), [{ id: 'm3' }]);
+
+        await adapter.delete('npcs', 'npc_bo');
+        await adapter.clear('memories');
+        assert.deepEqual(await adapter.keys('npcs'), ['npc_ada']);
+        assert.equal(await adapter.count('memories'), 0);
+    });
+}
+
+for (const format of ['json', 'ndjson']) {
+    test(`fs adapter (${format}) reads back what it wrote after a restart`, async (t) => {
+        const directory = await tempDirectory(t);
+        const adapter = new FileSystemAdapter({ directory, format });
+        await adapter.open('village', STORES);
+        for (let i = 0; i < 5; i++) {
+            await adapter.put('memories', `npc_ada/m${i}`, { id: `m${i}`, strength: i / 10 });
+        }
+        await adapter.delete('memories', 'npc_ada/m0');
+        adapter.close();
+
+        const reopened = new FileSystemAdapter({ directory, format });
+        await reopened.open('village', STORES);
+        assert.deepEqual(await reopened.keys('memories'), ['npc_ada/m1', 'npc_ada/m2', 'npc_ada/m3', 'npc_ada/m4']);
+        assert.deepEqual(await reopened.get('memories', 'npc_ada/m3'), { id: 'm3', strength: 0.3 });
+    });
+}
+
+test('fs adapter drops a torn final line and compacts a long log', async (t) => {
+    const directory = await tempDirectory(t);
+    const adapter = new FileSystemAdapter({ directory, format: 'ndjson', compactRatio: 1 });
+    await adapter.open('village', STORES);
+    for (let i = 0; i < 150; i++) {
+        await adapter.put('npcs', 'npc_ada', { name: 'Ada', visits: i });
+    }
+    const file = join(directory, 'village', 'npcs.ndjson');
+    assert.ok((await readFile(file, 'utf8')).trim().split('\n').length <= 101, 'the log was compacted');
+
+    // A crash part way through an append
+    await appendFile(file, '{"k":"npc_bo","v":{"na');
+    const reopened = new FileSystemAdapter({ directory, format: 'ndjson' });
+    await reopened.open('village', STORES);
+    assert.deepEqual(await reopened.keys('npcs'), ['npc_ada']);
+    assert.deepEqual(await reopened.get('npcs', 'npc_ada'), { name: 'Ada', visits: 149 });
+    assert.ok(!(await readFile(file, 'utf8')).includes('npc_bo'));
+});
+
+test('a batch that hits the localStorage quota leaves nothing half-written', async () => {
+    const adapter = new LocalStorageAdapter({ storage: new FakeStorage(2) });
+    await adapter.open('village', STORES);
+    await adapter.put('npcs', 'npc_ada', { name: 'Ada' });
+
+    await assert.rejects(adapter.batch([
+        { type: 'put', store: 'npcs', key: 'npc_ada', value: { name: 'Ada the Bold' } },
+        { type: 'put', store: 'npcs', key: 'npc_bo', value: { name: 'Bo' } },
+        { type: 'put', store: 'npcs', key: 'npc_cy', value: { name: 'Cy' } }
+    ]), /Quota/);
+    assert.deepEqual(await adapter.getAll('npcs'), [{ name: 'Ada' }]);
+});
+
+test('compressed adapter compresses large records only, and reads old ones as they are', async () => {
+    const backend = new MemoryAdapter();
+    await backend.open('village', STORES);
+    await backend.put('npcs', 'npc_old', { name: 'Old', notes: 'x'.repeat(500) });
+
+    const adapter = new CompressedAdapter(backend, { format: 'lzw', threshold: 100 });
+    await adapter.open('village', STORES);
+    const large = { name: 'Ada', notes: 'hammer and anvil '.repeat(50) };
+    await adapter.batch([
+        { type: 'put', store: 'npcs', key: 'npc_ada', value: large },
+        { type: 'put', store: 'npcs', key: 'npc_bo', value: { name: 'Bo' } }
+    ]);
+
+    assert.ok(RecordCodec.isCompressed(await backend.get('npcs', 'npc_ada')));
+    assert.deepEqual(await backend.get('npcs', 'npc_bo'), { name: 'Bo' });
+    assert.deepEqual(await adapter.get('npcs', 'npc_ada'), large);
+    assert.equal((await adapter.get('npcs', 'npc_old')).name, 'Old');
+    assert.equal(adapter.stats.compressed, 1);
+    assert.ok(adapter.stats.bytesOut < adapter.stats.bytesIn);
+});
+
+test('gzip and lzw records decompress to the same text', async () => {
+    const text = JSON.stringify({ thoughts: 'the forge is warm tonight '.repeat(30) });
+    for (const format of ['gzip', 'lzw']) {
+        const codec = new RecordCodec({ format });
+        const record = await codec.compress(text);
+        assert.equal(record.$compressed, format);
+        assert.equal(await codec.decompress(record), text);
+    }
+});
+
+test('storage options resolve to adapters', async (t) => {
+    const directory = await tempDirectory(t);
+    const memory = new MemoryAdapter();
+
+    assert.equal(createStorageAdapter(memory), memory);
+    assert.ok(createStorageAdapter('memory') instanceof MemoryAdapter);
+    assert.ok(createStorageAdapter() instanceof MemoryAdapter, 'memory when there is no IndexedDB');
+    assert.ok(createStorageAdapter({ type: 'fs', directory }) instanceof FileSystemAdapter);
+    assert.throws(() => createStorageAdapter('floppy'), /Unknown storage type/);
+    assert.throws(() => new FileSystemAdapter({}), /requires a directory/);
+    await assert.rejects(new LocalStorageAdapter().open('village', STORES), /not available/);
+});
@@ -0,0 +1,97 @@
+/*
+ * Copyright 2025 Lavelle Hatcher Jr
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AdaptiveNPCWeb } from '../src/core/adaptive-npc-web.js';
+import { ManualClock } from '../src/core/environment.js';
+
+function createWorld(worldName, config = {}) {
+    return new AdaptiveNPCWeb({
+        worldName,
+        seed: 7,
+        manualTick: true,
+        environment: { clock: new ManualClock(1000) },
+        ...config
+    });
+}
+
+/**
+ * Run the simulation and an interaction, as a game would after loading
+ * 
+ * Scheduled tasks log their failures instead of throwing, so those count too.
+ */
+async function exercise(t, world, sourceId, targetId) {
+    const errors = t.mock.method(console, 'error', () => {});
+    await world.tick(1000);
+    const result = await world.processInteraction(sourceId, targetId, { action: 'help', context: 'after load' });
+    await world.tick(1000);
+    errors.mock.restore();
+
+    assert.deepEqual(errors.mock.calls.map(call => call.arguments.join(' ')), []);
+    return result;
+}
+
+test('imported NPCs run like ones created in the world', async (t) => {
+    const source = createWorld('restore-export');
+    const ada = await source.createNPC({ name: 'Ada', role: 'smith' });
+    const bo = await source.createNPC({ name: 'Bo', role: 'guard' });
+    await source.processInteraction(ada.id, bo.id, { action: 'gift', item: 'ring' });
+    const pkg = await source.exportPackage();
+    source.destroy();
+
+    const target = createWorld('restore-import');
+    const report = await target.importPackage(pkg);
+    assert.equal(report.imported.length, 2);
+
+    const imported = target.getNPC(ada.id);
+    assert.ok(imported.consciousness, 'consciousness rebuilt');
+    assert.ok(imported.emotionalState, 'emotional state rebuilt');
+    assert.equal(imported.consciousness.memoryBank.emotionalState, imported.emotionalState);
+    assert.ok(imported.consciousness.memoryBank.memories.episodic.size > 0, 'memories restored');
+
+    const result = await exercise(t, target, ada.id, bo.id);
+    assert.ok(result);
+    assert.ok(target.relationshipNetwork.getRelationship(ada.id, bo.id));
+    target.destroy();
+});
+
+test('a world loaded from a slot keeps running', async (t) => {
+    const world = createWorld('restore-slot');
+    const ada = await world.createNPC({ name: 'Ada', role: 'smith' });
+    const bo = await world.createNPC({ name: 'Bo', role: 'guard' });
+    await world.processInteraction(ada.id, bo.id, { action: 'compliment' });
+    await world.saveSlot('before');
+
+    await world.processInteraction(bo.id, ada.id, { action: 'insult' });
+    await world.loadSlot('before');
+
+    const restored = world.getNPC(ada.id);
+    assert.notEqual(restored, ada, 'NPCs are rebuilt from the slot');
+    assert.ok(restored.consciousness && restored.emotionalState);
+    const insults = await restored.consciousness.memoryBank.query({ where: { 'interaction.action': 'insult' } });
+    assert.equal(insults.length, 0, 'later memories are gone');
+
+    await exercise(t, world, ada.id, bo.id);
+    await exercise(t, world, bo.id, ada.id);
+    assert.ok(world.getNPC(bo.id).consciousness.memoryBank.stats.totalMemories > 0);
+
+    // The slot still loads after the world has moved on
+    await world.saveState();
+    await world.loadSlot('before');
+    await exercise(t, world, ada.id, bo.id);
+    world.destroy();
+});